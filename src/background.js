@@ -1,50 +1,105 @@
 // VTF Audio Extension - Service Worker\n// Handles audio buffering, transcription, and message coordination\n
 
 import { CircuitBreaker } from './modules/circuit-breaker.js';
+import { FailedAudioQueue } from './modules/failed-audio-queue.js';
+import { TranscriptStore } from './modules/transcript-store.js';
+import { exportTranscripts } from './modules/transcript-export.js';
+import { SessionManager, SESSION_END_REASONS } from './modules/session-manager.js';
+import { AUDIO_PORT_NAME, base64ToBytes } from './modules/audio-transport.js';
+import { OffscreenClient } from './modules/offscreen-client.js';
+import { SEGMENTS_MESSAGE } from './modules/audio-processor.js';
+import { encodeAudio } from './modules/audio-encoder.js';
+import { TranscriptMerger } from './modules/transcript-merger.js';
+import { anchorTimings, dropLeadingWords } from './modules/transcript-timing.js';
+import { HallucinationFilter, FILTER_ACTIONS } from './modules/hallucination-filter.js';
+import { PromptBuilder } from './modules/prompt-builder.js';
+import { EntityExtractor, ENTITY_TYPES } from './modules/entity-extractor.js';
+import { TradeCallDetector, DEFAULT_RULES, detectCalls, parseRules } from './modules/trade-call-detector.js';
+import { WatchlistAlerts, parseKeywordRules } from './modules/watchlist-alerts.js';
+import { SpeakerRegistry, SPEAKER_POLICIES } from './modules/speaker-registry.js';
+import { WorkerStateStore } from './modules/worker-state.js';
+import { RateLimiter, bucketKey } from './modules/rate-limiter.js';
+import { TranscriptionQueue } from './modules/transcription-queue.js';
+import { createProvider, PROVIDER_TYPES } from './modules/transcription-providers.js';
 
 class VTFTranscriptionService {
   constructor() {
     
-    // Speaker-aware buffers (matches working prototype)
-    this.speakerBuffers = new Map(); // streamId -> { buffer, lastActivityTime, pendingTranscripts }
-    this.userBuffers = new Map();          
-    this.activeTranscriptions = new Map(); 
-    this.transcriptionQueue = new Map();
+    // Buffering, speech segmentation and encoding run in the offscreen document;
+    // utterances end at pauses, not fixed durations, and come back encoded
+    this.offscreen = new OffscreenClient();
+    this.buffers = new Map();              // streamId -> what the offscreen document last reported
     
-    // Activity tracking for adaptive buffering
-    this.activityLevel = 'idle';
-    this.lastActivityCheck = Date.now();
-    this.recentActivities = [];
+    // Chrome can suspend the worker mid-utterance; buffered audio and counters are saved as they change
+    this.workerState = new WorkerStateStore();
+    this.dirtyStreams = new Set();
+    this.stateSaveTimer = null;
+    // Audio waits for the previous worker's state so it lands behind it
+    this.stateRestored = new Promise(resolve => { this.resolveStateRestored = resolve; });
     
+    // Trims the words overlapping pieces repeat
+    this.transcriptMerger = new TranscriptMerger();
     
-    this.retryCount = new Map();           
-    this.lastError = new Map();            
+    // Screens out text Whisper makes up on silence; what it catches is kept for the debug view
+    this.hallucinationFilter = new HallucinationFilter();
+    this.filteredLog = [];
+    
+    // Whisper prompt from the trading vocabulary and each speaker's recent lines
+    this.promptBuilder = new PromptBuilder();
+    
+    // Tickers, prices, strikes and directions pulled out of each transcript
+    this.entityExtractor = new EntityExtractor();
+    
+    // Entries, exits and stop changes called by the speakers; the alert feed is kept apart from transcripts
+    this.tradeCallDetector = new TradeCallDetector({ extractor: this.entityExtractor });
+    this.tradeCalls = [];
+    
+    // Watched tickers and keywords; matches go to desktop notifications and the alert history
+    this.watchlistAlerts = new WatchlistAlerts();
+    this.alertHistory = [];
+    this.keywordActiveUntil = 0;
     
     
     this.config = {
-      bufferDuration: 1.5,               
-      maxBufferDuration: 30,             
-      silenceTimeout: 2000,              
+      // Speech segmentation (see voice-activity-detector.js), in seconds
+      minUtterance: 0.5,
+      maxUtterance: 15,
+      preRoll: 0.3,
+      speechEndPause: 0.6,
+      // Audio shared by the pieces of a split utterance; 0 turns overlap off
+      chunkOverlap: 0,
       maxRetries: 5,
       initialBackoff: 1000,
       maxBackoff: 30000,
-      maxTranscriptionHistory: 1000,    
+      maxTranscriptionHistory: 200000,
       keepAliveInterval: 20000,
-      // Adaptive chunk durations (matches working prototype)
-      CHUNK_DURATION_ACTIVE: 1.5,
-      CHUNK_DURATION_IDLE: 5.0
+      // Backlog of audio that failed while the circuit breaker was open
+      maxRetryQueueItems: 200,
+      maxRetryQueueAge: 30 * 60 * 1000,
+      // Dropped and flagged results kept for the debug view
+      maxFilteredLog: 200,
+      // Trade call alerts kept in the feed
+      maxTradeCalls: 200,
+      // Saved transcripts a rule test runs over
+      tradeRuleTestLimit: 2000,
+      // Watchlist matches kept in the alert history
+      maxAlertHistory: 200,
+      // How long "keyword" speakers are transcribed after an alert keyword comes up
+      keywordWindow: 2 * 60 * 1000,
+      // Longest buffered audio goes unsaved if the worker is suspended
+      stateSaveInterval: 2000
     };
     
     
     this.apiKey = null;
-    this.whisperEndpoint = 'https://api.openai.com/v1/audio/transcriptions';
     
+    // Transcription backend (OpenAI by default, see transcription-providers.js)
+    this.providerConfig = { type: PROVIDER_TYPES.OPENAI };
+    this.provider = createProvider(this.providerConfig);
     
-    this.speakerMap = new Map([
-      ['XRcupJu26dK_sazaAAPK', 'DP'],
-      ['Ixslfo7890K_bazaAAPK', 'Rickman'],
-      ['O3e0pz1234K_cazaAAPK', 'Kira']
-    ]);
+    
+    // Names, colors and avatars for every stream id seen; the popup and options page ask here
+    this.speakers = new SpeakerRegistry();
     
     
     this.stats = {
@@ -54,29 +109,72 @@ class VTFTranscriptionService {
       transcriptionsSent: 0,
       errors: 0,
       totalDuration: 0,
-      bytesProcessed: 0
+      bytesProcessed: 0,
+      // Audio not sent because of the speaker's policy
+      chunksSkipped: 0,
+      segmentsSkipped: 0
     };
     
-    
     this.keepAliveTimer = null;
     
-    // Rate limiting
-    this.apiCallTimes = [];
-    this.maxCallsPerMinute = 50; // Whisper API limit
-    this.minTimeBetweenCalls = 1200; // 1.2 seconds minimum between calls
-    this.lastApiCallTime = 0;
+    // Utterances waiting for the API, one list per speaker; failed ones are retried
+    // in place, then kept in the failed audio backlog
+    this.transcriptionQueue = new TranscriptionQueue({
+      maxRetries: this.config.maxRetries,
+      initialBackoff: this.config.initialBackoff,
+      maxBackoff: this.config.maxBackoff,
+      transcribe: (userId, segment) => this.performTranscription(userId, segment),
+      // Policies can change while audio waits
+      shouldTranscribe: (userId, segment) => {
+        if (this.speakers.shouldTranscribe(userId, segment.startTime <= this.keywordActiveUntil)) return true;
+        this.stats.segmentsSkipped++;
+        return false;
+      },
+      priority: userId => this.speakers.get(userId).priority,
+      isRetryable: error => !error.message.includes('API key'),
+      // Goes again once the rate limiter lets it; that is not a failed attempt
+      isDeferral: error => error.status === 429,
+      onError: (userId, error, attempts) => {
+        console.error(`[Service Worker] Transcription error for ${userId} (attempt ${attempts}):`, error);
+        this.stats.errors++;
+      },
+      onGiveUp: (userId, segment, error, attempts) => {
+        console.error(`[Service Worker] Giving up on audio from ${userId} for now, keeping it for replay`);
+        return this.storeFailedAudio(userId, segment, attempts);
+      },
+      onChange: userId => {
+        this.markStreamDirty(userId);
+        this.broadcastBufferStatus();
+      }
+    });
+    
+    // Rate limiting, per provider and key, shared by every tab's audio
+    this.rateLimiter = new RateLimiter();
     
     // Initialize circuit breaker for API calls
     this.circuitBreaker = new CircuitBreaker({
       failureThreshold: 3,
       resetTimeout: 30000, // 30 seconds
-      failureRateThreshold: 0.5
+      failureRateThreshold: 0.5,
+      // Being told to slow down is the rate limiter's business, not a sign of an outage
+      isFailure: error => error.status !== 429
     });
     
     this.setupCircuitBreaker();
     
-    // Start activity monitoring
-    this.startActivityMonitoring();
+    // Persistent backlog replayed once the circuit closes again
+    this.failedAudioQueue = new FailedAudioQueue({
+      maxItems: this.config.maxRetryQueueItems,
+      maxAge: this.config.maxRetryQueueAge
+    });
+    this.isReplaying = false;
+    this.retryQueueStatus = { depth: 0, oldestStartTime: null, totalDuration: 0 };
+    
+    // Indexed transcript history
+    this.transcriptStore = new TranscriptStore({
+      maxItems: this.config.maxTranscriptionHistory
+    });
+    this.sessionManager = new SessionManager(this.transcriptStore);
   }
   
   setupCircuitBreaker() {
@@ -85,6 +183,11 @@ class VTFTranscriptionService {
       
       // Notify popup about circuit state
       this.broadcastCircuitState(state, info);
+      
+      // API is healthy again - drain the backlog
+      if (state === 'CLOSED') {
+        this.replayFailedAudio();
+      }
     };
     
     this.circuitBreaker.onFailure = (error, failureCount) => {
@@ -99,46 +202,6 @@ class VTFTranscriptionService {
     };
   }
   
-  // Activity monitoring for adaptive buffering (matches working prototype)
-  startActivityMonitoring() {
-    setInterval(() => {
-      this.updateActivityLevel();
-    }, 1000);
-  }
-  
-  updateActivityLevel() {
-    const now = Date.now();
-    // Remove activities older than 10 seconds
-    this.recentActivities = this.recentActivities.filter(t => now - t < 10000);
-    
-    const activityCount = this.recentActivities.length;
-    if (activityCount > 20) {
-      this.activityLevel = 'high';
-    } else if (activityCount > 5) {
-      this.activityLevel = 'medium';
-    } else {
-      this.activityLevel = 'low';
-    }
-  }
-  
-  getActivityLevel() {
-    return this.activityLevel;
-  }
-  
-  // Adaptive chunk duration based on activity level (matches working prototype)
-  getAdaptiveChunkDuration() {
-    const activityLevel = this.getActivityLevel();
-    switch (activityLevel) {
-      case 'high':
-        return 1.5; // Active conversation
-      case 'medium':
-        return 3.0; // Moderate activity
-      case 'low':
-      default:
-        return 5.0; // Idle/quiet
-    }
-  }
-  
   broadcastCircuitState(state, info) {
     chrome.tabs.query({ url: '<all_urls>' }, (tabs) => {
       for (const tab of tabs) {
@@ -157,40 +220,72 @@ class VTFTranscriptionService {
       
       const storage = await chrome.storage.local.get([
         'openaiApiKey',
+        'speakers',
         'speakerMappings',
         'settings',
-        'transcriptions'
+        'transcriptionProvider',
+        'filteredTranscripts',
+        'vocabulary',
+        'tradeRules',
+        'tradeCalls',
+        'watchlist',
+        'alertHistory',
+        'alertsSnoozedUntil'
       ]);
       
       
       this.apiKey = storage.openaiApiKey || null;
-      if (this.apiKey) {
-        
-      } else {
-        
+      this.filteredLog = storage.filteredTranscripts || [];
+      this.tradeCalls = storage.tradeCalls || [];
+      if (storage.tradeRules !== undefined) {
+        this.tradeCallDetector.setRules(storage.tradeRules);
+      }
+      if (storage.watchlist) {
+        this.watchlistAlerts.setWatchlist(storage.watchlist);
       }
+      this.alertHistory = storage.alertHistory || [];
+      this.watchlistAlerts.snooze(storage.alertsSnoozedUntil);
+      if (storage.vocabulary) {
+        this.entityExtractor.setTickers(this.promptBuilder.setVocabulary(storage.vocabulary).tickers);
+      }
+      this.configureProvider(storage.transcriptionProvider || this.providerConfig);
       
       
-      if (storage.speakerMappings) {
-        Object.entries(storage.speakerMappings).forEach(([userId, name]) => {
-          this.speakerMap.set(userId, name);
-        });
-        
-      }
+      // Older versions kept a plain name map under speakerMappings
+      this.speakers.load(storage.speakers || storage.speakerMappings);
       
       
       if (storage.settings) {
         Object.assign(this.config, storage.settings);
-        
+        this.transcriptStore.config.maxItems = this.config.maxTranscriptionHistory;
       }
+      this.offscreen.configure({ segmenter: this.getSegmenterOptions() });
+      
+      // One-time move of the old chrome.storage history into IndexedDB
+      await this.transcriptStore.migrateFromStorage();
+      
+      // A worker restart mid-capture keeps the session if its tab is still open
+      await this.sessionManager.restore(tabId =>
+        chrome.tabs.get(tabId).then(() => true, () => false)
+      );
+      
+      // Utterances and queued audio the previous worker was holding
+      await this.restoreWorkerState();
       
       
       this.startKeepAlive();
       
+      // Pick up audio left over from a previous worker instance
+      await this.updateRetryQueueStatus();
+      if (this.provider.isConfigured() && this.retryQueueStatus.depth > 0) {
+        this.replayFailedAudio();
+      }
       
     } catch (error) {
       console.error('[Service Worker] Initialization error:', error);
     }
+    
+    this.resolveStateRestored();
   }
   
   
@@ -213,16 +308,40 @@ class VTFTranscriptionService {
         case 'setApiKey':
           return await this.setApiKey(request.apiKey);
           
+        case 'setProvider':
+          return await this.setProvider(request.provider);
+          
+        case 'testProvider':
+          return await this.testProvider(request.provider);
+          
         case 'captureStarted':
           this.stats.captureStartTime = Date.now();
-          return { acknowledged: true };
+          // Frames skipped while stopped aren't losses
+          await this.offscreen.resetTransport();
+          await this.sessionManager.start({
+            roomName: request.roomName,
+            tabId: sender?.tab?.id,
+            url: sender?.tab?.url
+          });
+          return { acknowledged: true, session: this.sessionManager.getCurrent() };
           
         case 'captureStopped':
           await this.flushAllBuffers();
+          await this.sessionManager.end(SESSION_END_REASONS.STOPPED);
           return { acknowledged: true };
           
-        case 'userJoined':
+        case 'updateSession':
+          await this.sessionManager.update({ roomName: request.roomName }, sender?.tab?.id ?? null);
+          return { session: this.sessionManager.getCurrent() };
           
+        case 'getSessions':
+          return {
+            sessions: await this.sessionManager.list(request.options),
+            current: this.sessionManager.getCurrent()
+          };
+          
+        case 'userJoined':
+          await this.recordSpeakers([request.userId], this.speakers.see(request.userId));
           return { acknowledged: true };
           
         case 'userLeft':
@@ -236,24 +355,88 @@ class VTFTranscriptionService {
           return { acknowledged: true };
           
         case 'getTranscriptions':
-          return await this.getTranscriptionHistory();
+          return await this.getTranscriptionHistory(request.options);
+          
+        case 'getTranscriptSpeakers':
+          return {
+            speakers: await this.transcriptStore.listSpeakers(),
+            total: await this.transcriptStore.count()
+          };
+          
+        case 'exportTranscripts':
+          return await this.exportTranscriptionHistory(request.format, request.options);
           
         case 'clearTranscriptions':
-          await chrome.storage.local.remove('transcriptions');
+          await this.transcriptStore.clear();
+          return { cleared: true };
+          
+        case 'getSpeakers':
+          return { speakers: this.speakers.list() };
+          
+        case 'updateSpeaker':
+          return { speaker: await this.updateSpeaker(request.streamId, request.changes || {}) };
+          
+        case 'speakersDiscovered':
+          await this.recordSpeakers(this.speakers.discover(request.names));
+          return { acknowledged: true };
+          
+        case 'getVocabulary':
+          return { vocabulary: this.promptBuilder.getVocabulary() };
+          
+        case 'setVocabulary':
+          return { vocabulary: await this.setVocabulary(request.vocabulary || {}) };
+          
+        case 'getTradeCalls':
+          return { items: this.tradeCalls.slice().reverse(), stats: this.tradeCallDetector.getStats() };
+          
+        case 'clearTradeCalls':
+          this.tradeCalls = [];
+          await chrome.storage.local.remove('tradeCalls');
+          return { cleared: true };
+          
+        case 'getTradeRules':
+          return { rules: this.tradeCallDetector.rulesText, defaults: DEFAULT_RULES };
+          
+        case 'setTradeRules':
+          return await this.setTradeRules(request.rules);
+          
+        case 'testTradeRules':
+          return await this.testTradeRules(request.rules);
+          
+        case 'getWatchlist':
+          return { watchlist: this.watchlistAlerts.getWatchlist() };
+          
+        case 'setWatchlist':
+          return await this.setWatchlist(request.watchlist || {});
+          
+        case 'getAlertHistory':
+          return { items: this.alertHistory.slice().reverse(), stats: this.watchlistAlerts.getStats() };
+          
+        case 'clearAlertHistory':
+          this.alertHistory = [];
+          await chrome.storage.local.remove('alertHistory');
           return { cleared: true };
           
-        case 'updateSpeakerMapping':
-          await this.updateSpeakerMapping(request.userId, request.speakerName);
-          return { updated: true };
+        case 'snoozeAlerts':
+          return await this.snoozeAlerts(request.minutes || 0);
+          
+        case 'getFilteredTranscripts':
+          return { items: this.filteredLog.slice().reverse(), stats: this.hallucinationFilter.getStats() };
+          
+        case 'clearFilteredTranscripts':
+          this.filteredLog = [];
+          await chrome.storage.local.remove('filteredTranscripts');
+          return { cleared: true };
           
         case 'debug':
-          return { userBuffers: Array.from(this.userBuffers.keys()), stats: { ...this.stats } };
+          return { segmenters: Array.from(this.buffers.keys()), stats: { ...this.stats } };
           
         case 'updateSettings':
           if (request.settings) {
             Object.assign(this.config, request.settings.config || request.settings);
+            await this.offscreen.configure({ segmenter: this.getSegmenterOptions() });
             if (request.settings.apiEndpoint) {
-              this.whisperEndpoint = request.settings.apiEndpoint;
+              this.configureProvider({ ...this.providerConfig, endpoint: request.settings.apiEndpoint });
             }
             await chrome.storage.local.set({ settings: this.config });
             return { updated: true };
@@ -276,212 +459,324 @@ class VTFTranscriptionService {
   }
   
   
+  /**
+   * Audio frame from the content script's port
+   * @param {Object} message - Encoded frame (see audio-transport.js), passed on as it is
+   */
+  async handleAudioFrame(message) {
+    if (!message?.userId) {
+      this.stats.errors++;
+      return { error: 'Not an audio frame' };
+    }
+    
+    return this.pushAudio(message.userId, message);
+  }
+  
+  
   async handleAudioChunk(request) {
-    const { userId, chunk, timestamp, sampleRate, streamId, maxSample, volume } = request;
+    const { userId, chunk, timestamp, streamId, sampleRate } = request;
     const id = streamId || userId; // Support both formats
     
-    if (!id || !chunk || !Array.isArray(chunk)) {
+    if (!id || !chunk || !(Array.isArray(chunk) || chunk instanceof Int16Array)) {
       console.error('[Service Worker] Invalid audioChunk payload', request);
       this.stats.errors++;
       return { error: 'Invalid payload' };
     }
     
-    this.stats.chunksReceived++;
-    
-    // Track activity for adaptive buffering
-    this.recentActivities.push(Date.now());
-    
-    // Speaker-aware buffering (matches working prototype)
-    if (!this.speakerBuffers.has(id)) {
-      this.speakerBuffers.set(id, {
-        buffer: [],
-        lastActivityTime: Date.now(),
-        pendingTranscripts: [],
-        totalSamples: 0,
-        startTime: Date.now()
-      });
-    }
+    // Converted to 16 kHz in the offscreen document if the page captured at another rate
+    return this.pushAudio(id, { streamId: id, chunk: Array.from(chunk), timestamp, sampleRate });
+  }
+  
+  
+  // Hand audio to the offscreen document; finished utterances come back in handleAudioSegments()
+  async pushAudio(id, frame) {
+    await this.stateRestored;
     
-    const speakerBuffer = this.speakerBuffers.get(id);
-    speakerBuffer.lastActivityTime = Date.now();
+    this.stats.chunksReceived++;
     
-    // Legacy support for UserBufferManager
-    if (!this.userBuffers.has(id)) {
-      this.userBuffers.set(id, new UserBufferManager(id, this.config));
+    // "never" speakers are not even segmented
+    if (this.speakers.get(id).policy === SPEAKER_POLICIES.NEVER) {
+      this.stats.chunksSkipped++;
+      return { received: true, skipped: 'policy' };
     }
     
-    const buffer = this.userBuffers.get(id);
-    
-    // Convert Int16 back to Float32
-    const float32Data = this.int16ToFloat32(chunk);
-    
-    // Add to both buffers
-    buffer.addChunk(float32Data, timestamp);
-    speakerBuffer.buffer.push({
-      samples: float32Data,
-      timestamp: timestamp || Date.now(),
-      maxSample: maxSample,
-      volume: volume
-    });
-    speakerBuffer.totalSamples += float32Data.length;
-    
-    // Use adaptive duration for checking if ready
-    const adaptiveDuration = this.getAdaptiveChunkDuration();
-    const duration = speakerBuffer.totalSamples / 16000;
-    
-    if (duration >= adaptiveDuration) {
-      this.transcribeUserBuffer(id);
+    const response = await this.offscreen.push(frame);
+    if (!response.buffer) {
+      if (response.error) this.stats.errors++;
+      return response;
     }
-    
-    console.log(`[Service Worker] Chunk for ${id}: ${chunk.length} samples, duration: ${duration.toFixed(2)}s, activity: ${this.activityLevel}`);
+    this.buffers.set(id, response.buffer);
     
     // Periodically broadcast buffer status
     if (this.stats.chunksReceived % 10 === 0) {
       this.broadcastBufferStatus();
     }
     
-    return { received: true, bufferSize: buffer.getTotalSamples() };
+    return { received: true, bufferSize: Math.round(response.buffer.duration * 16000) };
   }
   
   
-  async transcribeUserBuffer(userId) {
-    // Check if already queued or processing
-    if (this.activeTranscriptions.has(userId) || this.transcriptionQueue.has(userId)) {
-      console.log(`[Service Worker] Already processing/queued for ${userId}`);
-      return;
-    }
+  /**
+   * Utterances the offscreen document finished
+   * @param {Object} request - { streamId, segments: [{ audio: { data (base64), mimeType, sampleRate }, level, startTime, duration, ... }], buffer }
+   */
+  async handleAudioSegments(request) {
+    await this.stateRestored;
+    
+    const { streamId, segments = [], buffer } = request;
+    if (buffer) this.buffers.set(streamId, buffer);
+    segments.forEach(segment => this.queueSegment(streamId, {
+      ...segment,
+      audio: { ...segment.audio, data: base64ToBytes(segment.audio.data) }
+    }));
+    this.processTranscriptionQueue();
     
-    // Check speaker buffer first (working prototype approach)
-    const speakerBuffer = this.speakerBuffers.get(userId);
-    if (speakerBuffer && speakerBuffer.totalSamples > 0) {
-      // Extract from speaker buffer
-      const allSamples = [];
-      const startTime = speakerBuffer.startTime;
-      
-      speakerBuffer.buffer.forEach(chunk => {
-        allSamples.push(...chunk.samples);
+    return { queued: segments.length };
+  }
+  
+  
+  getSegmenterOptions() {
+    return {
+      minUtterance: this.config.minUtterance,
+      maxUtterance: this.config.maxUtterance,
+      preRoll: this.config.preRoll,
+      speechEndPause: this.config.speechEndPause,
+      overlap: this.config.chunkOverlap
+    };
+  }
+  
+  
+  /**
+   * Queue a finished utterance behind any others from the same speaker
+   * @param {string} userId - Stream the segment came from
+   * @param {Object} segment - { audio, level, startTime, duration, speechDuration, reason, overlap }
+   */
+  queueSegment(userId, segment) {
+    this.transcriptionQueue.push(userId, segment);
+  }
+  
+  
+  async clearBuffers() {
+    this.buffers.clear();
+    this.transcriptMerger.reset();
+    this.hallucinationFilter.reset();
+    this.promptBuilder.reset();
+    await this.offscreen.reset();
+  }
+  
+  
+  markStreamDirty(streamId) {
+    this.dirtyStreams.add(streamId);
+    this.scheduleStateSave();
+  }
+  
+  
+  scheduleStateSave() {
+    if (this.stateSaveTimer) return;
+    this.stateSaveTimer = setTimeout(() => {
+      this.stateSaveTimer = null;
+      this.saveWorkerState().catch(error => {
+        console.error('[Service Worker] Failed to save worker state:', error);
       });
-      
-      // Clear speaker buffer
-      speakerBuffer.buffer = [];
-      speakerBuffer.totalSamples = 0;
-      speakerBuffer.startTime = Date.now();
-      
-      const audioData = {
-        samples: allSamples,
-        startTime,
-        duration: allSamples.length / 16000
-      };
-      
-      this.transcriptionQueue.set(userId, audioData);
-    } else {
-      // Fallback to legacy buffer
-      const buffer = this.userBuffers.get(userId);
-      if (!buffer || !buffer.hasData()) {
-        return;
-      }
-      
-      const audioData = buffer.extractForTranscription();
-      if (!audioData || audioData.samples.length === 0) return;
-      
-      this.transcriptionQueue.set(userId, audioData);
+    }, this.config.stateSaveInterval);
+  }
+  
+  
+  /**
+   * Save what a suspended worker would lose: the queues that changed since
+   * the last save, plus the counters and rate limiter. Utterances still being
+   * heard are in the offscreen document, which carries on without us.
+   */
+  async saveWorkerState() {
+    const streams = Array.from(this.dirtyStreams, streamId => ({
+      streamId,
+      queue: this.transcriptionQueue.pending(streamId)
+    }));
+    this.dirtyStreams.clear();
+    
+    await this.workerState.saveStreams(streams);
+    await this.workerState.saveState({
+      stats: this.stats,
+      rateLimiter: this.rateLimiter.snapshot(),
+      keywordActiveUntil: this.keywordActiveUntil,
+      retryCount: Object.fromEntries(this.transcriptionQueue.retryCount)
+    });
+  }
+  
+  
+  async restoreWorkerState() {
+    const state = await this.workerState.loadState();
+    if (state) {
+      // The start time stays this worker's; the counters carry on
+      Object.assign(this.stats, state.stats, { serviceStartTime: this.stats.serviceStartTime });
+      this.rateLimiter.restore(state.rateLimiter);
+      this.keywordActiveUntil = state.keywordActiveUntil || 0;
+      this.transcriptionQueue.retryCount = new Map(Object.entries(state.retryCount || {}));
+    }
+    
+    const streams = await this.workerState.loadStreams();
+    for (const { streamId, queue } of streams) {
+      queue.forEach(segment => this.queueSegment(streamId, segment));
+    }
+    
+    if (streams.length > 0) {
+      console.log(`[Service Worker] Restored buffered audio for ${streams.length} stream(s)`);
+      this.processTranscriptionQueue();
     }
+  }
+  
+  
+  // Ends the speaker's current utterance; it arrives back through handleAudioSegments()
+  async transcribeUserBuffer(userId) {
+    await this.offscreen.flush(userId);
     
-    // Process queue
     await this.processTranscriptionQueue();
   }
   
   async processTranscriptionQueue() {
-    // Process one user at a time from the queue
-    for (const [userId, audioData] of this.transcriptionQueue) {
-      if (this.activeTranscriptions.has(userId)) continue;
-      
-      this.transcriptionQueue.delete(userId);
-      
-      try {
-        const transcriptionPromise = this.performTranscription(userId, audioData);
-        this.activeTranscriptions.set(userId, transcriptionPromise);
-        
-        await transcriptionPromise;
-        
-        this.retryCount.delete(userId);
-        this.lastError.delete(userId);
-        
-      } catch (error) {
-        console.error(`[Service Worker] Transcription error for ${userId}:`, error);
-        this.handleTranscriptionError(userId, error);
-        
-      } finally {
-        this.activeTranscriptions.delete(userId);
-        this.broadcastBufferStatus();
-      }
-    }
+    await this.transcriptionQueue.process();
   }
   
   
-  async performTranscription(userId, audioData) {
-    if (!this.apiKey) {
+  async performTranscription(userId, audioData, options = {}) {
+    if (!this.provider.isConfigured()) {
       throw new Error('No API key configured');
     }
     
-    // Rate limiting check
-    await this.enforceRateLimit();
-    
-    // Create WAV blob
-    const wavBlob = this.createWAV(audioData.samples, 16000);
+    // Waits its turn; when the budget is short the moderators and the longest waiting go first
+    const rateLimitKey = this.getRateLimitKey();
+    await this.rateLimiter.acquire({
+      key: rateLimitKey,
+      limits: this.provider.getRateLimits(),
+      label: this.provider.label,
+      priority: this.speakers.get(userId).priority,
+      audioSeconds: audioData.duration || 0
+    });
     
-    // Prepare form data
-    const formData = new FormData();
-    formData.append('file', wavBlob, 'audio.wav');
-    formData.append('model', 'whisper-1');
-    formData.append('language', 'en');
-    formData.append('response_format', 'json');
+    // Encoded in the offscreen document; backlogs saved by older versions still hold samples
+    const audio = audioData.audio || await encodeAudio(audioData.samples);
+    const audioBlob = new Blob([audio.data], { type: audio.mimeType });
     
-    // Add speaker context
+    // Speaker, vocabulary and what they said last
+    await this.recordSpeakers([userId], this.speakers.see(userId));
     const speaker = this.getSpeakerName(userId);
-    formData.append('prompt', `Speaker: ${speaker}. Virtual Trading Floor audio.`);
+    const { prompt, fixed, terms } = this.promptBuilder.build(userId, speaker);
     
     // Execute API call with circuit breaker protection
     try {
-      const result = await this.circuitBreaker.execute(async () => {
-        const response = await fetch(this.whisperEndpoint, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          body: formData
-        });
-        
-        if (!response.ok) {
-          const error = await response.text();
-          throw new Error(`Whisper API error: ${response.status} - ${error}`);
+      const result = await this.circuitBreaker.execute(() => 
+        this.provider.transcribe(audioBlob, { prompt, sampleRate: audio.sampleRate, filename: `audio.${audio.extension || 'wav'}` })
+      );
+      
+      // While OPEN the breaker returns the fallback without calling the API
+      if (result === null && this.circuitBreaker.state === 'OPEN') {
+        console.warn(`[Service Worker] Circuit breaker OPEN for ${userId}, queueing audio`);
+        // A replayed item is still in the backlog with its attempts; replayFailedAudio() keeps it
+        if (!options.replayed) {
+          await this.storeFailedAudio(userId, audioData, options.retryCount);
         }
-        
-        return await response.json();
-      });
+        return false;
+      }
+      
+      const rawText = result?.text?.trim() || '';
+      
+      // Whisper invents text on near-silent audio; screen it before anything is stored
+      const verdict = rawText
+        ? this.hallucinationFilter.check(userId, {
+          text: rawText,
+          segments: result.raw?.segments,
+          samples: audioData.samples,
+          level: audioData.level,
+          // Not the speaker's recent lines: saying something twice isn't an echo
+          prompt: fixed,
+          terms
+        })
+        : null;
+      
+      if (verdict && verdict.action !== FILTER_ACTIONS.KEEP) {
+        await this.recordFiltered(userId, speaker, audioData, rawText, verdict);
+      }
+      
+      const text = verdict && verdict.action !== FILTER_ACTIONS.DROP ? verdict.text : '';
+      
+      // Pieces of a split utterance lose the words they share with the one before;
+      // replays come in order among themselves, so they are merged apart from live audio
+      const piece = text
+        ? this.transcriptMerger.merge(options.replayed ? `replay:${userId}` : userId, {
+          text,
+          startTime: audioData.startTime,
+          duration: audioData.duration,
+          overlap: audioData.overlap
+        })
+        : { text, startTime: audioData.startTime, duration: audioData.duration };
       
       // Process successful result
-      if (result && result.text && result.text.trim()) {
+      if (piece.text) {
         const transcription = {
+          id: `${userId}:${piece.startTime}`,
           userId,
-          text: result.text.trim(),
+          text: piece.text,
           speaker: speaker,
-          timestamp: audioData.startTime,
-          duration: audioData.duration
+          timestamp: piece.startTime,
+          duration: piece.duration
         };
         
+        if (verdict.action === FILTER_ACTIONS.FLAG) {
+          transcription.suspect = verdict.reasons;
+        }
+        
+        // Segment and word times on the wall clock, when the provider sent them
+        // (segments no longer match text the filter rewrote)
+        if (result.timings && verdict.text === rawText) {
+          const timings = dropLeadingWords(anchorTimings(result.timings, audioData.startTime), piece.dropped || 0);
+          if (timings.segments.length > 0) transcription.segments = timings.segments;
+          if (timings.words.length > 0) transcription.words = timings.words;
+        }
+        
+        const entities = this.entityExtractor.extract(transcription.text);
+        if (entities.length > 0) {
+          transcription.entities = entities;
+          const tickers = entities.filter(e => e.type === ENTITY_TYPES.TICKER).map(e => e.value);
+          if (tickers.length > 0) transcription.tickers = Array.from(new Set(tickers));
+        }
+        
+        if (options.replayed) {
+          transcription.replayed = true;
+        }
+        
+        Object.assign(transcription, await this.sessionManager.recordTranscript(transcription));
+        
         this.stats.transcriptionsSent++;
         this.stats.totalDuration += transcription.duration;
         
         await this.storeTranscription(transcription);
         this.broadcastTranscription(transcription);
+        
+        await this.recordTradeCalls(this.tradeCallDetector.detect(transcription));
+        await this.recordAlert(this.watchlistAlerts.evaluate(transcription));
+        
+        // Replays arrive out of order, so only live lines carry the thread on
+        if (!options.replayed) {
+          this.promptBuilder.addContext(userId, transcription.text);
+        }
       }
+      
+      return true;
     } catch (error) {
+      if (error.status === 429) {
+        this.rateLimiter.defer(rateLimitKey, error.retryAfter);
+        this.scheduleStateSave();
+        throw error;
+      }
+      
       // Check if circuit breaker is open
       if (this.circuitBreaker.state === 'OPEN') {
         console.warn(`[Service Worker] Circuit breaker OPEN for ${userId}, skipping transcription`);
-        // Store audio for later retry
-        this.storeFailedAudio(userId, audioData);
+        // Store audio for later retry, unless it came from the backlog
+        if (!options.replayed) {
+          await this.storeFailedAudio(userId, audioData, options.retryCount);
+        }
+        return false;
       } else {
         // Re-throw for normal error handling
         throw error;
@@ -490,139 +785,301 @@ class VTFTranscriptionService {
   }
   
   /**
-   * Store failed audio for later retry
+   * Keep a dropped or flagged result for the debug view on the options page
    * @param {string} userId - User ID
-   * @param {Object} audioData - Audio data that failed to transcribe
+   * @param {string} speaker - Speaker name
+   * @param {Object} audioData - Audio that was transcribed
+   * @param {string} text - Text as Whisper returned it
+   * @param {Object} verdict - HallucinationFilter.check() result
    */
-  storeFailedAudio(userId, audioData) {
-    // Store in IndexedDB or chrome.storage for persistence
-    const failedItem = {
+  async recordFiltered(userId, speaker, audioData, text, verdict) {
+    this.filteredLog.push({
       userId,
-      audioData,
-      timestamp: Date.now(),
-      retryCount: 0
-    };
+      speaker,
+      timestamp: audioData.startTime,
+      duration: audioData.duration,
+      text,
+      action: verdict.action,
+      reasons: verdict.reasons,
+      metrics: verdict.metrics
+    });
+    
+    if (this.filteredLog.length > this.config.maxFilteredLog) {
+      this.filteredLog.splice(0, this.filteredLog.length - this.config.maxFilteredLog);
+    }
     
-    // For now, just log it
-    console.log(`[Service Worker] Storing failed audio for ${userId}, duration: ${audioData.duration}s`);
+    console.log(`[Service Worker] ${verdict.action === FILTER_ACTIONS.DROP ? 'Dropped' : 'Flagged'} "${text}" from ${speaker}: ${verdict.reasons.join(', ')}`);
     
-    // TODO: Implement persistent storage for retry
+    try {
+      await chrome.storage.local.set({ filteredTranscripts: this.filteredLog });
+    } catch (error) {
+      console.warn('[Service Worker] Could not save filtered transcripts:', error);
+    }
+  }
+  
+  /**
+   * Replace the trading vocabulary used for prompts and ticker recognition
+   * @param {Object} vocabulary - { tickers, jargon, speakers } as lists or text
+   * @returns {Object} The normalized vocabulary
+   */
+  async setVocabulary(vocabulary) {
+    const normalized = this.promptBuilder.setVocabulary(vocabulary);
+    this.entityExtractor.setTickers(normalized.tickers);
+    await chrome.storage.local.set({ vocabulary: normalized });
+    return normalized;
   }
   
-  async enforceRateLimit() {
-    const now = Date.now();
+  /**
+   * Add new trade calls to the alert feed, or update the ones mentioned again
+   * @param {Array<Object>} calls - TradeCallDetector.detect() result
+   */
+  async recordTradeCalls(calls) {
+    if (calls.length === 0) return;
+    
+    for (const call of calls) {
+      const index = this.tradeCalls.findIndex(item => item.id === call.id);
+      if (index === -1) {
+        this.tradeCalls.push({ ...call });
+        console.log(`[Service Worker] Trade call: ${call.speaker} ${call.action} ${call.ticker}${call.price !== null ? ` @ ${call.price}` : ''}`);
+      } else {
+        this.tradeCalls[index] = { ...call };
+      }
+      
+      // Extension pages (popup) only; nobody listening is fine
+      chrome.runtime.sendMessage({ type: 'tradeCall', data: call }).catch(() => {});
+    }
     
-    // Minimum time between calls
-    const timeSinceLastCall = now - this.lastApiCallTime;
-    if (timeSinceLastCall < this.minTimeBetweenCalls) {
-      const waitTime = this.minTimeBetweenCalls - timeSinceLastCall;
-      console.log(`[Service Worker] Rate limiting: waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    if (this.tradeCalls.length > this.config.maxTradeCalls) {
+      this.tradeCalls.splice(0, this.tradeCalls.length - this.config.maxTradeCalls);
     }
     
-    // Calls per minute limit
-    this.apiCallTimes = this.apiCallTimes.filter(t => now - t < 60000);
-    if (this.apiCallTimes.length >= this.maxCallsPerMinute) {
-      const oldestCall = this.apiCallTimes[0];
-      const waitTime = 60000 - (now - oldestCall) + 100; // +100ms buffer
-      console.log(`[Service Worker] Rate limit reached, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    try {
+      await chrome.storage.local.set({ tradeCalls: this.tradeCalls });
+    } catch (error) {
+      console.warn('[Service Worker] Could not save trade calls:', error);
+    }
+  }
+  
+  /**
+   * Replace the trade call rules, unless they have errors
+   * @param {string} rules - Rule text (see trade-call-detector.js)
+   * @returns {Object} { saved, errors }
+   */
+  async setTradeRules(rules) {
+    const { errors } = parseRules(rules);
+    if (errors.length > 0) {
+      return { saved: false, errors };
     }
     
-    this.lastApiCallTime = Date.now();
-    this.apiCallTimes.push(this.lastApiCallTime);
+    this.tradeCallDetector.setRules(rules);
+    await chrome.storage.local.set({ tradeRules: rules });
+    return { saved: true, errors };
   }
   
+  /**
+   * Run rules over the most recent saved transcripts without touching the feed
+   * @param {string} rules - Rule text to try
+   * @returns {Object} { calls (newest first), errors, scanned }
+   */
+  async testTradeRules(rules) {
+    const { items } = await this.transcriptStore.query({ limit: this.config.tradeRuleTestLimit });
+    const { calls, errors } = detectCalls(items, { rules, extractor: this.entityExtractor });
+    return { calls: calls.reverse(), errors, scanned: items.length };
+  }
   
-  createWAV(float32Array, sampleRate) {
-    const length = float32Array.length;
-    const buffer = new ArrayBuffer(44 + length * 2);
-    const view = new DataView(buffer);
+  /**
+   * Replace the watchlist and keyword rules, unless the rules have errors
+   * @param {Object} watchlist - { tickers, keywords } (see watchlist-alerts.js)
+   * @returns {Object} { saved, errors }
+   */
+  async setWatchlist(watchlist) {
+    const { errors } = parseKeywordRules(watchlist.keywords);
+    if (errors.length > 0) {
+      return { saved: false, errors };
+    }
     
+    this.watchlistAlerts.setWatchlist(watchlist);
+    await chrome.storage.local.set({ watchlist: this.watchlistAlerts.getWatchlist() });
+    return { saved: true, errors };
+  }
+  
+  /**
+   * Keep a watchlist match in the alert history and notify unless it is held back
+   * @param {Object|null} alert - WatchlistAlerts.evaluate() result
+   */
+  async recordAlert(alert) {
+    if (!alert) return;
     
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
-    };
+    // Opens the window for "keyword" speakers
+    this.keywordActiveUntil = Math.max(this.keywordActiveUntil, alert.timestamp + this.config.keywordWindow);
     
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + length * 2, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true); 
-    view.setUint16(20, 1, true); 
-    view.setUint16(22, 1, true); 
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true); 
-    view.setUint16(32, 2, true); 
-    view.setUint16(34, 16, true); 
-    writeString(36, 'data');
-    view.setUint32(40, length * 2, true);
-    
-    
-    let offset = 44;
-    for (let i = 0; i < length; i++) {
-      const sample = Math.max(-1, Math.min(1, float32Array[i]));
-      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
-      offset += 2;
+    this.alertHistory.push(alert);
+    if (this.alertHistory.length > this.config.maxAlertHistory) {
+      this.alertHistory.splice(0, this.alertHistory.length - this.config.maxAlertHistory);
     }
     
-    return new Blob([buffer], { type: 'audio/wav' });
-  }
-  
-  
-  int16ToFloat32(int16Array) {
-    const float32Array = new Float32Array(int16Array.length);
-    for (let i = 0; i < int16Array.length; i++) {
-      float32Array[i] = int16Array[i] / 32768.0;
+    if (alert.notify) {
+      const labels = Array.from(new Set(alert.matches.map(match => match.label)));
+      chrome.notifications.create(alert.id, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: `${labels.join(', ')} - ${alert.speaker}`,
+        message: alert.text,
+        buttons: [{ title: 'Snooze 15 minutes' }, { title: 'Snooze 1 hour' }]
+      }).catch(error => {
+        console.warn('[Service Worker] Could not show alert:', error);
+      });
+    }
+    
+    try {
+      await chrome.storage.local.set({ alertHistory: this.alertHistory });
+    } catch (error) {
+      console.warn('[Service Worker] Could not save alert history:', error);
     }
-    return float32Array;
   }
   
+  /**
+   * Hold alert notifications back for a while; matches still reach the history
+   * @param {number} minutes - How long; 0 resumes notifications
+   * @returns {Object} { snoozedUntil }
+   */
+  async snoozeAlerts(minutes) {
+    const snoozedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : 0;
+    this.watchlistAlerts.snooze(snoozedUntil);
+    await chrome.storage.local.set({ alertsSnoozedUntil: snoozedUntil });
+    return { snoozedUntil: snoozedUntil || null };
+  }
   
-  getSpeakerName(userId) {
+  /**
+   * Store failed audio for later retry
+   * @param {string} userId - User ID
+   * @param {Object} audioData - Audio data that failed to transcribe
+   * @param {number} retryCount - Attempts already made for this audio
+   */
+  async storeFailedAudio(userId, audioData, retryCount = 0) {
+    if (!audioData || !(audioData.audio?.data.length > 0 || audioData.samples?.length > 0)) return;
     
-    if (this.speakerMap.has(userId)) {
-      return this.speakerMap.get(userId);
+    try {
+      await this.failedAudioQueue.add(userId, audioData, retryCount);
+      console.log(`[Service Worker] Stored failed audio for ${userId}, duration: ${audioData.duration}s`);
+    } catch (error) {
+      console.error('[Service Worker] Could not persist failed audio:', error);
     }
     
+    await this.updateRetryQueueStatus();
+  }
+  
+  /**
+   * Replay queued audio in chronological order while the circuit stays closed
+   */
+  async replayFailedAudio() {
+    if (this.isReplaying) return;
+    this.isReplaying = true;
     
-    const shortId = userId.substring(0, 6).toUpperCase();
-    return `Speaker-${shortId}`;
+    try {
+      const items = await this.failedAudioQueue.getAll();
+      if (items.length > 0) {
+        console.log(`[Service Worker] Replaying ${items.length} queued audio chunk(s)`);
+      }
+      
+      for (const item of items) {
+        if (this.circuitBreaker.state !== 'CLOSED') {
+          console.warn('[Service Worker] Circuit no longer closed, pausing replay');
+          break;
+        }
+        
+        try {
+          const transcribed = await this.performTranscription(item.streamId, item.audioData, {
+            replayed: true,
+            retryCount: item.retryCount
+          });
+          if (!transcribed) {
+            // The circuit opened again; the item stays as it is, attempts and all
+            break;
+          }
+          await this.failedAudioQueue.remove(item.id);
+          this.failedAudioQueue.stats.replayed++;
+        } catch (error) {
+          if (error.status === 429) {
+            // Not the audio's fault; the rest waits for the next replay
+            console.warn('[Service Worker] Rate limited, pausing replay');
+            break;
+          }
+          
+          console.error(`[Service Worker] Replay failed for ${item.id}:`, error);
+          this.stats.errors++;
+          
+          // Audio the API rejects outright should not block the backlog forever
+          if (item.retryCount + 1 >= this.config.maxRetries) {
+            await this.failedAudioQueue.remove(item.id);
+          } else {
+            await this.failedAudioQueue.add(item.streamId, item.audioData, item.retryCount + 1);
+          }
+        }
+        
+        await this.updateRetryQueueStatus();
+      }
+    } catch (error) {
+      console.error('[Service Worker] Replay error:', error);
+    } finally {
+      this.isReplaying = false;
+      await this.updateRetryQueueStatus();
+    }
+  }
+  
+  /**
+   * Refresh the cached queue summary reported by getStatus()
+   */
+  async updateRetryQueueStatus() {
+    try {
+      this.retryQueueStatus = await this.failedAudioQueue.getSummary();
+    } catch (error) {
+      console.error('[Service Worker] Could not read retry queue:', error);
+    }
   }
   
+  getSpeakerName(userId) {
+    return this.speakers.getName(userId);
+  }
   
-  async updateSpeakerMapping(userId, speakerName) {
-    this.speakerMap.set(userId, speakerName);
-    
-    
-    const mappings = Object.fromEntries(this.speakerMap);
-    await chrome.storage.local.set({ speakerMappings: mappings });
+  /**
+   * Rename, recolor or set the avatar of a speaker from the speaker manager
+   * @param {string} streamId - Stream id
+   * @param {Object} changes - { name, color, avatar }
+   * @returns {Object} The updated speaker
+   */
+  async updateSpeaker(streamId, changes) {
+    const speaker = this.speakers.update(streamId, changes);
+    await this.recordSpeakers([streamId]);
+    return speaker;
+  }
+  
+  /**
+   * Save the registry and tell open extension pages after speakers change
+   * @param {Array<string>} streamIds - Stream ids that changed
+   * @param {boolean} changed - False when nothing worth saving happened
+   */
+  async recordSpeakers(streamIds, changed = streamIds.length > 0) {
+    if (!changed) return;
     
+    try {
+      await chrome.storage.local.set({ speakers: this.speakers.list() });
+      await chrome.storage.local.remove('speakerMappings');
+    } catch (error) {
+      console.warn('[Service Worker] Could not save speakers:', error);
+    }
     
+    chrome.runtime.sendMessage({
+      type: 'speakersUpdated',
+      speakers: streamIds.map(streamId => this.speakers.get(streamId))
+    }).catch(() => {});
   }
   
   
   async storeTranscription(transcription) {
     try {
-      
-      const { transcriptions = [] } = await chrome.storage.local.get('transcriptions');
-      
-      
-      transcriptions.push({
-        ...transcription,
-        id: `${transcription.timestamp}-${transcription.userId}`,
-        storedAt: Date.now()
-      });
-      
-      
-      if (transcriptions.length > this.config.maxTranscriptionHistory) {
-        transcriptions.splice(0, transcriptions.length - this.config.maxTranscriptionHistory);
-      }
-      
-      
-      await chrome.storage.local.set({ transcriptions });
+      // Replayed audio arrives late; the timestamp index keeps it in order
+      await this.transcriptStore.add(transcription);
       
     } catch (error) {
       console.error('[Service Worker] Error storing transcription:', error);
@@ -630,9 +1087,50 @@ class VTFTranscriptionService {
   }
   
   
-  async getTranscriptionHistory() {
-    const { transcriptions = [] } = await chrome.storage.local.get('transcriptions');
-    return { transcriptions };
+  /**
+   * Page through stored transcripts
+   * @param {Object} options - TranscriptStore.query options (limit, cursor, order, from, to, speaker, sessionId, text)
+   * @returns {Promise<Object>} { transcriptions, nextCursor }
+   */
+  async getTranscriptionHistory(options = {}) {
+    const { items, nextCursor } = await this.transcriptStore.query(options);
+    return { transcriptions: items, nextCursor };
+  }
+  
+  
+  /**
+   * Render stored transcripts for download
+   * @param {string} format - srt, vtt, md, csv or json
+   * @param {Object} options - { from, to, sessionId, title } where sessionId may be 'current'
+   * @returns {Promise<Object>} { content, filename, mimeType, count }
+   */
+  async exportTranscriptionHistory(format, options = {}) {
+    const { from, to, title } = options;
+    const sessionId = options.sessionId === 'current'
+      ? this.sessionManager.getCurrent()?.id
+      : options.sessionId;
+    
+    if (options.sessionId && !sessionId) {
+      throw new Error('No capture session is running');
+    }
+    
+    const { items } = await this.transcriptStore.query({
+      from: from ?? undefined,
+      to: to ?? undefined,
+      sessionId,
+      order: 'asc',
+      limit: 0
+    });
+    
+    const session = sessionId ? await this.transcriptStore.getSession(sessionId) : null;
+    const summary = session ? { id: session.id, name: SessionManager.getName(session) } : null;
+    
+    return exportTranscripts(items, format, {
+      from,
+      to,
+      session: summary,
+      title: title || summary?.name
+    });
   }
   
   
@@ -650,8 +1148,8 @@ class VTFTranscriptionService {
       type: 'bufferStatus',
       data: {
         bufferSeconds: this.getTotalBufferSeconds(),
-        isProcessing: this.activeTranscriptions.size > 0,
-        activeUsers: this.userBuffers.size,
+        isProcessing: this.transcriptionQueue.activeCount > 0,
+        activeUsers: this.buffers.size,
         speakerBuffers: this.getBufferDetails(),
         stats: this.stats
       }
@@ -666,8 +1164,8 @@ class VTFTranscriptionService {
   
   getTotalBufferSeconds() {
     let total = 0;
-    this.userBuffers.forEach(buffer => {
-      total += buffer.totalSamples / 16000;
+    this.buffers.forEach(buffer => {
+      total += buffer.duration;
     });
     return total;
   }
@@ -676,84 +1174,31 @@ class VTFTranscriptionService {
   getBufferDetails() {
     const details = {};
     
-    // Include speaker buffers (primary)
-    this.speakerBuffers.forEach((buffer, streamId) => {
-      const duration = buffer.totalSamples / 16000;
+    this.buffers.forEach(({ duration, lastActivity }, streamId) => {
       if (duration > 0) {
         details[streamId] = {
           duration,
-          lastActivity: Date.now() - buffer.lastActivityTime,
+          lastActivity: Date.now() - lastActivity,
           speaker: this.getSpeakerName(streamId)
         };
       }
     });
     
-    // Include legacy buffers
-    this.userBuffers.forEach((buffer, userId) => {
-      if (!details[userId]) {
-        const duration = buffer.totalSamples / 16000;
-        if (duration > 0) {
-          details[userId] = {
-            duration,
-            lastActivity: Date.now() - buffer.lastActivity,
-            speaker: this.getSpeakerName(userId)
-          };
-        }
-      }
-    });
-    
     return details;
   }
   
   
-  handleTranscriptionError(userId, error) {
-    this.stats.errors++;
-    this.lastError.set(userId, error);
-    
-    const retries = this.retryCount.get(userId) || 0;
-    
-    
-    if (retries >= this.config.maxRetries) {
-      console.error(`[Service Worker] Max retries reached for ${userId}, clearing buffer`);
-      this.userBuffers.get(userId)?.clear();
-      this.retryCount.delete(userId);
-      return;
-    }
-    
-    
-    if (error.message.includes('API key')) {
-      console.error('[Service Worker] API key error, not retrying');
-      return;
-    }
-    
-    
-    const backoff = Math.min(
-      this.config.initialBackoff * Math.pow(2, retries),
-      this.config.maxBackoff
-    );
-    
-    
-    this.retryCount.set(userId, retries + 1);
-    
-    setTimeout(() => {
-      this.transcribeUserBuffer(userId);
-    }, backoff);
-  }
-  
-  
   async handleUserLeft(userId) {
     
-    const buffer = this.userBuffers.get(userId);
-    if (buffer && buffer.hasData()) {
-      
-      await this.transcribeUserBuffer(userId);
-    }
+    // What they were saying still comes back to be transcribed
+    await this.offscreen.remove(userId);
     
     
-    this.userBuffers.delete(userId);
-    this.activeTranscriptions.delete(userId);
-    this.retryCount.delete(userId);
-    this.lastError.delete(userId);
+    this.buffers.delete(userId);
+    this.transcriptMerger.reset(userId);
+    this.hallucinationFilter.reset(userId);
+    this.promptBuilder.reset(userId);
+    this.transcriptionQueue.resetRetries(userId);
   }
   
   
@@ -763,10 +1208,8 @@ class VTFTranscriptionService {
     await this.flushAllBuffers();
     
     
-    this.userBuffers.clear();
-    this.activeTranscriptions.clear();
-    this.retryCount.clear();
-    this.lastError.clear();
+    await this.clearBuffers();
+    this.transcriptionQueue.resetRetries();
     
     
   }
@@ -774,18 +1217,8 @@ class VTFTranscriptionService {
   
   async flushAllBuffers() {
     
-    const promises = [];
-    
-    this.userBuffers.forEach((buffer, userId) => {
-      if (buffer.hasData()) {
-        promises.push(this.transcribeUserBuffer(userId));
-      }
-    });
-    
-    if (promises.length > 0) {
-      
-      await Promise.allSettled(promises);
-    }
+    await this.offscreen.flushAll();
+    await this.processTranscriptionQueue();
   }
   
   
@@ -794,15 +1227,8 @@ class VTFTranscriptionService {
     this.stats.captureStartTime = Date.now();
     
     
-    this.speakerBuffers.clear();
-    this.userBuffers.clear();
-    this.activeTranscriptions.clear();
-    this.retryCount.clear();
-    this.lastError.clear();
-    
-    // Reset activity tracking
-    this.recentActivities = [];
-    this.activityLevel = 'idle';
+    await this.clearBuffers();
+    this.transcriptionQueue.resetRetries();
     
     return { status: 'started' };
   }
@@ -854,27 +1280,125 @@ class VTFTranscriptionService {
     this.apiKey = apiKey;
     await chrome.storage.local.set({ openaiApiKey: apiKey });
     
+    // The OpenAI provider reads its key from openaiApiKey
+    this.configureProvider(this.providerConfig);
+    
     console.log('[Service Worker] API key saved and validated');
+    
+    // Audio kept back for want of a working key can go now
+    this.replayFailedAudio();
     return { status: 'saved' };
   }
   
+  // Providers, endpoints and keys each have their own budget
+  getRateLimitKey() {
+    return bucketKey({
+      type: this.provider.type,
+      endpoint: this.provider.config.endpoint,
+      apiKey: this.provider.config.apiKey
+    });
+  }
+  
+  /**
+   * Build the active provider from settings
+   * @param {Object} config - Provider settings ({ type, endpoint, apiKey, model, ... })
+   */
+  configureProvider(config) {
+    const providerConfig = { type: PROVIDER_TYPES.OPENAI, ...config };
+    
+    try {
+      this.provider = createProvider({
+        ...providerConfig,
+        apiKey: providerConfig.type === PROVIDER_TYPES.OPENAI ? this.apiKey : providerConfig.apiKey
+      });
+      this.providerConfig = providerConfig;
+      // Utterances are encoded in the offscreen document, in what this provider takes
+      this.offscreen.configure({ formats: this.provider.getFormats() }).catch(error => {
+        console.warn('[Service Worker] Could not pass upload formats to the offscreen document:', error);
+      });
+    } catch (error) {
+      console.error('[Service Worker] Invalid provider settings, keeping current provider:', error);
+    }
+  }
+  
+  /**
+   * Validate, apply and persist provider settings
+   * @param {Object} config - Provider settings from the options page
+   */
+  async setProvider(config) {
+    if (!config || !config.type) {
+      throw new Error('Provider settings are required');
+    }
+    
+    // Throws for unknown provider types
+    const provider = createProvider(config);
+    if (config.type !== PROVIDER_TYPES.OPENAI && !provider.config.endpoint) {
+      throw new Error('Provider endpoint is required');
+    }
+    
+    this.configureProvider(config);
+    await chrome.storage.local.set({ transcriptionProvider: this.providerConfig });
+    
+    console.log(`[Service Worker] Transcription provider set to ${config.type}`);
+    
+    this.replayFailedAudio();
+    return { status: 'saved', provider: this.provider.describe() };
+  }
+  
+  /**
+   * Run a provider's self-test without changing the active provider
+   * @param {Object} config - Provider settings to test (defaults to the active provider)
+   */
+  async testProvider(config) {
+    let provider = this.provider;
+    if (config) {
+      provider = createProvider({
+        ...config,
+        apiKey: config.type === PROVIDER_TYPES.OPENAI ? (config.apiKey || this.apiKey) : config.apiKey
+      });
+    }
+    
+    try {
+      const result = await provider.test();
+      return { ...result, provider: provider.describe() };
+    } catch (error) {
+      return { ok: false, error: error.message, provider: provider.describe() };
+    }
+  }
+  
   
-  getStatus() {
-    const bufferStats = Array.from(this.userBuffers.entries()).map(([userId, buffer]) => ({
+  async getStatus() {
+    // Fresh from the offscreen document when it is up; what it last reported otherwise
+    const audio = this.offscreen.ready ? await this.offscreen.getStatus().catch(() => null) : null;
+    audio?.streams?.forEach(buffer => this.buffers.set(buffer.streamId, buffer));
+    
+    const bufferStats = Array.from(this.buffers.entries()).map(([userId, buffer]) => ({
       userId,
       speaker: this.getSpeakerName(userId),
-      samples: buffer.totalSamples,
-      duration: buffer.totalSamples / 16000,
+      samples: Math.round(buffer.duration * 16000),
+      duration: buffer.duration,
       lastActivity: Date.now() - buffer.lastActivity,
-      isActive: this.activeTranscriptions.has(userId)
+      isActive: this.transcriptionQueue.isActive(userId),
+      speaking: buffer.speaking,
+      queued: this.transcriptionQueue.size(userId),
+      vad: buffer.vad
     }));
     
     // Get circuit breaker state
     const circuitBreakerState = this.circuitBreaker.getState();
     
     return {
-      hasApiKey: !!this.apiKey,
+      hasApiKey: this.provider.isConfigured(),
+      provider: this.provider.describe(),
       isCapturing: !!this.stats.captureStartTime,
+      session: this.sessionManager.getCurrent(),
+      transport: audio?.transport || null,
+      offscreen: { ...this.offscreen.getStats(), ...audio?.stats },
+      overlapMerges: this.transcriptMerger.getStats(),
+      filter: this.hallucinationFilter.getStats(),
+      entities: this.entityExtractor.getStats(),
+      tradeCalls: this.tradeCallDetector.getStats(),
+      alerts: this.watchlistAlerts.getStats(),
       uptime: Date.now() - this.stats.serviceStartTime,
       stats: {
         ...this.stats,
@@ -882,14 +1406,14 @@ class VTFTranscriptionService {
           ? ((this.stats.transcriptionsSent / this.stats.chunksReceived) * 100).toFixed(1) + '%'
           : '0%'
       },
-      activeUsers: this.userBuffers.size,
-      activeTranscriptions: this.activeTranscriptions.size,
+      activeUsers: this.buffers.size,
+      activeTranscriptions: this.transcriptionQueue.activeCount,
       buffers: bufferStats,
-      errors: Array.from(this.lastError.entries()).map(([userId, error]) => ({
-        userId,
-        speaker: this.getSpeakerName(userId),
+      errors: this.transcriptionQueue.getErrors().map(({ streamId, error, retries }) => ({
+        userId: streamId,
+        speaker: this.getSpeakerName(streamId),
         error: error.message,
-        retries: this.retryCount.get(userId) || 0
+        retries
       })),
       circuitBreaker: {
         state: circuitBreakerState.state,
@@ -897,6 +1421,14 @@ class VTFTranscriptionService {
         failureRate: (circuitBreakerState.failureRate * 100).toFixed(1) + '%',
         failures: circuitBreakerState.failures,
         timeUntilReset: circuitBreakerState.timeUntilReset
+      },
+      rateLimit: {
+        ...this.rateLimiter.getState(),
+        current: this.getRateLimitKey()
+      },
+      retryQueue: {
+        ...this.retryQueueStatus,
+        replaying: this.isReplaying
       }
     };
   }
@@ -925,120 +1457,15 @@ class VTFTranscriptionService {
       clearInterval(this.keepAliveTimer);
     }
     
-    this.userBuffers.clear();
-    this.activeTranscriptions.clear();
-    this.retryCount.clear();
-    this.lastError.clear();
-  }
-}
-
-class UserBufferManager {
-  constructor(userId, config) {
-    this.userId = userId;
-    this.config = config;
-    this.chunks = [];
-    this.totalSamples = 0;
-    this.lastActivity = Date.now();
-    this.silenceTimer = null;
-    this.startTime = Date.now();
-  }
-  
-  
-  addChunk(samples, timestamp) {
-    this.chunks.push({
-      samples,
-      timestamp: timestamp || Date.now(),
-      addedAt: Date.now()
-    });
-    
-    this.totalSamples += samples.length;
-    this.lastActivity = Date.now();
-    
+    this.failedAudioQueue.destroy();
     
-    this.resetSilenceTimer();
+    clearTimeout(this.stateSaveTimer);
+    this.workerState.destroy();
+    this.rateLimiter.destroy();
     
-    
-    this.trimBuffer();
-  }
-  
-  
-  isReadyToTranscribe(adaptiveDuration = null) {
-    const duration = this.totalSamples / 16000;
-    const targetDuration = adaptiveDuration || this.config.bufferDuration;
-    return duration >= targetDuration;
-  }
-  
-  
-  hasData() {
-    return this.totalSamples > 0;
-  }
-  
-  
-  extractForTranscription() {
-    if (this.chunks.length === 0) return null;
-    
-    
-    const allSamples = [];
-    const startTime = this.chunks[0].timestamp;
-    
-    this.chunks.forEach(chunk => {
-      allSamples.push(...chunk.samples);
-    });
-    
-    
-    this.chunks = [];
-    this.totalSamples = 0;
-    
-    return {
-      samples: allSamples,
-      startTime,
-      duration: allSamples.length / 16000
-    };
-  }
-  
-  
-  resetSilenceTimer() {
-    if (this.silenceTimer) {
-      clearTimeout(this.silenceTimer);
-    }
-    
-    
-    this.silenceTimer = setTimeout(() => {
-      if (this.hasData()) {
-        
-        
-        chrome.runtime.sendMessage({
-          type: 'forceTranscribe',
-          userId: this.userId
-        }).catch(() => {});
-      }
-    }, this.config.silenceTimeout);
-  }
-  
-  
-  trimBuffer() {
-    const maxSamples = this.config.maxBufferDuration * 16000;
-    
-    while (this.totalSamples > maxSamples && this.chunks.length > 1) {
-      const removed = this.chunks.shift();
-      this.totalSamples -= removed.samples.length;
-      
-    }
-  }
-  
-  
-  clear() {
-    this.chunks = [];
-    this.totalSamples = 0;
-    if (this.silenceTimer) {
-      clearTimeout(this.silenceTimer);
-      this.silenceTimer = null;
-    }
-  }
-  
-  
-  getTotalSamples() {
-    return this.totalSamples;
+    // The offscreen document is left as it is for the next worker
+    this.buffers.clear();
+    this.transcriptionQueue.destroy();
   }
 }
 
@@ -1054,6 +1481,48 @@ self.addEventListener('install', event => {
   self.skipWaiting();
 });
 
+// Close the capture session when its VTF tab goes away
+chrome.tabs.onRemoved.addListener((tabId) => {
+  vtfService?.sessionManager.endForTab(tabId);
+});
+
+// Alert notifications: the buttons snooze, a click opens the transcript at that moment
+const ALERT_SNOOZE_MINUTES = [15, 60];
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (!vtfService) {
+    vtfService = new VTFTranscriptionService();
+    vtfService.init();
+  }
+  vtfService.snoozeAlerts(ALERT_SNOOZE_MINUTES[buttonIndex] || 0);
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  // The worker may have restarted since the notification went up
+  const { alertHistory = [] } = await chrome.storage.local.get('alertHistory');
+  const alert = alertHistory.find(item => item.id === notificationId);
+  const hash = alert ? `#t=${alert.timestamp}` : '';
+  chrome.tabs.create({ url: chrome.runtime.getURL(`transcripts.html${hash}`) });
+  chrome.notifications.clear(notificationId);
+});
+
+// Audio frames arrive over a long-lived port instead of one message each
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== AUDIO_PORT_NAME) return;
+  
+  if (!vtfService) {
+    vtfService = new VTFTranscriptionService();
+    vtfService.init();
+  }
+  
+  port.onMessage.addListener((message) => {
+    vtfService.handleAudioFrame(message).catch(error => {
+      console.error('[VTF Background] Audio frame error:', error);
+    });
+  });
+});
+
 // CRITICAL: Always send response to prevent "message channel closed" error
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('[VTF Background] Received message:', request.type);
@@ -1098,6 +1567,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
       break;
       
+    case SEGMENTS_MESSAGE:
+      // Utterances back from the offscreen document
+      vtfService.handleAudioSegments(request).then(response => {
+        sendResponse({ received: true, ...response });
+      }).catch(error => {
+        console.error('[VTF Background] Audio segments error:', error);
+        sendResponse({ received: true, error: error.message });
+      });
+      break;
+      
     case 'userJoined':
     case 'userLeft':
     case 'captureStarted':
@@ -1114,7 +1593,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     case 'stopCapture':
     case 'getStatus':
     case 'setApiKey':
+    case 'setProvider':
+    case 'testProvider':
     case 'getTranscriptions':
+    case 'getTranscriptSpeakers':
+    case 'clearTranscriptions':
+    case 'exportTranscripts':
+    case 'getSessions':
+    case 'updateSession':
+    case 'getFilteredTranscripts':
+    case 'clearFilteredTranscripts':
+    case 'getTradeCalls':
+    case 'clearTradeCalls':
+    case 'getTradeRules':
+    case 'setTradeRules':
+    case 'testTradeRules':
+    case 'getWatchlist':
+    case 'setWatchlist':
+    case 'getAlertHistory':
+    case 'clearAlertHistory':
+    case 'snoozeAlerts':
+    case 'getSpeakers':
+    case 'updateSpeaker':
+    case 'speakersDiscovered':
+    case 'getVocabulary':
+    case 'setVocabulary':
     case 'updateSettings':
       // Handle control messages
       vtfService.handleMessage(request, sender).then(response => {
@@ -1,4 +1,8 @@
 // src/content.js - Enhanced bridge with proper initialization handling
+import { CaptionOverlay } from './modules/caption-overlay.js';
+import { TranscriptAnnouncer } from './modules/transcript-announcer.js';
+import { AudioPortSender } from './modules/audio-transport.js';
+
 class VTFExtensionBridge {
   constructor() {
     // Initialization phases mirror inject script
@@ -30,7 +34,11 @@ class VTFExtensionBridge {
     
     this.messageQueue = [];
     this.initPromise = null;
+    
+    // Binary audio path to the service worker
+    this.audioPort = new AudioPortSender();
     this.lastInjectState = null;
+    this.roomName = null;
     
     // Reconnection handling
     this.reconnectionState = {
@@ -42,6 +50,14 @@ class VTFExtensionBridge {
     
     // Message handler setup tracking
     this.handlersReady = false;
+    
+    // Live caption panel
+    this.overlay = new CaptionOverlay({ roomKey: window.location.pathname });
+    this.overlay.onClose = () => this.setOverlayEnabled(false);
+    this.overlayEnabled = true;
+    
+    // Screen reader announcements work whether or not the panel is shown
+    this.announcer = new TranscriptAnnouncer({ label: 'VTF live transcript' });
   }
   
   // Simple reconnection handling
@@ -147,6 +163,9 @@ class VTFExtensionBridge {
       this.setupChromeHandlers();
       this.handlersReady = true;
       
+      // Captions don't depend on the inject script being ready
+      this.setupOverlay();
+      
       // Inject script
       await this.injectScript();
       
@@ -193,6 +212,8 @@ class VTFExtensionBridge {
       // Add attributes to help with CSP
       script.setAttribute('data-vtf-inject', 'true');
       script.setAttribute('data-timestamp', Date.now().toString());
+      // The page can't resolve extension URLs itself
+      script.setAttribute('data-worklet-url', chrome.runtime.getURL('workers/audio-worklet.js'));
       
       script.onload = () => {
         console.log('[VTF Extension] Inject script loaded successfully');
@@ -259,22 +280,18 @@ class VTFExtensionBridge {
         if (this.state.capturing) {
           this.state.stats.audioChunksRelayed++;
           
-          // Relay to background with proper format
-          chrome.runtime.sendMessage({
-            type: 'audioData',
-            audioData: event.data.audioData,
+          // Relay over the audio port; the page numbers frames per capture
+          if (!this.audioPort.send({
+            userId: event.data.userId || event.data.streamId,
+            seq: event.data.chunkIndex,
+            samples: event.data.audioData,
+            sampleRate: event.data.sampleRate,
             timestamp: event.data.timestamp,
-            streamId: event.data.streamId,
-            userId: event.data.userId,
-            chunkNumber: this.state.stats.audioChunksRelayed,
             maxSample: event.data.maxSample,
             volume: event.data.volume
-          }, response => {
-            if (chrome.runtime.lastError) {
-              console.error('[VTF Extension] Background message error:', chrome.runtime.lastError);
-              this.state.stats.errors++;
-            }
-          });
+          })) {
+            this.state.stats.errors++;
+          }
         }
         return;
       }
@@ -307,6 +324,10 @@ class VTFExtensionBridge {
             this.state.globalsFound = event.data.data.hasGlobals;
             console.log('[VTF Extension] BONUS: Globals found!', event.data.data);
             
+            if (event.data.data.roomName) {
+              this.setRoomName(event.data.data.roomName);
+            }
+            
             // Globals are now optional - finding them is a bonus
             // Update UI to show enhanced features available
             chrome.runtime.sendMessage({
@@ -327,7 +348,7 @@ class VTFExtensionBridge {
                 userId: event.data.data.userId,
                 chunk: event.data.data.samples,
                 timestamp: event.data.data.timestamp,
-                sampleRate: 16000
+                sampleRate: event.data.data.sampleRate || 16000
               });
             }
             break;
@@ -351,6 +372,13 @@ class VTFExtensionBridge {
             });
             break;
             
+          case 'speakerNames':
+            this.sendToBackground({
+              type: 'speakersDiscovered',
+              names: event.data.data.names
+            });
+            break;
+            
           case 'vtfFunction':
             this.handleVTFFunction(event.data.data);
             break;
@@ -456,12 +484,17 @@ class VTFExtensionBridge {
             case 'startCapture':
               this.state.capturing = true;
               console.log('[VTF Extension] Starting capture');
+              // Opens a session in the background for this tab
+              this.sendToBackground({ type: 'captureStarted', roomName: this.roomName });
               sendResponse({ status: 'started' });
               break;
               
             case 'stopCapture':
               this.state.capturing = false;
               this.sendToInject('stopAllCaptures');
+              this.sendToBackground({ type: 'captureStopped' });
+              // Lets the service worker go idle
+              this.audioPort.close();
               console.log('[VTF Extension] Stopping capture');
               sendResponse({ status: 'stopped' });
               break;
@@ -477,6 +510,17 @@ class VTFExtensionBridge {
               sendResponse({ status: 'refreshing' });
               break;
               
+            case 'transcription':
+              this.overlay.addTranscription(request.data);
+              this.announcer.announce(request.data);
+              sendResponse({ received: true });
+              break;
+              
+            case 'toggleOverlay':
+              await this.setOverlayEnabled(request.enabled ?? !this.overlayEnabled);
+              sendResponse({ overlayEnabled: this.overlayEnabled });
+              break;
+              
             default:
               sendResponse({ error: 'Unknown command' });
           }
@@ -549,10 +593,71 @@ class VTFExtensionBridge {
       this.state.hooksApplied = data.hooksApplied;
     }
     
+    if (data.roomName) {
+      this.setRoomName(data.roomName);
+    }
+    
     // Store full state for popup queries
     this.lastInjectState = data;
   }
   
+  setRoomName(roomName) {
+    if (roomName === this.roomName) return;
+    this.roomName = roomName;
+    this.overlay.setRoom(roomName);
+    
+    // The room is often found after capture has already started
+    if (this.state.capturing) {
+      this.sendToBackground({ type: 'updateSession', roomName });
+    }
+  }
+  
+  async setupOverlay() {
+    try {
+      const settings = await chrome.storage.local.get([
+        'overlayEnabled',
+        'liveRegionMode',
+        'announceSpeakerChangesOnly'
+      ]);
+      this.overlayEnabled = settings.overlayEnabled !== false;
+      
+      this.announcer.setOptions({
+        mode: settings.liveRegionMode || 'polite',
+        speakerChangesOnly: settings.announceSpeakerChangesOnly || false
+      });
+      this.announcer.attach();
+      
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        if (changes.liveRegionMode || changes.announceSpeakerChangesOnly) {
+          this.announcer.setOptions({
+            mode: changes.liveRegionMode?.newValue,
+            speakerChangesOnly: changes.announceSpeakerChangesOnly?.newValue
+          });
+        }
+      });
+      
+      if (this.overlayEnabled) {
+        await this.overlay.mount();
+      }
+    } catch (error) {
+      console.error('[VTF Extension] Caption overlay setup failed:', error);
+    }
+  }
+  
+  async setOverlayEnabled(enabled) {
+    this.overlayEnabled = enabled;
+    
+    if (enabled) {
+      await this.overlay.mount();
+    } else {
+      this.overlay.unmount();
+    }
+    
+    await chrome.storage.local.set({ overlayEnabled: enabled });
+    console.log(`[VTF Extension] Caption overlay ${enabled ? 'shown' : 'hidden'}`);
+  }
+  
   sendToInject(command, data = {}) {
     window.postMessage({
       source: 'vtf-content',
@@ -602,7 +707,9 @@ class VTFExtensionBridge {
         lastError: this.state.lastError,
         initProgress: this.state.initProgress,
         stats: this.state.stats,
-        reconnecting: this.reconnectionState.isReconnecting
+        audioPort: this.audioPort.getStats(),
+        reconnecting: this.reconnectionState.isReconnecting,
+        overlayEnabled: this.overlayEnabled
       },
       inject: this.lastInjectState || {}
     };
@@ -303,25 +303,128 @@
   const audioCaptures = new Map();
   let captureErrors = 0;
   
+  // Display names for captured streams, read from VTF's own state and its participant tiles.
+  // Only changes are sent; the background decides which names to keep.
+  const speakerNames = {
+    sent: new Map(),    // userId -> name last reported
+    
+    // VTF keeps who is talking in talkingUsers: a Map, object or array of user records
+    fromGlobals() {
+      const names = {};
+      const sources = [
+        window.talkingUsers,
+        vtfGlobals.globals?.talkingUsers,
+        vtfGlobals.appService?.talkingUsers,
+        vtfGlobals.mediaSoupService?.talkingUsers
+      ];
+      
+      for (const source of sources) {
+        if (!source || typeof source !== 'object') continue;
+        const entries = source instanceof Map ? Array.from(source.entries())
+          : Array.isArray(source) ? source.map(user => [null, user])
+          : Object.entries(source);
+        
+        for (const [key, user] of entries) {
+          const userId = user?.userID || user?.userId || user?.id || key;
+          const name = typeof user === 'string' ? user
+            : user?.userName || user?.displayName || user?.name || user?.nickName;
+          if (userId && typeof name === 'string') {
+            names[userId] = name;
+          }
+        }
+      }
+      return names;
+    },
+    
+    // Participant tiles carry the user id in an id or data attribute, with the name inside
+    fromTiles(userId) {
+      const id = CSS.escape(userId);
+      const tiles = document.querySelectorAll(
+        `[data-user-id="${id}"], [data-userid="${id}"], [id$="${id}"]:not(audio):not(video)`
+      );
+      
+      for (const tile of tiles) {
+        const label = tile.querySelector('.userName, .user-name, .displayName, .display-name, [class*="name" i]');
+        const name = label?.textContent || tile.getAttribute('aria-label') || tile.title;
+        if (name && name.trim()) {
+          return name.trim();
+        }
+      }
+      return null;
+    },
+    
+    report() {
+      if (audioCaptures.size === 0) return;
+      
+      const found = this.fromGlobals();
+      const names = {};
+      audioCaptures.forEach((capture, userId) => {
+        const name = found[userId] || this.fromTiles(userId);
+        if (name && this.sent.get(userId) !== name) {
+          names[userId] = name;
+          this.sent.set(userId, name);
+        }
+      });
+      
+      if (Object.keys(names).length > 0) {
+        sendMessage('speakerNames', { names });
+      }
+    }
+  };
+  
+  // The page can't resolve extension URLs, so content.js passes the worklet URL
+  // on the script tag. Only readable while this script first runs.
+  const workletUrl = document.currentScript?.dataset.workletUrl || null;
+  const CHUNK_SIZE = 4096;
+  const SILENCE_THRESHOLD = 0.001;
+  
   // Singleton AudioContext manager
   class AudioContextManager {
     static instance = null;
+    static workletPromise = null;
     static getContext() {
       if (!this.instance) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
         try {
-          this.instance = new (window.AudioContext || window.webkitAudioContext)({ 
+          this.instance = new AudioContextClass({ 
             sampleRate: 16000,
             latencyHint: 'interactive'
           });
-          console.log('[VTF Inject] Created AudioContext with sampleRate:', this.instance.sampleRate);
         } catch (error) {
-          console.error('[VTF Inject] Failed to create AudioContext:', error);
-          throw error;
+          // Some devices refuse rates they can't run at; the extension resamples instead
+          console.warn('[VTF Inject] No 16 kHz AudioContext, using the device rate:', error.message);
+          try {
+            this.instance = new AudioContextClass({ latencyHint: 'interactive' });
+          } catch (fallbackError) {
+            console.error('[VTF Inject] Failed to create AudioContext:', fallbackError);
+            throw fallbackError;
+          }
         }
+        console.log('[VTF Inject] Created AudioContext with sampleRate:', this.instance.sampleRate);
       }
       return this.instance;
     }
     
+    // Resolves true once the capture processor is registered, false if
+    // AudioWorklet is unavailable or blocked (we fall back to ScriptProcessor)
+    static loadWorklet() {
+      if (!this.workletPromise) {
+        const ctx = this.getContext();
+        if (!workletUrl || !ctx.audioWorklet) {
+          this.workletPromise = Promise.resolve(false);
+        } else {
+          this.workletPromise = ctx.audioWorklet.addModule(workletUrl).then(
+            () => true,
+            (error) => {
+              console.warn('[VTF Inject] AudioWorklet unavailable, using ScriptProcessor:', error);
+              return false;
+            }
+          );
+        }
+      }
+      return this.workletPromise;
+    }
+    
     static async ensureRunning() {
       const ctx = this.getContext();
       if (ctx.state === 'suspended') {
@@ -332,6 +435,127 @@
     }
   }
   
+  // Volume getter with fallback
+  const getVolume = () => {
+    try {
+      return vtfGlobals.globals?.audioVolume || 1.0;
+    } catch (e) {
+      return 1.0;
+    }
+  };
+  
+  const toInt16 = (samples, gain) => {
+    const int16Data = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const s = Math.max(-1, Math.min(1, samples[i] * gain));
+      int16Data[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return int16Data;
+  };
+  
+  // Same message format as the working prototype. The Int16Array is
+  // transferred, not copied. The rate is whatever the context really runs at.
+  // The timestamp is when the first sample was heard; the chunk arrives once
+  // its last one has been.
+  const postAudioChunk = (userId, capture, int16Data, maxSample, volume) => {
+    const sampleRate = capture.audioContext.sampleRate;
+    window.postMessage({
+      type: 'VTF_AUDIO_DATA',
+      streamId: userId,
+      userId: userId,
+      audioData: int16Data,
+      sampleRate,
+      timestamp: Date.now() - int16Data.length / sampleRate * 1000,
+      maxSample: maxSample,
+      volume: volume,
+      chunkIndex: capture.chunkCount++
+    }, '*', [int16Data.buffer]);
+  };
+  
+  // Level check, volume and Int16 conversion run on the audio thread
+  const createWorkletProcessor = (userId, capture) => {
+    const node = new AudioWorkletNode(capture.audioContext, 'vtf-audio-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      channelCount: 1,
+      channelCountMode: 'explicit',
+      processorOptions: {
+        userId,
+        bufferSize: CHUNK_SIZE,
+        silenceThreshold: SILENCE_THRESHOLD,
+        gain: capture.volume,
+        outputFormat: 'int16',
+        // Output stays silent; the element already plays the audio
+        passthrough: false
+      }
+    });
+    
+    node.port.onmessage = (event) => {
+      const data = event.data;
+      if (data.type !== 'audioData') return;
+      
+      postAudioChunk(userId, capture, data.samples, data.maxSample, data.gain);
+      
+      // Follow VTF volume changes
+      const volume = getVolume();
+      if (volume !== capture.volume) {
+        capture.volume = volume;
+        node.port.postMessage({ command: 'updateConfig', config: { gain: volume } });
+      }
+    };
+    
+    return node;
+  };
+  
+  // Fallback for browsers or pages where AudioWorklet can't load
+  const createScriptProcessor = (userId, capture) => {
+    const processor = capture.audioContext.createScriptProcessor(CHUNK_SIZE, 1, 1);
+    
+    processor.onaudioprocess = (e) => {
+      try {
+        const inputData = e.inputBuffer.getChannelData(0);
+        
+        let maxSample = 0;
+        for (let i = 0; i < inputData.length; i++) {
+          const abs = Math.abs(inputData[i]);
+          if (abs > maxSample) maxSample = abs;
+        }
+        
+        if (maxSample < SILENCE_THRESHOLD) return; // Skip silence
+        
+        const volume = getVolume();
+        postAudioChunk(userId, capture, toInt16(inputData, volume), maxSample, volume);
+      } catch (error) {
+        console.error('[VTF Inject] Audio processing error:', error);
+        sendMessage('error', {
+          context: 'audioProcess',
+          userId: userId,
+          error: error.message
+        });
+      }
+    };
+    
+    return processor;
+  };
+  
+  const attachProcessor = async (userId, capture) => {
+    const useWorklet = await AudioContextManager.loadWorklet();
+    
+    // Cleaned up while the worklet module was loading
+    if (capture.stopped) return;
+    
+    capture.processor = useWorklet
+      ? createWorkletProcessor(userId, capture)
+      : createScriptProcessor(userId, capture);
+    capture.mode = useWorklet ? 'worklet' : 'scriptProcessor';
+    
+    capture.source.connect(capture.processor);
+    // Keeps the processor pulled by the graph; its output is silent
+    capture.processor.connect(capture.audioContext.destination);
+    
+    console.log(`[VTF Inject] Capturing ${userId} via ${capture.mode}`);
+  };
+  
   const captureAudioElement = (element) => {
     // Generate userId from element ID or create one
     let userId;
@@ -406,62 +630,21 @@
       // Use singleton AudioContext
       const audioContext = AudioContextManager.getContext();
       const source = audioContext.createMediaStreamSource(stream);
-      const processor = audioContext.createScriptProcessor(4096, 1, 1);
-      
-      // Volume getter with fallback
-      const getVolume = () => {
-        try {
-          return vtfGlobals.globals?.audioVolume || 1.0;
-        } catch (e) {
-          return 1.0;
-        }
-      };
       
-      let chunkCount = 0;
-      processor.onaudioprocess = (e) => {
-        try {
-          const inputData = e.inputBuffer.getChannelData(0);
-          const maxSample = Math.max(...Array.from(inputData).map(Math.abs));
-          
-          if (maxSample < 0.001) return; // Skip silence
-          
-          // Apply volume
-          const volume = getVolume();
-          const scaledData = new Float32Array(inputData.length);
-          for (let i = 0; i < inputData.length; i++) {
-            scaledData[i] = inputData[i] * volume;
-          }
-          
-          // Convert to Int16
-          const int16Data = new Int16Array(scaledData.length);
-          for (let i = 0; i < scaledData.length; i++) {
-            const s = Math.max(-1, Math.min(1, scaledData[i]));
-            int16Data[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-          }
-          
-          // Use the same message format as the working prototype
-          window.postMessage({
-            type: 'VTF_AUDIO_DATA',
-            streamId: userId,
-            userId: userId,
-            audioData: Array.from(int16Data),
-            timestamp: Date.now(),
-            maxSample: maxSample,
-            volume: volume,
-            chunkIndex: chunkCount++
-          }, '*');
-        } catch (error) {
-          console.error('[VTF Inject] Audio processing error:', error);
-          sendMessage('error', {
-            context: 'audioProcess',
-            userId: userId,
-            error: error.message
-          });
-        }
+      const capture = {
+        source,
+        processor: null,
+        mode: null,
+        audioContext,
+        element,
+        startTime: Date.now(),
+        chunkCount: 0,
+        volume: getVolume(),
+        stopped: false
       };
       
-      source.connect(processor);
-      processor.connect(audioContext.destination);
+      // Registered before the processor exists so a second call doesn't double-capture
+      audioCaptures.set(userId, capture);
       
       // Track ended handler
       audioTracks[0].onended = () => {
@@ -469,19 +652,23 @@
         cleanupCapture(userId);
       };
       
-      audioCaptures.set(userId, { 
-        source, 
-        processor, 
-        audioContext,
-        element,
-        startTime: Date.now(),
-        chunkCount: 0
+      attachProcessor(userId, capture).catch(error => {
+        captureErrors++;
+        console.error(`[VTF Inject] Failed to attach processor for ${userId}:`, error);
+        sendMessage('error', {
+          context: 'captureStart',
+          userId: userId,
+          error: error.message,
+          captureErrors: captureErrors
+        }, 'high');
+        cleanupCapture(userId);
       });
       
       sendMessage('captureStarted', { 
         userId,
         trackLabel: audioTracks[0].label 
       }, 'high');
+      speakerNames.report();
       
       console.log(`[VTF Inject] Started capture for ${userId}`);
       
@@ -501,8 +688,13 @@
     const capture = audioCaptures.get(userId);
     if (capture) {
       try {
+        capture.stopped = true;
         capture.source.disconnect();
-        capture.processor.disconnect();
+        if (capture.processor) {
+          // The worklet sends its partial chunk before stopping
+          capture.processor.port?.postMessage({ command: 'stop' });
+          capture.processor.disconnect();
+        }
         // Don't close the shared AudioContext!
         
         audioCaptures.delete(userId);
@@ -538,7 +730,9 @@
           globals: !!vtfGlobals.globals,
           audioVolume: vtfGlobals.globals?.audioVolume,
           sessionState: vtfGlobals.globals?.sessData?.currentState,
+          roomName: vtfGlobals.globals?.sessData?.roomName,
           activeCaptures: Array.from(audioCaptures.keys()),
+          captureModes: Object.fromEntries(Array.from(audioCaptures, ([userId, capture]) => [userId, capture.mode])),
           captureErrors: captureErrors,
           errors: state.errors,
           details: state.details,
@@ -698,6 +892,9 @@
       if (scan.captured > 0) {
         console.log(`[VTF Inject] Periodic scan: ${scan.captured} new captures`);
       }
+      
+      // New moderators get their names without anyone typing them in
+      speakerNames.report();
     }, 3000);
     
     // Mark as ready - we're capturing audio!
@@ -750,6 +947,7 @@
           location: state.details.globalsLocation,
           audioVolume: vtfGlobals.globals?.audioVolume,
           sessionState: vtfGlobals.globals?.sessData?.currentState,
+          roomName: vtfGlobals.globals?.sessData?.roomName,
           attempts: attempts
         }, 'high');
         
@@ -0,0 +1,208 @@
+/**
+ * Audio Encoder
+ * Turns finished utterances into the files sent for transcription. Runs in
+ * the offscreen document; the service worker only ever sees the bytes.
+ *
+ * Three formats, tried in the order a provider prefers: Opus in WebM through
+ * WebCodecs (about a tenth of the WAV size, where the browser has an Opus
+ * encoder), lossless FLAC in plain JS (roughly half), and 16-bit WAV, which
+ * always works and is the last resort. MediaRecorder is no use here: it only
+ * encodes in real time.
+ */
+import { encodeFLAC } from './flac-encoder.js';
+import { createOpusHead, writeWebM } from './webm-writer.js';
+
+export const AUDIO_FORMATS = {
+  WAV: 'wav',
+  FLAC: 'flac',
+  OPUS: 'opus'
+};
+
+export const FORMAT_INFO = {
+  [AUDIO_FORMATS.WAV]: { mimeType: 'audio/wav', extension: 'wav' },
+  [AUDIO_FORMATS.FLAC]: { mimeType: 'audio/flac', extension: 'flac' },
+  [AUDIO_FORMATS.OPUS]: { mimeType: 'audio/webm', extension: 'webm' }
+};
+
+const OPUS_CONFIG = {
+  codec: 'opus',
+  numberOfChannels: 1,
+  // Plenty for one voice; Whisper's accuracy holds up well below this
+  bitrate: 24000
+};
+
+// sampleRate -> Promise<boolean>
+const opusSupport = new Map();
+
+/**
+ * Float samples to 16-bit PCM
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @returns {Int16Array} Clipped PCM samples
+ */
+export function floatToInt16(samples) {
+  const int16 = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    int16[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+  }
+  return int16;
+}
+
+/**
+ * 16-bit PCM back to float
+ * @param {Int16Array|Array<number>} samples - PCM samples
+ * @returns {Float32Array} Samples in [-1, 1)
+ */
+export function int16ToFloat(samples) {
+  const float32 = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    float32[i] = samples[i] / 32768.0;
+  }
+  return float32;
+}
+
+/**
+ * 16-bit mono WAV
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate
+ * @returns {Uint8Array} File bytes
+ */
+export function encodeWAV(samples, sampleRate) {
+  const length = samples.length;
+  const buffer = new ArrayBuffer(44 + length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, length * 2, true);
+
+  const pcm = floatToInt16(samples);
+  for (let i = 0; i < length; i++) {
+    view.setInt16(44 + i * 2, pcm[i], true);
+  }
+
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Whether this browser can encode Opus at a sample rate
+ * @param {number} sampleRate - Input sample rate
+ * @returns {Promise<boolean>}
+ */
+export function isOpusSupported(sampleRate = 16000) {
+  if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+    return Promise.resolve(false);
+  }
+  if (!opusSupport.has(sampleRate)) {
+    opusSupport.set(sampleRate, AudioEncoder.isConfigSupported({ ...OPUS_CONFIG, sampleRate })
+      .then(result => result.supported === true)
+      .catch(() => false));
+  }
+  return opusSupport.get(sampleRate);
+}
+
+function toBytes(source) {
+  return ArrayBuffer.isView(source)
+    ? new Uint8Array(source.buffer, source.byteOffset, source.byteLength)
+    : new Uint8Array(source);
+}
+
+/**
+ * Opus in WebM, through WebCodecs
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - { bitrate }
+ * @returns {Promise<Uint8Array|null>} File bytes, or null where there is no Opus encoder
+ */
+export async function encodeOpus(samples, sampleRate, options = {}) {
+  if (!await isOpusSupported(sampleRate)) return null;
+
+  const packets = [];
+  let description = null;
+  let failure = null;
+
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data, timestamp: chunk.timestamp });
+      if (metadata?.decoderConfig?.description) {
+        description = toBytes(metadata.decoderConfig.description);
+      }
+    },
+    error: (error) => {
+      failure = error;
+    }
+  });
+
+  try {
+    encoder.configure({ ...OPUS_CONFIG, sampleRate, bitrate: options.bitrate || OPUS_CONFIG.bitrate });
+    encoder.encode(new AudioData({
+      format: 'f32',
+      sampleRate,
+      numberOfFrames: samples.length,
+      numberOfChannels: 1,
+      timestamp: 0,
+      data: samples
+    }));
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (failure) throw failure;
+
+  // Chrome hands over an OpusHead; build one if an encoder doesn't
+  const isOpusHead = description && String.fromCharCode(...description.subarray(0, 8)) === 'OpusHead';
+  return writeWebM(packets, {
+    codecPrivate: isOpusHead ? description : createOpusHead({ sampleRate }),
+    duration: samples.length / sampleRate
+  });
+}
+
+const ENCODERS = {
+  [AUDIO_FORMATS.OPUS]: (samples, sampleRate, options) => encodeOpus(samples, sampleRate, options.opus),
+  [AUDIO_FORMATS.FLAC]: (samples, sampleRate) => encodeFLAC(floatToInt16(samples), sampleRate),
+  [AUDIO_FORMATS.WAV]: (samples, sampleRate) => encodeWAV(samples, sampleRate)
+};
+
+/**
+ * Encode an utterance in the first of the preferred formats that works here
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @param {Object} options - { formats (preference order), sampleRate, opus: { bitrate } }
+ * @returns {Promise<Object>} { format, mimeType, extension, sampleRate, data (Uint8Array) }
+ */
+export async function encodeAudio(samples, options = {}) {
+  const { formats = [AUDIO_FORMATS.WAV], sampleRate = 16000 } = options;
+
+  for (const format of [...formats, AUDIO_FORMATS.WAV]) {
+    if (!ENCODERS[format]) {
+      console.warn(`[Audio Encoder] Unknown format ${format}, skipping`);
+      continue;
+    }
+    try {
+      const data = await ENCODERS[format](samples, sampleRate, options);
+      if (data) {
+        return { format, ...FORMAT_INFO[format], sampleRate, data };
+      }
+    } catch (error) {
+      console.warn(`[Audio Encoder] ${format} encoding failed, trying the next format:`, error.message);
+    }
+  }
+}
+
+export default encodeAudio;
@@ -0,0 +1,333 @@
+/**
+ * Audio Processor
+ * Everything done to captured audio before it is sent for transcription,
+ * run in the offscreen document: frames are checked for gaps, brought to
+ * 16 kHz if the page's AudioContext runs at another rate, cut into
+ * utterances per stream, measured and encoded (in the first of the
+ * provider's formats that this browser can produce). The service worker sends
+ * frames over a port of their own and commands over runtime messaging (see
+ * offscreen-client.js), and gets finished utterances back as SEGMENTS_MESSAGE
+ * messages, which wake it if Chrome has suspended it meanwhile.
+ */
+import { FRAME_TYPE, SequenceTracker, bytesToBase64, decodeAudioFrame } from './audio-transport.js';
+import { SpeechSegmenter } from './voice-activity-detector.js';
+import { Resampler } from './resampler.js';
+import { AUDIO_FORMATS, encodeAudio, int16ToFloat } from './audio-encoder.js';
+import { measureAudio } from './hallucination-filter.js';
+
+// Runtime messages reach every extension page; only those with this target are commands
+export const OFFSCREEN_TARGET = 'offscreen';
+
+// Frames would be one runtime message each, delivered to every open extension page
+export const OFFSCREEN_AUDIO_PORT = 'vtf-offscreen-audio';
+
+export const OFFSCREEN_COMMANDS = {
+  FLUSH: 'flush',
+  FLUSH_ALL: 'flushAll',
+  REMOVE: 'remove',
+  RESET: 'reset',
+  RESET_TRANSPORT: 'resetTransport',
+  CONFIGURE: 'configure',
+  STATUS: 'status'
+};
+
+export const SEGMENTS_MESSAGE = 'audioSegments';
+
+export class AudioProcessor {
+  constructor(options = {}) {
+    this.config = {
+      // SpeechSegmenter options (minUtterance, maxUtterance, preRoll, speechEndPause, overlap)
+      segmenter: {},
+      // Upload formats in order of preference; WAV is always the fallback
+      formats: [AUDIO_FORMATS.WAV],
+      // What segmenting and encoding run at; other input rates are converted
+      sampleRate: 16000,
+      // Receives (streamId, encoded segments, buffer status) whenever utterances finish
+      onSegments: () => {},
+      ...options
+    };
+
+    this.segmenters = new Map();      // streamId -> SpeechSegmenter
+    this.flushTimers = new Map();     // streamId -> idle flush timer
+    this.resamplers = new Map();      // streamId -> Resampler, for streams not at sampleRate
+    this.sequenceTracker = new SequenceTracker();
+    // Encoding is async; utterances go out one after another, in order
+    this.sending = Promise.resolve();
+
+    this.stats = {
+      framesReceived: 0,
+      framesLate: 0,
+      framesResampled: 0,
+      segmentsEncoded: 0,
+      bytesEncoded: 0,
+      // What the same audio would have been as WAV, for the compression ratio
+      wavBytes: 0,
+      encodeTime: 0,
+      formats: {},
+      errors: 0
+    };
+  }
+
+  /**
+   * Run one command from the service worker
+   * @param {Object} message - { command, ...arguments }
+   * @returns {Object|Promise<Object>} The command's result, or { error }
+   */
+  handle(message) {
+    switch (message.command) {
+      case OFFSCREEN_COMMANDS.FLUSH:
+        return this.flush(message.streamId);
+      case OFFSCREEN_COMMANDS.FLUSH_ALL:
+        return this.flushAll();
+      case OFFSCREEN_COMMANDS.REMOVE:
+        return this.remove(message.streamId);
+      case OFFSCREEN_COMMANDS.RESET:
+        return this.reset(message.streamId);
+      case OFFSCREEN_COMMANDS.RESET_TRANSPORT:
+        this.sequenceTracker.reset();
+        return { reset: true };
+      case OFFSCREEN_COMMANDS.CONFIGURE:
+        return this.configure(message.settings);
+      case OFFSCREEN_COMMANDS.STATUS:
+        return this.getStatus();
+      default:
+        return { error: `Unknown command: ${message.command}` };
+    }
+  }
+
+  /**
+   * Take in one frame
+   * @param {Object} frame - A port message from encodeAudioFrame(), or { streamId, chunk (Int16), timestamp, sampleRate }
+   * @returns {Object} { received, buffer } or { dropped } or { error }
+   */
+  push(frame) {
+    let input = frame;
+
+    if (frame?.type === FRAME_TYPE) {
+      try {
+        const decoded = decodeAudioFrame(frame);
+        input = {
+          streamId: decoded.userId,
+          chunk: decoded.samples,
+          timestamp: decoded.timestamp,
+          sampleRate: decoded.sampleRate,
+          seq: decoded.seq
+        };
+      } catch (error) {
+        console.error('[Audio Processor] Invalid audio frame:', error.message);
+        this.stats.errors++;
+        return { error: error.message };
+      }
+
+      const order = this.sequenceTracker.check(input.streamId, input.seq);
+      if (order.status === 'gap') {
+        console.warn(`[Audio Processor] Lost ${order.missing} frame(s) from ${input.streamId} before #${input.seq}`);
+      }
+      if (!order.accept) {
+        return { dropped: order.status };
+      }
+      if (order.status === 'reordered') {
+        // The segmenter has already moved past where it belongs
+        this.stats.framesLate++;
+        return { dropped: 'late' };
+      }
+    }
+
+    const { streamId, chunk, timestamp, sampleRate = this.config.sampleRate } = input || {};
+    if (!streamId || !chunk || !(Array.isArray(chunk) || chunk instanceof Int16Array)) {
+      this.stats.errors++;
+      return { error: 'Invalid payload' };
+    }
+    // The range Web Audio allows
+    if (!(sampleRate >= 3000 && sampleRate <= 768000)) {
+      this.stats.errors++;
+      return { error: `Invalid sample rate: ${sampleRate}` };
+    }
+
+    this.stats.framesReceived++;
+    let samples = int16ToFloat(chunk);
+    if (sampleRate !== this.config.sampleRate) {
+      samples = this.getResampler(streamId, sampleRate).process(samples);
+      this.stats.framesResampled++;
+    } else {
+      this.resamplers.delete(streamId);
+    }
+
+    const segmenter = this.getSegmenter(streamId);
+    this.emit(streamId, segmenter.push(samples, timestamp || Date.now()));
+
+    // The page stops sending when the room goes quiet, so end the utterance on a timer too
+    this.scheduleFlush(streamId);
+
+    return { received: true, buffer: this.describe(streamId) };
+  }
+
+  getSegmenter(streamId) {
+    if (!this.segmenters.has(streamId)) {
+      this.segmenters.set(streamId, new SpeechSegmenter({ ...this.config.segmenter, sampleRate: this.config.sampleRate }));
+    }
+    return this.segmenters.get(streamId);
+  }
+
+  // Kept per stream so the filter history carries across frames
+  getResampler(streamId, inputRate) {
+    let resampler = this.resamplers.get(streamId);
+    if (!resampler || resampler.config.inputRate !== inputRate) {
+      console.log(`[Audio Processor] ${streamId} arrives at ${inputRate} Hz, converting to ${this.config.sampleRate} Hz`);
+      resampler = new Resampler({ inputRate, outputRate: this.config.sampleRate });
+      this.resamplers.set(streamId, resampler);
+    }
+    return resampler;
+  }
+
+  scheduleFlush(streamId) {
+    clearTimeout(this.flushTimers.get(streamId));
+
+    // A little past the pause so frames in flight land first
+    const delay = this.getSegmenter(streamId).config.speechEndPause * 1000 + 250;
+    this.flushTimers.set(streamId, setTimeout(() => {
+      this.flushTimers.delete(streamId);
+      // Reported even when nothing was kept, so the worker stops showing audio as buffered
+      this.flush(streamId, { report: true });
+    }, delay));
+  }
+
+  /**
+   * End a stream's current utterance
+   * @param {string} streamId - Stream id
+   * @param {Object} options - { report: call onSegments even with no segments }
+   * @returns {Promise<Object>} { segments: how many were sent }, once they have been
+   */
+  async flush(streamId, options = {}) {
+    clearTimeout(this.flushTimers.get(streamId));
+    this.flushTimers.delete(streamId);
+
+    const segmenter = this.segmenters.get(streamId);
+    const segments = segmenter ? segmenter.flush() : [];
+    if (segmenter) {
+      await this.emit(streamId, segments, options.report);
+    }
+    return { segments: segments.length };
+  }
+
+  async flushAll() {
+    let segments = 0;
+    for (const streamId of Array.from(this.segmenters.keys())) {
+      segments += (await this.flush(streamId)).segments;
+    }
+    return { segments };
+  }
+
+  /**
+   * Send what a stream has left, then forget it
+   * @param {string} streamId - Stream id
+   */
+  async remove(streamId) {
+    const pending = this.flush(streamId);
+    this.segmenters.delete(streamId);
+    this.resamplers.delete(streamId);
+    const { segments } = await pending;
+    return { removed: true, segments };
+  }
+
+  /**
+   * Drop buffered audio without sending it
+   * @param {string} streamId - One stream, or every stream when omitted
+   */
+  reset(streamId = null) {
+    const streamIds = streamId ? [streamId] : Array.from(this.segmenters.keys());
+    streamIds.forEach(id => {
+      clearTimeout(this.flushTimers.get(id));
+      this.flushTimers.delete(id);
+      this.segmenters.delete(id);
+      this.resamplers.delete(id);
+    });
+    return { reset: true };
+  }
+
+  /**
+   * Change settings
+   * @param {Object} settings - { segmenter: SpeechSegmenter options, formats: upload formats by preference }
+   */
+  configure(settings = {}) {
+    if (settings.segmenter) {
+      this.config.segmenter = { ...this.config.segmenter, ...settings.segmenter };
+      this.segmenters.forEach(s => s.updateConfig(this.config.segmenter));
+    }
+    if (Array.isArray(settings.formats) && settings.formats.length > 0) {
+      this.config.formats = settings.formats;
+    }
+    return { configured: true };
+  }
+
+  /**
+   * Encode and hand over finished utterances
+   * @returns {Promise} Settles once these (and everything before them) are sent
+   */
+  emit(streamId, segments, report = false) {
+    if (segments.length === 0 && !report) return this.sending;
+
+    // Taken now; by the time encoding is done the stream has moved on
+    const buffer = this.describe(streamId);
+    this.sending = this.sending.then(async () => {
+      const encoded = [];
+      for (const segment of segments) {
+        encoded.push(await this.encodeSegment(segment));
+      }
+      this.config.onSegments(streamId, encoded, buffer);
+    }).catch(error => {
+      this.stats.errors++;
+      console.error(`[Audio Processor] Could not encode ${segments.length} segment(s) for ${streamId}:`, error);
+    });
+    return this.sending;
+  }
+
+  /**
+   * A segment as the service worker gets it: the file instead of the samples
+   * @param {Object} segment - { samples, startTime, duration, speechDuration, reason, overlap }
+   * @returns {Promise<Object>} { audio: { format, mimeType, extension, sampleRate, data (base64) }, level: { rms, peak }, ...timing }
+   */
+  async encodeSegment({ samples, ...segment }) {
+    const started = performance.now();
+    const audio = await encodeAudio(samples, { formats: this.config.formats, sampleRate: this.config.sampleRate });
+    this.stats.encodeTime += performance.now() - started;
+    this.stats.segmentsEncoded++;
+    this.stats.bytesEncoded += audio.data.length;
+    this.stats.wavBytes += 44 + samples.length * 2;
+    this.stats.formats[audio.format] = (this.stats.formats[audio.format] || 0) + 1;
+
+    return {
+      ...segment,
+      level: measureAudio(samples),
+      // Runtime messaging only carries JSON
+      audio: { ...audio, data: bytesToBase64(audio.data) }
+    };
+  }
+
+  describe(streamId) {
+    const segmenter = this.segmenters.get(streamId);
+    return {
+      streamId,
+      duration: segmenter.getBufferedDuration(),
+      speaking: segmenter.isSpeaking(),
+      lastActivity: segmenter.lastActivity,
+      inputRate: this.resamplers.get(streamId)?.config.inputRate || this.config.sampleRate,
+      vad: segmenter.getStats()
+    };
+  }
+
+  getStatus() {
+    return {
+      streams: Array.from(this.segmenters.keys(), streamId => this.describe(streamId)),
+      transport: this.sequenceTracker.getStats(),
+      formats: this.config.formats,
+      stats: { ...this.stats, formats: { ...this.stats.formats } }
+    };
+  }
+
+  destroy() {
+    this.reset();
+  }
+}
+
+export default AudioProcessor;
@@ -0,0 +1,278 @@
+/**
+ * Audio Transport
+ * Moves PCM frames from the VTF tab to the service worker. The page hands
+ * frames to the content script as transferred Int16Arrays; the content script
+ * forwards them over one long-lived runtime port. Runtime messaging only
+ * carries JSON, so samples travel as base64 of the raw little-endian bytes
+ * instead of arrays of numbers. Every frame carries a per-stream sequence
+ * number so the service worker can tell lost, late and repeated frames apart.
+ */
+
+export const AUDIO_PORT_NAME = 'vtf-audio';
+
+export const FRAME_TYPE = 'audioFrame';
+
+export const FRAME_ENCODING = 'base64-int16le';
+
+// String.fromCharCode takes its bytes as arguments; stay well under the engine's limit
+const BASE64_SLICE = 0x8000;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_SLICE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_SLICE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 back to bytes
+ * @param {string} base64 - Output of bytesToBase64
+ * @returns {Uint8Array} Binary data
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode Int16 samples as base64
+ * @param {Int16Array} samples - PCM samples
+ * @returns {string} Base64 of the sample bytes
+ */
+export function int16ToBase64(samples) {
+  return bytesToBase64(new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength));
+}
+
+/**
+ * Decode base64 back to Int16 samples
+ * @param {string} base64 - Output of int16ToBase64
+ * @returns {Int16Array} PCM samples
+ */
+export function base64ToInt16(base64) {
+  const bytes = base64ToBytes(base64);
+  if (bytes.length % 2 !== 0) {
+    throw new Error('Audio frame has an odd number of bytes');
+  }
+  return new Int16Array(bytes.buffer);
+}
+
+/**
+ * Build the port message for one frame
+ * @param {Object} frame - { userId, seq, samples (Int16Array), timestamp, sampleRate, maxSample, volume }
+ * @returns {Object} JSON-safe message
+ */
+export function encodeAudioFrame(frame) {
+  return {
+    type: FRAME_TYPE,
+    userId: frame.userId,
+    seq: frame.seq,
+    timestamp: frame.timestamp,
+    sampleRate: frame.sampleRate || 16000,
+    maxSample: frame.maxSample,
+    volume: frame.volume,
+    encoding: FRAME_ENCODING,
+    data: int16ToBase64(frame.samples)
+  };
+}
+
+/**
+ * Validate and unpack a port message
+ * @param {Object} message - Output of encodeAudioFrame
+ * @returns {Object} Frame with samples as an Int16Array
+ */
+export function decodeAudioFrame(message) {
+  if (!message || message.type !== FRAME_TYPE) {
+    throw new Error('Not an audio frame');
+  }
+  if (!message.userId || !Number.isInteger(message.seq) || message.seq < 0) {
+    throw new Error('Audio frame is missing its stream or sequence number');
+  }
+  if (message.encoding !== FRAME_ENCODING || typeof message.data !== 'string') {
+    throw new Error(`Unsupported audio frame encoding: ${message.encoding}`);
+  }
+
+  const { data, encoding, type, ...frame } = message;
+  return { ...frame, samples: base64ToInt16(data) };
+}
+
+/**
+ * Per-stream sequence bookkeeping on the receiving side
+ */
+export class SequenceTracker {
+  constructor(options = {}) {
+    this.config = {
+      // How many missing sequence numbers to remember per stream
+      maxMissing: 256,
+      ...options
+    };
+
+    this.streams = new Map();   // streamId -> { next, missing: Set }
+    this.stats = SequenceTracker.emptyStats();
+  }
+
+  static emptyStats() {
+    return {
+      frames: 0,
+      gaps: 0,
+      missing: 0,
+      reordered: 0,
+      duplicates: 0,
+      restarts: 0
+    };
+  }
+
+  /**
+   * Classify an incoming frame
+   * @param {string} streamId - Stream the frame belongs to
+   * @param {number} seq - Sequence number from the sender
+   * @returns {Object} { status: 'ok'|'first'|'restart'|'gap'|'reordered'|'duplicate', accept, missing }
+   */
+  check(streamId, seq) {
+    this.stats.frames++;
+    const stream = this.streams.get(streamId);
+
+    if (!stream) {
+      this.streams.set(streamId, { next: seq + 1, missing: new Set() });
+      return { status: 'first', accept: true, missing: 0 };
+    }
+
+    if (seq === stream.next) {
+      stream.next++;
+      return { status: 'ok', accept: true, missing: 0 };
+    }
+
+    if (seq > stream.next) {
+      const missing = seq - stream.next;
+      for (let s = stream.next; s < seq && stream.missing.size < this.config.maxMissing; s++) {
+        stream.missing.add(s);
+      }
+      stream.next = seq + 1;
+      this.stats.gaps++;
+      this.stats.missing += missing;
+      return { status: 'gap', accept: true, missing };
+    }
+
+    if (stream.missing.delete(seq)) {
+      this.stats.missing--;
+      this.stats.reordered++;
+      return { status: 'reordered', accept: true, missing: 0 };
+    }
+
+    // The page numbers frames per capture, so zero means it recaptured the stream
+    if (seq === 0) {
+      this.streams.set(streamId, { next: 1, missing: new Set() });
+      this.stats.restarts++;
+      return { status: 'restart', accept: true, missing: 0 };
+    }
+
+    this.stats.duplicates++;
+    return { status: 'duplicate', accept: false, missing: 0 };
+  }
+
+  /**
+   * Forget one stream, or all of them
+   * @param {string} streamId - Optional stream
+   */
+  reset(streamId = null) {
+    if (streamId === null) {
+      this.streams.clear();
+    } else {
+      this.streams.delete(streamId);
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, streams: this.streams.size };
+  }
+}
+
+/**
+ * Sending side of the audio port, used by the content script. The port drops
+ * whenever the service worker is suspended or the extension reloads; the next
+ * frame reconnects it.
+ */
+export class AudioPortSender {
+  constructor(options = {}) {
+    this.config = {
+      name: AUDIO_PORT_NAME,
+      connect: (name) => chrome.runtime.connect({ name }),
+      ...options
+    };
+
+    this.port = null;
+    this.stats = {
+      framesSent: 0,
+      bytesSent: 0,
+      connects: 0,
+      disconnects: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Forward one frame
+   * @param {Object} frame - { userId, seq, samples (Int16Array), timestamp, sampleRate, maxSample, volume }
+   * @returns {boolean} Whether the frame was handed to the port
+   */
+  send(frame) {
+    const message = encodeAudioFrame(frame);
+
+    // One retry covers a port that died since the last frame
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        this.getPort().postMessage(message);
+        this.stats.framesSent++;
+        this.stats.bytesSent += frame.samples.byteLength;
+        return true;
+      } catch (error) {
+        this.port = null;
+        if (attempt === 1) {
+          this.stats.errors++;
+          console.error('[Audio Transport] Failed to send frame:', error);
+        }
+      }
+    }
+    return false;
+  }
+
+  getPort() {
+    if (!this.port) {
+      const port = this.config.connect(this.config.name);
+      port.onDisconnect.addListener(() => {
+        // Reading lastError keeps Chrome from logging it as unchecked
+        void globalThis.chrome?.runtime?.lastError;
+        if (this.port === port) {
+          this.port = null;
+        }
+        this.stats.disconnects++;
+      });
+      this.port = port;
+      this.stats.connects++;
+    }
+    return this.port;
+  }
+
+  close() {
+    if (this.port) {
+      const port = this.port;
+      this.port = null;
+      port.disconnect();
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, connected: !!this.port };
+  }
+}
+
+export default AudioPortSender;
@@ -0,0 +1,493 @@
+/**
+ * Caption Overlay
+ * Draggable, resizable and collapsible live caption panel rendered into the VTF page
+ */
+import { TranscriptNavigator } from './transcript-navigator.js';
+
+export class CaptionOverlay {
+  constructor(options = {}) {
+    this.config = {
+      roomKey: 'default',
+      maxUtterances: 200,       // Oldest lines are removed beyond this
+      scrollThreshold: 24,      // px from bottom that still counts as "following"
+      storageKey: 'overlayLayouts',
+      saveDelay: 500,
+      defaultWidth: 400,
+      defaultHeight: 300,
+      margin: 20,
+      ...options
+    };
+
+    this.elements = {};
+    this.layout = null;
+    this.collapsed = false;
+    this.pinnedToBottom = true;
+    this.lastSpeakerKey = null;
+    this.lineCount = 0;
+    this.saveTimer = null;
+    this.resizeObserver = null;
+    this.navigator = null;
+    this.dragState = null;
+    this.handleWindowResize = () => this.applyPosition();
+
+    // Called when the user closes the panel from its header
+    this.onClose = null;
+  }
+
+  /**
+   * Build the panel and restore its layout for the current room
+   * @param {HTMLElement} container - Where to attach the panel
+   */
+  async mount(container = document.body) {
+    if (this.isMounted()) return;
+
+    this.createElements();
+    container.appendChild(this.elements.root);
+
+    await this.loadLayout();
+    if (!this.isMounted()) return; // Hidden again while loading
+
+    this.applyLayout();
+    this.setupInteractions();
+  }
+
+  /**
+   * Remove the panel from the page
+   */
+  unmount() {
+    if (!this.isMounted()) return;
+
+    this.flushLayoutSave();
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.navigator) {
+      this.navigator.detach();
+      this.navigator = null;
+    }
+    window.removeEventListener('resize', this.handleWindowResize);
+
+    this.elements.root.remove();
+    this.elements = {};
+    this.lastSpeakerKey = null;
+    this.lineCount = 0;
+  }
+
+  /**
+   * Whether the panel is currently in the page
+   * @returns {boolean} True if mounted
+   */
+  isMounted() {
+    return !!(this.elements.root && this.elements.root.isConnected);
+  }
+
+  /**
+   * Switch to another room's saved layout
+   * @param {string} roomKey - Room identifier
+   */
+  async setRoom(roomKey) {
+    if (!roomKey || roomKey === this.config.roomKey) return;
+
+    this.flushLayoutSave();
+    this.config.roomKey = roomKey;
+
+    if (this.isMounted()) {
+      await this.loadLayout();
+      this.applyLayout();
+    }
+  }
+
+  /**
+   * Build the panel DOM (text is always set via textContent)
+   */
+  createElements() {
+    const root = document.createElement('div');
+    root.id = 'vtf-transcription-display';
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-labelledby', 'vtf-transcript-title');
+
+    const header = document.createElement('div');
+    header.className = 'vtf-transcript-header';
+
+    const title = document.createElement('span');
+    title.className = 'vtf-transcript-title';
+    title.id = 'vtf-transcript-title';
+    title.textContent = 'Live Captions';
+
+    const collapseBtn = document.createElement('button');
+    collapseBtn.type = 'button';
+    collapseBtn.className = 'vtf-transcript-collapse';
+    collapseBtn.setAttribute('aria-controls', 'vtf-transcript-content');
+    collapseBtn.textContent = '–';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'vtf-transcript-close';
+    closeBtn.title = 'Hide captions';
+    closeBtn.setAttribute('aria-label', 'Hide captions');
+    closeBtn.textContent = '×';
+
+    header.append(title, collapseBtn, closeBtn);
+
+    const content = document.createElement('div');
+    content.className = 'vtf-transcript-content';
+    content.id = 'vtf-transcript-content';
+    // History only - new lines are read out by the announcer's live region
+    content.setAttribute('role', 'log');
+    content.setAttribute('aria-live', 'off');
+    content.setAttribute('aria-label', 'Caption history. Arrow keys move between lines, Page Up and Page Down between speakers.');
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'vtf-transcript-placeholder';
+    placeholder.textContent = 'Waiting for transcripts…';
+    content.appendChild(placeholder);
+
+    const jumpBtn = document.createElement('button');
+    jumpBtn.type = 'button';
+    jumpBtn.className = 'vtf-transcript-jump vtf-hidden';
+    jumpBtn.textContent = 'Jump to latest ↓';
+
+    root.append(header, content, jumpBtn);
+
+    this.elements = { root, header, title, collapseBtn, closeBtn, content, placeholder, jumpBtn };
+  }
+
+  /**
+   * Wire up buttons, scroll tracking, dragging and resizing
+   */
+  setupInteractions() {
+    const { header, collapseBtn, closeBtn, content, jumpBtn, root } = this.elements;
+
+    collapseBtn.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+    closeBtn.addEventListener('click', () => {
+      if (this.onClose) {
+        this.onClose();
+      } else {
+        this.unmount();
+      }
+    });
+
+    // Follow new captions only while the reader is at the bottom
+    content.addEventListener('scroll', () => {
+      const distance = content.scrollHeight - content.scrollTop - content.clientHeight;
+      this.pinnedToBottom = distance <= this.config.scrollThreshold;
+      if (this.pinnedToBottom) {
+        jumpBtn.classList.add('vtf-hidden');
+      }
+    });
+
+    jumpBtn.addEventListener('click', () => this.scrollToBottom());
+
+    this.navigator = new TranscriptNavigator(content, { itemSelector: '.vtf-transcript-line' });
+    this.navigator.attach();
+
+    // Drag by the header
+    header.addEventListener('pointerdown', (event) => {
+      if (event.button !== 0 || event.target.closest('button')) return;
+
+      const rect = root.getBoundingClientRect();
+      this.dragState = {
+        pointerId: event.pointerId,
+        offsetX: event.clientX - rect.left,
+        offsetY: event.clientY - rect.top
+      };
+      header.setPointerCapture(event.pointerId);
+      event.preventDefault();
+    });
+
+    header.addEventListener('pointermove', (event) => {
+      if (!this.dragState || event.pointerId !== this.dragState.pointerId) return;
+
+      this.layout.left = event.clientX - this.dragState.offsetX;
+      this.layout.top = event.clientY - this.dragState.offsetY;
+      this.applyPosition();
+    });
+
+    const endDrag = (event) => {
+      if (!this.dragState || event.pointerId !== this.dragState.pointerId) return;
+      this.dragState = null;
+      this.scheduleLayoutSave();
+    };
+    header.addEventListener('pointerup', endDrag);
+    header.addEventListener('pointercancel', endDrag);
+
+    // Native CSS resize handle; record the new size
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => {
+        if (this.collapsed || !this.layout) return;
+
+        const width = Math.round(root.offsetWidth);
+        const height = Math.round(root.offsetHeight);
+        if (width !== this.layout.width || height !== this.layout.height) {
+          this.layout.width = width;
+          this.layout.height = height;
+          this.scheduleLayoutSave();
+        }
+      });
+      this.resizeObserver.observe(root);
+    }
+
+    window.addEventListener('resize', this.handleWindowResize);
+  }
+
+  /**
+   * Add a transcript, grouping consecutive lines from the same speaker
+   * @param {Object} transcription - { userId, speaker, text, timestamp }
+   */
+  addTranscription(transcription) {
+    if (!this.isMounted() || !transcription || !transcription.text) return;
+
+    const { content, placeholder, jumpBtn } = this.elements;
+    if (placeholder && placeholder.isConnected) {
+      placeholder.remove();
+    }
+
+    const speaker = transcription.speaker || 'Unknown';
+    const speakerKey = transcription.userId || speaker;
+
+    let block = content.lastElementChild;
+    if (!block || speakerKey !== this.lastSpeakerKey) {
+      block = this.createSpeakerBlock(speaker, transcription.timestamp);
+      content.appendChild(block);
+      this.lastSpeakerKey = speakerKey;
+    }
+
+    const line = document.createElement('p');
+    line.className = 'vtf-transcript-line';
+    line.textContent = transcription.text;
+    line.dataset.speaker = speakerKey;
+    line.dataset.timestamp = transcription.timestamp || Date.now();
+    if (transcription.replayed) {
+      line.classList.add('vtf-transcript-replayed');
+      line.title = `Recovered after an API outage (${this.formatTime(transcription.timestamp)})`;
+    }
+
+    block.querySelector('.vtf-transcript-lines').appendChild(line);
+    this.lineCount++;
+    this.trimLines();
+    this.navigator.refresh();
+
+    if (this.pinnedToBottom) {
+      this.scrollToBottom();
+    } else {
+      jumpBtn.classList.remove('vtf-hidden');
+    }
+  }
+
+  /**
+   * Create a group for consecutive lines from one speaker
+   * @param {string} speaker - Speaker name
+   * @param {number} timestamp - Time of the first line
+   * @returns {HTMLElement} Block element
+   */
+  createSpeakerBlock(speaker, timestamp) {
+    const block = document.createElement('div');
+    block.className = 'vtf-transcript-block';
+    block.setAttribute('role', 'group');
+    block.setAttribute('aria-label', `${speaker}, ${this.formatTime(timestamp)}`);
+
+    // Already conveyed by the group label
+    const header = document.createElement('div');
+    header.className = 'vtf-transcript-meta';
+    header.setAttribute('aria-hidden', 'true');
+
+    const name = document.createElement('span');
+    name.className = 'vtf-transcript-speaker';
+    name.textContent = speaker;
+    name.style.color = this.getSpeakerColor(speaker);
+
+    const time = document.createElement('span');
+    time.className = 'vtf-transcript-time';
+    time.textContent = this.formatTime(timestamp);
+
+    const lines = document.createElement('div');
+    lines.className = 'vtf-transcript-lines';
+
+    header.append(name, time);
+    block.append(header, lines);
+    return block;
+  }
+
+  /**
+   * Drop the oldest lines beyond maxUtterances
+   */
+  trimLines() {
+    const { content } = this.elements;
+
+    while (this.lineCount > this.config.maxUtterances) {
+      const firstBlock = content.querySelector('.vtf-transcript-block');
+      if (!firstBlock) break;
+
+      const firstLine = firstBlock.querySelector('.vtf-transcript-line');
+      if (firstLine) {
+        firstLine.remove();
+        this.lineCount--;
+      }
+      if (!firstBlock.querySelector('.vtf-transcript-line')) {
+        firstBlock.remove();
+      }
+    }
+  }
+
+  /**
+   * Scroll to the newest caption and resume following
+   */
+  scrollToBottom() {
+    const { content, jumpBtn } = this.elements;
+    content.scrollTop = content.scrollHeight;
+    this.pinnedToBottom = true;
+    jumpBtn.classList.add('vtf-hidden');
+  }
+
+  /**
+   * Collapse to the header bar or expand again
+   * @param {boolean} collapsed - Desired state
+   */
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    this.layout.collapsed = collapsed;
+    this.applySize();
+    this.scheduleLayoutSave();
+  }
+
+  /**
+   * Bottom-right corner of the viewport
+   * @returns {Object} { left, top, width, height, collapsed }
+   */
+  getDefaultLayout() {
+    const { defaultWidth, defaultHeight, margin } = this.config;
+    return {
+      left: Math.max(0, window.innerWidth - defaultWidth - margin),
+      top: Math.max(0, window.innerHeight - defaultHeight - margin),
+      width: defaultWidth,
+      height: defaultHeight,
+      collapsed: false
+    };
+  }
+
+  /**
+   * Load the saved layout for the current room
+   */
+  async loadLayout() {
+    this.layout = this.getDefaultLayout();
+
+    try {
+      const stored = await chrome.storage.local.get(this.config.storageKey);
+      const saved = stored[this.config.storageKey]?.[this.config.roomKey];
+      if (saved) {
+        this.layout = { ...this.layout, ...saved };
+      }
+    } catch (error) {
+      console.warn('[Caption Overlay] Could not load layout:', error);
+    }
+
+    this.collapsed = !!this.layout.collapsed;
+  }
+
+  /**
+   * Apply the current layout to the panel
+   */
+  applyLayout() {
+    this.applySize();
+    this.applyPosition();
+  }
+
+  /**
+   * Apply size and collapsed state
+   */
+  applySize() {
+    const { root, collapseBtn } = this.elements;
+    if (!root) return;
+
+    root.classList.toggle('vtf-collapsed', this.collapsed);
+    collapseBtn.textContent = this.collapsed ? '+' : '–';
+    collapseBtn.title = this.collapsed ? 'Expand' : 'Collapse';
+    collapseBtn.setAttribute('aria-label', this.collapsed ? 'Expand captions' : 'Collapse captions');
+    collapseBtn.setAttribute('aria-expanded', String(!this.collapsed));
+
+    root.style.width = `${this.layout.width}px`;
+    root.style.height = this.collapsed ? '' : `${this.layout.height}px`;
+  }
+
+  /**
+   * Apply position, keeping at least the header on screen
+   */
+  applyPosition() {
+    const { root } = this.elements;
+    if (!root) return;
+
+    const maxLeft = Math.max(0, window.innerWidth - Math.min(root.offsetWidth || this.layout.width, window.innerWidth));
+    const maxTop = Math.max(0, window.innerHeight - (this.elements.header.offsetHeight || 32));
+
+    this.layout.left = Math.min(Math.max(0, this.layout.left), maxLeft);
+    this.layout.top = Math.min(Math.max(0, this.layout.top), maxTop);
+
+    root.style.left = `${this.layout.left}px`;
+    root.style.top = `${this.layout.top}px`;
+  }
+
+  /**
+   * Save the layout once dragging/resizing settles
+   */
+  scheduleLayoutSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveLayout(), this.config.saveDelay);
+  }
+
+  /**
+   * Save a pending layout change immediately
+   */
+  flushLayoutSave() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.saveLayout();
+    }
+  }
+
+  /**
+   * Persist the layout under the current room
+   */
+  async saveLayout() {
+    this.saveTimer = null;
+    if (!this.layout) return;
+
+    const roomKey = this.config.roomKey;
+    const layout = { ...this.layout };
+
+    try {
+      const stored = await chrome.storage.local.get(this.config.storageKey);
+      const layouts = stored[this.config.storageKey] || {};
+      layouts[roomKey] = layout;
+      await chrome.storage.local.set({ [this.config.storageKey]: layouts });
+    } catch (error) {
+      console.warn('[Caption Overlay] Could not save layout:', error);
+    }
+  }
+
+  /**
+   * Stable colour per speaker name
+   * @param {string} speaker - Speaker name
+   * @returns {string} CSS colour
+   */
+  getSpeakerColor(speaker) {
+    let hash = 0;
+    for (let i = 0; i < speaker.length; i++) {
+      hash = (hash * 31 + speaker.charCodeAt(i)) | 0;
+    }
+    return `hsl(${Math.abs(hash) % 360}, 70%, 70%)`;
+  }
+
+  /**
+   * @param {number} timestamp - ms since epoch
+   * @returns {string} Local time string
+   */
+  formatTime(timestamp) {
+    return new Date(timestamp || Date.now()).toLocaleTimeString();
+  }
+}
+
+export default CaptionOverlay;
@@ -10,6 +10,7 @@ export class CircuitBreaker {
       monitoringPeriod: 120000,   // Period for failure rate calculation
       failureRateThreshold: 0.5,  // Failure rate to trigger opening
       halfOpenRequests: 2,        // Number of test requests in half-open state
+      isFailure: () => true,      // Errors that say nothing about the service's health can be let through
       ...options
     };
     
@@ -48,7 +49,9 @@ export class CircuitBreaker {
       this.onSuccess();
       return result;
     } catch (error) {
-      this.onError(error);
+      if (this.config.isFailure(error)) {
+        this.onError(error);
+      }
       throw error;
     }
   }
@@ -0,0 +1,595 @@
+/**
+ * Entity Extractor
+ * Pulls trading entities out of transcript text: ticker symbols, prices,
+ * option strikes with their expiration, percentages and trade directions.
+ * Each entity keeps the text it was read from and its offset in the
+ * transcript so views can mark it in place.
+ *
+ * Whisper writes most numbers out as spoken ("fifty two and a quarter"), and
+ * traders read prices in groups ("one sixteen fifty" is 116.50), so numbers
+ * go through a small spoken-number grammar:
+ *
+ *   fifty two and a quarter  -> 52.25    one hundred and six   -> 106
+ *   one sixteen              -> 116      fifty two fifty       -> 52.5
+ *   one sixteen fifty        -> 116.5    twelve point oh five  -> 12.05
+ *   three and a half percent -> 3.5 %    $52.25, 1,200, 450c   -> as written
+ *
+ * A bare number only counts as a price when something marks it as one: a
+ * dollar sign or "bucks", a fraction or decimal, a ticker or a word like
+ * "at", "from" or "stop" in front of it. "Two contracts" stays a count.
+ */
+
+import { DEFAULT_VOCABULARY } from './prompt-builder.js';
+
+export const ENTITY_TYPES = {
+  TICKER: 'ticker',
+  PRICE: 'price',
+  STRIKE: 'strike',
+  PERCENTAGE: 'percentage',
+  DIRECTION: 'direction'
+};
+
+// Company and index names as they are said
+export const TICKER_NAMES = {
+  'apple': 'AAPL',
+  'nvidia': 'NVDA',
+  'invidia': 'NVDA',
+  'tesla': 'TSLA',
+  'microsoft': 'MSFT',
+  'amazon': 'AMZN',
+  'google': 'GOOGL',
+  'alphabet': 'GOOGL',
+  'meta': 'META',
+  'facebook': 'META',
+  'netflix': 'NFLX',
+  'broadcom': 'AVGO',
+  'micron': 'MU',
+  'intel': 'INTC',
+  'palantir': 'PLTR',
+  'coinbase': 'COIN',
+  'boeing': 'BA',
+  'spy': 'SPY',
+  'spiders': 'SPY',
+  'spoos': 'ES',
+  'spooz': 'ES',
+  'the qs': 'QQQ',
+  "the q's": 'QQQ',
+  'the cues': 'QQQ',
+  'the russell': 'IWM',
+  'the dow': 'DIA',
+  'vix': 'VIX'
+};
+
+const DIRECTION_WORDS = {
+  long: 'long',
+  short: 'short', shorting: 'short', shorted: 'short',
+  buy: 'buy', buying: 'buy', bought: 'buy', buys: 'buy',
+  sell: 'sell', selling: 'sell', sold: 'sell', sells: 'sell',
+  trim: 'trim', trimming: 'trim', trimmed: 'trim', trims: 'trim',
+  stop: 'stop', stopped: 'stop', stops: 'stop'
+};
+
+// "How long", "long time", "short term": not a position
+const NOT_DIRECTION_BEFORE = new Set(['how', 'so', 'too', 'as', 'very', 'that', 'this']);
+const NOT_DIRECTION_AFTER = new Set(['time', 'term', 'way', 'ago', 'enough', 'as', 'while']);
+
+// Words that put a price right after them
+const PRICE_CUES = new Set([
+  'at', '@', 'from', 'to', 'above', 'below', 'under', 'over', 'around', 'near',
+  'target', 'targets', 'stop', 'stops', 'entry', 'through', 'reclaim', 'reclaims',
+  'hold', 'holds', 'holding', 'break', 'breaks', 'hit', 'hits', 'tested', 'test',
+  'long', 'short', 'buy', 'bought', 'sell', 'sold', 'trim', 'trimmed', 'add', 'added'
+]);
+
+const DOLLAR_WORDS = new Set(['dollar', 'dollars', 'buck', 'bucks']);
+const PERCENT_WORDS = new Set(['percent', 'pct', '%']);
+const RIGHTS = { call: 'call', calls: 'call', put: 'put', puts: 'put' };
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = { hundred: 100, thousand: 1000 };
+const FRACTIONS = { half: 0.5, halves: 0.5, quarter: 0.25, quarters: 0.25, eighth: 0.125, eighths: 0.125 };
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const MONTHS = {
+  jan: 'Jan', january: 'Jan', feb: 'Feb', february: 'Feb', mar: 'Mar', march: 'Mar',
+  apr: 'Apr', april: 'Apr', may: 'May', jun: 'Jun', june: 'Jun', jul: 'Jul', july: 'Jul',
+  aug: 'Aug', august: 'Aug', sep: 'Sep', sept: 'Sep', september: 'Sep', oct: 'Oct', october: 'Oct',
+  nov: 'Nov', november: 'Nov', dec: 'Dec', december: 'Dec'
+};
+const EXPIRATION_WORDS = {
+  today: 'Today',
+  tomorrow: 'Tomorrow',
+  weekly: 'Weekly',
+  weeklies: 'Weekly',
+  monthly: 'Monthly',
+  monthlies: 'Monthly',
+  '0dte': '0DTE'
+};
+const EXPIRATION_LEADS = new Set(['for', 'expiring', 'exp', 'expiry', 'expiration']);
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+const round = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Split text into words with their offsets. Trailing punctuation is left
+ * out; hyphenated numbers ("fifty-two") are split, spelled tickers
+ * ("A-A-P-L") are not.
+ * @param {string} text - Transcript text
+ * @returns {Array<Object>} [{ raw, word (lower case), start, end }]
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}$%@][\p{L}\p{N}$%@.,'’/-]*/gu)) {
+    const raw = match[0].replace(/[.,'’/-]+$/, '');
+    const start = match.index;
+
+    if (/^\p{L}{2,}(?:-\p{L}+)+$/u.test(raw)) {
+      let offset = start;
+      for (const part of raw.split('-')) {
+        tokens.push({ raw: part, word: part.toLowerCase(), start: offset, end: offset + part.length });
+        offset += part.length + 1;
+      }
+      continue;
+    }
+
+    tokens.push({ raw, word: raw.toLowerCase().replace(/’/g, "'"), start, end: start + raw.length });
+  }
+  return tokens;
+}
+
+// 0-99 said as one group: "five", "sixteen", "fifty two", "oh five"
+function readGroup(tokens, i) {
+  const word = tokens[i]?.word;
+  const nextWord = tokens[i + 1]?.word;
+
+  if (word === 'oh' && Object.hasOwn(UNITS, nextWord)) {
+    return { value: UNITS[nextWord], twoDigit: true, digits: `0${UNITS[nextWord]}`, next: i + 2 };
+  }
+  if (Object.hasOwn(TEENS, word)) {
+    return { value: TEENS[word], twoDigit: true, digits: String(TEENS[word]), next: i + 1 };
+  }
+  if (Object.hasOwn(TENS, word)) {
+    if (Object.hasOwn(UNITS, nextWord) && UNITS[nextWord] > 0) {
+      const value = TENS[word] + UNITS[nextWord];
+      return { value, twoDigit: true, digits: String(value), next: i + 2 };
+    }
+    return { value: TENS[word], twoDigit: true, digits: String(TENS[word]), next: i + 1 };
+  }
+  if (Object.hasOwn(UNITS, word)) {
+    return { value: UNITS[word], twoDigit: false, digits: String(UNITS[word]), next: i + 1 };
+  }
+  return null;
+}
+
+// A cardinal with scale words: "one hundred and six", "a thousand", "two thousand five hundred"
+function readCardinal(tokens, i) {
+  let total = 0;
+  let current = 0;
+  let j = i;
+  let words = 0;
+  let afterScale = false;
+  let scaled = false;
+  let twoDigit = false;
+
+  while (j < tokens.length) {
+    const word = tokens[j].word;
+
+    if ((word === 'a' || word === 'an') && words === 0 && Object.hasOwn(SCALES, tokens[j + 1]?.word)) {
+      current = 1;
+      j++;
+      words++;
+      continue;
+    }
+
+    if (Object.hasOwn(SCALES, word) && words > 0 && !afterScale) {
+      if (word === 'hundred') {
+        current = (current || 1) * 100;
+      } else {
+        total += (current || 1) * SCALES[word];
+        current = 0;
+      }
+      scaled = true;
+      afterScale = true;
+      j++;
+      words++;
+      if (tokens[j]?.word === 'and' && readGroup(tokens, j + 1)) j++;
+      continue;
+    }
+
+    // A second group without a scale word is a trader's group, read by the caller
+    if (words > 0 && !afterScale) break;
+
+    const group = readGroup(tokens, j);
+    if (!group) break;
+    current += group.value;
+    twoDigit = group.twoDigit;
+    afterScale = false;
+    j = group.next;
+    words++;
+  }
+
+  return words > 0 ? { value: total + current, next: j, scaled, twoDigit } : null;
+}
+
+// "and a half", "and three quarters"
+function readFraction(tokens, j) {
+  if (tokens[j]?.word !== 'and') return null;
+
+  const count = tokens[j + 1]?.word;
+  if (!Object.hasOwn(FRACTIONS, tokens[j + 2]?.word)) return null;
+  const fraction = FRACTIONS[tokens[j + 2].word];
+
+  if (count === 'a' || count === 'an') return { value: fraction, next: j + 3 };
+  if (Object.hasOwn(UNITS, count) && UNITS[count] > 0) return { value: UNITS[count] * fraction, next: j + 3 };
+  return null;
+}
+
+/**
+ * Read a number starting at a token, written or spoken
+ * @param {Array<Object>} tokens - From tokenize()
+ * @param {number} i - Index of the first token
+ * @returns {Object|null} { value, next, spoken, dollar, percent, exact } - exact means decimals or a fraction were given
+ */
+export function readNumber(tokens, i) {
+  const token = tokens[i];
+  if (!token) return null;
+
+  let value;
+  let j;
+  let dollar = false;
+  let percent = false;
+  let exact = false;
+
+  const numeral = token.raw.match(/^(\$)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(%)?$/);
+  if (numeral) {
+    value = parseFloat(numeral[2].replace(/,/g, '') + (numeral[3] || ''));
+    dollar = !!numeral[1];
+    percent = !!numeral[4];
+    exact = !!numeral[3];
+    j = i + 1;
+  } else {
+    const cardinal = readCardinal(tokens, i);
+    if (!cardinal) return null;
+    value = cardinal.value;
+    j = cardinal.next;
+
+    // Prices read in groups: "one sixteen" (116), "fifty two fifty" (52.50), "one sixteen fifty" (116.50)
+    const group = !cardinal.scaled ? readGroup(tokens, j) : null;
+    if (group?.twoDigit) {
+      if (!cardinal.twoDigit) {
+        value = value * 100 + group.value;
+        j = group.next;
+        const cents = readGroup(tokens, j);
+        if (cents?.twoDigit) {
+          value += cents.value / 100;
+          exact = true;
+          j = cents.next;
+        }
+      } else {
+        value += group.value / 100;
+        exact = true;
+        j = group.next;
+      }
+    }
+
+    // "point two five", "point 25", "point oh five"
+    if (tokens[j]?.word === 'point') {
+      let digits = '';
+      let k = j + 1;
+      if (/^\d+$/.test(tokens[k]?.raw || '')) {
+        digits = tokens[k].raw;
+        k++;
+      } else {
+        for (let group = readGroup(tokens, k); group; group = readGroup(tokens, k)) {
+          digits += group.digits;
+          k = group.next;
+        }
+      }
+      if (digits) {
+        value += parseFloat(`0.${digits}`);
+        exact = true;
+        j = k;
+      }
+    }
+  }
+
+  const fraction = readFraction(tokens, j);
+  if (fraction) {
+    value += fraction.value;
+    exact = true;
+    j = fraction.next;
+  }
+
+  return { value: round(value), next: j, spoken: !numeral, dollar, percent, exact };
+}
+
+/**
+ * Value of a spoken or written number, if the whole string is one
+ * @param {string} text - e.g. "fifty two and a quarter"
+ * @returns {number|null} The number, or null
+ */
+export function parseSpokenNumber(text) {
+  const tokens = tokenize(text);
+  const number = readNumber(tokens, 0);
+  return number && number.next === tokens.length ? number.value : null;
+}
+
+// "seventeenth", "twenty first", "17", "17th", "seventeen"
+function readDay(tokens, k) {
+  const token = tokens[k];
+  if (!token) return null;
+
+  const numeral = token.word.match(/^(\d{1,2})(?:st|nd|rd|th)?$/);
+  if (numeral) return { day: Number(numeral[1]), next: k + 1 };
+  if (Object.hasOwn(ORDINALS, token.word)) return { day: ORDINALS[token.word], next: k + 1 };
+  if (Object.hasOwn(TENS, token.word) && Object.hasOwn(ORDINALS, tokens[k + 1]?.word)) {
+    return { day: TENS[token.word] + ORDINALS[tokens[k + 1].word], next: k + 2 };
+  }
+  const group = readGroup(tokens, k);
+  return group && group.value > 0 ? { day: group.value, next: group.next } : null;
+}
+
+/**
+ * Read an option expiration: a weekday, a date, "0DTE", "weeklies"
+ * @param {Array<Object>} tokens - From tokenize()
+ * @param {number} k - Index of the first token
+ * @param {boolean} lead - Whether "for", "expiring" and the like may come first
+ * @returns {Object|null} { label, next }
+ */
+function readExpiration(tokens, k, lead = true) {
+  let start = k;
+  if (lead && EXPIRATION_LEADS.has(tokens[start]?.word)) start++;
+  if (lead && tokens[start]?.word === 'the') start++;
+
+  const word = tokens[start]?.word;
+  const nextWord = tokens[start + 1]?.word;
+  if (!word) return null;
+
+  const weekday = word.replace(/'s$/, '');
+  if (WEEKDAYS.includes(weekday)) return { label: capitalize(weekday), next: start + 1 };
+  if (Object.hasOwn(EXPIRATION_WORDS, word)) return { label: EXPIRATION_WORDS[word], next: start + 1 };
+  if ((word === 'zero' || word === '0') && (nextWord === 'dte' || nextWord === 'day')) return { label: '0DTE', next: start + 2 };
+  if ((word === 'this' || word === 'next') && nextWord === 'week') return { label: `${capitalize(word)} week`, next: start + 2 };
+  if (/^\d{1,2}\/\d{1,2}$/.test(word)) return { label: word, next: start + 1 };
+
+  if (Object.hasOwn(MONTHS, word)) {
+    const day = readDay(tokens, start + 1);
+    if (day && day.day >= 1 && day.day <= 31) {
+      return { label: `${MONTHS[word]} ${day.day}`, next: day.next };
+    }
+  }
+  return null;
+}
+
+// An expiration that ends right where the strike starts: "Friday 450 calls"
+function readExpirationBefore(tokens, i) {
+  for (let start = Math.max(0, i - 3); start < i; start++) {
+    const expiration = readExpiration(tokens, start, false);
+    if (expiration?.next === i) return { ...expiration, start };
+  }
+  return null;
+}
+
+/**
+ * Ranges of one entity type in a transcript, for marking them in place
+ * @param {Array<Object>} entities - transcription.entities
+ * @param {string} type - Entity type
+ * @returns {Array<Object>} [{ start, end, entity }] sorted by start
+ */
+export function entityRanges(entities, type = ENTITY_TYPES.TICKER) {
+  return (entities || [])
+    .filter(entity => entity.type === type)
+    .map(entity => ({ start: entity.offset, end: entity.offset + entity.text.length, entity }))
+    .sort((a, b) => a.start - b.start);
+}
+
+export class EntityExtractor {
+  constructor(options = {}) {
+    this.config = {
+      tickers: DEFAULT_VOCABULARY.tickers,
+      names: TICKER_NAMES,
+      ...options
+    };
+
+    this.names = new Map(Object.entries(this.config.names));
+    this.setTickers(this.config.tickers);
+    this.stats = {
+      transcripts: 0,
+      entities: 0
+    };
+  }
+
+  /**
+   * Symbols recognised when written plainly in upper case (the vocabulary's tickers)
+   * @param {Array<string>} tickers - Symbols
+   */
+  setTickers(tickers = []) {
+    this.tickers = new Set([
+      ...tickers.map(ticker => String(ticker).toUpperCase()),
+      ...this.names.values()
+    ]);
+  }
+
+  /**
+   * Find the entities in a transcript
+   * @param {string} text - Transcript text
+   * @returns {Array<Object>} [{ type, value, text, offset }] in order of appearance
+   */
+  extract(text) {
+    const tokens = tokenize(text);
+    const entities = [];
+    let tickerEnd = -1;
+    let i = 0;
+
+    const entity = (type, value, from, to) => ({
+      type,
+      value,
+      text: text.slice(tokens[from].start, tokens[to - 1].end),
+      offset: tokens[from].start
+    });
+
+    while (i < tokens.length) {
+      const ticker = this.readTicker(tokens, i);
+      if (ticker) {
+        entities.push(entity(ENTITY_TYPES.TICKER, ticker.symbol, i, ticker.next));
+        i = tickerEnd = ticker.next;
+        continue;
+      }
+
+      const quantity = this.readQuantity(tokens, i, tickerEnd === i);
+      if (quantity) {
+        entities.push(entity(quantity.type, quantity.value, quantity.start ?? i, quantity.next));
+        i = quantity.next;
+        continue;
+      }
+
+      const direction = this.readDirection(tokens, i);
+      if (direction) {
+        entities.push(entity(ENTITY_TYPES.DIRECTION, direction.value, i, direction.next));
+        i = direction.next;
+        continue;
+      }
+
+      i++;
+    }
+
+    this.stats.transcripts++;
+    this.stats.entities += entities.length;
+    return entities;
+  }
+
+  readTicker(tokens, i) {
+    const { raw, word } = tokens[i];
+
+    // $TSLA
+    const cashtag = raw.match(/^\$([A-Za-z]{1,5})$/);
+    if (cashtag) return { symbol: cashtag[1].toUpperCase(), next: i + 1 };
+
+    // A-A-P-L; A.A.P.L only when known, so "U.S" and "a.m" stay words
+    if (/^[A-Za-z](?:-[A-Za-z]){1,4}$/.test(raw)) {
+      return { symbol: raw.replace(/-/g, '').toUpperCase(), next: i + 1 };
+    }
+    if (/^[A-Z](?:\.[A-Z]){1,4}$/.test(raw) && this.tickers.has(raw.replace(/\./g, ''))) {
+      return { symbol: raw.replace(/\./g, ''), next: i + 1 };
+    }
+
+    // A A P L, when that spells a known symbol
+    let j = i;
+    while (j < tokens.length && j - i < 5 && /^[A-Z]$/.test(tokens[j].raw)) j++;
+    if (j - i >= 2) {
+      const symbol = tokens.slice(i, j).map(t => t.raw).join('');
+      if (this.tickers.has(symbol)) return { symbol, next: j };
+    }
+
+    // "the Qs", "Apple's"
+    const pair = tokens[i + 1] ? `${word} ${tokens[i + 1].word}` : null;
+    if (pair && this.names.has(pair)) return { symbol: this.names.get(pair), next: i + 2 };
+    const name = word.replace(/'s$/, '');
+    if (this.names.has(name)) return { symbol: this.names.get(name), next: i + 1 };
+
+    // NVDA, NVDA's
+    const symbol = raw.replace(/['’]s$/, '');
+    if (/^[A-Z]{1,5}$/.test(symbol) && this.tickers.has(symbol)) return { symbol, next: i + 1 };
+
+    return null;
+  }
+
+  readQuantity(tokens, i, afterTicker) {
+    // 450c, 95p
+    const shorthand = tokens[i].word.match(/^(\d+(?:\.\d+)?)([cp])$/);
+    if (shorthand) {
+      const expiration = readExpiration(tokens, i + 1);
+      return {
+        type: ENTITY_TYPES.STRIKE,
+        value: { strike: parseFloat(shorthand[1]), right: shorthand[2] === 'c' ? 'call' : 'put', expiration: expiration?.label ?? null },
+        next: expiration ? expiration.next : i + 1
+      };
+    }
+
+    const number = readNumber(tokens, i);
+    if (!number) return null;
+
+    let j = number.next;
+    const nextWord = tokens[j]?.word;
+    const previous = tokens[i - 1]?.word;
+
+    if (number.percent || PERCENT_WORDS.has(nextWord)) {
+      return { type: ENTITY_TYPES.PERCENTAGE, value: number.value, next: number.percent ? j : j + 1 };
+    }
+
+    // "450 calls", "450 strike", "the 450 strike puts for Friday"
+    if (Object.hasOwn(RIGHTS, nextWord) || nextWord === 'strike') {
+      let right = RIGHTS[nextWord] || null;
+      j++;
+      if (!right && Object.hasOwn(RIGHTS, tokens[j]?.word)) {
+        right = RIGHTS[tokens[j].word];
+        j++;
+      }
+      const before = readExpirationBefore(tokens, i);
+      const after = readExpiration(tokens, j);
+      const expiration = after || before;
+      return {
+        type: ENTITY_TYPES.STRIKE,
+        value: { strike: number.value, right, expiration: expiration?.label ?? null },
+        start: !after && before ? before.start : i,
+        next: after ? after.next : j
+      };
+    }
+
+    if (DOLLAR_WORDS.has(nextWord)) {
+      j++;
+      // "fifty two dollars and twenty five cents"
+      if (tokens[j]?.word === 'and') {
+        const cents = readNumber(tokens, j + 1);
+        if (cents && tokens[cents.next]?.word === 'cents') {
+          return { type: ENTITY_TYPES.PRICE, value: round(number.value + cents.value / 100), next: cents.next + 1 };
+        }
+      }
+      return { type: ENTITY_TYPES.PRICE, value: number.value, next: j };
+    }
+
+    // "At one point" is not a price
+    const cued = PRICE_CUES.has(previous) && !(number.spoken && number.value < 10);
+    if (number.dollar || number.exact || afterTicker || cued) {
+      return { type: ENTITY_TYPES.PRICE, value: number.value, next: j };
+    }
+
+    return null;
+  }
+
+  readDirection(tokens, i) {
+    const { word } = tokens[i];
+    if (!Object.hasOwn(DIRECTION_WORDS, word)) return null;
+    const value = DIRECTION_WORDS[word];
+
+    if ((value === 'long' || value === 'short') &&
+        (NOT_DIRECTION_BEFORE.has(tokens[i - 1]?.word) || NOT_DIRECTION_AFTER.has(tokens[i + 1]?.word))) {
+      return null;
+    }
+
+    // "stop loss" is one stop
+    if (value === 'stop' && tokens[i + 1]?.word === 'loss') return { value, next: i + 2 };
+    return { value, next: i + 1 };
+  }
+
+  getStats() {
+    return { ...this.stats, tickers: this.tickers.size };
+  }
+}
+
+export default EntityExtractor;
@@ -0,0 +1,270 @@
+/**
+ * Failed Audio Queue
+ * Persists audio that could not be transcribed (circuit breaker open) so it
+ * can be replayed in chronological order once the API recovers. Audio is
+ * kept as the file the offscreen document encoded; raw samples are still
+ * taken (and backlogs from older versions hold nothing else).
+ */
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+export class FailedAudioQueue {
+  constructor(options = {}) {
+    this.config = {
+      dbName: 'vtf-failed-audio',
+      storeName: 'failedAudio',
+      maxItems: 200,              // Oldest items are dropped beyond this
+      maxAge: 30 * 60 * 1000,     // Items older than this are discarded (ms)
+      ...options
+    };
+
+    this.dbPromise = null;
+
+    this.stats = {
+      added: 0,
+      replayed: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      const { storeName } = this.config;
+      this.dbPromise = openDatabase(this.config.dbName, 1, (db) => {
+        const store = db.createObjectStore(storeName, { keyPath: 'id' });
+        store.createIndex('startTime', 'startTime');
+        store.createIndex('streamId', 'streamId');
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Build the storage key for a chunk
+   * @param {string} streamId - Stream the audio belongs to
+   * @param {number} startTime - Chunk start time (ms since epoch)
+   * @returns {string} Storage key
+   */
+  static makeId(streamId, startTime) {
+    return `${streamId}:${startTime}`;
+  }
+
+  /**
+   * Persist failed audio. Re-adding the same stream/startTime overwrites it.
+   * @param {string} streamId - Stream the audio belongs to
+   * @param {Object} audioData - { audio: { mimeType, data }, level, overlap, startTime, duration } or { samples, startTime, duration }
+   * @param {number} retryCount - Attempts made so far
+   * @returns {Promise<Object>} Stored item (without samples)
+   */
+  async add(streamId, audioData, retryCount = 0) {
+    const db = await this.open();
+    const item = {
+      id: FailedAudioQueue.makeId(streamId, audioData.startTime),
+      streamId,
+      startTime: audioData.startTime,
+      duration: audioData.duration,
+      sampleRate: audioData.sampleRate || 16000,
+      samples: audioData.samples ? FailedAudioQueue.toInt16(audioData.samples) : undefined,
+      audio: audioData.audio,
+      level: audioData.level,
+      overlap: audioData.overlap || 0,
+      failedAt: Date.now(),
+      retryCount
+    };
+
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    tx.objectStore(this.config.storeName).put(item);
+    await transactionDone(tx);
+
+    this.stats.added++;
+    await this.prune();
+
+    const { samples, audio, ...summary } = item;
+    return summary;
+  }
+
+  /**
+   * Get all queued items in chronological order, as audioData-ready objects
+   * @returns {Promise<Array>} Items sorted by startTime
+   */
+  async getAll() {
+    await this.prune();
+
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    const items = await promisifyRequest(
+      tx.objectStore(this.config.storeName).index('startTime').getAll()
+    );
+
+    return items.map(item => ({
+      id: item.id,
+      streamId: item.streamId,
+      retryCount: item.retryCount,
+      failedAt: item.failedAt,
+      audioData: {
+        samples: item.samples && FailedAudioQueue.toFloat32(item.samples),
+        audio: item.audio,
+        level: item.level,
+        overlap: item.overlap || 0,
+        startTime: item.startTime,
+        duration: item.duration,
+        sampleRate: item.sampleRate
+      }
+    }));
+  }
+
+  /**
+   * Remove an item after it has been transcribed or given up on
+   * @param {string} id - Item key
+   */
+  async remove(id) {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    tx.objectStore(this.config.storeName).delete(id);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Number of queued items
+   * @returns {Promise<number>} Queue depth
+   */
+  async count() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    return promisifyRequest(tx.objectStore(this.config.storeName).count());
+  }
+
+  /**
+   * Summary for status displays
+   * @returns {Promise<Object>} { depth, oldestStartTime, totalDuration }
+   */
+  async getSummary() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    const store = tx.objectStore(this.config.storeName);
+
+    let depth = 0;
+    let totalDuration = 0;
+    let oldestStartTime = null;
+
+    await new Promise((resolve, reject) => {
+      const request = store.index('startTime').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (oldestStartTime === null) {
+          oldestStartTime = cursor.value.startTime;
+        }
+        depth++;
+        totalDuration += cursor.value.duration || 0;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return { depth, oldestStartTime, totalDuration };
+  }
+
+  /**
+   * Enforce the age and size caps
+   * @returns {Promise<number>} Number of items dropped
+   */
+  async prune() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    const index = tx.objectStore(this.config.storeName).index('startTime');
+
+    const cutoff = Date.now() - this.config.maxAge;
+    const total = await promisifyRequest(index.count());
+    let excess = Math.max(0, total - this.config.maxItems);
+    let dropped = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (excess <= 0 && cursor.value.startTime >= cutoff)) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        dropped++;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    await transactionDone(tx);
+
+    if (dropped > 0) {
+      this.stats.dropped += dropped;
+      console.warn(`[Failed Audio Queue] Dropped ${dropped} item(s) over the backlog cap`);
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Remove everything
+   */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    tx.objectStore(this.config.storeName).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Convert float samples to Int16 for compact storage
+   * @param {Float32Array|Array<number>} samples - Samples in [-1, 1]
+   * @returns {Int16Array} Converted samples
+   */
+  static toInt16(samples) {
+    const int16 = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      int16[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return int16;
+  }
+
+  /**
+   * Convert stored Int16 samples back to float
+   * @param {Int16Array} samples - Stored samples
+   * @returns {Float32Array} Samples in [-1, 1]
+   */
+  static toFloat32(samples) {
+    const float32 = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      float32[i] = samples[i] / 32768.0;
+    }
+    return float32;
+  }
+
+  /**
+   * Close the database connection
+   */
+  async destroy() {
+    if (this.dbPromise) {
+      try {
+        const db = await this.dbPromise;
+        db.close();
+      } catch (error) {
+        // Never opened
+      }
+      this.dbPromise = null;
+    }
+  }
+}
+
+export default FailedAudioQueue;
@@ -0,0 +1,332 @@
+/**
+ * FLAC Encoder
+ * Lossless 16-bit mono FLAC in plain JS, quick enough to run per utterance.
+ * Blocks of 4096 samples are each coded as a constant, verbatim or
+ * fixed-predictor subframe (orders 0-4) with partitioned Rice residuals,
+ * whichever comes out smallest. There is no LPC: on speech the fixed
+ * predictors get most of the way for a fraction of the work. The STREAMINFO
+ * MD5 is left zero, which the format allows ("not computed").
+ */
+
+export const FLAC_BLOCK_SIZE = 4096;
+
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 6;
+// Four-bit Rice parameters; 15 would be the escape code
+const MAX_RICE_PARAMETER = 14;
+
+// Frame header codes for the common rates; other rates are read from STREAMINFO
+const SAMPLE_RATE_CODES = {
+  8000: 0b0100,
+  16000: 0b0101,
+  22050: 0b0110,
+  24000: 0b0111,
+  32000: 0b1000,
+  44100: 0b1001,
+  48000: 0b1010,
+  96000: 0b1011
+};
+
+const CRC8_TABLE = makeCrcTable(8, 0x07);
+const CRC16_TABLE = makeCrcTable(16, 0x8005);
+
+function makeCrcTable(bits, polynomial) {
+  const table = new Uint16Array(256);
+  const top = 1 << (bits - 1);
+  const mask = (1 << bits) - 1;
+  for (let i = 0; i < 256; i++) {
+    let crc = i << (bits - 8);
+    for (let j = 0; j < 8; j++) {
+      crc = crc & top ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+    }
+    table[i] = crc;
+  }
+  return table;
+}
+
+/**
+ * CRC-8 of a frame header (polynomial x^8 + x^2 + x + 1)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} CRC
+ */
+export function crc8(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC8_TABLE[crc ^ bytes[i]];
+  }
+  return crc;
+}
+
+/**
+ * CRC-16 of a whole frame (polynomial x^16 + x^15 + x^2 + 1)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} CRC
+ */
+export function crc16(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  }
+  return crc;
+}
+
+// MSB-first bit packing into a growing byte buffer
+class BitWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+    this.acc = 0;
+    this.bits = 0;
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  write(value, count) {
+    if (count > 16) {
+      this.write(Math.floor(value / 0x10000) & ((1 << (count - 16)) - 1), count - 16);
+      this.write(value & 0xFFFF, 16);
+      return;
+    }
+    this.acc = (this.acc << count) | (value & ((1 << count) - 1));
+    this.bits += count;
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      this.pushByte((this.acc >>> this.bits) & 0xFF);
+    }
+    this.acc &= (1 << this.bits) - 1;
+  }
+
+  writeUnary(zeros) {
+    while (zeros >= 16) {
+      this.write(0, 16);
+      zeros -= 16;
+    }
+    this.write(1, zeros + 1);
+  }
+
+  align() {
+    if (this.bits > 0) this.write(0, 8 - this.bits);
+  }
+
+  writeBytes(bytes) {
+    bytes.forEach(byte => this.write(byte, 8));
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+// Frame numbers are coded like UTF-8 code points
+function utf8Number(value) {
+  if (value < 0x80) return [value];
+  const bytes = [];
+  let limit = 0x3F;
+  let rest = value;
+  while (rest > limit >> 1 || bytes.length === 0) {
+    bytes.unshift(0x80 | (rest & 0x3F));
+    rest = Math.floor(rest / 64);
+    limit >>= 1;
+  }
+  const lead = (0xFF << (7 - bytes.length)) & 0xFF;
+  return [lead | rest, ...bytes];
+}
+
+function fixedResidual(block, order) {
+  const residual = new Int32Array(block.length - order);
+  for (let i = order; i < block.length; i++) {
+    let prediction = 0;
+    switch (order) {
+      case 1: prediction = block[i - 1]; break;
+      case 2: prediction = 2 * block[i - 1] - block[i - 2]; break;
+      case 3: prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3]; break;
+      case 4: prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4]; break;
+    }
+    residual[i - order] = block[i] - prediction;
+  }
+  return residual;
+}
+
+// Signed residuals to the unsigned values Rice codes
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+// Smallest estimated size for a partition; the estimate rounds the way libFLAC's does
+function riceCost(sum, count) {
+  if (count === 0) return { parameter: 0, bits: 0 };
+  const mean = sum / count;
+  const guess = Math.min(MAX_RICE_PARAMETER, Math.max(0, Math.floor(Math.log2(mean || 1))));
+  let best = null;
+  for (let k = Math.max(0, guess - 1); k <= Math.min(MAX_RICE_PARAMETER, guess + 1); k++) {
+    const bits = count * (k + 1) + Math.floor(sum / 2 ** k);
+    if (!best || bits < best.bits) best = { parameter: k, bits };
+  }
+  return best;
+}
+
+/**
+ * Pick the partition order and Rice parameters for one residual
+ * @returns {Object} { order, parameters, bits }
+ */
+function planRice(values, blockSize, predictorOrder) {
+  let maxOrder = 0;
+  while (maxOrder < MAX_PARTITION_ORDER &&
+         blockSize % (1 << (maxOrder + 1)) === 0 &&
+         (blockSize >> (maxOrder + 1)) > predictorOrder) {
+    maxOrder++;
+  }
+
+  // Sums at the finest partitioning, merged pairwise for the coarser ones
+  let partitions = 1 << maxOrder;
+  let sums = new Float64Array(partitions);
+  let counts = new Uint32Array(partitions);
+  const size = blockSize >> maxOrder;
+  for (let i = 0; i < values.length; i++) {
+    const p = Math.floor((i + predictorOrder) / size);
+    sums[p] += values[i];
+    counts[p]++;
+  }
+
+  let best = null;
+  for (let order = maxOrder; order >= 0; order--) {
+    const costs = Array.from(sums, (sum, p) => riceCost(sum, counts[p]));
+    const bits = costs.reduce((total, cost) => total + 4 + cost.bits, 0);
+    if (!best || bits < best.bits) {
+      best = { order, parameters: costs.map(cost => cost.parameter), bits };
+    }
+
+    partitions >>= 1;
+    const mergedSums = new Float64Array(partitions);
+    const mergedCounts = new Uint32Array(partitions);
+    for (let p = 0; p < partitions; p++) {
+      mergedSums[p] = sums[2 * p] + sums[2 * p + 1];
+      mergedCounts[p] = counts[2 * p] + counts[2 * p + 1];
+    }
+    sums = mergedSums;
+    counts = mergedCounts;
+  }
+  return best;
+}
+
+function writeResidual(writer, values, blockSize, predictorOrder, plan) {
+  writer.write(0, 2);             // 4-bit Rice parameters
+  writer.write(plan.order, 4);
+
+  const size = blockSize >> plan.order;
+  let index = 0;
+  plan.parameters.forEach((k, p) => {
+    writer.write(k, 4);
+    const end = (p + 1) * size - predictorOrder;
+    for (; index < end; index++) {
+      const value = values[index];
+      writer.writeUnary(Math.floor(value / 2 ** k));
+      if (k > 0) writer.write(value % 2 ** k, k);
+    }
+  });
+}
+
+function writeSubframe(writer, block) {
+  const n = block.length;
+
+  if (block.every(sample => sample === block[0])) {
+    writer.write(0b00000000, 8);    // padding bit, CONSTANT, no wasted bits
+    writer.write(block[0], 16);
+    return;
+  }
+
+  let best = { bits: n * 16 };
+  for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, n - 1); order++) {
+    const values = Uint32Array.from(fixedResidual(block, order), zigzag);
+    const plan = planRice(values, n, order);
+    const bits = order * 16 + 6 + plan.bits;
+    if (bits < best.bits) best = { order, values, plan, bits };
+  }
+
+  if (!best.plan) {
+    writer.write(0b00000010, 8);    // VERBATIM
+    block.forEach(sample => writer.write(sample, 16));
+    return;
+  }
+
+  writer.write(0b00010000 | (best.order << 1), 8);   // FIXED, order in the low bits
+  for (let i = 0; i < best.order; i++) {
+    writer.write(block[i], 16);
+  }
+  writeResidual(writer, best.values, n, best.order, best.plan);
+}
+
+function writeFrame(writer, block, frameNumber, sampleRate) {
+  const start = writer.length;
+  const blockSizeCode = block.length === FLAC_BLOCK_SIZE ? 0b1100 : 0b0111;
+
+  writer.write(0xFFF8, 16);       // sync code, fixed block size
+  writer.write(blockSizeCode, 4);
+  writer.write(SAMPLE_RATE_CODES[sampleRate] ?? 0, 4);
+  writer.write(0b0000, 4);        // mono
+  writer.write(0b100, 3);         // 16 bits per sample
+  writer.write(0, 1);
+  writer.writeBytes(utf8Number(frameNumber));
+  if (blockSizeCode === 0b0111) {
+    writer.write(block.length - 1, 16);
+  }
+  writer.write(crc8(writer.bytes.subarray(start, writer.length)), 8);
+
+  writeSubframe(writer, block);
+  writer.align();
+  writer.write(crc16(writer.bytes.subarray(start, writer.length)), 16);
+
+  return writer.length - start;
+}
+
+/**
+ * Encode 16-bit mono PCM as a FLAC file
+ * @param {Int16Array} samples - PCM samples
+ * @param {number} sampleRate - Sample rate
+ * @returns {Uint8Array} File bytes
+ */
+export function encodeFLAC(samples, sampleRate) {
+  const frames = new BitWriter(samples.length + 1024);
+  let minFrameSize = Infinity;
+  let maxFrameSize = 0;
+
+  for (let offset = 0, frame = 0; offset < samples.length; offset += FLAC_BLOCK_SIZE, frame++) {
+    const size = writeFrame(frames, samples.subarray(offset, offset + FLAC_BLOCK_SIZE), frame, sampleRate);
+    minFrameSize = Math.min(minFrameSize, size);
+    maxFrameSize = Math.max(maxFrameSize, size);
+  }
+
+  // The format puts a floor of 16 on the block sizes it declares
+  const blockSize = Math.max(16, Math.min(FLAC_BLOCK_SIZE, samples.length));
+  const header = new BitWriter(42);
+  header.writeBytes([0x66, 0x4C, 0x61, 0x43]);    // "fLaC"
+  header.write(1, 1);                             // last metadata block
+  header.write(0, 7);                             // STREAMINFO
+  header.write(34, 24);
+  header.write(blockSize, 16);
+  header.write(blockSize, 16);
+  header.write(maxFrameSize ? minFrameSize : 0, 24);
+  header.write(maxFrameSize, 24);
+  header.write(sampleRate, 20);
+  header.write(0, 3);                             // channels - 1
+  header.write(15, 5);                            // bits per sample - 1
+  header.write(Math.floor(samples.length / 2 ** 32), 4);
+  header.write(samples.length >>> 0, 32);
+  header.writeBytes(new Uint8Array(16));          // MD5 not computed
+
+  const head = header.toBytes();
+  const body = frames.toBytes();
+  const file = new Uint8Array(head.length + body.length);
+  file.set(head);
+  file.set(body, head.length);
+  return file;
+}
+
+export default encodeFLAC;
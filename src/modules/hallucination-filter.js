@@ -0,0 +1,314 @@
+/**
+ * Hallucination Filter
+ * Screens Whisper output before it is stored. On near-silent or noisy audio
+ * Whisper tends to invent text: closing lines from its training videos
+ * ("Thank you for watching"), a lone "you", the prompt read back, or one
+ * phrase repeated over and over. Each result is checked against
+ *
+ *   - Whisper's own segment metrics (no_speech_prob, avg_logprob,
+ *     compression_ratio) when the response is verbose_json
+ *   - a blocklist of known hallucinations
+ *   - repetition within the text and against the speaker's previous line
+ *   - the loudness of the audio that was sent
+ *
+ * and is kept, flagged as suspect, or dropped. Repeated phrases are
+ * collapsed to one occurrence rather than dropped.
+ */
+
+export const FILTER_ACTIONS = {
+  KEEP: 'keep',
+  FLAG: 'flag',
+  DROP: 'drop'
+};
+
+export const FILTER_REASONS = {
+  EMPTY: 'empty',
+  NO_SPEECH: 'no-speech',
+  LOW_CONFIDENCE: 'low-confidence',
+  COMPRESSION: 'high-compression',
+  BLOCKLIST: 'known-hallucination',
+  PROMPT_ECHO: 'prompt-echo',
+  REPETITION: 'repetition',
+  REPEATED_PREVIOUS: 'repeated-previous',
+  QUIET_AUDIO: 'quiet-audio'
+};
+
+// Never said in a trading room; always dropped
+const ALWAYS_DROP = [
+  /\bamara\.?org\b/,
+  /\b(?:subtitles|captions|transcription|transcript) (?:by|provided by|created by)\b/,
+  /\b(?:please |like and |don't forget to )subscribe\b/,
+  /\bsubscribe to (?:my|our|the) channel\b/
+];
+
+// Plausible speech, but far more often Whisper filling silence
+export const KNOWN_HALLUCINATIONS = [
+  'you',
+  'thank you',
+  'thanks',
+  'thank you very much',
+  'thank you for watching',
+  'thanks for watching',
+  'thank you so much for watching',
+  'see you next time',
+  'see you in the next video',
+  'bye',
+  'bye bye',
+  'so',
+  'okay',
+  'oh',
+  'uh',
+  'um',
+  'hmm',
+  'music',
+  'applause',
+  'silence',
+  'the end'
+];
+
+// Reasons that drop a result on their own
+const DROP_REASONS = new Set([
+  FILTER_REASONS.EMPTY,
+  FILTER_REASONS.NO_SPEECH,
+  FILTER_REASONS.PROMPT_ECHO
+]);
+
+/**
+ * Comparable form of a transcript: lower case, words only
+ * @param {string} text - Transcript text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}'.\s]+/gu, ' ')
+    .replace(/(?<!\w)\.|\.(?!\w)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Loudness of the audio that was transcribed
+ * @param {Float32Array} samples - Samples in [-1, 1]
+ * @returns {Object} { rms, peak }
+ */
+export function measureAudio(samples) {
+  let sum = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.abs(samples[i]);
+    sum += value * value;
+    if (value > peak) peak = value;
+  }
+  return {
+    rms: samples.length > 0 ? Math.sqrt(sum / samples.length) : 0,
+    peak
+  };
+}
+
+/**
+ * Collapse a phrase repeated back to back into a single occurrence
+ * @param {string} text - Transcript text
+ * @param {number} minRepeats - Occurrences in a row that count as a loop
+ * @param {number} maxPhrase - Longest phrase to look for, in words
+ * @param {number} minWords - Words a loop must span, so "no no no" survives
+ * @returns {Object} { text, repeated }
+ */
+export function collapseRepeats(text, minRepeats = 3, maxPhrase = 8, minWords = 6) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const norms = words.map(word => normalizeText(word));
+  const kept = [];
+  let repeated = false;
+  let i = 0;
+
+  while (i < words.length) {
+    let collapsed = false;
+
+    for (let length = 1; length <= maxPhrase && i + length * minRepeats <= words.length; length++) {
+      const same = (a, b) => {
+        for (let k = 0; k < length; k++) {
+          if (norms[a + k] !== norms[b + k]) return false;
+        }
+        return true;
+      };
+
+      let count = 1;
+      while (i + (count + 1) * length <= words.length && same(i, i + count * length)) {
+        count++;
+      }
+
+      if (count >= minRepeats && count * length >= minWords) {
+        kept.push(...words.slice(i + (count - 1) * length, i + count * length));
+        i += count * length;
+        repeated = true;
+        collapsed = true;
+        break;
+      }
+    }
+
+    if (!collapsed) {
+      kept.push(words[i]);
+      i++;
+    }
+  }
+
+  return { text: kept.join(' '), repeated };
+}
+
+/**
+ * Summarise verbose_json segment metrics
+ * @param {Array<Object>} segments - Raw Whisper segments
+ * @param {Object} thresholds - { noSpeechThreshold, logprobThreshold } marking a segment silent
+ * @returns {Object|null} { noSpeechProb, avgLogprob, compressionRatio, silentSegments, segments } or null
+ */
+export function segmentMetrics(segments, thresholds = {}) {
+  const { noSpeechThreshold = 0.6, logprobThreshold = -1 } = thresholds;
+  const scored = (Array.isArray(segments) ? segments : [])
+    .filter(s => s && typeof s.avg_logprob === 'number');
+  if (scored.length === 0) return null;
+
+  // Longer segments count for more
+  const weight = s => Math.max(0.1, (s.end ?? 0) - (s.start ?? 0));
+  const total = scored.reduce((sum, s) => sum + weight(s), 0);
+  const mean = key => scored.reduce((sum, s) => sum + (s[key] ?? 0) * weight(s), 0) / total;
+
+  return {
+    noSpeechProb: mean('no_speech_prob'),
+    avgLogprob: mean('avg_logprob'),
+    compressionRatio: Math.max(...scored.map(s => s.compression_ratio ?? 0)),
+    segments: scored.length,
+    silentSegments: scored.filter(s => (s.no_speech_prob ?? 0) > noSpeechThreshold && s.avg_logprob < logprobThreshold).length
+  };
+}
+
+export class HallucinationFilter {
+  constructor(options = {}) {
+    this.config = {
+      // Whisper's own thresholds for silence and for a failed decode
+      noSpeechThreshold: 0.6,
+      logprobThreshold: -1,
+      compressionThreshold: 2.4,
+      // Audio this quiet rarely holds a word
+      quietRms: 0.004,
+      quietPeak: 0.02,
+      minRepeats: 3,
+      blocklist: KNOWN_HALLUCINATIONS,
+      ...options
+    };
+
+    this.blocklist = new Set(this.config.blocklist.map(normalizeText));
+    this.lastText = new Map();    // streamId -> normalized text of the last line let through
+    this.stats = {
+      kept: 0,
+      flagged: 0,
+      dropped: 0,
+      reasons: {}
+    };
+  }
+
+  /**
+   * Decide what to do with one transcription result
+   * @param {string} streamId - Speaker stream
+   * @param {Object} input - { text, segments (raw verbose_json), samples or their measureAudio() level, prompt, terms }
+   *   terms are vocabulary entries in the prompt; saying one is never an echo
+   * @returns {Object} { action, text, reasons, metrics }
+   */
+  check(streamId, input) {
+    const { segments, samples, prompt, terms = [] } = input;
+    const { config } = this;
+    const reasons = [];
+    let text = String(input.text || '').trim();
+
+    const audio = input.level || (samples && samples.length > 0 ? measureAudio(samples) : null);
+    const whisper = segmentMetrics(segments, config);
+    const metrics = { ...audio, ...whisper };
+    const quiet = !!audio && (audio.rms < config.quietRms || audio.peak < config.quietPeak);
+
+    const normalized = normalizeText(text);
+    if (!normalized) {
+      reasons.push(FILTER_REASONS.EMPTY);
+    }
+
+    if (whisper) {
+      if (whisper.silentSegments === whisper.segments ||
+          (whisper.noSpeechProb > config.noSpeechThreshold && whisper.avgLogprob < config.logprobThreshold)) {
+        reasons.push(FILTER_REASONS.NO_SPEECH);
+      } else if (whisper.avgLogprob < config.logprobThreshold) {
+        reasons.push(FILTER_REASONS.LOW_CONFIDENCE);
+      }
+      if (whisper.compressionRatio > config.compressionThreshold) {
+        reasons.push(FILTER_REASONS.COMPRESSION);
+      }
+    }
+
+    // Credits are dropped however loud the audio
+    const credits = ALWAYS_DROP.some(pattern => pattern.test(normalized));
+    if (credits || this.blocklist.has(normalized)) {
+      reasons.push(FILTER_REASONS.BLOCKLIST);
+    }
+
+    // The prompt read back, whole or in part ("Virtual Trading Floor audio")
+    const promptText = normalizeText(prompt);
+    const isTerm = terms.some(term => normalizeText(term) === normalized);
+    if (normalized && promptText && !isTerm &&
+        (normalized === promptText || (normalized.split(' ').length >= 3 && promptText.includes(normalized)))) {
+      reasons.push(FILTER_REASONS.PROMPT_ECHO);
+    }
+
+    const collapsed = collapseRepeats(text, config.minRepeats);
+    if (collapsed.repeated) {
+      text = collapsed.text;
+      reasons.push(FILTER_REASONS.REPETITION);
+    }
+
+    if (normalized && normalized === this.lastText.get(streamId) && (quiet || whisper?.avgLogprob < config.logprobThreshold)) {
+      reasons.push(FILTER_REASONS.REPEATED_PREVIOUS);
+    }
+
+    if (quiet) {
+      reasons.push(FILTER_REASONS.QUIET_AUDIO);
+    }
+
+    const unique = Array.from(new Set(reasons));
+    let action = FILTER_ACTIONS.KEEP;
+    if (credits ||
+        unique.some(reason => DROP_REASONS.has(reason)) ||
+        (quiet && unique.length > 1) ||
+        (unique.includes(FILTER_REASONS.BLOCKLIST) && unique.length > 1) ||
+        unique.includes(FILTER_REASONS.REPEATED_PREVIOUS)) {
+      action = FILTER_ACTIONS.DROP;
+    } else if (unique.length > 0) {
+      action = FILTER_ACTIONS.FLAG;
+    }
+
+    if (action !== FILTER_ACTIONS.DROP) {
+      this.lastText.set(streamId, normalizeText(text));
+    }
+
+    this.stats[action === FILTER_ACTIONS.KEEP ? 'kept' : action === FILTER_ACTIONS.FLAG ? 'flagged' : 'dropped']++;
+    unique.forEach(reason => {
+      this.stats.reasons[reason] = (this.stats.reasons[reason] || 0) + 1;
+    });
+
+    return { action, text, reasons: unique, metrics };
+  }
+
+  /**
+   * Forget one stream's last line, or all of them
+   * @param {string} streamId - Optional stream
+   */
+  reset(streamId = null) {
+    if (streamId === null) {
+      this.lastText.clear();
+    } else {
+      this.lastText.delete(streamId);
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, reasons: { ...this.stats.reasons } };
+  }
+}
+
+export default HallucinationFilter;
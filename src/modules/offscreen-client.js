@@ -0,0 +1,226 @@
+/**
+ * Offscreen Client
+ * The service worker's side of the offscreen document. Creates the document
+ * when it is first needed (and again if Chrome closed it), streams audio
+ * frames to it over a port, and turns the AudioProcessor's other commands
+ * into runtime messages addressed to it.
+ *
+ * The chrome.offscreen calls and the messaging go through `host`, `send` and
+ * `connect`, so tests can stand a fake document up in the same process.
+ */
+import { OFFSCREEN_AUDIO_PORT, OFFSCREEN_COMMANDS, OFFSCREEN_TARGET } from './audio-processor.js';
+
+/**
+ * chrome.offscreen as the client uses it
+ * @returns {Object} { hasDocument(url), createDocument(options) }
+ */
+export function chromeOffscreenHost() {
+  return {
+    async hasDocument(url) {
+      // getContexts() arrived in Chrome 116; hasDocument() before that
+      if (chrome.runtime.getContexts) {
+        const contexts = await chrome.runtime.getContexts({
+          contextTypes: ['OFFSCREEN_DOCUMENT'],
+          documentUrls: [chrome.runtime.getURL(url)]
+        });
+        return contexts.length > 0;
+      }
+      return chrome.offscreen.hasDocument();
+    },
+    createDocument(options) {
+      return chrome.offscreen.createDocument(options);
+    }
+  };
+}
+
+export class OffscreenClient {
+  constructor(options = {}) {
+    this.config = {
+      url: 'offscreen.html',
+      // None of chrome.offscreen's reasons is "process audio without playing or
+      // capturing it". AUDIO_PLAYBACK would have Chrome close the document after
+      // 30 s without sound, and USER_MEDIA would claim a getUserMedia() call it
+      // never makes. What the document hands back is an encoded audio file, so
+      // BLOBS is the nearest honest fit; the justification says the rest.
+      reasons: ['BLOBS'],
+      justification: 'Splits captured audio into utterances and encodes each into an audio file for transcription',
+      host: null,
+      send: (message) => chrome.runtime.sendMessage(message),
+      connect: (name) => chrome.runtime.connect({ name }),
+      ...options
+    };
+
+    this.host = this.config.host || chromeOffscreenHost();
+    this.creating = null;
+    // Known to be up, so frames don't each wait on a lookup (and stay in order)
+    this.ready = false;
+    // Settings given to every document this client finds or creates
+    this.settings = null;
+    // Audio port to the document, and the frames on it still waiting for an answer
+    this.port = null;
+    this.frameId = 0;
+
+    this.stats = {
+      created: 0,
+      requests: 0,
+      retries: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Make sure the document exists; concurrent callers share one creation
+   */
+  async ensureDocument() {
+    if (this.ready) return;
+    if (this.creating) return this.creating;
+
+    this.creating = (async () => {
+      if (!await this.host.hasDocument(this.config.url)) {
+        try {
+          await this.host.createDocument({
+            url: this.config.url,
+            reasons: this.config.reasons,
+            justification: this.config.justification
+          });
+          this.stats.created++;
+        } catch (error) {
+          // Another context got there first
+          if (!/single offscreen document/i.test(error.message)) throw error;
+        }
+      }
+      if (this.settings) {
+        await this.config.send({ target: OFFSCREEN_TARGET, command: OFFSCREEN_COMMANDS.CONFIGURE, settings: this.settings });
+      }
+    })();
+
+    try {
+      await this.creating;
+      this.ready = true;
+    } finally {
+      this.creating = null;
+    }
+  }
+
+  /**
+   * Send one command
+   * @param {string} command - One of OFFSCREEN_COMMANDS
+   * @param {Object} args - Command arguments
+   * @returns {Promise<Object>} The document's answer
+   */
+  request(command, args = {}) {
+    const message = { target: OFFSCREEN_TARGET, command, ...args };
+    return this.deliver(() => this.config.send(message).catch(() => undefined));
+  }
+
+  /**
+   * Send one frame over the audio port
+   * @param {Object} frame - A port message from encodeAudioFrame(), or { streamId, chunk, timestamp, sampleRate }
+   * @returns {Promise<Object>} { received, buffer } or { dropped } or { error }
+   */
+  push(frame) {
+    return this.deliver(() => this.sendFrame(frame));
+  }
+
+  /**
+   * Send something to the document, creating it first if need be
+   * @param {Function} send - () => Promise of the answer, or of undefined if nobody answered
+   * @returns {Promise<Object>} The document's answer
+   */
+  async deliver(send) {
+    this.stats.requests++;
+
+    // No answer means nobody was listening: the document was closed or is still loading
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await this.ensureDocument();
+      const response = await send();
+      if (response !== undefined) {
+        if (response?.error) this.stats.errors++;
+        return response;
+      }
+      this.ready = false;
+      this.stats.retries++;
+    }
+
+    this.stats.errors++;
+    throw new Error('Offscreen document is not responding');
+  }
+
+  flush(streamId) {
+    return this.request(OFFSCREEN_COMMANDS.FLUSH, { streamId });
+  }
+
+  flushAll() {
+    return this.request(OFFSCREEN_COMMANDS.FLUSH_ALL);
+  }
+
+  remove(streamId) {
+    return this.request(OFFSCREEN_COMMANDS.REMOVE, { streamId });
+  }
+
+  reset(streamId = null) {
+    return this.request(OFFSCREEN_COMMANDS.RESET, { streamId });
+  }
+
+  resetTransport() {
+    return this.request(OFFSCREEN_COMMANDS.RESET_TRANSPORT);
+  }
+
+  /**
+   * Change settings; a document not up yet gets them when it is
+   * @param {Object} settings - { segmenter: SpeechSegmenter options, formats: upload formats by preference }
+   */
+  async configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    return this.ready ? this.request(OFFSCREEN_COMMANDS.CONFIGURE, { settings }) : { configured: false };
+  }
+
+  getStatus() {
+    return this.request(OFFSCREEN_COMMANDS.STATUS);
+  }
+
+  /**
+   * @returns {Promise<Object|undefined>} The document's answer, or undefined if the port closed first
+   */
+  sendFrame(frame) {
+    return new Promise(resolve => {
+      try {
+        const { port, pending } = this.getPort();
+        const id = ++this.frameId;
+        pending.set(id, resolve);
+        port.postMessage({ id, frame });
+      } catch (error) {
+        this.port = null;
+        resolve(undefined);
+      }
+    });
+  }
+
+  getPort() {
+    if (!this.port) {
+      const port = this.config.connect(OFFSCREEN_AUDIO_PORT);
+      const pending = new Map();
+      port.onMessage.addListener(({ id, response }) => {
+        pending.get(id)?.(response);
+        pending.delete(id);
+      });
+      // The document closed, or wasn't listening yet; deliver() sends these frames again
+      port.onDisconnect.addListener(() => {
+        void globalThis.chrome?.runtime?.lastError;
+        if (this.port?.port === port) {
+          this.port = null;
+        }
+        pending.forEach(resolve => resolve(undefined));
+        pending.clear();
+      });
+      this.port = { port, pending };
+    }
+    return this.port;
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default OffscreenClient;
@@ -0,0 +1,193 @@
+/**
+ * Prompt Builder
+ * Builds the Whisper prompt for each request from the trading vocabulary
+ * (tickers, jargon and per-speaker phrases kept on the options page) and the
+ * speaker's most recent lines.
+ *
+ * Whisper reads the prompt as text that came just before the audio, so a
+ * glossary of spellings steers it towards "VWAP" and "the Qs", and the tail
+ * of what the speaker last said carries the thread of the conversation.
+ * Whisper only looks at the last 224 tokens of a prompt, so the prompt is
+ * kept within a character budget: the header always fits, speaker phrases
+ * come before jargon and tickers, and context is cut from the front.
+ */
+
+export const DEFAULT_VOCABULARY = {
+  tickers: ['SPY', 'QQQ', 'IWM', 'DIA', 'VIX', 'NVDA', 'TSLA', 'AAPL', 'AMD', 'META', 'MSFT', 'AMZN', 'GOOGL'],
+  jargon: [
+    'VWAP', 'the Qs', 'spoos', 'ES', 'NQ', 'calls', 'puts', 'strike', 'premarket', 'after hours',
+    'bid', 'ask', 'scalp', 'swing', 'trim', 'stop loss', 'break even', 'short squeeze', 'gap fill'
+  ],
+  speakers: {}
+};
+
+/**
+ * Split a comma- or newline-separated list into unique terms
+ * @param {string|Array<string>} value - Terms
+ * @returns {Array<string>} Trimmed terms, first spelling of each kept
+ */
+export function parseTermList(value) {
+  const terms = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  const seen = new Set();
+  const result = [];
+
+  for (const term of terms) {
+    const trimmed = String(term).replace(/\s+/g, ' ').trim();
+    const key = trimmed.toLowerCase();
+    if (trimmed && !seen.has(key)) {
+      seen.add(key);
+      result.push(trimmed);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse per-speaker phrases written one speaker per line: "DP: spoos, the Qs"
+ * @param {string|Object} value - Lines, or an object already keyed by speaker
+ * @returns {Object} { speakerName: [phrases] }
+ */
+export function parseSpeakerPhrases(value) {
+  const speakers = {};
+
+  if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([speaker, phrases]) => {
+      const list = parseTermList(phrases);
+      if (speaker.trim() && list.length > 0) speakers[speaker.trim()] = list;
+    });
+    return speakers;
+  }
+
+  for (const line of String(value || '').split('\n')) {
+    const split = line.indexOf(':');
+    if (split === -1) continue;
+
+    const speaker = line.slice(0, split).trim();
+    const phrases = parseTermList(line.slice(split + 1).split(','));
+    if (speaker && phrases.length > 0) {
+      speakers[speaker] = parseTermList([...(speakers[speaker] || []), ...phrases]);
+    }
+  }
+  return speakers;
+}
+
+/**
+ * Clean up a stored or submitted vocabulary
+ * @param {Object} vocabulary - { tickers, jargon, speakers } as lists or text
+ * @returns {Object} { tickers: [], jargon: [], speakers: {} }
+ */
+export function normalizeVocabulary(vocabulary = {}) {
+  return {
+    tickers: parseTermList(vocabulary.tickers).map(ticker => ticker.toUpperCase()),
+    jargon: parseTermList(vocabulary.jargon),
+    speakers: parseSpeakerPhrases(vocabulary.speakers)
+  };
+}
+
+export class PromptBuilder {
+  constructor(options = {}) {
+    this.config = {
+      // Roughly Whisper's 224 prompt tokens
+      maxChars: 800,
+      // Share of the budget the speaker's recent lines may take
+      maxContextChars: 300,
+      contextLines: 3,
+      ...options
+    };
+
+    this.vocabulary = normalizeVocabulary(DEFAULT_VOCABULARY);
+    this.context = new Map();    // streamId -> recent lines, oldest first
+  }
+
+  /**
+   * Replace the vocabulary
+   * @param {Object} vocabulary - { tickers, jargon, speakers }
+   * @returns {Object} The normalized vocabulary
+   */
+  setVocabulary(vocabulary) {
+    this.vocabulary = normalizeVocabulary(vocabulary);
+    return this.getVocabulary();
+  }
+
+  getVocabulary() {
+    return {
+      tickers: this.vocabulary.tickers.slice(),
+      jargon: this.vocabulary.jargon.slice(),
+      speakers: Object.fromEntries(Object.entries(this.vocabulary.speakers).map(([k, v]) => [k, v.slice()]))
+    };
+  }
+
+  /**
+   * Remember a line the speaker said, for the next prompt
+   * @param {string} streamId - Speaker stream
+   * @param {string} text - Transcript text
+   */
+  addContext(streamId, text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return;
+
+    const lines = this.context.get(streamId) || [];
+    lines.push(trimmed);
+    if (lines.length > this.config.contextLines) {
+      lines.splice(0, lines.length - this.config.contextLines);
+    }
+    this.context.set(streamId, lines);
+  }
+
+  /**
+   * Forget one stream's context, or all of it
+   * @param {string} streamId - Optional stream
+   */
+  reset(streamId = null) {
+    if (streamId === null) {
+      this.context.clear();
+    } else {
+      this.context.delete(streamId);
+    }
+  }
+
+  /**
+   * Build the prompt for one request
+   * @param {string} streamId - Speaker stream, for context
+   * @param {string} speaker - Speaker name, for the header and their phrases
+   * @returns {Object} { prompt, fixed, terms } - fixed is the prompt without the speaker's own words, terms the vocabulary in it
+   */
+  build(streamId, speaker) {
+    const { maxChars, maxContextChars } = this.config;
+    const header = `Speaker: ${speaker}. Virtual Trading Floor audio.`;
+
+    // Most recent words last, cut at a word boundary from the front
+    let context = (this.context.get(streamId) || []).join(' ');
+    const contextBudget = Math.min(maxContextChars, Math.max(0, maxChars - header.length - 1));
+    if (context.length > contextBudget) {
+      const cut = context.slice(context.length - contextBudget);
+      const space = cut.indexOf(' ');
+      context = space === -1 ? '' : cut.slice(space + 1);
+    }
+
+    // Vocabulary fills what is left, most specific terms first
+    const terms = parseTermList([
+      ...(this.vocabulary.speakers[speaker] || []),
+      ...this.vocabulary.jargon,
+      ...this.vocabulary.tickers
+    ]);
+    const vocabularyBudget = maxChars - header.length - (context ? context.length + 1 : 0) - 1;
+    let glossary = '';
+    const used = [];
+    for (const term of terms) {
+      const next = glossary ? `${glossary}, ${term}` : `Terms: ${term}`;
+      if (next.length + 1 > vocabularyBudget) break;
+      glossary = next;
+      used.push(term);
+    }
+
+    const fixed = glossary ? `${header} ${glossary}.` : header;
+    return {
+      prompt: context ? `${fixed} ${context}` : fixed,
+      fixed,
+      terms: used
+    };
+  }
+}
+
+export default PromptBuilder;
@@ -0,0 +1,308 @@
+/**
+ * Rate Limiter
+ * Token buckets for transcription requests, kept per provider, endpoint and
+ * key so every tab's audio draws on the same budget, and switching providers
+ * doesn't hand out a fresh one. Each key has a request bucket (requests per
+ * minute) and, where the provider meters audio, an audio bucket (minutes of
+ * audio per hour).
+ *
+ * Callers wait in one list instead of sleeping on their own. Whenever tokens
+ * come free the waiter with the best score goes: speaker priority, plus a
+ * level for every agingInterval it has waited so nobody starves. A 429 holds
+ * the key back for as long as its Retry-After says.
+ */
+
+/**
+ * Short non-reversible tag for an API key, so keys can be told apart without storing them
+ * @param {string} text - Key
+ * @returns {string} 8 hex digits (FNV-1a)
+ */
+export function fingerprint(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * The bucket a provider's requests count against
+ * @param {Object} config - { type, endpoint, apiKey }
+ * @returns {string} Bucket key
+ */
+export function bucketKey({ type, endpoint, apiKey } = {}) {
+  return `${type || 'unknown'}|${endpoint || ''}|${apiKey ? fingerprint(apiKey) : 'no-key'}`;
+}
+
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond, tokens = capacity, updatedAt = Date.now() }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = Math.min(tokens, capacity);
+    this.updatedAt = updatedAt;
+  }
+
+  refill(now) {
+    if (now > this.updatedAt) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+      this.updatedAt = now;
+    }
+  }
+
+  /**
+   * Milliseconds until `amount` tokens are there; more than the bucket holds waits for a full one
+   */
+  timeUntil(amount, now) {
+    this.refill(now);
+    const needed = Math.min(amount, this.capacity);
+    return this.tokens >= needed ? 0 : Math.ceil((needed - this.tokens) / this.refillPerSecond * 1000);
+  }
+
+  take(amount, now) {
+    this.refill(now);
+    this.tokens -= Math.min(amount, this.capacity);
+  }
+
+  drain(now) {
+    this.refill(now);
+    this.tokens = Math.min(this.tokens, 0);
+  }
+
+  snapshot() {
+    return { tokens: this.tokens, updatedAt: this.updatedAt };
+  }
+}
+
+export class RateLimiter {
+  constructor(options = {}) {
+    this.config = {
+      // How many seconds' worth of requests may go out back to back
+      burstSeconds: 10,
+      // Waiting this long counts as much as one level of speaker priority
+      agingInterval: 30000,
+      // Hold-off after a 429 that didn't say how long
+      defaultRetryAfter: 20000,
+      maxRetryAfter: 300000,
+      now: () => Date.now(),
+      ...options
+    };
+
+    // key -> { label, limits, requests: TokenBucket|null, audio: TokenBucket|null, blockedUntil }
+    this.buckets = new Map();
+    // { key, priority, audioSeconds, enqueuedAt, resolve, reject }
+    this.waiting = [];
+    this.timer = null;
+
+    this.stats = {
+      granted: 0,
+      delayed: 0,
+      totalWait: 0,
+      rateLimited: 0
+    };
+  }
+
+  /**
+   * Set or change a key's limits; tokens already there are kept
+   * @param {string} key - Bucket key (see bucketKey())
+   * @param {Object} limits - { requestsPerMinute, audioMinutesPerHour }; empty means unlimited
+   * @param {string} label - Name for status displays; keeps the one it has if left out
+   */
+  setLimits(key, limits = {}, label) {
+    const now = this.config.now();
+    const bucket = this.buckets.get(key) || { requests: null, audio: null, blockedUntil: 0 };
+    const { requestsPerMinute, audioMinutesPerHour } = limits;
+
+    bucket.label = label || bucket.label || key;
+    bucket.limits = { requestsPerMinute: requestsPerMinute || null, audioMinutesPerHour: audioMinutesPerHour || null };
+    bucket.requests = requestsPerMinute > 0
+      ? this.resize(bucket.requests, Math.max(1, Math.round(requestsPerMinute * this.config.burstSeconds / 60)), requestsPerMinute / 60, now)
+      : null;
+    // Audio in seconds; the hour's allowance can be used in one go, as providers meter it
+    bucket.audio = audioMinutesPerHour > 0
+      ? this.resize(bucket.audio, audioMinutesPerHour * 60, audioMinutesPerHour / 60, now)
+      : null;
+
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  resize(bucket, capacity, refillPerSecond, now) {
+    if (!bucket) return new TokenBucket({ capacity, refillPerSecond, updatedAt: now });
+    bucket.refill(now);
+    bucket.capacity = capacity;
+    bucket.refillPerSecond = refillPerSecond;
+    bucket.tokens = Math.min(bucket.tokens, capacity);
+    return bucket;
+  }
+
+  /**
+   * Wait for a turn to call the API
+   * @param {Object} request - { key, limits, label, priority, audioSeconds }
+   * @returns {Promise<Object>} { waited (ms) }, once the request may go
+   */
+  acquire({ key, limits, label, priority = 0, audioSeconds = 0 }) {
+    if (limits) this.setLimits(key, limits, label);
+    else if (!this.buckets.has(key)) this.setLimits(key, {}, label);
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ key, priority, audioSeconds, enqueuedAt: this.config.now(), resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hold a key back after the API said to slow down
+   * @param {string} key - Bucket key
+   * @param {number|null} retryAfter - Milliseconds from Retry-After, if the response had one
+   */
+  defer(key, retryAfter = null) {
+    const now = this.config.now();
+    const bucket = this.buckets.get(key) || this.setLimits(key);
+    const delay = Math.min(retryAfter ?? this.config.defaultRetryAfter, this.config.maxRetryAfter);
+
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, now + delay);
+    // Whatever was left of the budget evidently wasn't there
+    bucket.requests?.drain(now);
+    this.stats.rateLimited++;
+    console.warn(`[Rate Limiter] ${bucket.label} rate limited, holding requests for ${Math.round(delay / 1000)}s`);
+
+    this.dispatch();
+  }
+
+  score(waiter, now) {
+    return waiter.priority + (now - waiter.enqueuedAt) / this.config.agingInterval;
+  }
+
+  // Milliseconds before a waiter's key can serve it
+  timeUntil(waiter, now) {
+    const bucket = this.buckets.get(waiter.key);
+    return Math.max(
+      bucket.blockedUntil - now,
+      bucket.requests ? bucket.requests.timeUntil(1, now) : 0,
+      bucket.audio ? bucket.audio.timeUntil(waiter.audioSeconds, now) : 0,
+      0
+    );
+  }
+
+  /**
+   * Let through everyone who can go now, best score first; a waiter held up
+   * on its key holds up the lower scores on that key too
+   */
+  dispatch() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = this.config.now();
+    const order = this.waiting
+      .map(waiter => ({ waiter, score: this.score(waiter, now) }))
+      .sort((a, b) => b.score - a.score || a.waiter.enqueuedAt - b.waiter.enqueuedAt);
+
+    const blocked = new Map();    // key -> ms
+    order.forEach(({ waiter }) => {
+      if (blocked.has(waiter.key)) return;
+
+      const wait = this.timeUntil(waiter, now);
+      if (wait > 0) {
+        blocked.set(waiter.key, wait);
+        return;
+      }
+
+      const bucket = this.buckets.get(waiter.key);
+      bucket.requests?.take(1, now);
+      bucket.audio?.take(waiter.audioSeconds, now);
+      this.waiting.splice(this.waiting.indexOf(waiter), 1);
+
+      const waited = now - waiter.enqueuedAt;
+      this.stats.granted++;
+      this.stats.totalWait += waited;
+      if (waited > 0) this.stats.delayed++;
+      waiter.resolve({ waited });
+    });
+
+    if (blocked.size > 0) {
+      this.timer = setTimeout(() => this.dispatch(), Math.min(...blocked.values()));
+    }
+  }
+
+  /**
+   * What the popup shows
+   * @returns {Object} { buckets: [...], queued, nextIn, waiting: [...], stats }
+   */
+  getState() {
+    const now = this.config.now();
+    const buckets = Array.from(this.buckets, ([key, bucket]) => {
+      bucket.requests?.refill(now);
+      bucket.audio?.refill(now);
+      return {
+        key,
+        label: bucket.label,
+        limits: { ...bucket.limits },
+        requests: bucket.requests && {
+          tokens: Math.max(0, Math.floor(bucket.requests.tokens)),
+          capacity: bucket.requests.capacity
+        },
+        audio: bucket.audio && {
+          seconds: Math.max(0, Math.floor(bucket.audio.tokens)),
+          capacity: bucket.audio.capacity
+        },
+        retryIn: Math.max(0, bucket.blockedUntil - now)
+      };
+    });
+
+    const waits = this.waiting.map(waiter => this.timeUntil(waiter, now));
+    return {
+      buckets,
+      queued: this.waiting.length,
+      nextIn: waits.length > 0 ? Math.min(...waits) : 0,
+      waiting: this.waiting
+        .map(waiter => ({ label: this.buckets.get(waiter.key).label, priority: waiter.priority, waited: now - waiter.enqueuedAt }))
+        .sort((a, b) => b.waited - a.waited),
+      stats: {
+        ...this.stats,
+        averageWait: this.stats.granted > 0 ? Math.round(this.stats.totalWait / this.stats.granted) : 0
+      }
+    };
+  }
+
+  /**
+   * Bucket levels and hold-offs, for the next service worker
+   * @returns {Object} JSON-safe state
+   */
+  snapshot() {
+    const buckets = {};
+    this.buckets.forEach((bucket, key) => {
+      buckets[key] = {
+        label: bucket.label,
+        limits: bucket.limits,
+        requests: bucket.requests?.snapshot() || null,
+        audio: bucket.audio?.snapshot() || null,
+        blockedUntil: bucket.blockedUntil
+      };
+    });
+    return { buckets };
+  }
+
+  restore(snapshot) {
+    Object.entries(snapshot?.buckets || {}).forEach(([key, saved]) => {
+      const bucket = this.setLimits(key, saved.limits || {}, saved.label);
+      if (bucket.requests && saved.requests) Object.assign(bucket.requests, saved.requests);
+      if (bucket.audio && saved.audio) Object.assign(bucket.audio, saved.audio);
+      bucket.requests?.refill(this.config.now());
+      bucket.audio?.refill(this.config.now());
+      bucket.blockedUntil = saved.blockedUntil || 0;
+    });
+    this.dispatch();
+  }
+
+  /**
+   * Stop, turning away everyone still waiting
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(new Error('Rate limiter stopped')));
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,182 @@
+/**
+ * Resampler
+ * Streaming sample rate conversion with a polyphase windowed-sinc filter, for
+ * pages whose AudioContext won't run at the 16 kHz everything downstream
+ * expects (44.1 and 48 kHz hardware mostly).
+ *
+ * The rate ratio is reduced to L/M: output sample n sits at input time nM/L,
+ * and each of the L phases has its own Kaiser-windowed sinc taps. When
+ * downsampling the filter cutoff moves down with the output Nyquist, which
+ * keeps what is above it from folding back in as aliases.
+ */
+
+// Past this many phases (awkward ratios such as 44056 -> 16000) the nearest of this many is used
+const MAX_PHASES = 1024;
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Zeroth-order modified Bessel function, for the Kaiser window
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+function sinc(x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+export class Resampler {
+  constructor(options = {}) {
+    this.config = {
+      inputRate: 48000,
+      outputRate: 16000,
+      // Sinc zero crossings each side of the centre, at the narrower of the two rates
+      zeroCrossings: 32,
+      // Cutoff as a fraction of the lower Nyquist; the transition band sits around it
+      rolloff: 0.9,
+      // About 85 dB of stopband attenuation
+      kaiserBeta: 8.6,
+      ...options
+    };
+
+    const { inputRate, outputRate } = this.config;
+    if (!(inputRate > 0) || !(outputRate > 0)) {
+      throw new Error(`Invalid sample rates: ${inputRate} -> ${outputRate}`);
+    }
+
+    const divisor = gcd(Math.round(inputRate), Math.round(outputRate));
+    this.up = Math.round(outputRate) / divisor;      // L
+    this.down = Math.round(inputRate) / divisor;     // M
+    this.phases = Math.min(this.up, MAX_PHASES);
+
+    this.buildFilter();
+    this.reset();
+  }
+
+  buildFilter() {
+    const { zeroCrossings, rolloff, kaiserBeta } = this.config;
+    // Cutoff in cycles per input sample (0.5 is the input Nyquist)
+    const scale = Math.min(1, this.up / this.down);
+    const cutoff = 0.5 * scale * rolloff;
+
+    this.halfLength = Math.ceil(zeroCrossings / scale);
+    this.length = this.halfLength * 2;
+    this.taps = new Float32Array(this.phases * this.length);
+
+    const windowNorm = besselI0(kaiserBeta);
+    for (let phase = 0; phase < this.phases; phase++) {
+      const fraction = phase / this.phases;
+      const row = phase * this.length;
+      let sum = 0;
+      for (let j = 0; j < this.length; j++) {
+        // Distance from the output instant to input sample (i - halfLength + 1 + j)
+        const distance = j - this.halfLength + 1 - fraction;
+        const r = distance / this.halfLength;
+        const window = Math.abs(r) >= 1 ? 0 : besselI0(kaiserBeta * Math.sqrt(1 - r * r)) / windowNorm;
+        const tap = 2 * cutoff * sinc(2 * cutoff * distance) * window;
+        this.taps[row + j] = tap;
+        sum += tap;
+      }
+      // Unity gain at DC for every phase
+      for (let j = 0; j < this.length; j++) {
+        this.taps[row + j] /= sum;
+      }
+    }
+  }
+
+  /**
+   * Forget the stream so far
+   */
+  reset() {
+    // Silence before the first sample stands in for the history it doesn't have
+    this.pending = new Float32Array(this.halfLength - 1);
+    // Next output's input time, in 1/L input samples from pending[0]
+    this.position = (this.halfLength - 1) * this.up;
+    this.samplesIn = 0;
+    this.samplesOut = 0;
+  }
+
+  /**
+   * Convert the next piece of a stream. Output trails the input by the
+   * filter's half length (under 2 ms at 48 kHz); flush() gives the rest.
+   * @param {Float32Array} input - Samples at inputRate
+   * @returns {Float32Array} Samples at outputRate
+   */
+  process(input) {
+    this.samplesIn += input.length;
+    return this.run(input, Infinity);
+  }
+
+  /**
+   * The output still held back by the filter, at the end of a stream
+   * @returns {Float32Array} Remaining samples
+   */
+  flush() {
+    const expected = Math.ceil(this.samplesIn * this.up / this.down);
+    const output = this.run(new Float32Array(this.halfLength), expected - this.samplesOut);
+    this.reset();
+    return output;
+  }
+
+  run(input, limit) {
+    const data = new Float32Array(this.pending.length + input.length);
+    data.set(this.pending);
+    data.set(input, this.pending.length);
+
+    const { up, down, phases, length, halfLength, taps } = this;
+    const capacity = Math.max(0, Math.ceil(((data.length - halfLength) * up - this.position) / down));
+    const output = new Float32Array(Math.min(capacity, limit));
+
+    for (let n = 0; n < output.length; n++) {
+      const index = Math.floor(this.position / up);
+      const phase = phases === up
+        ? this.position - index * up
+        : Math.floor((this.position - index * up) * phases / up);
+      const row = phase * length;
+      const start = index - halfLength + 1;
+
+      let sum = 0;
+      for (let j = 0; j < length; j++) {
+        sum += data[start + j] * taps[row + j];
+      }
+      output[n] = sum;
+      this.position += down;
+    }
+    this.samplesOut += output.length;
+
+    // Keep only the history the next output needs
+    const keepFrom = Math.min(data.length, Math.max(0, Math.floor(this.position / up) - halfLength + 1));
+    this.pending = data.slice(keepFrom);
+    this.position -= keepFrom * up;
+    return output;
+  }
+
+  /**
+   * Convert a whole clip in one go
+   * @param {Float32Array} samples - Samples at inputRate
+   * @param {number} inputRate - Input sample rate
+   * @param {number} outputRate - Output sample rate
+   * @param {Object} options - Resampler options
+   * @returns {Float32Array} Samples at outputRate
+   */
+  static resample(samples, inputRate, outputRate, options = {}) {
+    if (inputRate === outputRate) return samples;
+    const resampler = new Resampler({ ...options, inputRate, outputRate });
+    const head = resampler.process(samples);
+    const tail = resampler.flush();
+    const output = new Float32Array(head.length + tail.length);
+    output.set(head);
+    output.set(tail, head.length);
+    return output;
+  }
+}
+
+export default Resampler;
@@ -0,0 +1,262 @@
+/**
+ * Session Manager
+ * Groups transcripts into trading-room sessions. A session opens when capture
+ * starts in a VTF tab and closes when capture stops or the tab goes away;
+ * every transcript is linked to the session that was running when it was
+ * spoken, so late or replayed audio still lands in the right place.
+ */
+
+export const SESSION_END_REASONS = {
+  STOPPED: 'stopped',
+  TAB_CLOSED: 'tab-closed',
+  RESTARTED: 'restarted',
+  INTERRUPTED: 'interrupted'
+};
+
+export class SessionManager {
+  constructor(store) {
+    this.store = store;               // TranscriptStore
+    this.current = null;
+
+    // Serializes record updates so concurrent transcripts don't overwrite each other's stats
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Create a session record
+   * @param {Object} details - { roomName, tabId, url, startTime }
+   * @returns {Object} Session
+   */
+  static createSession(details = {}) {
+    const startTime = details.startTime || Date.now();
+    return {
+      id: `session:${startTime}:${Math.random().toString(36).substr(2, 6)}`,
+      roomName: details.roomName || null,
+      tabId: details.tabId ?? null,
+      url: details.url || null,
+      startTime,
+      endTime: null,
+      endReason: null,
+      lastActivity: startTime,
+      participants: {},
+      stats: {
+        utterances: 0,
+        speechDuration: 0,
+        words: 0
+      }
+    };
+  }
+
+  /**
+   * Display name for a session
+   * @param {Object} session - Session
+   * @returns {string} Room name, or the start time when the room is unknown
+   */
+  static getName(session) {
+    if (!session) return '';
+    return session.roomName || `Session ${new Date(session.startTime).toLocaleString()}`;
+  }
+
+  /**
+   * Pick up after a service worker restart. The newest open session becomes
+   * current again if its tab is still around; any others were left open by a
+   * worker that died and are closed at their last activity.
+   * @param {Function} isTabAlive - async (tabId) => boolean
+   * @returns {Promise<Object|null>} Resumed session
+   */
+  async restore(isTabAlive = async () => true) {
+    return this.enqueue(async () => {
+      const open = (await this.store.listSessions({ limit: 20 })).filter(s => !s.endTime);
+
+      for (const [i, session] of open.entries()) {
+        if (session.id === this.current?.id) continue;
+
+        if (i === 0 && !this.current && session.tabId !== null && await isTabAlive(session.tabId)) {
+          this.current = session;
+          console.log(`[Session Manager] Resumed ${SessionManager.getName(session)}`);
+          continue;
+        }
+        await this.close(session, SESSION_END_REASONS.INTERRUPTED, session.lastActivity);
+      }
+
+      return this.current;
+    });
+  }
+
+  /**
+   * Open a session, closing whatever was current
+   * @param {Object} details - { roomName, tabId, url }
+   * @returns {Promise<Object>} New session
+   */
+  async start(details = {}) {
+    return this.enqueue(async () => {
+      if (this.current) {
+        await this.close(this.current, SESSION_END_REASONS.RESTARTED);
+      }
+
+      this.current = SessionManager.createSession(details);
+      await this.store.putSession(this.current);
+
+      console.log(`[Session Manager] Started ${SessionManager.getName(this.current)}`);
+      return this.current;
+    });
+  }
+
+  /**
+   * Close the current session
+   * @param {string} reason - One of SESSION_END_REASONS
+   * @returns {Promise<Object|null>} Closed session
+   */
+  async end(reason = SESSION_END_REASONS.STOPPED) {
+    return this.enqueue(async () => {
+      const session = this.current;
+      if (!session) return null;
+
+      this.current = null;
+      await this.close(session, reason);
+      return session;
+    });
+  }
+
+  /**
+   * Close the current session if it belongs to a tab
+   * @param {number} tabId - Tab id
+   * @param {string} reason - One of SESSION_END_REASONS
+   * @returns {Promise<Object|null>} Closed session
+   */
+  async endForTab(tabId, reason = SESSION_END_REASONS.TAB_CLOSED) {
+    if (!this.current || this.current.tabId !== tabId) return null;
+    return this.end(reason);
+  }
+
+  /**
+   * Fill in details learned after the session started (room name usually)
+   * @param {Object} details - { roomName, url }
+   * @param {number} tabId - Only update if the current session is for this tab
+   * @returns {Promise<Object|null>} Updated session
+   */
+  async update(details, tabId = null) {
+    return this.enqueue(async () => {
+      const session = this.current;
+      if (!session || (tabId !== null && session.tabId !== tabId)) return null;
+
+      if (details.roomName) session.roomName = details.roomName;
+      if (details.url) session.url = details.url;
+      await this.store.putSession(session);
+      return session;
+    });
+  }
+
+  /**
+   * Link a transcript to its session and count it in the session's stats
+   * @param {Object} transcription - { userId, speaker, text, timestamp, duration }
+   * @returns {Promise<Object>} { sessionId, sessionName } or {} outside any session
+   */
+  async recordTranscript(transcription) {
+    return this.enqueue(async () => {
+      const session = await this.findSession(transcription.timestamp);
+      if (!session) return {};
+
+      const { userId = 'unknown', speaker, text = '', timestamp, duration = 0 } = transcription;
+      const words = text.split(/\s+/).filter(Boolean).length;
+
+      const participant = session.participants[userId] || {
+        speaker: speaker || userId,
+        utterances: 0,
+        speechDuration: 0,
+        firstSeen: timestamp,
+        lastSeen: timestamp
+      };
+      participant.speaker = speaker || participant.speaker;
+      participant.utterances++;
+      participant.speechDuration += duration;
+      participant.firstSeen = Math.min(participant.firstSeen, timestamp);
+      participant.lastSeen = Math.max(participant.lastSeen, timestamp);
+      session.participants[userId] = participant;
+
+      session.stats.utterances++;
+      session.stats.speechDuration += duration;
+      session.stats.words += words;
+      session.lastActivity = Math.max(session.lastActivity, timestamp + duration * 1000);
+
+      await this.store.putSession(session);
+
+      return { sessionId: session.id, sessionName: SessionManager.getName(session) };
+    });
+  }
+
+  /**
+   * Session running at a given time, preferring the in-memory current one
+   * @param {number} timestamp - Epoch ms
+   * @returns {Promise<Object|null>} Session
+   */
+  async findSession(timestamp) {
+    if (this.current && timestamp >= this.current.startTime) {
+      return this.current;
+    }
+    return this.store.findSessionAt(timestamp);
+  }
+
+  /**
+   * Sessions for pickers, newest first, with the current one flagged
+   * @param {Object} options - { limit, before }
+   * @returns {Promise<Array<Object>>} Session summaries
+   */
+  async list(options = {}) {
+    const sessions = await this.store.listSessions(options);
+    return sessions.map(session => this.summarize(session));
+  }
+
+  /**
+   * Compact view of a session for the UI
+   * @param {Object} session - Session
+   * @returns {Object} Summary
+   */
+  summarize(session) {
+    if (!session) return null;
+    return {
+      id: session.id,
+      name: SessionManager.getName(session),
+      roomName: session.roomName,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      endReason: session.endReason,
+      current: this.current?.id === session.id,
+      participants: Object.entries(session.participants).map(([userId, p]) => ({ userId, ...p })),
+      stats: { ...session.stats }
+    };
+  }
+
+  /**
+   * @returns {Object|null} Summary of the current session
+   */
+  getCurrent() {
+    return this.summarize(this.current);
+  }
+
+  /**
+   * Mark a session closed and persist it
+   * @param {Object} session - Session
+   * @param {string} reason - One of SESSION_END_REASONS
+   * @param {number} endTime - Defaults to now
+   */
+  async close(session, reason, endTime = Date.now()) {
+    session.endTime = Math.max(endTime, session.startTime);
+    session.endReason = reason;
+    await this.store.putSession(session);
+    console.log(`[Session Manager] Ended ${SessionManager.getName(session)} (${reason})`);
+  }
+
+  /**
+   * Run updates one at a time
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+export default SessionManager;
@@ -0,0 +1,249 @@
+/**
+ * Speaker Registry
+ * The one place stream ids are turned into display names. Every stream id
+ * seen is remembered with its name, color and avatar.
+ *
+ * Names come from three places, and a better source is never overwritten
+ * by a worse one: names typed in by the user, names the page script reads
+ * from VTF itself (see inject.js), then the moderators we already know.
+ * Anything else gets "Speaker-XXXXXX" from its id.
+ *
+ * Each speaker also has a transcription policy and a priority. "never"
+ * streams are not sent at all, "keyword" streams only while an alert
+ * keyword has recently come up, and when the API rate limit is the
+ * bottleneck higher priority speakers go first.
+ */
+
+export const NAME_SOURCES = {
+  FALLBACK: 'fallback',
+  DEFAULT: 'default',
+  DISCOVERED: 'discovered',
+  USER: 'user'
+};
+
+export const SPEAKER_POLICIES = {
+  ALWAYS: 'always',
+  KEYWORD: 'keyword',
+  NEVER: 'never'
+};
+
+export const PRIORITIES = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2
+};
+
+const RANK = {
+  [NAME_SOURCES.FALLBACK]: 0,
+  [NAME_SOURCES.DEFAULT]: 1,
+  [NAME_SOURCES.DISCOVERED]: 2,
+  [NAME_SOURCES.USER]: 3
+};
+
+// Moderators known before VTF told us anything
+export const DEFAULT_SPEAKERS = {
+  'XRcupJu26dK_sazaAAPK': 'DP',
+  'Ixslfo7890K_bazaAAPK': 'Rickman',
+  'O3e0pz1234K_cazaAAPK': 'Kira'
+};
+
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * Name for a stream nobody has named
+ * @param {string} streamId - Stream id
+ * @returns {string} "Speaker-" and the first six characters of the id
+ */
+export function fallbackName(streamId) {
+  return `Speaker-${String(streamId).substring(0, 6).toUpperCase()}`;
+}
+
+/**
+ * A stable color for a speaker, so they look the same everywhere until one is picked
+ * @param {string} key - Stream id
+ * @returns {string} Hex color
+ */
+export function defaultColor(key) {
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return hslToHex(Math.abs(hash) % 360, 0.6, 0.6);
+}
+
+// <input type="color"> only takes hex
+function hslToHex(hue, saturation, lightness) {
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    const value = lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// Display names arrive from the page, so keep them to one short line
+function cleanName(name) {
+  const text = String(name ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > 0 && text.length <= MAX_NAME_LENGTH ? text : null;
+}
+
+export class SpeakerRegistry {
+  constructor(options = {}) {
+    this.config = {
+      defaults: DEFAULT_SPEAKERS,
+      ...options
+    };
+
+    this.speakers = new Map();    // streamId -> get() for that stream, once seen
+  }
+
+  /**
+   * A speaker, known or not
+   * @param {string} streamId - Stream id
+   * @returns {Object} { streamId, name, source, color, avatar, policy, priority, firstSeen, lastSeen }
+   */
+  get(streamId) {
+    const speaker = this.speakers.get(streamId);
+    if (speaker) return { ...speaker };
+
+    const name = this.config.defaults[streamId];
+    return {
+      streamId,
+      name: name || fallbackName(streamId),
+      source: name ? NAME_SOURCES.DEFAULT : NAME_SOURCES.FALLBACK,
+      color: defaultColor(streamId),
+      avatar: null,
+      policy: SPEAKER_POLICIES.ALWAYS,
+      // The moderators go first
+      priority: name ? PRIORITIES.HIGH : PRIORITIES.NORMAL,
+      firstSeen: null,
+      lastSeen: null
+    };
+  }
+
+  getName(streamId) {
+    return this.get(streamId).name;
+  }
+
+  /**
+   * Whether a stream's audio should be transcribed
+   * @param {string} streamId - Stream id
+   * @param {boolean} keywordActive - An alert keyword came up recently
+   * @returns {boolean} False when the policy rules it out
+   */
+  shouldTranscribe(streamId, keywordActive = false) {
+    const { policy } = this.get(streamId);
+    return policy === SPEAKER_POLICIES.ALWAYS || (policy === SPEAKER_POLICIES.KEYWORD && keywordActive);
+  }
+
+  // The stored entry for a stream, created on first use
+  entry(streamId, now) {
+    if (!this.speakers.has(streamId)) {
+      this.speakers.set(streamId, { ...this.get(streamId), firstSeen: now, lastSeen: now });
+    }
+    return this.speakers.get(streamId);
+  }
+
+  /**
+   * Remember that a stream was heard
+   * @param {string} streamId - Stream id
+   * @param {number} now - Current time
+   * @returns {boolean} True when the stream is new
+   */
+  see(streamId, now = Date.now()) {
+    if (!streamId) return false;
+    const isNew = !this.speakers.has(streamId);
+    this.entry(streamId, now).lastSeen = now;
+    return isNew;
+  }
+
+  /**
+   * Names the page found; ones the user typed in are left alone
+   * @param {Object} names - { streamId: name }
+   * @param {number} now - Current time
+   * @returns {Array<string>} Stream ids whose name changed
+   */
+  discover(names, now = Date.now()) {
+    const changed = [];
+    for (const [streamId, raw] of Object.entries(names || {})) {
+      const name = cleanName(raw);
+      if (!streamId || !name) continue;
+
+      const speaker = this.entry(streamId, now);
+      if (RANK[speaker.source] > RANK[NAME_SOURCES.DISCOVERED] || speaker.name === name) continue;
+      speaker.name = name;
+      speaker.source = NAME_SOURCES.DISCOVERED;
+      changed.push(streamId);
+    }
+    return changed;
+  }
+
+  /**
+   * Apply the user's edits; an empty name hands the speaker back to discovery
+   * @param {string} streamId - Stream id
+   * @param {Object} changes - { name, color, avatar, policy, priority }, any of them
+   * @param {number} now - Current time
+   * @returns {Object} The updated speaker
+   */
+  update(streamId, changes = {}, now = Date.now()) {
+    const speaker = this.entry(streamId, now);
+
+    if (changes.name !== undefined) {
+      const name = cleanName(changes.name);
+      if (name) {
+        speaker.name = name;
+        speaker.source = NAME_SOURCES.USER;
+      } else if (speaker.source === NAME_SOURCES.USER) {
+        const reset = this.config.defaults[streamId];
+        speaker.name = reset || fallbackName(streamId);
+        speaker.source = reset ? NAME_SOURCES.DEFAULT : NAME_SOURCES.FALLBACK;
+      }
+    }
+    if (changes.color !== undefined) {
+      speaker.color = /^#[0-9a-f]{6}$/i.test(changes.color) ? changes.color.toLowerCase() : defaultColor(streamId);
+    }
+    if (changes.avatar !== undefined) {
+      speaker.avatar = String(changes.avatar || '').trim() || null;
+    }
+    if (Object.values(SPEAKER_POLICIES).includes(changes.policy)) {
+      speaker.policy = changes.policy;
+    }
+    if (changes.priority != null && Object.values(PRIORITIES).includes(Number(changes.priority))) {
+      speaker.priority = Number(changes.priority);
+    }
+    return { ...speaker };
+  }
+
+  /**
+   * Every speaker seen, most recently heard first
+   * @returns {Array<Object>} Speakers
+   */
+  list() {
+    return Array.from(this.speakers.values(), speaker => ({ ...speaker }))
+      .sort((a, b) => (b.lastSeen ?? 0) - (a.lastSeen ?? 0));
+  }
+
+  /**
+   * Restore saved speakers, or the { streamId: name } map older versions kept
+   * @param {Array<Object>|Object} saved - list() output or a name map
+   */
+  load(saved) {
+    if (Array.isArray(saved)) {
+      saved.forEach(speaker => {
+        if (speaker?.streamId) this.speakers.set(speaker.streamId, { ...this.get(speaker.streamId), ...speaker });
+      });
+    } else if (saved && typeof saved === 'object') {
+      // Those maps also held the defaults, which are not the user's names
+      Object.entries(saved)
+        .filter(([streamId, name]) => name !== this.config.defaults[streamId])
+        .forEach(([streamId, name]) => this.update(streamId, { name }, null));
+    }
+  }
+
+  toJSON() {
+    return this.list();
+  }
+}
+
+export default SpeakerRegistry;
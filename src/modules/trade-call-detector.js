@@ -0,0 +1,312 @@
+/**
+ * Trade Call Detector
+ * Recognises trade calls in transcripts - entries, adds, trims, exits and
+ * stop changes - and turns them into alerts with the speaker, ticker,
+ * action, price and the utterance they came from.
+ *
+ * Rules are plain text so they can be edited on the options page, one
+ * action per line followed by the phrases that trigger it:
+ *
+ *   entry: I'm in, starter, bought
+ *   stop: stop, moving my stop
+ *   speakers: DP, Rickman        (optional; only these speakers make calls)
+ *   # comments are ignored
+ *
+ * A phrase written as /.../ is used as a regular expression. Each trigger
+ * reads the ticker, price and option strike (see entity-extractor.js) that
+ * follow it, up to the next trigger; a call without a ticker of its own
+ * takes the one said just before it or, failing that, the one the speaker
+ * last mentioned. A stop said in the same breath as another call is
+ * attached to it ("I'm in NVDA at 120, stop 118"). The same call repeated
+ * by the same speaker is folded into the first one as another mention.
+ */
+
+import { EntityExtractor, ENTITY_TYPES } from './entity-extractor.js';
+
+export const CALL_ACTIONS = {
+  ENTRY: 'entry',
+  ADD: 'add',
+  TRIM: 'trim',
+  EXIT: 'exit',
+  STOP: 'stop'
+};
+
+export const DEFAULT_RULES = [
+  "entry: I'm in, I am in, getting in, starter, entered, opening, long, short, bought, buying",
+  'add: adding, added, add to, adding to, adding more, bought more',
+  'trim: trimming, trimmed, taking some off, selling some, selling half, sold half',
+  "exit: I'm out, I am out, out of, stopped out, sold, selling, closed, closing, exited, flat",
+  'stop: stop, stop at, stop to, stop is, moving my stop, raising my stop, raise stop'
+].join('\n');
+
+const ACTIONS = new Set(Object.values(CALL_ACTIONS));
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse rule text
+ * @param {string} text - Rules, one "action: phrase, phrase" per line
+ * @returns {Object} { rules: [{ action, phrases, pattern }], speakers: [names], errors: [{ line, message }] }
+ */
+export function parseRules(text) {
+  const rules = [];
+  const errors = [];
+  let speakers = [];
+
+  String(text ?? '').split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const split = line.indexOf(':');
+    if (split === -1) {
+      errors.push({ line: index + 1, message: 'Expected "action: phrase, phrase"' });
+      return;
+    }
+
+    const action = line.slice(0, split).trim().toLowerCase();
+    const phrases = line.slice(split + 1).split(',').map(p => p.trim()).filter(Boolean);
+
+    if (action === 'speakers') {
+      speakers = phrases;
+      return;
+    }
+    if (!ACTIONS.has(action)) {
+      errors.push({ line: index + 1, message: `Unknown action "${action}"` });
+      return;
+    }
+
+    const sources = [];
+    for (const phrase of phrases) {
+      if (phrase.length > 2 && phrase.startsWith('/') && phrase.endsWith('/')) {
+        try {
+          new RegExp(phrase.slice(1, -1));
+          sources.push(phrase.slice(1, -1));
+        } catch (error) {
+          errors.push({ line: index + 1, message: `Bad pattern ${phrase}: ${error.message}` });
+        }
+      } else {
+        // Apostrophes are optional ("Im in"), any run of spaces matches
+        sources.push(escapeRegExp(phrase).replace(/['’]/g, "['’]?").replace(/\s+/g, '\\s+'));
+      }
+    }
+
+    if (sources.length > 0) {
+      rules.push({
+        action,
+        phrases,
+        pattern: new RegExp(`(?<![\\w'’])(?:${sources.join('|')})(?![\\w'’])`, 'gi')
+      });
+    }
+  });
+
+  return { rules, speakers, errors };
+}
+
+/**
+ * Triggers in a transcript, longest first where they overlap
+ * @param {string} text - Transcript text
+ * @param {Array<Object>} rules - From parseRules()
+ * @returns {Array<Object>} [{ action, start, end, phrase }] in order
+ */
+export function findTriggers(text, rules) {
+  const matches = [];
+  for (const rule of rules) {
+    rule.pattern.lastIndex = 0;
+    for (const match of text.matchAll(rule.pattern)) {
+      matches.push({ action: rule.action, start: match.index, end: match.index + match[0].length, phrase: match[0] });
+    }
+  }
+
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const triggers = [];
+  for (const match of matches) {
+    const last = triggers[triggers.length - 1];
+    if (last && match.start < last.end) continue;
+    triggers.push(match);
+  }
+  return triggers;
+}
+
+export class TradeCallDetector {
+  constructor(options = {}) {
+    this.config = {
+      rules: DEFAULT_RULES,
+      // A ticker the speaker mentioned this recently carries over to calls that don't name one
+      contextWindow: 2 * 60 * 1000,
+      // Repeats of a call within this window are more mentions of it
+      dedupWindow: 10 * 60 * 1000,
+      // Prices this close (as a fraction) count as the same call
+      priceTolerance: 0.005,
+      maxSources: 20,
+      ...options
+    };
+
+    this.extractor = this.config.extractor || new EntityExtractor();
+    this.lastTicker = new Map();    // speaker -> { symbol, timestamp }
+    this.recent = new Map();        // speaker|ticker|action -> latest call
+    this.stats = {
+      transcripts: 0,
+      calls: 0,
+      duplicates: 0
+    };
+
+    this.setRules(this.config.rules);
+  }
+
+  /**
+   * Replace the rules; invalid lines are skipped and reported
+   * @param {string} text - Rule text
+   * @returns {Array<Object>} Errors, [{ line, message }]
+   */
+  setRules(text) {
+    const { rules, speakers, errors } = parseRules(text);
+    this.rulesText = String(text ?? '');
+    this.rules = rules;
+    this.speakers = new Set(speakers.map(name => name.toLowerCase()));
+    this.ruleErrors = errors;
+    return errors;
+  }
+
+  /**
+   * Find the trade calls in one transcript
+   * @param {Object} transcription - Stored transcript; entities are extracted if it has none
+   * @returns {Array<Object>} Calls, new ones and earlier ones this transcript mentioned again
+   */
+  detect(transcription) {
+    const text = transcription.text || '';
+    const speaker = transcription.speaker || 'Unknown';
+    const speakerKey = transcription.userId || speaker;
+    const timestamp = transcription.timestamp ?? Date.now();
+    const entities = transcription.entities || this.extractor.extract(text);
+
+    this.stats.transcripts++;
+
+    const tickers = entities.filter(e => e.type === ENTITY_TYPES.TICKER);
+    const context = this.lastTicker.get(speakerKey);
+    if (tickers.length > 0) {
+      this.lastTicker.set(speakerKey, { symbol: tickers[tickers.length - 1].value, timestamp });
+    }
+
+    if (this.speakers.size > 0 && !this.speakers.has(speaker.toLowerCase())) return [];
+
+    const triggers = findTriggers(text, this.rules);
+    const found = [];
+    let lastSymbol = context && timestamp - context.timestamp <= this.config.contextWindow ? context.symbol : null;
+
+    triggers.forEach((trigger, index) => {
+      const previousEnd = index > 0 ? triggers[index - 1].end : 0;
+      const nextStart = index < triggers.length - 1 ? triggers[index + 1].start : text.length;
+      const within = (entity, start, end) => entity.offset >= start && entity.offset < end;
+
+      const ticker = tickers.find(e => within(e, trigger.end, nextStart)) ||
+        tickers.filter(e => within(e, previousEnd, trigger.start)).pop();
+      const symbol = ticker?.value || lastSymbol;
+      const price = entities.find(e => e.type === ENTITY_TYPES.PRICE && within(e, trigger.end, nextStart));
+      const strike = entities.find(e => e.type === ENTITY_TYPES.STRIKE && within(e, trigger.end, nextStart));
+      const direction = entities.find(e => e.type === ENTITY_TYPES.DIRECTION && within(e, trigger.start, nextStart) &&
+        (e.value === 'long' || e.value === 'short'));
+
+      if (!symbol) return;
+      lastSymbol = symbol;
+
+      // "..., stop 118" belongs to the call it follows
+      const previous = found[found.length - 1];
+      if (trigger.action === CALL_ACTIONS.STOP && previous && previous.ticker === symbol && previous.stop === null) {
+        previous.stop = price?.value ?? null;
+        return;
+      }
+
+      found.push({
+        action: trigger.action,
+        side: direction?.value ?? null,
+        ticker: symbol,
+        price: price?.value ?? null,
+        stop: null,
+        option: strike?.value ?? null,
+        trigger: trigger.phrase
+      });
+    });
+
+    // A stop change without a price says nothing
+    const calls = found
+      .filter(call => call.action !== CALL_ACTIONS.STOP || call.price !== null)
+      .map((call, index) => this.record({
+        ...call,
+        id: `${transcription.id ?? timestamp}:${index}`,
+        speaker,
+        userId: transcription.userId ?? null,
+        timestamp,
+        text,
+        transcriptId: transcription.id ?? null
+      }));
+
+    return calls;
+  }
+
+  // Fold a repeat into the call it repeats, or start a new one
+  record(call) {
+    const key = `${call.userId || call.speaker}|${call.ticker}|${call.action}`;
+    const existing = this.recent.get(key);
+    const samePrice = (a, b) => a === null || b === null || Math.abs(a - b) <= Math.max(a, b) * this.config.priceTolerance;
+
+    if (existing && call.timestamp - existing.lastMentionAt <= this.config.dedupWindow &&
+        call.timestamp >= existing.lastMentionAt && samePrice(existing.price, call.price) &&
+        (call.action !== CALL_ACTIONS.STOP || existing.price === call.price)) {
+      existing.mentions++;
+      existing.lastMentionAt = call.timestamp;
+      existing.price ??= call.price;
+      existing.stop = call.stop ?? existing.stop;
+      existing.option ??= call.option;
+      existing.side ??= call.side;
+      if (call.transcriptId && !existing.sources.includes(call.transcriptId) && existing.sources.length < this.config.maxSources) {
+        existing.sources.push(call.transcriptId);
+      }
+      this.stats.duplicates++;
+      return existing;
+    }
+
+    const created = {
+      ...call,
+      mentions: 1,
+      lastMentionAt: call.timestamp,
+      sources: call.transcriptId ? [call.transcriptId] : []
+    };
+    this.recent.set(key, created);
+    this.stats.calls++;
+    return created;
+  }
+
+  /**
+   * Forget context and recent calls
+   */
+  reset() {
+    this.lastTicker.clear();
+    this.recent.clear();
+  }
+
+  getStats() {
+    return { ...this.stats, rules: this.rules.length };
+  }
+}
+
+/**
+ * Run rules over saved transcripts, oldest first
+ * @param {Array<Object>} transcriptions - Transcripts in any order
+ * @param {Object} options - TradeCallDetector options, e.g. { rules }
+ * @returns {Object} { calls (first mention first), errors }
+ */
+export function detectCalls(transcriptions, options = {}) {
+  const detector = new TradeCallDetector(options);
+  const calls = new Map();
+
+  transcriptions
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(transcription => {
+      detector.detect(transcription).forEach(call => calls.set(call.id, call));
+    });
+
+  return { calls: Array.from(calls.values()), errors: detector.ruleErrors };
+}
+
+export default TradeCallDetector;
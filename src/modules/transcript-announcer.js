@@ -0,0 +1,183 @@
+/**
+ * Transcript Announcer
+ * Screen reader live region for new transcripts. Each utterance is announced
+ * at most once, however many times it is delivered (broadcast, polling, replay).
+ */
+
+export const LIVE_REGION_MODES = ['polite', 'assertive', 'off'];
+
+/**
+ * Stable identity for a transcript
+ * @param {Object} transcription - { id, userId, timestamp }
+ * @returns {string} Transcript key
+ */
+export function getTranscriptKey(transcription) {
+  return transcription.id || `${transcription.userId}:${transcription.timestamp}`;
+}
+
+export class TranscriptAnnouncer {
+  constructor(options = {}) {
+    this.config = {
+      mode: 'polite',               // polite | assertive | off
+      speakerChangesOnly: false,    // Only announce when the speaker changes
+      label: 'Transcript announcements',
+      maxNodes: 20,                 // Announced nodes kept in the region
+      maxHistory: 1000,             // Transcript keys remembered for de-duplication
+      ...options
+    };
+
+    this.region = null;
+    this.announced = new Set();
+    this.lastSpeakerKey = null;
+
+    this.stats = {
+      announced: 0,
+      duplicates: 0,
+      suppressed: 0
+    };
+  }
+
+  /**
+   * Add the (visually hidden) live region to the page. The region has to be
+   * in the DOM before content is added for screen readers to pick it up.
+   * @param {HTMLElement} container - Where to attach the region
+   * @returns {HTMLElement} The live region
+   */
+  attach(container = document.body) {
+    if (this.region && this.region.isConnected) return this.region;
+
+    const region = document.createElement('div');
+    region.className = 'vtf-live-region';
+    region.setAttribute('role', 'log');
+    region.setAttribute('aria-label', this.config.label);
+    region.setAttribute('aria-relevant', 'additions');
+    region.setAttribute('aria-atomic', 'false');
+
+    // Visually hidden but still read out
+    Object.assign(region.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      border: '0',
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      clipPath: 'inset(50%)',
+      whiteSpace: 'nowrap'
+    });
+
+    container.appendChild(region);
+    this.region = region;
+    this.applyMode();
+    return region;
+  }
+
+  /**
+   * Remove the live region
+   */
+  detach() {
+    if (this.region) {
+      this.region.remove();
+      this.region = null;
+    }
+  }
+
+  /**
+   * Update mode / speaker-change options
+   * @param {Object} options - { mode, speakerChangesOnly }
+   */
+  setOptions(options = {}) {
+    if (options.mode !== undefined) {
+      this.config.mode = LIVE_REGION_MODES.includes(options.mode) ? options.mode : 'polite';
+    }
+    if (options.speakerChangesOnly !== undefined) {
+      this.config.speakerChangesOnly = !!options.speakerChangesOnly;
+    }
+    this.applyMode();
+  }
+
+  /**
+   * Reflect the mode on the region
+   */
+  applyMode() {
+    if (this.region) {
+      this.region.setAttribute('aria-live', this.config.mode);
+    }
+  }
+
+  /**
+   * Announce a transcript unless it was already announced
+   * @param {Object} transcription - { id, userId, speaker, text, timestamp }
+   * @returns {boolean} True if something was added to the region
+   */
+  announce(transcription) {
+    if (!transcription || !transcription.text) return false;
+
+    const key = getTranscriptKey(transcription);
+    if (this.announced.has(key)) {
+      this.stats.duplicates++;
+      return false;
+    }
+    this.remember(key);
+
+    const speakerKey = transcription.userId || transcription.speaker;
+    const speakerChanged = speakerKey !== this.lastSpeakerKey;
+    this.lastSpeakerKey = speakerKey;
+
+    if (this.config.mode === 'off' || !this.region ||
+        (this.config.speakerChangesOnly && !speakerChanged)) {
+      this.stats.suppressed++;
+      return false;
+    }
+
+    const node = document.createElement('p');
+    node.textContent = this.formatAnnouncement(transcription, speakerChanged);
+    node.dataset.transcriptKey = key;
+    this.region.appendChild(node);
+
+    // Removals are not announced (aria-relevant="additions")
+    while (this.region.childElementCount > this.config.maxNodes) {
+      this.region.firstElementChild.remove();
+    }
+
+    this.stats.announced++;
+    return true;
+  }
+
+  /**
+   * Mark transcripts as already seen without announcing them (e.g. history
+   * shown when a view first opens)
+   * @param {Array<Object>} transcriptions - Transcripts
+   */
+  markSeen(transcriptions) {
+    for (const transcription of transcriptions) {
+      this.remember(getTranscriptKey(transcription));
+      this.lastSpeakerKey = transcription.userId || transcription.speaker;
+    }
+  }
+
+  /**
+   * Track an announced key, forgetting the oldest beyond maxHistory
+   * @param {string} key - Transcript key
+   */
+  remember(key) {
+    this.announced.add(key);
+    if (this.announced.size > this.config.maxHistory) {
+      this.announced.delete(this.announced.values().next().value);
+    }
+  }
+
+  /**
+   * Text read out for a transcript. The speaker is only named when it changes.
+   * @param {Object} transcription - Transcript
+   * @param {boolean} speakerChanged - Whether the speaker differs from the last one
+   * @returns {string} Announcement text
+   */
+  formatAnnouncement(transcription, speakerChanged) {
+    const speaker = transcription.speaker || 'Unknown speaker';
+    return speakerChanged ? `${speaker}: ${transcription.text}` : transcription.text;
+  }
+}
+
+export default TranscriptAnnouncer;
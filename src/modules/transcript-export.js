@@ -0,0 +1,555 @@
+/**
+ * Transcript Export
+ * Renders transcripts as SubRip, WebVTT, Markdown, CSV or JSON, and parses
+ * each format back so exports can be checked and re-imported.
+ *
+ * JSON schema (format "vtf-transcripts", version 1):
+ *   {
+ *     format: "vtf-transcripts",
+ *     version: 1,
+ *     exportedAt: ISO 8601 string,
+ *     range: { from: epoch ms | null, to: epoch ms | null },
+ *     session: { id, name } | null,
+ *     speakers: [{ userId, name, count }],
+ *     transcripts: [{
+ *       id, timestamp (epoch ms, start of speech), duration (seconds),
+ *       userId, speaker, text, sessionId?, sessionName?, replayed?,
+ *       segments?: [{ start, end, text }], words?: [{ start, end, word }] (epoch ms),
+ *       tickers?: [symbol], entities?: [{ type, value, text, offset }] (see entity-extractor.js)
+ *     }]
+ *   }
+ *
+ * SubRip and WebVTT write one cue per timed segment when the provider
+ * returned segments, and one per transcript otherwise.
+ */
+
+import { timedSegments } from './transcript-timing.js';
+
+export const JSON_FORMAT_NAME = 'vtf-transcripts';
+export const JSON_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  srt: { label: 'SubRip subtitles (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT captions (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+  md: { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown' },
+  csv: { label: 'Spreadsheet (.csv)', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON (.json)', extension: 'json', mimeType: 'application/json' }
+};
+
+// Cue length when a transcript has no duration
+const DEFAULT_DURATION = 3;
+
+const CSV_COLUMNS = ['id', 'timestamp', 'time', 'duration', 'speaker', 'userId', 'sessionId', 'sessionName', 'text'];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Single-line text for cue-based formats
+ * @param {string} text - Transcript text
+ * @returns {string} Text with whitespace runs collapsed
+ */
+function flatten(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function speakerOf(transcription) {
+  return flatten(transcription.speaker) || 'Unknown';
+}
+
+/**
+ * Format an offset as a cue timestamp
+ * @param {number} ms - Offset in milliseconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} hh:mm:ss,mmm
+ */
+export function formatCueTime(ms, separator = ',') {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Parse a cue timestamp (hours optional, as WebVTT allows)
+ * @param {string} value - hh:mm:ss,mmm or mm:ss.mmm
+ * @returns {number} Offset in milliseconds
+ */
+export function parseCueTime(value) {
+  const match = /^(?:(\d+):)?(\d{2}):(\d{2})[,.](\d{3})$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid cue time: ${value}`);
+  }
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+}
+
+/**
+ * Cue timing relative to the first transcript
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {number} origin - Epoch ms of 00:00:00
+ * @returns {Array<Object>} { start, end, speaker, text }
+ */
+function toCues(transcriptions, origin) {
+  return transcriptions.flatMap(t => timedSegments(t, DEFAULT_DURATION).map(segment => ({
+    start: segment.start - origin,
+    end: segment.end - origin,
+    speaker: speakerOf(t),
+    text: flatten(segment.text)
+  })));
+}
+
+function cueToTranscript(cue, origin) {
+  return {
+    timestamp: origin + cue.start,
+    duration: (cue.end - cue.start) / 1000,
+    speaker: cue.speaker,
+    text: cue.text
+  };
+}
+
+function originOf(transcriptions, options) {
+  if (typeof options.origin === 'number') return options.origin;
+  return transcriptions.length > 0 ? transcriptions[0].timestamp : 0;
+}
+
+/**
+ * Render SubRip subtitles. Each cue reads "Speaker: text".
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {Object} options - { origin } epoch ms of 00:00:00, defaults to the first transcript
+ * @returns {string} SRT document
+ */
+export function formatSrt(transcriptions, options = {}) {
+  return toCues(transcriptions, originOf(transcriptions, options))
+    .map((cue, i) => [
+      i + 1,
+      `${formatCueTime(cue.start)} --> ${formatCueTime(cue.end)}`,
+      `${cue.speaker}: ${cue.text}`
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Parse SubRip subtitles written by formatSrt
+ * @param {string} content - SRT document
+ * @param {Object} options - { origin } epoch ms to add to cue times
+ * @returns {Array<Object>} { timestamp, duration, speaker, text }
+ */
+export function parseSrt(content, options = {}) {
+  const origin = options.origin || 0;
+
+  return content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) {
+        throw new Error(`SRT block without timing: ${lines[0]}`);
+      }
+
+      const [start, end] = lines[timingIndex].split('-->').map(parseCueTime);
+      const body = lines.slice(timingIndex + 1).join(' ');
+      const split = body.indexOf(': ');
+
+      return cueToTranscript({
+        start,
+        end,
+        speaker: split === -1 ? 'Unknown' : body.slice(0, split),
+        text: split === -1 ? body : body.slice(split + 2)
+      }, origin);
+    });
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeVtt(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Render WebVTT captions with voice spans. The origin is kept in a NOTE so
+ * parseVtt can restore absolute timestamps.
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {Object} options - { origin, title }
+ * @returns {string} WebVTT document
+ */
+export function formatVtt(transcriptions, options = {}) {
+  const origin = originOf(transcriptions, options);
+  const header = [`WEBVTT${options.title ? ` - ${flatten(options.title)}` : ''}`, '', `NOTE origin ${new Date(origin).toISOString()}`];
+
+  const cues = toCues(transcriptions, origin).map(cue => [
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+    `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}`
+  ].join('\n'));
+
+  return [header.join('\n'), ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Parse WebVTT captions written by formatVtt
+ * @param {string} content - WebVTT document
+ * @param {Object} options - { origin } overrides the NOTE origin
+ * @returns {Array<Object>} { timestamp, duration, speaker, text }
+ */
+export function parseVtt(content, options = {}) {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(Boolean);
+
+  if (!blocks[0] || !blocks[0].startsWith('WEBVTT')) {
+    throw new Error('Not a WebVTT document');
+  }
+
+  let origin = options.origin;
+  const transcripts = [];
+
+  for (const block of blocks.slice(1)) {
+    if (block.startsWith('NOTE')) {
+      const match = /^NOTE origin (\S+)/.exec(block);
+      if (match && typeof origin !== 'number') {
+        origin = Date.parse(match[1]);
+      }
+      continue;
+    }
+
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;    // STYLE, REGION
+
+    // Cue settings may follow the end time
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const start = parseCueTime(startText);
+    const end = parseCueTime(rest.trim().split(/\s+/)[0]);
+
+    const body = lines.slice(timingIndex + 1).join(' ');
+    const voice = /^<v(?:\.[^ >]*)? ([^>]*)>(.*?)(?:<\/v>)?$/.exec(body);
+
+    transcripts.push(cueToTranscript({
+      start,
+      end,
+      speaker: voice ? unescapeVtt(voice[1]) : 'Unknown',
+      text: unescapeVtt(voice ? voice[2] : body)
+    }, origin || 0));
+  }
+
+  return transcripts;
+}
+
+const MARKDOWN_SPECIAL = /[\\`*_[\]<>]/g;
+
+function escapeMarkdown(text) {
+  return text.replace(MARKDOWN_SPECIAL, '\\$&');
+}
+
+function unescapeMarkdown(text) {
+  return text.replace(/\\([\\`*_[\]<>])/g, '$1');
+}
+
+function localDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function localTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Render speaker-labelled Markdown, one paragraph per utterance under a
+ * heading for each day
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {Object} options - { title }
+ * @returns {string} Markdown document
+ */
+export function formatMarkdown(transcriptions, options = {}) {
+  const lines = [`# ${escapeMarkdown(flatten(options.title) || 'VTF Transcript')}`];
+  let day = null;
+
+  for (const t of transcriptions) {
+    const dayKey = localDate(t.timestamp);
+    if (dayKey !== day) {
+      day = dayKey;
+      lines.push('', `## ${dayKey}`);
+    }
+    lines.push('', `**${localTime(t.timestamp)} ${escapeMarkdown(speakerOf(t))}:** ${escapeMarkdown(flatten(t.text))}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse Markdown written by formatMarkdown. Times are local and to the second.
+ * @param {string} content - Markdown document
+ * @returns {Array<Object>} { timestamp, speaker, text }
+ */
+export function parseMarkdown(content) {
+  const transcripts = [];
+  let day = null;
+
+  for (const line of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = /^## (\d{4})-(\d{2})-(\d{2})\s*$/.exec(line);
+    if (heading) {
+      day = heading.slice(1).map(Number);
+      continue;
+    }
+
+    const utterance = /^\*\*(\d{2}):(\d{2}):(\d{2}) (.+?):\*\* (.*)$/.exec(line);
+    if (!utterance || !day) continue;
+
+    const [, hours, minutes, seconds, speaker, text] = utterance;
+    transcripts.push({
+      timestamp: new Date(day[0], day[1] - 1, day[2], Number(hours), Number(minutes), Number(seconds)).getTime(),
+      speaker: unescapeMarkdown(speaker),
+      text: unescapeMarkdown(text)
+    });
+  }
+
+  return transcripts;
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render RFC 4180 CSV with a header row. Starts with a byte order mark so
+ * spreadsheet apps pick up UTF-8.
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @returns {string} CSV document
+ */
+export function formatCsv(transcriptions) {
+  const rows = transcriptions.map(t => [
+    t.id,
+    t.timestamp,
+    new Date(t.timestamp).toISOString(),
+    t.duration,
+    t.speaker,
+    t.userId,
+    t.sessionId,
+    t.sessionName,
+    t.text
+  ].map(csvField).join(','));
+
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV into rows of fields
+ * @param {string} content - CSV document
+ * @returns {Array<Array<string>>} Rows
+ */
+function splitCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV written by formatCsv. Columns are matched by header name.
+ * @param {string} content - CSV document
+ * @returns {Array<Object>} Transcripts
+ */
+export function parseCsv(content) {
+  const [header, ...rows] = splitCsv(content.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('timestamp') || !header.includes('text')) {
+    throw new Error('CSV is missing the timestamp or text column');
+  }
+
+  return rows
+    .filter(row => row.some(Boolean))
+    .map(row => {
+      const transcript = {};
+      header.forEach((column, i) => {
+        const value = row[i];
+        if (value === undefined || value === '' || column === 'time') return;
+        transcript[column] = column === 'timestamp' || column === 'duration' ? Number(value) : value;
+      });
+      return transcript;
+    });
+}
+
+/**
+ * Render the documented JSON schema (see the top of this file)
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {Object} options - { from, to, session: { id, name }, exportedAt }
+ * @returns {string} JSON document
+ */
+export function formatJson(transcriptions, options = {}) {
+  const speakers = new Map();
+  for (const t of transcriptions) {
+    const key = t.userId || t.speaker;
+    const entry = speakers.get(key) || { userId: t.userId || null, name: t.speaker || 'Unknown', count: 0 };
+    entry.count++;
+    speakers.set(key, entry);
+  }
+
+  const transcripts = transcriptions.map(t => {
+    const entry = {
+      id: t.id,
+      timestamp: t.timestamp,
+      duration: t.duration,
+      userId: t.userId,
+      speaker: t.speaker,
+      text: t.text
+    };
+    if (t.sessionId) entry.sessionId = t.sessionId;
+    if (t.sessionName) entry.sessionName = t.sessionName;
+    if (t.replayed) entry.replayed = true;
+    if (t.segments?.length) entry.segments = t.segments;
+    if (t.words?.length) entry.words = t.words;
+    if (t.tickers?.length) entry.tickers = t.tickers;
+    if (t.entities?.length) entry.entities = t.entities;
+    return entry;
+  });
+
+  return JSON.stringify({
+    format: JSON_FORMAT_NAME,
+    version: JSON_FORMAT_VERSION,
+    exportedAt: new Date(options.exportedAt || Date.now()).toISOString(),
+    range: { from: options.from ?? null, to: options.to ?? null },
+    session: options.session || null,
+    speakers: Array.from(speakers.values()),
+    transcripts
+  }, null, 2) + '\n';
+}
+
+/**
+ * Parse and validate a JSON export
+ * @param {string} content - JSON document
+ * @returns {Array<Object>} Transcripts
+ */
+export function parseJson(content) {
+  const data = JSON.parse(content);
+  if (data?.format !== JSON_FORMAT_NAME) {
+    throw new Error('Not a VTF transcript export');
+  }
+  if (data.version > JSON_FORMAT_VERSION) {
+    throw new Error(`Unsupported export version ${data.version}`);
+  }
+  if (!Array.isArray(data.transcripts)) {
+    throw new Error('Export has no transcripts array');
+  }
+  return data.transcripts;
+}
+
+const FORMATTERS = { srt: formatSrt, vtt: formatVtt, md: formatMarkdown, csv: formatCsv, json: formatJson };
+const PARSERS = { srt: parseSrt, vtt: parseVtt, md: parseMarkdown, csv: parseCsv, json: parseJson };
+
+/**
+ * Download file name for an export
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - { session: { name } }
+ * @returns {string} File name
+ */
+export function exportFilename(transcriptions, format, options = {}) {
+  const first = transcriptions[0]?.timestamp ?? Date.now();
+  const date = new Date(first);
+  const stamp = `${localDate(first)}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  const slug = String(options.session?.name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return `vtf-transcript-${stamp}${slug ? `-${slug}` : ''}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Render transcripts in one of EXPORT_FORMATS
+ * @param {Array<Object>} transcriptions - Transcripts (sorted here by timestamp)
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - Passed to the formatter: { title, from, to, session, origin }
+ * @returns {Object} { content, filename, mimeType, count }
+ */
+export function exportTranscripts(transcriptions, format, options = {}) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const sorted = transcriptions.slice().sort((a, b) => a.timestamp - b.timestamp);
+  return {
+    content: formatter(sorted, options),
+    filename: exportFilename(sorted, format, options),
+    mimeType: EXPORT_FORMATS[format].mimeType,
+    count: sorted.length
+  };
+}
+
+/**
+ * Parse an export back into transcripts
+ * @param {string} content - Exported document
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - Passed to the parser: { origin }
+ * @returns {Array<Object>} Transcripts
+ */
+export function parseExport(content, format, options = {}) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return parser(content, options);
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportTranscripts,
+  exportFilename,
+  parseExport,
+  formatSrt,
+  parseSrt,
+  formatVtt,
+  parseVtt,
+  formatMarkdown,
+  parseMarkdown,
+  formatCsv,
+  parseCsv,
+  formatJson,
+  parseJson
+};
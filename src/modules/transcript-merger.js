@@ -0,0 +1,218 @@
+/**
+ * Transcript Merger
+ * Joins the transcripts of overlapping audio pieces. When a long utterance is
+ * split with overlap, the start of each piece repeats the end of the one
+ * before it, so the two transcripts share a run of words. The run is found by
+ * aligning the tail of the earlier text against the head of the later one,
+ * tolerating the punctuation, casing and small spelling differences Whisper
+ * produces for the same audio, and only the words after it are kept.
+ *
+ * The earlier transcript has already been stored and shown, so it is never
+ * rewritten. A word cut in half at its end may therefore appear once as a
+ * fragment and once whole, but no word is lost.
+ */
+
+/**
+ * Split text into words, keeping the original for output
+ * @param {string} text - Transcript text
+ * @returns {Array<Object>} [{ raw, norm }]
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(raw => ({ raw, norm: normalizeWord(raw) }))
+    .filter(word => word.norm);
+}
+
+/**
+ * Comparable form of a word: lower case, no punctuation or currency
+ * @param {string} word - Word as transcribed
+ * @returns {string} Normalized word
+ */
+export function normalizeWord(word) {
+  return word
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+    .replace(/,(?=\d{3}\b)/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Whether two normalized words are the same word heard twice
+ * @param {string} a - Normalized word
+ * @param {string} b - Normalized word
+ * @returns {boolean} Match
+ */
+export function wordsMatch(a, b) {
+  if (a === b) return true;
+  // Longer words may differ by a letter ("nvidia's" / "nvidias")
+  return Math.min(a.length, b.length) >= 5 && editDistance(a, b) <= 1;
+}
+
+/**
+ * Find where two overlapping transcripts line up
+ * @param {string} previousText - Earlier transcript
+ * @param {string} nextText - Later transcript, whose start repeats the earlier one's end
+ * @param {Object} options - { window, minMatch }
+ * @returns {Object} { aligned, matched, previousIndex, nextIndex, newWords }
+ */
+export function alignOverlap(previousText, nextText, options = {}) {
+  const { window = 12, minMatch = 2 } = options;
+  const previous = tokenize(previousText);
+  const next = tokenize(nextText);
+
+  let best = null;
+  for (let i = Math.max(0, previous.length - window); i < previous.length; i++) {
+    for (let j = 0; j < Math.min(next.length, window); j++) {
+      let length = 0;
+      while (
+        i + length < previous.length &&
+        j + length < next.length &&
+        wordsMatch(previous[i + length].norm, next[j + length].norm)
+      ) {
+        length++;
+      }
+      if (length === 0) continue;
+
+      // Words of the earlier text left after the run: fragments at the cut
+      const trailing = previous.length - (i + length);
+
+      // A single shared word is only trusted if it is long and right at the seam
+      const accepted = length >= minMatch ||
+        (trailing === 0 && j <= 1 && previous[i].norm.length >= 5);
+      if (!accepted) continue;
+
+      if (!best ||
+          length > best.matched ||
+          (length === best.matched && trailing < best.trailing) ||
+          (length === best.matched && trailing === best.trailing && j < best.nextIndex)) {
+        best = { matched: length, trailing, previousIndex: i, nextIndex: j };
+      }
+    }
+  }
+
+  if (!best) {
+    return { aligned: false, matched: 0, previousIndex: previous.length, nextIndex: 0, newWords: next.map(w => w.raw) };
+  }
+
+  return {
+    aligned: true,
+    matched: best.matched,
+    previousIndex: best.previousIndex,
+    nextIndex: best.nextIndex,
+    newWords: next.slice(best.nextIndex + best.matched).map(w => w.raw)
+  };
+}
+
+/**
+ * Text the later transcript adds beyond the overlap
+ * @param {string} previousText - Earlier transcript
+ * @param {string} nextText - Later transcript
+ * @param {Object} options - See alignOverlap
+ * @returns {Object} { text, aligned, matched, dropped }
+ */
+export function mergeOverlap(previousText, nextText, options = {}) {
+  const alignment = alignOverlap(previousText, nextText, options);
+  return {
+    // Unaligned text is kept whole; a repeated phrase beats a lost one
+    text: alignment.aligned ? alignment.newWords.join(' ') : String(nextText || '').trim(),
+    aligned: alignment.aligned,
+    matched: alignment.matched,
+    // Words removed from the front of the later transcript
+    dropped: alignment.aligned ? alignment.nextIndex + alignment.matched : 0
+  };
+}
+
+/**
+ * Remembers the last piece per stream and trims each overlapping piece
+ * against it
+ */
+export class TranscriptMerger {
+  constructor(options = {}) {
+    this.config = {
+      // How far apart the pieces' shared edges may be and still count as continuous (ms)
+      tolerance: 100,
+      window: 12,
+      minMatch: 2,
+      ...options
+    };
+
+    this.pieces = new Map();    // streamId -> { text, end }
+    this.stats = {
+      merged: 0,
+      unaligned: 0
+    };
+  }
+
+  /**
+   * Trim a piece against the one before it from the same stream
+   * @param {string} streamId - Stream
+   * @param {Object} piece - { text, startTime, duration, overlap } (overlap in seconds)
+   * @returns {Object} { text, startTime, duration, merged, aligned, dropped }
+   */
+  merge(streamId, piece) {
+    const { text, startTime, duration, overlap = 0 } = piece;
+    const last = this.pieces.get(streamId);
+    this.pieces.set(streamId, { text, end: startTime + duration * 1000 });
+
+    const overlapMs = overlap * 1000;
+    const continuous = overlap > 0 && last &&
+      Math.abs(last.end - (startTime + overlapMs)) <= this.config.tolerance;
+
+    if (!continuous) {
+      return { text, startTime, duration, merged: false, aligned: false, dropped: 0 };
+    }
+
+    const result = mergeOverlap(last.text, text, this.config);
+    if (result.aligned) {
+      this.stats.merged++;
+    } else {
+      this.stats.unaligned++;
+    }
+
+    return {
+      text: result.text,
+      // The piece's own audio starts where the overlap ends
+      startTime: startTime + overlapMs,
+      duration: Math.max(0, duration - overlap),
+      merged: true,
+      aligned: result.aligned,
+      dropped: result.dropped
+    };
+  }
+
+  /**
+   * Forget one stream, or all of them
+   * @param {string} streamId - Optional stream
+   */
+  reset(streamId = null) {
+    if (streamId === null) {
+      this.pieces.clear();
+    } else {
+      this.pieces.delete(streamId);
+    }
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default TranscriptMerger;
@@ -0,0 +1,157 @@
+/**
+ * Transcript Navigator
+ * Keyboard navigation between utterances and speakers in a transcript list,
+ * using a roving tabindex so the list is a single tab stop
+ *
+ *   ArrowUp / ArrowDown  previous / next utterance
+ *   PageUp / PageDown    previous / next speaker
+ *   Home / End           first / last utterance
+ */
+export class TranscriptNavigator {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.config = {
+      itemSelector: '[data-speaker]',   // Each utterance carries its speaker key
+      ...options
+    };
+
+    this.current = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+  }
+
+  /**
+   * Start handling keys
+   */
+  attach() {
+    this.container.addEventListener('keydown', this.handleKeyDown);
+    this.container.addEventListener('focusin', this.handleFocusIn);
+    this.refresh();
+  }
+
+  /**
+   * Stop handling keys
+   */
+  detach() {
+    this.container.removeEventListener('keydown', this.handleKeyDown);
+    this.container.removeEventListener('focusin', this.handleFocusIn);
+  }
+
+  /**
+   * Utterances in document order
+   * @returns {Array<HTMLElement>} Items
+   */
+  getItems() {
+    return Array.from(this.container.querySelectorAll(this.config.itemSelector));
+  }
+
+  /**
+   * Keep exactly one item in the tab order. Call after items are added or removed.
+   */
+  refresh() {
+    const items = this.getItems();
+    if (!items.includes(this.current)) {
+      this.current = null;
+    }
+
+    // The list itself is the tab stop until there is something to focus
+    if (items.length === 0) {
+      this.container.tabIndex = 0;
+      return;
+    }
+    this.container.tabIndex = -1;
+
+    const active = this.current || items[items.length - 1];
+    items.forEach(item => {
+      item.tabIndex = item === active ? 0 : -1;
+    });
+  }
+
+  /**
+   * Move focus to an item
+   * @param {HTMLElement} item - Target utterance
+   */
+  focusItem(item) {
+    if (!item) return;
+    this.current = item;
+    this.refresh();
+    item.focus();
+  }
+
+  /**
+   * Track items focused by mouse or screen reader commands
+   * @param {FocusEvent} event - focusin event
+   */
+  handleFocusIn(event) {
+    const item = event.target.closest?.(this.config.itemSelector);
+    if (item && this.container.contains(item) && item !== this.current) {
+      this.current = item;
+      this.refresh();
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} event - keydown event
+   */
+  handleKeyDown(event) {
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const items = this.getItems();
+    if (items.length === 0) return;
+
+    const index = this.current ? items.indexOf(this.current) : items.length - 1;
+    let target = null;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        target = items[Math.min(index + 1, items.length - 1)];
+        break;
+      case 'ArrowUp':
+        target = items[Math.max(index - 1, 0)];
+        break;
+      case 'PageDown':
+        target = this.findSpeakerChange(items, index, 1);
+        break;
+      case 'PageUp':
+        target = this.findSpeakerChange(items, index, -1);
+        break;
+      case 'Home':
+        target = items[0];
+        break;
+      case 'End':
+        target = items[items.length - 1];
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this.focusItem(target);
+  }
+
+  /**
+   * First utterance of the next/previous speaker turn
+   * @param {Array<HTMLElement>} items - Items
+   * @param {number} index - Current index
+   * @param {number} direction - 1 forward, -1 back
+   * @returns {HTMLElement} Target item (the current one at either end)
+   */
+  findSpeakerChange(items, index, direction) {
+    const speakerAt = (i) => items[i].dataset.speaker;
+    const turnStart = (i) => {
+      while (i > 0 && speakerAt(i - 1) === speakerAt(i)) i--;
+      return i;
+    };
+
+    if (direction > 0) {
+      let i = index;
+      while (i < items.length - 1 && speakerAt(i + 1) === speakerAt(index)) i++;
+      return items[Math.min(i + 1, items.length - 1)];
+    }
+
+    const start = turnStart(index);
+    return items[start > 0 ? turnStart(start - 1) : 0];
+  }
+}
+
+export default TranscriptNavigator;
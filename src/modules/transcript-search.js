@@ -0,0 +1,200 @@
+/**
+ * Transcript Search
+ * Query parsing, filtering, highlighting and day/session grouping for the
+ * transcript viewer. Pure functions; the transcript store checks entries
+ * with the same matching when it searches.
+ */
+
+/**
+ * Split a query into lowercase terms; "quoted phrases" stay together
+ * @param {string} query - Raw search input
+ * @returns {Array<string>} Terms (all must match)
+ */
+export function parseQuery(query = '') {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+
+  return terms;
+}
+
+/**
+ * Speaker key used for filtering and grouping
+ * @param {Object} transcription - Transcript
+ * @returns {string} Speaker key
+ */
+export function getSpeakerKey(transcription) {
+  return transcription.speaker || transcription.userId || 'Unknown';
+}
+
+/**
+ * Check one transcript against the active filters
+ * @param {Object} transcription - Transcript
+ * @param {Object} filters - { terms, speaker, from, to }
+ * @returns {boolean} True if it should be shown
+ */
+export function matchesFilters(transcription, filters = {}) {
+  const { terms = [], speaker = null, from = null, to = null } = filters;
+
+  if (speaker && getSpeakerKey(transcription) !== speaker) return false;
+  if (from !== null && transcription.timestamp < from) return false;
+  if (to !== null && transcription.timestamp > to) return false;
+
+  if (terms.length > 0) {
+    const text = (transcription.text || '').toLowerCase();
+    return terms.every(term => text.includes(term));
+  }
+
+  return true;
+}
+
+/**
+ * Filter a list of transcripts
+ * @param {Array<Object>} transcriptions - Transcripts
+ * @param {Object} filters - { query, speaker, from, to }
+ * @returns {Array<Object>} Matching transcripts, in input order
+ */
+export function filterTranscripts(transcriptions, filters = {}) {
+  const active = { ...filters, terms: parseQuery(filters.query) };
+  const unfiltered = active.terms.length === 0 && !active.speaker &&
+    active.from == null && active.to == null;
+
+  if (unfiltered) return transcriptions;
+  return transcriptions.filter(t => matchesFilters(t, active));
+}
+
+/**
+ * Character ranges to highlight, merged where they overlap
+ * @param {string} text - Transcript text
+ * @param {Array<string>} terms - Lowercase terms
+ * @returns {Array<Array<number>>} Sorted [start, end) pairs
+ */
+export function highlightRanges(text, terms) {
+  if (!text || !terms || terms.length === 0) return [];
+
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} timestamp - ms since epoch
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Flatten transcripts into display rows with day and session headers.
+ * Transcripts with a sessionId are grouped by it; otherwise a gap longer
+ * than sessionGap starts a new session.
+ * @param {Array<Object>} transcriptions - Transcripts sorted by timestamp
+ * @param {Object} options - { sessionGap }
+ * @returns {Array<Object>} Rows: { type: 'day'|'session'|'utterance', key, ... }
+ */
+export function groupTranscripts(transcriptions, options = {}) {
+  const { sessionGap = 30 * 60 * 1000 } = options;
+  const rows = [];
+
+  let dayKey = null;
+  let session = null;
+  let previous = null;
+
+  transcriptions.forEach((transcription, index) => {
+    const day = getDayKey(transcription.timestamp);
+
+    const newSession = !session ||
+      (transcription.sessionId || previous.sessionId
+        ? transcription.sessionId !== previous.sessionId
+        : transcription.timestamp - previous.timestamp > sessionGap);
+
+    if (day !== dayKey) {
+      dayKey = day;
+      rows.push({ type: 'day', key: `day:${day}`, day, timestamp: transcription.timestamp });
+    }
+
+    if (newSession || rows[rows.length - 1].type === 'day') {
+      session = {
+        type: 'session',
+        key: `session:${transcription.sessionId || transcription.timestamp}:${day}`,
+        sessionId: transcription.sessionId || null,
+        name: transcription.sessionName || null,
+        start: transcription.timestamp,
+        end: transcription.timestamp,
+        count: 0,
+        continued: !newSession        // Session carried over past midnight
+      };
+      rows.push(session);
+    }
+
+    session.end = transcription.timestamp;
+    session.count++;
+
+    rows.push({
+      type: 'utterance',
+      key: `utterance:${transcription.id || `${transcription.userId}:${transcription.timestamp}`}`,
+      transcription,
+      index
+    });
+
+    previous = transcription;
+  });
+
+  return rows;
+}
+
+/**
+ * Distinct speakers with utterance counts, most active first
+ * @param {Array<Object>} transcriptions - Transcripts
+ * @returns {Array<Object>} [{ key, count }]
+ */
+export function listSpeakers(transcriptions) {
+  const counts = new Map();
+  for (const transcription of transcriptions) {
+    const key = getSpeakerKey(transcription);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return Array.from(counts, ([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+export default {
+  parseQuery,
+  getSpeakerKey,
+  matchesFilters,
+  filterTranscripts,
+  highlightRanges,
+  getDayKey,
+  groupTranscripts,
+  listSpeakers
+};
@@ -0,0 +1,439 @@
+/**
+ * Transcript Store
+ * IndexedDB repository for transcription history, indexed by time, speaker
+ * and session, with cursor-based pagination. Replaces the single
+ * `transcriptions` array in chrome.storage.local. Capture sessions live in a
+ * second store of the same database.
+ */
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+import { matchesFilters, parseQuery } from './transcript-search.js';
+
+export const LEGACY_STORAGE_KEY = 'transcriptions';
+
+export class TranscriptStore {
+  constructor(options = {}) {
+    this.config = {
+      dbName: 'vtf-transcripts',
+      storeName: 'transcriptions',
+      sessionStoreName: 'sessions',
+      maxItems: 200000,           // Oldest items are dropped beyond this
+      pruneInterval: 100,         // Check the cap every N writes
+      ...options
+    };
+
+    this.dbPromise = null;
+    this.writesSincePrune = 0;
+
+    this.stats = {
+      added: 0,
+      migrated: 0,
+      pruned: 0
+    };
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      const { storeName, sessionStoreName } = this.config;
+      this.dbPromise = openDatabase(this.config.dbName, 2, (db, oldVersion) => {
+        if (oldVersion < 1) {
+          const store = db.createObjectStore(storeName, { keyPath: 'id' });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('speaker', ['speaker', 'timestamp']);
+          store.createIndex('session', ['sessionId', 'timestamp']);
+        }
+        if (oldVersion < 2) {
+          const sessions = db.createObjectStore(sessionStoreName, { keyPath: 'id' });
+          sessions.createIndex('startTime', 'startTime');
+        }
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Storage key for a transcript
+   * @param {Object} transcription - { id, userId, timestamp }
+   * @returns {string} Key
+   */
+  static makeId(transcription) {
+    return transcription.id || `${transcription.userId}:${transcription.timestamp}`;
+  }
+
+  /**
+   * Store one transcript. Writing the same id again replaces it.
+   * @param {Object} transcription - Transcript
+   * @returns {Promise<Object>} Stored entry
+   */
+  async add(transcription) {
+    const db = await this.open();
+    const entry = {
+      ...transcription,
+      id: TranscriptStore.makeId(transcription),
+      speaker: transcription.speaker || 'Unknown',
+      storedAt: Date.now()
+    };
+
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    tx.objectStore(this.config.storeName).put(entry);
+    await transactionDone(tx);
+
+    this.stats.added++;
+    if (++this.writesSincePrune >= this.config.pruneInterval) {
+      this.writesSincePrune = 0;
+      await this.prune();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store many transcripts in one transaction
+   * @param {Array<Object>} transcriptions - Transcripts
+   * @returns {Promise<number>} Number stored
+   */
+  async addMany(transcriptions) {
+    if (transcriptions.length === 0) return 0;
+
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    const store = tx.objectStore(this.config.storeName);
+    const storedAt = Date.now();
+
+    for (const transcription of transcriptions) {
+      store.put({
+        ...transcription,
+        id: TranscriptStore.makeId(transcription),
+        speaker: transcription.speaker || 'Unknown',
+        storedAt: transcription.storedAt || storedAt
+      });
+    }
+
+    await transactionDone(tx);
+    this.stats.added += transcriptions.length;
+    return transcriptions.length;
+  }
+
+  /**
+   * Move history out of the old chrome.storage.local array. Safe to call on
+   * every start: the key is removed only after the copy has committed, and
+   * re-copying the same entries overwrites them.
+   * @returns {Promise<number>} Number of transcripts migrated
+   */
+  async migrateFromStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return 0;
+
+    const { [LEGACY_STORAGE_KEY]: legacy } = await chrome.storage.local.get(LEGACY_STORAGE_KEY);
+    if (!Array.isArray(legacy)) return 0;
+
+    const migrated = await this.addMany(legacy.filter(t => t && typeof t.timestamp === 'number'));
+    await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+
+    this.stats.migrated += migrated;
+    if (migrated > 0) {
+      console.log(`[Transcript Store] Migrated ${migrated} transcription(s) from chrome.storage`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Page through transcripts
+   * @param {Object} options - Query options
+   * @param {number} options.from - Earliest timestamp (inclusive)
+   * @param {number} options.to - Latest timestamp (inclusive)
+   * @param {string} options.speaker - Only this speaker
+   * @param {string} options.sessionId - Only this session
+   * @param {string} options.text - Search query (see parseQuery()); every term must appear
+   * @param {number} options.limit - Page size (0 for everything)
+   * @param {Object} options.cursor - nextCursor from the previous page
+   * @param {string} options.order - 'desc' (newest first) or 'asc'
+   * @returns {Promise<Object>} { items, nextCursor } - nextCursor is null on the last page
+   */
+  async query(options = {}) {
+    const {
+      from = -Infinity,
+      to = Infinity,
+      speaker = null,
+      sessionId = null,
+      text = '',
+      limit = 100,
+      cursor = null,
+      order = 'desc'
+    } = options;
+
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    const store = tx.objectStore(this.config.storeName);
+
+    // With both, the session (the smaller set) picks the index and the speaker is checked per entry
+    let index;
+    let key;
+    if (sessionId) {
+      index = store.index('session');
+      key = (timestamp) => [sessionId, timestamp];
+    } else if (speaker) {
+      index = store.index('speaker');
+      key = (timestamp) => [speaker, timestamp];
+    } else {
+      index = store.index('timestamp');
+      key = (timestamp) => timestamp;
+    }
+
+    const terms = parseQuery(text);
+    const descending = order !== 'asc';
+    let lower = from;
+    let upper = to;
+    if (cursor) {
+      if (descending) {
+        upper = Math.min(upper, cursor.timestamp);
+      } else {
+        lower = Math.max(lower, cursor.timestamp);
+      }
+    }
+
+    const items = [];
+    if (lower > upper) {
+      return { items, nextCursor: null };
+    }
+
+    const range = IDBKeyRange.bound(key(lower), key(upper));
+    let hasMore = false;
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(range, descending ? 'prev' : 'next');
+      request.onsuccess = () => {
+        const current = request.result;
+        if (!current) {
+          resolve();
+          return;
+        }
+
+        const value = current.value;
+
+        // Entries sharing the cursor's timestamp are ordered by id; skip
+        // the ones the previous page already returned
+        if (cursor && value.timestamp === cursor.timestamp &&
+            (descending ? value.id >= cursor.id : value.id <= cursor.id)) {
+          current.continue();
+          return;
+        }
+
+        // No index for these; a page fills with matches however many entries that takes
+        if ((sessionId && speaker && value.speaker !== speaker) ||
+            (terms.length > 0 && !matchesFilters(value, { terms }))) {
+          current.continue();
+          return;
+        }
+
+        if (limit > 0 && items.length === limit) {
+          hasMore = true;
+          resolve();
+          return;
+        }
+
+        items.push(value);
+        current.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    const last = items[items.length - 1];
+    return {
+      items,
+      nextCursor: hasMore ? { timestamp: last.timestamp, id: last.id } : null
+    };
+  }
+
+  /**
+   * Fetch a transcript by id
+   * @param {string} id - Transcript id
+   * @returns {Promise<Object|undefined>} Transcript
+   */
+  async get(id) {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    return promisifyRequest(tx.objectStore(this.config.storeName).get(id));
+  }
+
+  /**
+   * Speakers with stored transcripts, from the speaker index
+   * @returns {Promise<Array<Object>>} [{ key, count }], most active first
+   */
+  async listSpeakers() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    const index = tx.objectStore(this.config.storeName).index('speaker');
+
+    const speakers = [];
+    await new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const [key] = cursor.key;
+        const counting = index.count(IDBKeyRange.bound([key, -Infinity], [key, Infinity]));
+        counting.onsuccess = () => {
+          speakers.push({ key, count: counting.result });
+          // Arrays sort after numbers, so this lands on the next speaker
+          cursor.continue([key, []]);
+        };
+        counting.onerror = () => reject(counting.error);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return speakers.sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Number of stored transcripts
+   * @returns {Promise<number>} Count
+   */
+  async count() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readonly');
+    return promisifyRequest(tx.objectStore(this.config.storeName).count());
+  }
+
+  /**
+   * Drop the oldest transcripts beyond maxItems
+   * @returns {Promise<number>} Number dropped
+   */
+  async prune() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    const index = tx.objectStore(this.config.storeName).index('timestamp');
+
+    let excess = (await promisifyRequest(index.count())) - this.config.maxItems;
+    if (excess <= 0) return 0;
+
+    let dropped = 0;
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        dropped++;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    await transactionDone(tx);
+
+    this.stats.pruned += dropped;
+    console.warn(`[Transcript Store] Dropped ${dropped} transcription(s) over the history cap`);
+    return dropped;
+  }
+
+  /**
+   * Store or replace a session record
+   * @param {Object} session - Session with id and startTime
+   * @returns {Promise<Object>} The session
+   */
+  async putSession(session) {
+    const db = await this.open();
+    const tx = db.transaction(this.config.sessionStoreName, 'readwrite');
+    tx.objectStore(this.config.sessionStoreName).put(session);
+    await transactionDone(tx);
+    return session;
+  }
+
+  /**
+   * Fetch a session by id
+   * @param {string} id - Session id
+   * @returns {Promise<Object|undefined>} Session
+   */
+  async getSession(id) {
+    const db = await this.open();
+    const tx = db.transaction(this.config.sessionStoreName, 'readonly');
+    return promisifyRequest(tx.objectStore(this.config.sessionStoreName).get(id));
+  }
+
+  /**
+   * Sessions, newest first
+   * @param {Object} options - { limit, before } where before is a startTime (exclusive)
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async listSessions(options = {}) {
+    const { limit = 50, before = Infinity } = options;
+
+    const db = await this.open();
+    const tx = db.transaction(this.config.sessionStoreName, 'readonly');
+    const index = tx.objectStore(this.config.sessionStoreName).index('startTime');
+    const range = before === Infinity ? null : IDBKeyRange.upperBound(before, true);
+
+    const sessions = [];
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || (limit > 0 && sessions.length === limit)) {
+          resolve();
+          return;
+        }
+        sessions.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return sessions;
+  }
+
+  /**
+   * Session that was running at a given time
+   * @param {number} timestamp - Epoch ms
+   * @returns {Promise<Object|null>} Latest session started at or before the time and not ended before it
+   */
+  async findSessionAt(timestamp) {
+    const [session] = await this.listSessions({ limit: 1, before: timestamp + 1 });
+    if (!session || (session.endTime && session.endTime < timestamp)) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Remove everything, sessions included
+   */
+  async clear() {
+    const { storeName, sessionStoreName } = this.config;
+    const db = await this.open();
+    const tx = db.transaction([storeName, sessionStoreName], 'readwrite');
+    tx.objectStore(storeName).clear();
+    tx.objectStore(sessionStoreName).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Close the database connection
+   */
+  async destroy() {
+    if (this.dbPromise) {
+      try {
+        const db = await this.dbPromise;
+        db.close();
+      } catch (error) {
+        // Never opened
+      }
+      this.dbPromise = null;
+    }
+  }
+}
+
+export default TranscriptStore;
@@ -0,0 +1,173 @@
+/**
+ * Transcript Timing
+ * Segment and word timings from verbose_json transcription responses. The
+ * provider reports them in seconds from the start of the clip; they are
+ * stored on the transcript as epoch milliseconds so exports and transcript
+ * views can place each phrase and word on the wall clock.
+ *
+ * A transcript without timings (providers that only return text) behaves as
+ * a single segment covering its whole chunk.
+ */
+
+import { normalizeWord } from './transcript-merger.js';
+
+const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function readWords(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(w => w && isTime(w.start) && isTime(w.end) && String(w.word ?? w.text ?? '').trim())
+    .map(w => ({ start: w.start, end: Math.max(w.start, w.end), word: String(w.word ?? w.text).trim() }));
+}
+
+/**
+ * Pull segment and word timings out of a transcription response.
+ * Accepts OpenAI's top-level `words` and the per-segment `words` that
+ * faster-whisper returns.
+ * @param {Object} raw - { segments, words }
+ * @returns {Object|null} { segments: [{ start, end, text }], words: [{ start, end, word }] } in seconds, or null
+ */
+export function parseTimings(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const segments = (Array.isArray(raw.segments) ? raw.segments : [])
+    .filter(s => s && isTime(s.start) && isTime(s.end) && typeof s.text === 'string' && s.text.trim());
+
+  let words = readWords(raw.words);
+  if (words.length === 0) {
+    words = segments.flatMap(s => readWords(s.words));
+  }
+
+  if (segments.length === 0 && words.length === 0) return null;
+
+  return {
+    segments: segments.map(s => ({ start: s.start, end: Math.max(s.start, s.end), text: s.text.trim() })),
+    words
+  };
+}
+
+/**
+ * Move clip-relative timings onto the wall clock
+ * @param {Object} timings - From parseTimings
+ * @param {number} startTime - Epoch ms of the start of the clip
+ * @returns {Object} { segments, words } with start/end in epoch ms
+ */
+export function anchorTimings(timings, startTime) {
+  const at = seconds => Math.round(startTime + seconds * 1000);
+  return {
+    segments: timings.segments.map(s => ({ start: at(s.start), end: at(s.end), text: s.text })),
+    words: timings.words.map(w => ({ start: at(w.start), end: at(w.end), word: w.word }))
+  };
+}
+
+/**
+ * Drop the first words of a transcript's timings, as the transcript merger
+ * does to its text when a piece repeats the one before it
+ * @param {Object} timings - { segments, words }
+ * @param {number} count - Words dropped from the front of the text
+ * @returns {Object} Remaining timings
+ */
+export function dropLeadingWords(timings, count) {
+  if (count <= 0) return timings;
+
+  let remaining = count;
+  const segments = [];
+  for (const segment of timings.segments) {
+    const tokens = segment.text.split(/\s+/).filter(token => normalizeWord(token));
+    const skip = Math.min(remaining, tokens.length);
+    remaining -= skip;
+    if (skip === tokens.length) continue;
+
+    // A partly dropped segment starts with its first kept word, when known
+    segments.push({
+      start: segment.start,
+      end: segment.end,
+      text: skip > 0 ? tokens.slice(skip).join(' ') : segment.text,
+      trimmed: skip > 0
+    });
+  }
+
+  const words = timings.words.slice(count);
+  segments.forEach(segment => {
+    if (segment.trimmed) {
+      const first = words.find(w => w.end > segment.start);
+      if (first) segment.start = Math.max(segment.start, first.start);
+    }
+    delete segment.trimmed;
+  });
+
+  return { segments, words };
+}
+
+/**
+ * Timed phrases for subtitle cues: the transcript's segments, or the whole
+ * transcript when it has none
+ * @param {Object} transcription - Transcript
+ * @param {number} defaultDuration - Seconds to use when the transcript has no duration
+ * @returns {Array<Object>} [{ start, end, text }] in epoch ms
+ */
+export function timedSegments(transcription, defaultDuration = 3) {
+  if (Array.isArray(transcription.segments) && transcription.segments.length > 0) {
+    return transcription.segments;
+  }
+
+  const duration = Number(transcription.duration) > 0 ? Number(transcription.duration) : defaultDuration;
+  return [{
+    start: transcription.timestamp,
+    end: transcription.timestamp + Math.round(duration * 1000),
+    text: transcription.text
+  }];
+}
+
+/**
+ * Split a transcript's text into words, each with the time it was spoken.
+ * Word timings are matched to the text in order; without them each word
+ * gets its segment's start, or the transcript's.
+ * @param {Object} transcription - Transcript
+ * @returns {Array<Object>} [{ text, offset, time }], offset being the index in transcription.text
+ */
+export function timedWords(transcription) {
+  const text = transcription.text || '';
+  const tokens = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    tokens.push({ text: match[0], offset: match.index, time: transcription.timestamp });
+  }
+
+  const words = Array.isArray(transcription.words) ? transcription.words : [];
+  if (words.length > 0) {
+    let next = 0;
+    for (const token of tokens) {
+      const norm = normalizeWord(token.text);
+      // Look a few words ahead so a dropped or split word doesn't derail the rest
+      const found = words.slice(next, next + 4).findIndex(w => normalizeWord(w.word) === norm);
+      if (found !== -1) {
+        next += found;
+        token.time = words[next].start;
+        next++;
+      } else {
+        token.time = words[Math.min(next, words.length - 1)].start;
+      }
+    }
+    return tokens;
+  }
+
+  const segments = Array.isArray(transcription.segments) ? transcription.segments : [];
+  let index = 0;
+  for (const segment of segments) {
+    const count = segment.text.split(/\s+/).filter(Boolean).length;
+    tokens.slice(index, index + count).forEach(token => { token.time = segment.start; });
+    index += count;
+  }
+
+  return tokens;
+}
+
+export default {
+  parseTimings,
+  anchorTimings,
+  dropLeadingWords,
+  timedSegments,
+  timedWords
+};
@@ -0,0 +1,476 @@
+/**
+ * Transcription Providers
+ * Speech-to-text backends behind one interface: OpenAI, OpenAI-compatible
+ * self-hosted servers (whisper.cpp, faster-whisper) and custom JSON APIs
+ */
+
+import { parseTimings } from './transcript-timing.js';
+
+export const PROVIDER_TYPES = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  CUSTOM_JSON: 'custom-json'
+};
+
+/**
+ * Read a dotted path ("results.0.text") from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path
+ * @returns {any} Value or undefined
+ */
+export function getPath(obj, path) {
+  if (!path) return obj;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Build a short silent 16-bit mono WAV used to test a provider end-to-end
+ * @param {number} duration - Clip length in seconds
+ * @param {number} sampleRate - Sample rate
+ * @returns {Blob} WAV blob
+ */
+export function createTestClip(duration = 0.5, sampleRate = 16000) {
+  const length = Math.round(duration * sampleRate);
+  const buffer = new ArrayBuffer(44 + length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, length * 2, true);
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * How long a 429 asks callers to wait
+ * @param {Headers} headers - Response headers
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Milliseconds, or null if the response didn't say
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  const ms = Number(headers?.get?.('retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const value = headers?.get?.('retry-after');
+  if (!value) return null;
+  // Either delay-seconds or an HTTP date
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Encode a blob as base64
+ * @param {Blob} blob - Binary data
+ * @returns {Promise<string>} Base64 string
+ */
+export async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const step = 0x8000;
+  for (let i = 0; i < bytes.length; i += step) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base provider - subclasses describe the request and the response shape
+ */
+export class TranscriptionProvider {
+  constructor(config = {}) {
+    this.config = {
+      ...this.constructor.defaults,
+      ...config,
+      fieldMap: {
+        ...this.constructor.defaults.fieldMap,
+        ...(config.fieldMap || {})
+      }
+    };
+  }
+
+  static get defaults() {
+    return {
+      endpoint: '',
+      apiKey: null,
+      authType: 'bearer',       // bearer | header | none
+      authHeader: 'Authorization',
+      model: '',
+      language: 'en',
+      textPath: 'text',
+      // Where verbose_json style segment and word timings are, if the API returns them
+      segmentsPath: 'segments',
+      wordsPath: 'words',
+      // Sent through the shared rate limiter (see rate-limiter.js); empty means unlimited
+      requestsPerMinute: 50,
+      audioMinutesPerHour: null,
+      // Upload formats the API takes, best first (see audio-encoder.js); WAV is always the fallback
+      formats: ['wav'],
+      // Set from the options page to pin one format instead
+      format: null,
+      fieldMap: {}
+    };
+  }
+
+  get type() {
+    return this.config.type;
+  }
+
+  get label() {
+    return 'Transcription API';
+  }
+
+  /**
+   * Whether the provider has what it needs to make requests
+   * @returns {boolean} True if usable
+   */
+  isConfigured() {
+    if (!this.config.endpoint) return false;
+    return this.config.authType === 'none' || !!this.config.apiKey;
+  }
+
+  /**
+   * Upload formats to try, best first
+   * @returns {Array<string>} Format names
+   */
+  getFormats() {
+    return this.config.format ? [this.config.format] : [...this.config.formats];
+  }
+
+  /**
+   * Limits for the rate limiter; a limit set to 0 means none
+   * @returns {Object} { requestsPerMinute, audioMinutesPerHour }, null where unlimited
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: Number(this.config.requestsPerMinute) || null,
+      audioMinutesPerHour: Number(this.config.audioMinutesPerHour) || null
+    };
+  }
+
+  /**
+   * Whether responses are expected to carry segment or word timings
+   * @returns {boolean} True if timings are requested or read
+   */
+  requestsTimestamps() {
+    return !!(this.config.segmentsPath || this.config.wordsPath);
+  }
+
+  /**
+   * Authentication headers for the configured auth scheme
+   * @returns {Object} Header map
+   */
+  getAuthHeaders() {
+    const { authType, authHeader, apiKey } = this.config;
+    if (!apiKey || authType === 'none') return {};
+    if (authType === 'header') {
+      return { [authHeader || 'Authorization']: apiKey };
+    }
+    return { 'Authorization': `Bearer ${apiKey}` };
+  }
+
+  /**
+   * Describe the request for an audio clip
+   * @param {Blob} audioBlob - Encoded audio
+   * @param {Object} options - { prompt, language, sampleRate, filename (the extension names the format) }
+   * @returns {Promise<Object>} { url, init } for fetch()
+   */
+  async buildRequest(audioBlob, options = {}) {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  /**
+   * Normalise a successful response
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} { text, raw, timings }
+   */
+  async parseResponse(response) {
+    const raw = await response.json();
+    const text = getPath(raw, this.config.textPath);
+    const { segmentsPath, wordsPath } = this.config;
+    return {
+      text: typeof text === 'string' ? text : '',
+      raw,
+      // Seconds from the start of the clip; null when the API sent none
+      timings: this.requestsTimestamps()
+        ? parseTimings({ segments: getPath(raw, segmentsPath), words: getPath(raw, wordsPath) })
+        : null
+    };
+  }
+
+  /**
+   * Transcribe an audio clip
+   * @param {Blob} audioBlob - Encoded audio
+   * @param {Object} options - { prompt, language, sampleRate, filename (the extension names the format) }
+   * @returns {Promise<Object>} { text, raw, timings }
+   */
+  async transcribe(audioBlob, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(this.config.endpoint ? 'No API key configured' : 'No transcription endpoint configured');
+    }
+
+    const { url, init } = await this.buildRequest(audioBlob, options);
+    const response = await fetch(url, init);
+
+    if (!response.ok) {
+      const body = await response.text();
+      const error = new Error(`${this.label} error: ${response.status} - ${body}`);
+      error.status = response.status;
+      if (response.status === 429) {
+        error.retryAfter = parseRetryAfter(response.headers);
+      }
+      throw error;
+    }
+
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Check the provider works by transcribing a short silent clip
+   * @returns {Promise<Object>} { ok, latency, detail }
+   */
+  async test() {
+    const start = Date.now();
+    const result = await this.transcribe(createTestClip(), { prompt: '' });
+    return {
+      ok: true,
+      latency: Date.now() - start,
+      detail: `Transcription endpoint responded${result.text ? `: "${result.text}"` : ''}`
+    };
+  }
+
+  /**
+   * Non-secret summary for status displays
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      type: this.type,
+      endpoint: this.config.endpoint,
+      model: this.config.model || null,
+      configured: this.isConfigured(),
+      timestamps: this.requestsTimestamps(),
+      formats: this.getFormats(),
+      rateLimits: this.getRateLimits()
+    };
+  }
+}
+
+/**
+ * OpenAI Whisper API (multipart form upload)
+ */
+export class OpenAIProvider extends TranscriptionProvider {
+  static get defaults() {
+    return {
+      ...super.defaults,
+      type: PROVIDER_TYPES.OPENAI,
+      endpoint: 'https://api.openai.com/v1/audio/transcriptions',
+      model: 'whisper-1',
+      responseFormat: 'verbose_json',
+      timestampGranularities: ['segment', 'word'],
+      formats: ['opus', 'flac', 'wav'],
+      fieldMap: {
+        file: 'file',
+        model: 'model',
+        language: 'language',
+        prompt: 'prompt',
+        responseFormat: 'response_format',
+        timestampGranularities: 'timestamp_granularities[]'
+      }
+    };
+  }
+
+  get label() {
+    return 'Whisper API';
+  }
+
+  // The gpt-4o transcription models only answer in json or text
+  requestsTimestamps() {
+    return this.config.responseFormat === 'verbose_json' &&
+      !this.timestampsUnsupported &&
+      !/^gpt-4o/.test(this.config.model || '');
+  }
+
+  async buildRequest(audioBlob, options = {}) {
+    const { fieldMap } = this.config;
+    const formData = new FormData();
+    const append = (field, value) => {
+      if (fieldMap[field] && value !== undefined && value !== null && value !== '') {
+        formData.append(fieldMap[field], value);
+      }
+    };
+
+    // The API goes by the extension to tell the formats apart
+    formData.append(fieldMap.file || 'file', audioBlob, options.filename || 'audio.wav');
+    append('model', this.config.model);
+    append('language', options.language || this.config.language);
+    append('prompt', options.prompt);
+
+    if (this.requestsTimestamps()) {
+      append('responseFormat', 'verbose_json');
+      (this.config.timestampGranularities || []).forEach(granularity => append('timestampGranularities', granularity));
+    } else {
+      append('responseFormat', this.config.responseFormat === 'verbose_json' ? 'json' : this.config.responseFormat);
+    }
+
+    return {
+      url: this.config.endpoint,
+      init: {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+        body: formData
+      }
+    };
+  }
+
+  async transcribe(audioBlob, options = {}) {
+    try {
+      return await super.transcribe(audioBlob, options);
+    } catch (error) {
+      // Servers without verbose_json reject the request; drop to chunk-level timing from now on
+      if (error.status === 400 && this.requestsTimestamps() && /response_format|timestamp|verbose/i.test(error.message)) {
+        console.warn(`[Transcription] ${this.label} does not support timestamps, requesting plain json`);
+        this.timestampsUnsupported = true;
+        return super.transcribe(audioBlob, options);
+      }
+      throw error;
+    }
+  }
+
+  async test() {
+    const start = Date.now();
+    const modelsUrl = this.config.endpoint.replace(/\/audio\/transcriptions\/?$/, '/models');
+    const response = await fetch(modelsUrl, { headers: this.getAuthHeaders() });
+
+    if (!response.ok) {
+      throw new Error(response.status === 401
+        ? 'Invalid API key - authentication failed'
+        : `API key validation failed: ${response.status}`);
+    }
+
+    return { ok: true, latency: Date.now() - start, detail: 'API key accepted' };
+  }
+}
+
+/**
+ * Self-hosted servers speaking the OpenAI form protocol
+ * (faster-whisper-server, whisper.cpp server's /inference, LocalAI, ...)
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  static get defaults() {
+    return {
+      ...super.defaults,
+      type: PROVIDER_TYPES.OPENAI_COMPATIBLE,
+      endpoint: 'http://localhost:8080/v1/audio/transcriptions',
+      authType: 'none',
+      model: '',
+      // Local servers queue requests themselves
+      requestsPerMinute: null,
+      // whisper.cpp's server only reads WAV unless started with --convert
+      formats: ['wav']
+    };
+  }
+
+  get label() {
+    return 'Whisper server';
+  }
+
+  // Local servers rarely expose /models, so exercise the real endpoint
+  async test() {
+    return TranscriptionProvider.prototype.test.call(this);
+  }
+}
+
+/**
+ * Custom API taking base64 audio in a JSON body
+ */
+export class CustomJSONProvider extends TranscriptionProvider {
+  static get defaults() {
+    return {
+      ...super.defaults,
+      type: PROVIDER_TYPES.CUSTOM_JSON,
+      fieldMap: {
+        audio: 'audio',
+        format: 'format',
+        sampleRate: 'sample_rate',
+        model: 'model',
+        language: 'language',
+        prompt: 'prompt'
+      }
+    };
+  }
+
+  async buildRequest(audioBlob, options = {}) {
+    const { fieldMap } = this.config;
+    const body = {};
+    const set = (field, value) => {
+      if (fieldMap[field] && value !== undefined && value !== null && value !== '') {
+        body[fieldMap[field]] = value;
+      }
+    };
+
+    set('audio', await blobToBase64(audioBlob));
+    set('format', (options.filename || 'audio.wav').split('.').pop());
+    set('sampleRate', options.sampleRate || 16000);
+    set('model', this.config.model);
+    set('language', options.language || this.config.language);
+    set('prompt', options.prompt);
+
+    return {
+      url: this.config.endpoint,
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders()
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  }
+}
+
+/**
+ * Create a provider from stored settings
+ * @param {Object} config - Provider settings ({ type, endpoint, apiKey, ... })
+ * @returns {TranscriptionProvider} Provider instance
+ */
+export function createProvider(config = {}) {
+  const type = config.type || PROVIDER_TYPES.OPENAI;
+
+  // Blank settings fields fall back to the provider defaults; a 0 is kept (no rate limit)
+  const settings = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (value !== '' && value !== undefined && value !== null) {
+      settings[key] = value;
+    }
+  });
+
+  switch (type) {
+    case PROVIDER_TYPES.OPENAI:
+      return new OpenAIProvider(settings);
+    case PROVIDER_TYPES.OPENAI_COMPATIBLE:
+      return new OpenAICompatibleProvider(settings);
+    case PROVIDER_TYPES.CUSTOM_JSON:
+      return new CustomJSONProvider(settings);
+    default:
+      throw new Error(`Unknown transcription provider: ${type}`);
+  }
+}
+
+export default createProvider;
@@ -0,0 +1,193 @@
+/**
+ * Transcription Queue
+ * Finished utterances waiting to be transcribed, one list per speaker. Each
+ * speaker has one request out at a time, so lines arrive in the order they
+ * were spoken, and higher priority speakers are served first.
+ *
+ * A segment that fails goes back to the head of its speaker's list and is
+ * sent again after a backoff, with the speaker's later segments waiting
+ * behind it. Once it is out of retries it is handed to onGiveUp (the
+ * persistent backlog) rather than dropped. Only finished segments live here;
+ * what the speaker is still saying is never touched.
+ */
+
+export class TranscriptionQueue {
+  constructor(options = {}) {
+    this.config = {
+      maxRetries: 5,
+      initialBackoff: 1000,
+      maxBackoff: 30000,
+      // (streamId, segment) => Promise, rejecting if the segment failed
+      transcribe: async () => {},
+      // (streamId, segment) => false to skip audio whose speaker's policy changed while it waited
+      shouldTranscribe: () => true,
+      // streamId => number, higher first
+      priority: () => 0,
+      // Errors that won't go away by trying again in a few seconds (a missing key)
+      isRetryable: () => true,
+      // Errors that put the segment back in line without counting as an attempt (the API asked to slow down)
+      isDeferral: () => false,
+      // (streamId, error, attempts)
+      onError: () => {},
+      // (streamId, segment, error, attempts), for a segment out of retries
+      onGiveUp: () => {},
+      // streamId => void, whenever a speaker's list changes
+      onChange: () => {},
+      ...options
+    };
+
+    this.queues = new Map();        // streamId -> segments waiting, oldest first
+    this.inFlight = new Map();      // streamId -> segment being transcribed
+    this.retryCount = new Map();    // streamId -> failed attempts at the segment at the head
+    this.lastError = new Map();     // streamId -> Error
+    this.retryTimers = new Map();   // streamId -> backoff timer
+  }
+
+  /**
+   * Queue a finished utterance behind any others from the same speaker
+   * @param {string} streamId - Stream the segment came from
+   * @param {Object} segment - Segment from the offscreen document
+   */
+  push(streamId, segment) {
+    if (!this.queues.has(streamId)) {
+      this.queues.set(streamId, []);
+    }
+    this.queues.get(streamId).push(segment);
+    this.config.onChange(streamId);
+  }
+
+  /**
+   * Send what is waiting. Speakers with a request out or a retry pending are
+   * left to that; speakers queued meanwhile are picked up by the next call.
+   */
+  async process() {
+    const streams = Array.from(this.queues.keys())
+      .sort((a, b) => this.config.priority(b) - this.config.priority(a));
+
+    for (const streamId of streams) {
+      if (this.inFlight.has(streamId) || this.retryTimers.has(streamId)) continue;
+
+      // Segments queued while these run join the same list
+      const queue = this.queues.get(streamId);
+      while (queue.length > 0) {
+        const segment = queue.shift();
+
+        if (!this.config.shouldTranscribe(streamId, segment)) {
+          this.config.onChange(streamId);
+          continue;
+        }
+
+        this.inFlight.set(streamId, segment);
+        let carryOn = true;
+        try {
+          await this.config.transcribe(streamId, segment);
+          this.retryCount.delete(streamId);
+          this.lastError.delete(streamId);
+        } catch (error) {
+          carryOn = await this.handleFailure(streamId, queue, segment, error);
+        } finally {
+          this.inFlight.delete(streamId);
+          this.config.onChange(streamId);
+        }
+        if (!carryOn) break;
+      }
+
+      if (queue.length === 0 && this.queues.get(streamId) === queue) {
+        this.queues.delete(streamId);
+      }
+    }
+  }
+
+  /**
+   * Put a failed segment back, or give up on it
+   * @returns {Promise<boolean>} Whether the speaker's next segment can go now
+   */
+  async handleFailure(streamId, queue, segment, error) {
+    // Asked to slow down: back in front, and the rate limiter says when
+    if (this.config.isDeferral(error)) {
+      queue.unshift(segment);
+      return true;
+    }
+
+    const attempts = (this.retryCount.get(streamId) || 0) + 1;
+    this.lastError.set(streamId, error);
+    this.config.onError(streamId, error, attempts);
+
+    if (attempts > this.config.maxRetries || !this.config.isRetryable(error)) {
+      this.retryCount.delete(streamId);
+      await this.config.onGiveUp(streamId, segment, error, attempts);
+      return true;
+    }
+
+    this.retryCount.set(streamId, attempts);
+    queue.unshift(segment);
+
+    const backoff = Math.min(
+      this.config.initialBackoff * Math.pow(2, attempts - 1),
+      this.config.maxBackoff
+    );
+    this.retryTimers.set(streamId, setTimeout(() => {
+      this.retryTimers.delete(streamId);
+      this.process();
+    }, backoff));
+    return false;
+  }
+
+  /**
+   * Everything not yet transcribed for a stream, the segment in flight first;
+   * if it did finish, one repeat beats a gap
+   * @param {string} streamId - Stream id
+   * @returns {Array} Segments
+   */
+  pending(streamId) {
+    const queue = this.queues.get(streamId) || [];
+    const inFlight = this.inFlight.get(streamId);
+    return inFlight ? [inFlight, ...queue] : queue;
+  }
+
+  size(streamId) {
+    return this.queues.get(streamId)?.length || 0;
+  }
+
+  isActive(streamId) {
+    return this.inFlight.has(streamId);
+  }
+
+  get activeCount() {
+    return this.inFlight.size;
+  }
+
+  /**
+   * Last error per speaker, for status displays
+   * @returns {Array} [{ streamId, error, retries }]
+   */
+  getErrors() {
+    return Array.from(this.lastError, ([streamId, error]) => ({
+      streamId,
+      error,
+      retries: this.retryCount.get(streamId) || 0
+    }));
+  }
+
+  /**
+   * Forget past failures; segments waiting on a backoff still get their retry
+   * @param {string} streamId - One stream, or all if left out
+   */
+  resetRetries(streamId) {
+    if (streamId === undefined) {
+      this.retryCount.clear();
+      this.lastError.clear();
+    } else {
+      this.retryCount.delete(streamId);
+      this.lastError.delete(streamId);
+    }
+  }
+
+  destroy() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+    this.queues.clear();
+  }
+}
+
+export default TranscriptionQueue;
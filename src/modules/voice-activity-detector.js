@@ -0,0 +1,403 @@
+/**
+ * Voice Activity Detection
+ * Splits each speaker's audio into utterances at natural pauses, so Whisper
+ * gets whole phrases instead of fixed-length slices that cut words in half.
+ *
+ * VoiceActivityDetector classifies 20 ms frames from their energy against an
+ * adaptive noise floor, their zero-crossing rate and how much of their energy
+ * sits in the high band. Short blips need a few speech frames in a row to
+ * count (onset) and brief pauses inside a phrase are bridged (hangover).
+ *
+ * SpeechSegmenter runs one detector per stream and turns its decisions into
+ * segments with pre-roll before the first word, a little tail after the last,
+ * a minimum length that drops coughs and clicks, and a maximum length that
+ * splits long monologues at the quietest nearby frame. With overlap set, the
+ * piece after a split starts with the end of the one before, so a word cut at
+ * the split is heard whole in one of them (see transcript-merger.js).
+ */
+
+export const SEGMENT_END_REASONS = {
+  SPEECH_END: 'speech-end',   // Speaker paused
+  MAX_LENGTH: 'max-length',   // Split a long utterance
+  GAP: 'gap',                 // Audio stopped arriving mid-utterance
+  FLUSH: 'flush'              // Caller asked for whatever is buffered
+};
+
+/**
+ * Per-frame features used by the detector
+ * @param {Float32Array} frame - Samples in [-1, 1]
+ * @returns {Object} { rms, zcr, highBandRatio }
+ */
+export function computeFrameFeatures(frame) {
+  let energy = 0;
+  let diffEnergy = 0;
+  let crossings = 0;
+
+  for (let i = 0; i < frame.length; i++) {
+    energy += frame[i] * frame[i];
+    if (i > 0) {
+      const diff = frame[i] - frame[i - 1];
+      diffEnergy += diff * diff;
+      if ((frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+        crossings++;
+      }
+    }
+  }
+
+  return {
+    rms: frame.length > 0 ? Math.sqrt(energy / frame.length) : 0,
+    // Crossings per sample: voiced speech sits well below broadband noise (~0.5)
+    zcr: frame.length > 1 ? crossings / (frame.length - 1) : 0,
+    // First-difference energy relative to the signal's; ~1 for white noise,
+    // near 0 for the low-frequency energy of voiced speech
+    highBandRatio: energy > 0 ? diffEnergy / (2 * energy) : 0
+  };
+}
+
+export class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.config = {
+      minRms: 0.004,            // Absolute floor (~-48 dBFS)
+      snrRatio: 2,              // Speech must be this far above the noise floor (~6 dB)
+      loudRatio: 10,            // Mid-utterance frames this far above it count whatever their spectrum
+      maxZcr: 0.35,
+      maxHighBandRatio: 0.7,
+      onsetFrames: 3,           // Speech frames in a row before an utterance starts
+      hangoverFrames: 30,       // Non-speech frames in a row before it ends
+      noiseAdaptRate: 0.05,
+      ...options
+    };
+
+    this.noiseFloor = this.config.minRms;
+    this.reset();
+  }
+
+  /**
+   * Classify one frame and advance the speech state
+   * @param {Float32Array} frame - Samples
+   * @returns {Object} { speaking, frameSpeech, event: 'start'|'end'|null, features }
+   */
+  process(frame) {
+    const features = computeFrameFeatures(frame);
+    const frameSpeech = this.isSpeechFrame(features);
+
+    if (frameSpeech) {
+      this.speechRun++;
+      this.silenceRun = 0;
+    } else {
+      this.silenceRun++;
+      this.speechRun = 0;
+      if (!this.speaking) {
+        this.updateNoiseFloor(features.rms);
+      }
+    }
+
+    let event = null;
+    if (!this.speaking && this.speechRun >= this.config.onsetFrames) {
+      this.speaking = true;
+      event = 'start';
+    } else if (this.speaking && this.silenceRun >= this.config.hangoverFrames) {
+      this.speaking = false;
+      event = 'end';
+    }
+
+    return { speaking: this.speaking, frameSpeech, event, features };
+  }
+
+  /**
+   * @param {Object} features - Output of computeFrameFeatures
+   * @returns {boolean} Whether the frame on its own looks like speech
+   */
+  isSpeechFrame({ rms, zcr, highBandRatio }) {
+    const floor = Math.max(this.noiseFloor, this.config.minRms);
+    if (rms < floor * this.config.snrRatio) {
+      return false;
+    }
+
+    // Loud unvoiced frames (fricatives) only count once an utterance has
+    // started; on their own they look just like a burst of noise
+    const voiced = zcr <= this.config.maxZcr && highBandRatio <= this.config.maxHighBandRatio;
+    return voiced || (this.speaking && rms >= floor * this.config.loudRatio);
+  }
+
+  updateNoiseFloor(rms) {
+    // Drop straight to quieter frames, creep up towards louder ones
+    if (rms < this.noiseFloor) {
+      this.noiseFloor = Math.max(rms, this.config.minRms / 4);
+    } else {
+      this.noiseFloor += (rms - this.noiseFloor) * this.config.noiseAdaptRate;
+    }
+  }
+
+  /**
+   * Forget the speech state; the noise floor is kept
+   */
+  reset() {
+    this.speaking = false;
+    this.speechRun = 0;
+    this.silenceRun = 0;
+  }
+}
+
+export class SpeechSegmenter {
+  constructor(options = {}) {
+    this.config = {
+      sampleRate: 16000,
+      frameDuration: 0.02,      // Seconds per VAD frame
+      minUtterance: 0.5,        // Seconds of actual speech needed to keep a segment
+      maxUtterance: 15,         // Longer segments are split
+      preRoll: 0.3,             // Audio kept from before speech was detected
+      postRoll: 0.2,            // Silence kept after the last speech frame
+      speechEndPause: 0.6,      // Pause that ends an utterance
+      splitSearch: 1.0,         // How far back to look for a quiet split point
+      overlap: 0,               // Audio repeated at the start of the piece after a split
+      vad: {},
+      ...options
+    };
+
+    this.frameSize = Math.round(this.config.sampleRate * this.config.frameDuration);
+    this.vad = new VoiceActivityDetector({
+      ...this.config.vad,
+      hangoverFrames: this.toFrames(this.config.speechEndPause)
+    });
+
+    this.pending = new Float32Array(this.frameSize);
+    this.pendingLength = 0;
+    this.pendingTime = 0;
+    this.nextTime = null;
+
+    this.preRoll = [];        // Recent frames while not in an utterance
+    this.segment = null;      // { frames, speechFrames }
+    this.lastActivity = Date.now();
+
+    this.stats = {
+      segments: 0,
+      discarded: 0,
+      splits: 0,
+      gaps: 0
+    };
+  }
+
+  /**
+   * Apply new timing settings; the current utterance carries on
+   * @param {Object} options - Any of the constructor options
+   */
+  updateConfig(options = {}) {
+    Object.assign(this.config, options);
+    this.vad.config.hangoverFrames = this.toFrames(this.config.speechEndPause);
+  }
+
+  /**
+   * Feed audio in arrival order
+   * @param {Float32Array} samples - Samples in [-1, 1]
+   * @param {number} timestamp - Epoch ms of the first sample
+   * @returns {Array<Object>} Finished segments, oldest first
+   */
+  push(samples, timestamp = Date.now()) {
+    const segments = [];
+    const { sampleRate } = this.config;
+    this.lastActivity = Date.now();
+
+    // The page doesn't send silent chunks, so a jump in time is a pause we never saw
+    if (this.nextTime !== null && timestamp - this.nextTime > this.config.speechEndPause * 1000) {
+      if (this.segment) {
+        this.stats.gaps++;
+      }
+      this.finish(SEGMENT_END_REASONS.GAP, segments);
+    }
+    this.nextTime = timestamp + samples.length / sampleRate * 1000;
+
+    let offset = 0;
+    while (offset < samples.length) {
+      if (this.pendingLength === 0) {
+        this.pendingTime = timestamp + offset / sampleRate * 1000;
+      }
+
+      const count = Math.min(this.frameSize - this.pendingLength, samples.length - offset);
+      this.pending.set(samples.subarray(offset, offset + count), this.pendingLength);
+      this.pendingLength += count;
+      offset += count;
+
+      if (this.pendingLength === this.frameSize) {
+        this.processFrame(this.pending.slice(), this.pendingTime, segments);
+        this.pendingLength = 0;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * End the current utterance now, e.g. when audio stops or capture ends
+   * @returns {Array<Object>} The segment, if it was long enough
+   */
+  flush() {
+    const segments = [];
+    if (this.segment && this.pendingLength > 0) {
+      this.segment.frames.push({
+        samples: this.pending.slice(0, this.pendingLength),
+        time: this.pendingTime,
+        speech: false,
+        rms: 0
+      });
+    }
+    this.finish(SEGMENT_END_REASONS.FLUSH, segments);
+    return segments;
+  }
+
+  /**
+   * Drop everything buffered
+   */
+  reset() {
+    this.segment = null;
+    this.preRoll = [];
+    this.pendingLength = 0;
+    this.nextTime = null;
+    this.vad.reset();
+  }
+
+  processFrame(samples, time, segments) {
+    const { frameSpeech, event, features } = this.vad.process(samples);
+    const frame = { samples, time, speech: frameSpeech, rms: features.rms };
+
+    if (this.segment) {
+      this.segment.frames.push(frame);
+      if (frameSpeech) {
+        this.segment.speechFrames++;
+      }
+
+      if (event === 'end') {
+        this.endSegment(SEGMENT_END_REASONS.SPEECH_END, segments);
+      } else if (this.segment.frames.length >= this.toFrames(this.config.maxUtterance)) {
+        this.splitSegment(segments);
+      }
+      return;
+    }
+
+    if (event === 'start') {
+      // Pre-roll always covers the onset frames that triggered the start
+      const frames = [...this.preRoll, frame];
+      this.segment = {
+        frames,
+        speechFrames: frames.filter(f => f.speech).length
+      };
+      this.preRoll = [];
+      return;
+    }
+
+    this.preRoll.push(frame);
+    const keep = Math.max(this.toFrames(this.config.preRoll), this.vad.config.onsetFrames);
+    if (this.preRoll.length > keep) {
+      this.preRoll.shift();
+    }
+  }
+
+  finish(reason, segments) {
+    this.endSegment(reason, segments);
+    this.preRoll = [];
+    this.pendingLength = 0;
+    this.vad.reset();
+  }
+
+  endSegment(reason, segments) {
+    const segment = this.segment;
+    this.segment = null;
+    if (!segment) return;
+
+    // Trim the hangover down to the post-roll; the rest can pre-roll the next utterance
+    const frames = segment.frames;
+    let lastSpeech = frames.length - 1;
+    while (lastSpeech >= 0 && !frames[lastSpeech].speech) {
+      lastSpeech--;
+    }
+    const end = Math.min(frames.length, lastSpeech + 1 + this.toFrames(this.config.postRoll));
+    this.preRoll = frames.slice(end).slice(-this.toFrames(this.config.preRoll));
+
+    if (segment.speechFrames * this.config.frameDuration < this.config.minUtterance) {
+      this.stats.discarded++;
+      return;
+    }
+
+    segments.push(this.buildSegment(frames.slice(0, end), reason, segment.speechFrames, segment.overlapFrames));
+  }
+
+  splitSegment(segments) {
+    const frames = this.segment.frames;
+    const searchFrom = Math.max(1, frames.length - this.toFrames(this.config.splitSearch));
+
+    let splitAt = frames.length - 1;
+    for (let i = frames.length - 1; i >= searchFrom; i--) {
+      if (frames[i].rms < frames[splitAt].rms) {
+        splitAt = i;
+      }
+    }
+
+    // Split after the quietest frame so it ends the first half
+    const head = frames.slice(0, splitAt + 1);
+    const tail = frames.slice(splitAt + 1);
+    const headSpeech = head.filter(f => f.speech).length;
+
+    this.stats.splits++;
+    segments.push(this.buildSegment(head, SEGMENT_END_REASONS.MAX_LENGTH, headSpeech, this.segment.overlapFrames));
+
+    const shared = this.config.overlap > 0
+      ? head.slice(-this.toFrames(this.config.overlap))
+      : [];
+    this.segment = {
+      frames: [...shared, ...tail],
+      speechFrames: this.segment.speechFrames - headSpeech + shared.filter(f => f.speech).length,
+      overlapFrames: shared.length
+    };
+  }
+
+  buildSegment(frames, reason, speechFrames, overlapFrames = 0) {
+    const length = frames.reduce((sum, frame) => sum + frame.samples.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    for (const frame of frames) {
+      samples.set(frame.samples, offset);
+      offset += frame.samples.length;
+    }
+
+    this.stats.segments++;
+    return {
+      samples,
+      startTime: Math.round(frames[0].time),
+      duration: length / this.config.sampleRate,
+      speechDuration: speechFrames * this.config.frameDuration,
+      // Seconds at the start that repeat the end of the previous segment
+      overlap: overlapFrames * this.config.frameDuration,
+      reason
+    };
+  }
+
+  toFrames(seconds) {
+    return Math.max(1, Math.round(seconds / this.config.frameDuration));
+  }
+
+  /**
+   * @returns {boolean} Whether an utterance is in progress
+   */
+  isSpeaking() {
+    return this.segment !== null;
+  }
+
+  /**
+   * @returns {number} Seconds held for the utterance in progress
+   */
+  getBufferedDuration() {
+    if (!this.segment) return 0;
+    return this.segment.frames.length * this.config.frameDuration;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      speaking: this.isSpeaking(),
+      bufferedDuration: this.getBufferedDuration(),
+      noiseFloor: this.vad.noiseFloor
+    };
+  }
+}
+
+export default SpeechSegmenter;
@@ -0,0 +1,265 @@
+/**
+ * Watchlist Alerts
+ * Checks each new transcript against a watchlist of tickers and a list of
+ * keyword rules, and decides whether it is worth a desktop notification.
+ *
+ * Tickers match the entities found in the transcript (entity-extractor.js),
+ * so "apple" counts for AAPL. Keyword rules are one per line:
+ *
+ *   halt                  exact words or phrase, any case
+ *   ~downgrade            stemmed: also "downgrades", "downgraded"
+ *   /news (is )?out/      regular expression
+ *   halt @ DP, Kira       any rule can end with the speakers it listens to
+ *
+ * Every match is kept for the alert history. Notifications are held back
+ * while alerts are snoozed, for a while after the same rule fired, and when
+ * too many fired in the last minute.
+ */
+
+import { ENTITY_TYPES } from './entity-extractor.js';
+
+export const MATCH_TYPES = {
+  TICKER: 'ticker',
+  EXACT: 'exact',
+  STEM: 'stem',
+  REGEX: 'regex'
+};
+
+export const SUPPRESSED = {
+  SNOOZED: 'snoozed',
+  THROTTLED: 'throttled'
+};
+
+const SUFFIXES = ['ingly', 'edly', 'ings', 'ing', 'ied', 'ies', 'ers', 'er', 'ed', 'es', 'ly', 's'];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Crude English stem, enough to match "halted", "halts" and "halting" to "halt"
+ * @param {string} word - Word
+ * @returns {string} Stem, lower case
+ */
+export function stem(word) {
+  let result = String(word || '').toLowerCase().replace(/['’]s$/, '');
+
+  for (const suffix of SUFFIXES) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+      result = result.slice(0, -suffix.length) + (suffix === 'ied' || suffix === 'ies' ? 'y' : '');
+      break;
+    }
+  }
+
+  // "downgrade" and "downgraded" meet at "downgrad", "stopped" at "stop"
+  if (result.length > 3 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+  if (/([^aeiouls])\1$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+// Words with their offsets, for stemmed matching
+function words(text) {
+  return Array.from(String(text || '').matchAll(/[\p{L}\p{N}'’]+/gu), match => ({
+    stem: stem(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Parse keyword rules
+ * @param {string} text - One rule per line (see the top of this file)
+ * @returns {Object} { rules: [{ id, type, pattern, label, speakers }], errors: [{ line, message }] }
+ */
+export function parseKeywordRules(text) {
+  const rules = [];
+  const errors = [];
+
+  String(text ?? '').split('\n').forEach((raw, index) => {
+    let line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    let speakers = [];
+    const scope = line.lastIndexOf(' @ ');
+    if (scope !== -1) {
+      speakers = line.slice(scope + 3).split(',').map(s => s.trim()).filter(Boolean);
+      line = line.slice(0, scope).trim();
+    }
+
+    const rule = { id: `keyword:${index + 1}`, label: line, speakers };
+
+    if (line.length > 2 && line.startsWith('/') && line.endsWith('/')) {
+      try {
+        rules.push({ ...rule, type: MATCH_TYPES.REGEX, pattern: new RegExp(line.slice(1, -1), 'i') });
+      } catch (error) {
+        errors.push({ line: index + 1, message: `Bad pattern ${line}: ${error.message}` });
+      }
+    } else if (line.startsWith('~')) {
+      const stems = words(line.slice(1)).map(word => word.stem);
+      if (stems.length === 0) {
+        errors.push({ line: index + 1, message: 'Nothing to match after "~"' });
+      } else {
+        rules.push({ ...rule, label: line.slice(1).trim(), type: MATCH_TYPES.STEM, pattern: stems });
+      }
+    } else {
+      const source = escapeRegExp(line).replace(/['’]/g, "['’]?").replace(/\s+/g, '\\s+');
+      rules.push({ ...rule, type: MATCH_TYPES.EXACT, pattern: new RegExp(`(?<![\\w'’])${source}(?![\\w'’])`, 'i') });
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Where a rule matches a transcript
+ * @param {Object} rule - From parseKeywordRules()
+ * @param {string} text - Transcript text
+ * @returns {Object|null} { text, offset }
+ */
+export function matchRule(rule, text) {
+  if (rule.type === MATCH_TYPES.STEM) {
+    const list = words(text);
+    for (let i = 0; i + rule.pattern.length <= list.length; i++) {
+      if (rule.pattern.every((s, k) => list[i + k].stem === s)) {
+        const end = list[i + rule.pattern.length - 1].end;
+        return { text: text.slice(list[i].start, end), offset: list[i].start };
+      }
+    }
+    return null;
+  }
+
+  const match = rule.pattern.exec(text);
+  return match ? { text: match[0], offset: match.index } : null;
+}
+
+export class WatchlistAlerts {
+  constructor(options = {}) {
+    this.config = {
+      // The same rule notifies again only after this long
+      ruleCooldown: 60 * 1000,
+      // Notifications in any one minute, across all rules
+      maxPerMinute: 5,
+      ...options
+    };
+
+    this.watchlist = new Set();
+    this.rules = [];
+    this.keywordsText = '';
+    this.snoozedUntil = 0;
+    this.lastFired = new Map();    // rule id -> time it last notified
+    this.recentNotifications = [];
+    this.stats = {
+      checked: 0,
+      matched: 0,
+      notified: 0,
+      snoozed: 0,
+      throttled: 0
+    };
+  }
+
+  /**
+   * Replace the watchlist and keyword rules; bad keyword lines are skipped and reported
+   * @param {Object} watchlist - { tickers: [symbols] or text, keywords: rule text }
+   * @returns {Array<Object>} Errors, [{ line, message }]
+   */
+  setWatchlist({ tickers = [], keywords = '' } = {}) {
+    const symbols = Array.isArray(tickers) ? tickers : String(tickers).split(/[\s,]+/);
+    this.watchlist = new Set(symbols.map(s => s.trim().replace(/^\$/, '').toUpperCase()).filter(Boolean));
+
+    const { rules, errors } = parseKeywordRules(keywords);
+    this.rules = rules;
+    this.keywordsText = String(keywords);
+    return errors;
+  }
+
+  getWatchlist() {
+    return { tickers: Array.from(this.watchlist), keywords: this.keywordsText };
+  }
+
+  /**
+   * Hold notifications back until a time; matches are still recorded
+   * @param {number} until - Epoch ms; 0 resumes
+   */
+  snooze(until) {
+    this.snoozedUntil = Math.max(0, until || 0);
+  }
+
+  isSnoozed(now = Date.now()) {
+    return this.snoozedUntil > now;
+  }
+
+  /**
+   * Check one transcript
+   * @param {Object} transcription - Stored transcript, with entities if any were found
+   * @param {number} now - Current time
+   * @returns {Object|null} Alert { id, transcriptId, speaker, userId, timestamp, text, matches, notify, suppressed } or null
+   */
+  evaluate(transcription, now = Date.now()) {
+    const text = transcription.text || '';
+    const speaker = transcription.speaker || 'Unknown';
+    const matches = [];
+
+    this.stats.checked++;
+
+    const seen = new Set();
+    for (const entity of transcription.entities || []) {
+      if (entity.type !== ENTITY_TYPES.TICKER || !this.watchlist.has(entity.value) || seen.has(entity.value)) continue;
+      seen.add(entity.value);
+      matches.push({ ruleId: `ticker:${entity.value}`, type: MATCH_TYPES.TICKER, label: entity.value, text: entity.text, offset: entity.offset });
+    }
+
+    for (const rule of this.rules) {
+      if (rule.speakers.length > 0 && !rule.speakers.some(name => name.toLowerCase() === speaker.toLowerCase())) continue;
+      const match = matchRule(rule, text);
+      if (match) {
+        matches.push({ ruleId: rule.id, type: rule.type, label: rule.label, ...match });
+      }
+    }
+
+    if (matches.length === 0) return null;
+    this.stats.matched++;
+
+    const alert = {
+      id: `alert:${transcription.id ?? now}`,
+      transcriptId: transcription.id ?? null,
+      speaker,
+      userId: transcription.userId ?? null,
+      timestamp: transcription.timestamp ?? now,
+      text,
+      matches,
+      notify: false,
+      suppressed: null
+    };
+
+    this.recentNotifications = this.recentNotifications.filter(time => now - time < 60 * 1000);
+    const fresh = matches.filter(match => !(now - (this.lastFired.get(match.ruleId) ?? -Infinity) < this.config.ruleCooldown));
+
+    if (this.isSnoozed(now)) {
+      alert.suppressed = SUPPRESSED.SNOOZED;
+      this.stats.snoozed++;
+    } else if (fresh.length === 0 || this.recentNotifications.length >= this.config.maxPerMinute) {
+      alert.suppressed = SUPPRESSED.THROTTLED;
+      this.stats.throttled++;
+    } else {
+      alert.notify = true;
+      fresh.forEach(match => this.lastFired.set(match.ruleId, now));
+      this.recentNotifications.push(now);
+      this.stats.notified++;
+    }
+
+    return alert;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      watchlist: this.watchlist.size,
+      rules: this.rules.length,
+      snoozedUntil: this.isSnoozed() ? this.snoozedUntil : null
+    };
+  }
+}
+
+export default WatchlistAlerts;
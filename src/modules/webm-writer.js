@@ -0,0 +1,196 @@
+/**
+ * WebM Writer
+ * Just enough Matroska to put the Opus packets WebCodecs produces into a file
+ * transcription APIs accept: one audio track, each packet a SimpleBlock,
+ * clusters cut before their 16-bit relative timecodes run out.
+ */
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  EBML_VERSION: 0x4286,
+  EBML_READ_VERSION: 0x42F7,
+  EBML_MAX_ID_LENGTH: 0x42F2,
+  EBML_MAX_SIZE_LENGTH: 0x42F3,
+  DOC_TYPE: 0x4282,
+  DOC_TYPE_VERSION: 0x4287,
+  DOC_TYPE_READ_VERSION: 0x4285,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  MUXING_APP: 0x4D80,
+  WRITING_APP: 0x5741,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_UID: 0x73C5,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63A2,
+  CODEC_DELAY: 0x56AA,
+  SEEK_PRE_ROLL: 0x56BB,
+  AUDIO: 0xE1,
+  SAMPLING_FREQUENCY: 0xB5,
+  CHANNELS: 0x9F,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3
+};
+
+export const WEBM_IDS = IDS;
+
+// Timecodes in milliseconds
+const TIMECODE_SCALE = 1000000;
+const MAX_CLUSTER_SPAN = 30000;
+// Opus decoders need 80 ms of audio before a seek target to converge
+const OPUS_SEEK_PRE_ROLL = 80000000;
+
+const encoder = new TextEncoder();
+
+function idBytes(id) {
+  const bytes = [];
+  for (let rest = id; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest & 0xFF);
+  }
+  return bytes;
+}
+
+// Element sizes are variable-length integers with a leading length marker
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Array(length);
+  let rest = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest & 0xFF;
+    rest = Math.floor(rest / 256);
+  }
+  bytes[0] |= 0x100 >> length;
+  return bytes;
+}
+
+function concat(parts) {
+  const length = parts.reduce((total, part) => total + part.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+function element(id, ...children) {
+  const body = concat(children);
+  return concat([idBytes(id), sizeBytes(body.length), body]);
+}
+
+function uint(id, value) {
+  const bytes = [];
+  for (let rest = value; rest > 0 || bytes.length === 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest & 0xFF);
+  }
+  return element(id, bytes);
+}
+
+function float(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+function string(id, value) {
+  return element(id, encoder.encode(value));
+}
+
+function simpleBlock(track, relativeTime, data) {
+  const header = new Uint8Array(4);
+  header[0] = 0x80 | track;       // track number as a one-byte vint
+  new DataView(header.buffer).setInt16(1, relativeTime);
+  header[3] = 0x80;               // keyframe: every Opus packet decodes on its own
+  return element(IDS.SIMPLE_BLOCK, header, data);
+}
+
+/**
+ * OpusHead, for encoders that don't supply a decoder description
+ * @param {Object} options - { channels, sampleRate (input), preSkip (48 kHz samples) }
+ * @returns {Uint8Array} Identification header
+ */
+export function createOpusHead({ channels = 1, sampleRate = 48000, preSkip = 312 } = {}) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(encoder.encode('OpusHead'));
+  head[8] = 1;                    // version
+  head[9] = channels;
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true);     // output gain
+  head[18] = 0;                   // mono/stereo mapping
+  return head;
+}
+
+/**
+ * Mux Opus packets into a WebM file
+ * @param {Array} packets - [{ data: Uint8Array, timestamp (µs) }] in order
+ * @param {Object} options - { codecPrivate (OpusHead), channels, duration (s) }
+ * @returns {Uint8Array} File bytes
+ */
+export function writeWebM(packets, options = {}) {
+  const { channels = 1, duration = 0 } = options;
+  const codecPrivate = options.codecPrivate || createOpusHead({ channels });
+  const preSkip = new DataView(codecPrivate.buffer, codecPrivate.byteOffset).getUint16(10, true);
+
+  const header = element(IDS.EBML,
+    uint(IDS.EBML_VERSION, 1),
+    uint(IDS.EBML_READ_VERSION, 1),
+    uint(IDS.EBML_MAX_ID_LENGTH, 4),
+    uint(IDS.EBML_MAX_SIZE_LENGTH, 8),
+    string(IDS.DOC_TYPE, 'webm'),
+    uint(IDS.DOC_TYPE_VERSION, 4),
+    uint(IDS.DOC_TYPE_READ_VERSION, 2)
+  );
+
+  const info = element(IDS.INFO,
+    uint(IDS.TIMECODE_SCALE, TIMECODE_SCALE),
+    string(IDS.MUXING_APP, 'vtf-transcription'),
+    string(IDS.WRITING_APP, 'vtf-transcription'),
+    float(IDS.DURATION, duration * 1000)
+  );
+
+  const tracks = element(IDS.TRACKS,
+    element(IDS.TRACK_ENTRY,
+      uint(IDS.TRACK_NUMBER, 1),
+      uint(IDS.TRACK_UID, 1),
+      uint(IDS.TRACK_TYPE, 2),    // audio
+      string(IDS.CODEC_ID, 'A_OPUS'),
+      element(IDS.CODEC_PRIVATE, codecPrivate),
+      uint(IDS.CODEC_DELAY, Math.round(preSkip / 48000 * 1e9)),
+      uint(IDS.SEEK_PRE_ROLL, OPUS_SEEK_PRE_ROLL),
+      element(IDS.AUDIO,
+        float(IDS.SAMPLING_FREQUENCY, 48000),
+        uint(IDS.CHANNELS, channels)
+      )
+    )
+  );
+
+  const clusters = [];
+  let cluster = null;
+  packets.forEach(packet => {
+    const time = Math.round(packet.timestamp / 1000);
+    if (!cluster || time - cluster.time > MAX_CLUSTER_SPAN) {
+      cluster = { time, blocks: [] };
+      clusters.push(cluster);
+    }
+    cluster.blocks.push(simpleBlock(1, time - cluster.time, packet.data));
+  });
+
+  const segment = element(IDS.SEGMENT,
+    info,
+    tracks,
+    ...clusters.map(c => element(IDS.CLUSTER, uint(IDS.TIMECODE, c.time), ...c.blocks))
+  );
+
+  return concat([header, segment]);
+}
+
+export default writeWebM;
@@ -0,0 +1,231 @@
+/**
+ * Windowed List
+ * Renders a slice of a very long list and grows it in pages as the user
+ * scrolls in either direction, dropping rows far off-screen so the DOM stays
+ * small regardless of how many rows there are. When the user reaches the
+ * first or last row, onEdge lets the owner fetch more and hand them over
+ * with replaceRows().
+ */
+export class WindowedList {
+  constructor(container, options = {}) {
+    this.container = container;       // Scrollable element
+    this.config = {
+      renderRow: null,                // (row, index) => HTMLElement
+      pageSize: 100,
+      maxRendered: 400,               // Rows kept in the DOM
+      threshold: 800,                 // Load the next page this many px ahead
+      onEdge: () => {},               // ('start'|'end') => void, no rows left that way
+      ...options
+    };
+
+    if (typeof this.config.renderRow !== 'function') {
+      throw new Error('WindowedList requires a renderRow function');
+    }
+
+    this.rows = [];
+    this.start = 0;
+    this.end = 0;
+
+    this.content = document.createElement('div');
+    this.content.className = 'windowed-list-content';
+    this.container.appendChild(this.content);
+
+    this.frame = null;
+    this.handleScroll = () => {
+      if (this.frame) return;
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.checkEdges();
+      });
+    };
+    this.container.addEventListener('scroll', this.handleScroll, { passive: true });
+  }
+
+  /**
+   * Replace the rows
+   * @param {Array<Object>} rows - All rows
+   * @param {Object} options - { anchor: 'start'|'end' } where to show first
+   */
+  setRows(rows, options = {}) {
+    const { anchor = 'end' } = options;
+    this.rows = rows;
+
+    if (anchor === 'start') {
+      this.renderRange(0, Math.min(rows.length, this.config.pageSize * 2));
+      this.container.scrollTop = 0;
+    } else {
+      this.renderRange(Math.max(0, rows.length - this.config.pageSize * 2), rows.length);
+      this.container.scrollTop = this.container.scrollHeight;
+    }
+  }
+
+  /**
+   * Replace the rows without moving what is on screen. The topmost visible
+   * row still in the new rows (matched by key) stays where it is.
+   * @param {Array<Object>} rows - All rows
+   */
+  replaceRows(rows) {
+    const indexes = new Map(rows.map((row, index) => [row.key, index]));
+    const top = this.container.getBoundingClientRect().top;
+
+    let anchor = null;
+    for (const element of this.content.children) {
+      const { top: elementTop, bottom } = element.getBoundingClientRect();
+      const index = indexes.get(this.rows[element.dataset.rowIndex]?.key);
+      if (bottom > top && index !== undefined) {
+        anchor = { index, offset: elementTop - top };
+        break;
+      }
+    }
+
+    this.rows = rows;
+    if (!anchor) {
+      this.setRows(rows);
+      return;
+    }
+
+    const { pageSize } = this.config;
+    this.renderRange(Math.max(0, anchor.index - pageSize), Math.min(rows.length, anchor.index + pageSize));
+    const element = this.getElement(anchor.index);
+    this.container.scrollTop += element.getBoundingClientRect().top - top - anchor.offset;
+  }
+
+  /**
+   * Render exactly rows [start, end)
+   * @param {number} start - First row index
+   * @param {number} end - One past the last row index
+   */
+  renderRange(start, end) {
+    this.start = start;
+    this.end = end;
+
+    const fragment = document.createDocumentFragment();
+    for (let i = start; i < end; i++) {
+      fragment.appendChild(this.createRowElement(i));
+    }
+    this.content.replaceChildren(fragment);
+  }
+
+  /**
+   * @param {number} index - Row index
+   * @returns {HTMLElement} Rendered row tagged with its index
+   */
+  createRowElement(index) {
+    const element = this.config.renderRow(this.rows[index], index);
+    element.dataset.rowIndex = index;
+    return element;
+  }
+
+  /**
+   * Grow the window when the user scrolls near either end
+   */
+  checkEdges() {
+    const { scrollTop, scrollHeight, clientHeight } = this.container;
+    const { threshold } = this.config;
+
+    if (scrollTop < threshold) {
+      if (this.loadBefore()) return;
+      this.config.onEdge('start');
+    }
+    if (scrollHeight - scrollTop - clientHeight < threshold && !this.loadAfter()) {
+      this.config.onEdge('end');
+    }
+  }
+
+  /**
+   * Prepend a page, keeping the visible rows where they are
+   * @returns {boolean} True if rows were added
+   */
+  loadBefore() {
+    if (this.start === 0) return false;
+
+    const newStart = Math.max(0, this.start - this.config.pageSize);
+    const fragment = document.createDocumentFragment();
+    for (let i = newStart; i < this.start; i++) {
+      fragment.appendChild(this.createRowElement(i));
+    }
+
+    const previousHeight = this.content.scrollHeight;
+    this.content.prepend(fragment);
+    this.container.scrollTop += this.content.scrollHeight - previousHeight;
+    this.start = newStart;
+
+    // Drop rows far below
+    while (this.end - this.start > this.config.maxRendered) {
+      this.content.lastElementChild.remove();
+      this.end--;
+    }
+    return true;
+  }
+
+  /**
+   * Append a page, dropping rows far above
+   * @returns {boolean} True if rows were added
+   */
+  loadAfter() {
+    if (this.end >= this.rows.length) return false;
+
+    const newEnd = Math.min(this.rows.length, this.end + this.config.pageSize);
+    const fragment = document.createDocumentFragment();
+    for (let i = this.end; i < newEnd; i++) {
+      fragment.appendChild(this.createRowElement(i));
+    }
+    this.content.appendChild(fragment);
+    this.end = newEnd;
+
+    while (this.end - this.start > this.config.maxRendered) {
+      const first = this.content.firstElementChild;
+      const height = first.offsetHeight;
+      first.remove();
+      this.container.scrollTop -= height;
+      this.start++;
+    }
+    return true;
+  }
+
+  /**
+   * Rendered element for a row, if it is in the window
+   * @param {number} index - Row index
+   * @returns {HTMLElement|null} Element
+   */
+  getElement(index) {
+    if (index < this.start || index >= this.end) return null;
+    return this.content.children[index - this.start] || null;
+  }
+
+  /**
+   * Bring a row into view, re-centering the window on it if needed
+   * @param {number} index - Row index
+   * @returns {HTMLElement|null} The row's element
+   */
+  scrollToIndex(index) {
+    if (index < 0 || index >= this.rows.length) return null;
+
+    if (!this.getElement(index)) {
+      const half = this.config.pageSize;
+      const start = Math.max(0, index - half);
+      this.renderRange(start, Math.min(this.rows.length, start + half * 2));
+    }
+
+    const element = this.getElement(index);
+    if (element) {
+      element.scrollIntoView({ block: 'center' });
+    }
+    return element;
+  }
+
+  /**
+   * Stop listening and clear the list
+   */
+  destroy() {
+    this.container.removeEventListener('scroll', this.handleScroll);
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.content.remove();
+    this.rows = [];
+  }
+}
+
+export default WindowedList;
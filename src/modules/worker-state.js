@@ -0,0 +1,132 @@
+/**
+ * Worker State
+ * Carries what the service worker holds in memory across Chrome suspending
+ * it: utterances waiting for the API, the counters shown in the popup and
+ * the rate limiter's recent calls. (Utterances still being heard live in
+ * the offscreen document, which is not suspended.)
+ *
+ * Audio goes to IndexedDB, one record per stream, holding the queued
+ * segments as they are. The rest is small and goes to
+ * chrome.storage.session, which outlives the worker but not the browser.
+ */
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+export class WorkerStateStore {
+  constructor(options = {}) {
+    this.config = {
+      dbName: 'vtf-worker-state',
+      storeName: 'streams',
+      // chrome.storage area for the small state; session storage by default
+      storage: globalThis.chrome?.storage?.session || null,
+      storageKey: 'workerState',
+      // Audio older than this is not worth transcribing after a restart
+      maxAge: 10 * 60 * 1000,
+      ...options
+    };
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      const { storeName } = this.config;
+      this.dbPromise = openDatabase(this.config.dbName, 1, (db) => {
+        db.createObjectStore(storeName, { keyPath: 'streamId' });
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Save the audio held for some streams; streams holding none are removed
+   * @param {Array<Object>} streams - [{ streamId, queue: [segments] }]
+   */
+  async saveStreams(streams) {
+    if (streams.length === 0) return;
+
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    const store = tx.objectStore(this.config.storeName);
+    const savedAt = Date.now();
+
+    for (const { streamId, queue = [] } of streams) {
+      if (queue.length > 0) {
+        store.put({ streamId, queue, savedAt });
+      } else {
+        store.delete(streamId);
+      }
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * Audio saved by an earlier worker, dropping what is too old to matter
+   * @returns {Promise<Array<Object>>} [{ streamId, queue, savedAt }]
+   */
+  async loadStreams() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    const store = tx.objectStore(this.config.storeName);
+    const records = await promisifyRequest(store.getAll());
+
+    const cutoff = Date.now() - this.config.maxAge;
+    const fresh = records.filter(record => record.savedAt >= cutoff);
+    records.filter(record => record.savedAt < cutoff).forEach(record => store.delete(record.streamId));
+    await transactionDone(tx);
+
+    return fresh;
+  }
+
+  /**
+   * Save the small state
+   * @param {Object} state - Anything JSON can hold
+   */
+  async saveState(state) {
+    if (!this.config.storage) return;
+    await this.config.storage.set({ [this.config.storageKey]: { ...state, savedAt: Date.now() } });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} What saveState() last saved, if this browser session saved anything
+   */
+  async loadState() {
+    if (!this.config.storage) return null;
+    const stored = await this.config.storage.get(this.config.storageKey);
+    return stored[this.config.storageKey] || null;
+  }
+
+  /**
+   * Forget everything
+   */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(this.config.storeName, 'readwrite');
+    tx.objectStore(this.config.storeName).clear();
+    await transactionDone(tx);
+    await this.config.storage?.remove(this.config.storageKey);
+  }
+
+  /**
+   * Close the database connection
+   */
+  async destroy() {
+    if (this.dbPromise) {
+      try {
+        const db = await this.dbPromise;
+        db.close();
+      } catch (error) {
+        // Never opened
+      }
+      this.dbPromise = null;
+    }
+  }
+}
+
+export default WorkerStateStore;
@@ -0,0 +1,44 @@
+// src/offscreen.js - Offscreen document: audio buffering, VAD and encoding
+import { AudioProcessor, OFFSCREEN_AUDIO_PORT, OFFSCREEN_TARGET, SEGMENTS_MESSAGE } from './modules/audio-processor.js';
+
+const processor = new AudioProcessor({
+  onSegments: (streamId, segments, buffer) => {
+    // Wakes the service worker if Chrome suspended it
+    chrome.runtime.sendMessage({ type: SEGMENTS_MESSAGE, streamId, segments, buffer }).catch(error => {
+      console.error(`[Offscreen] Could not deliver ${segments.length} segment(s) for ${streamId}:`, error);
+    });
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Popup and content script traffic for the service worker passes by here too
+  if (message?.target !== OFFSCREEN_TARGET) return false;
+
+  // Flushes answer once their segments are encoded and sent
+  Promise.resolve()
+    .then(() => processor.handle(message))
+    .then(sendResponse, error => {
+      console.error('[Offscreen] Command failed:', message.command, error);
+      sendResponse({ error: error.message });
+    });
+  return true;
+});
+
+// Audio frames come over their own port, each answered with its push() result
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== OFFSCREEN_AUDIO_PORT) return;
+
+  port.onMessage.addListener(({ id, frame }) => {
+    let response;
+    try {
+      response = processor.push(frame);
+    } catch (error) {
+      console.error('[Offscreen] Frame failed:', error);
+      response = { error: error.message };
+    }
+    port.postMessage({ id, response });
+  });
+});
+
+// For poking at from the offscreen document's DevTools
+window.audioProcessor = processor;
@@ -4,18 +4,75 @@ document.addEventListener('DOMContentLoaded', async () => {
   const toggleBtn = document.getElementById('toggleBtn');
   const saveBtn = document.getElementById('saveBtn');
   const clearBtn = document.getElementById('clearBtn');
+  const exportBtn = document.getElementById('exportBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportFrom = document.getElementById('exportFrom');
+  const exportTo = document.getElementById('exportTo');
+  const exportSession = document.getElementById('exportSession');
   const status = document.getElementById('status');
   const debugMode = document.getElementById('debugMode');
   const autoStart = document.getElementById('autoStart');
-  const bufferDuration = document.getElementById('bufferDuration');
-  const bufferValue = document.getElementById('bufferValue');
+  const speechEndPause = document.getElementById('speechEndPause');
+  const speechEndPauseValue = document.getElementById('speechEndPauseValue');
+  const chunkOverlap = document.getElementById('chunkOverlap');
+  const liveRegionMode = document.getElementById('liveRegionMode');
+  const announceSpeakerChangesOnly = document.getElementById('announceSpeakerChangesOnly');
+  const testProviderBtn = document.getElementById('testProviderBtn');
+  const vocab = {
+    tickers: document.getElementById('vocabTickers'),
+    jargon: document.getElementById('vocabJargon'),
+    speakers: document.getElementById('vocabSpeakers')
+  };
+  const tradeRules = document.getElementById('tradeRules');
+  const testRulesBtn = document.getElementById('testRulesBtn');
+  const testRulesList = document.getElementById('testRulesList');
+  const filteredDetails = document.getElementById('filteredDetails');
+  const filteredCount = document.getElementById('filteredCount');
+  const filteredList = document.getElementById('filteredList');
+  const clearFilteredBtn = document.getElementById('clearFilteredBtn');
+  const watchTickers = document.getElementById('watchTickers');
+  const watchKeywords = document.getElementById('watchKeywords');
+  const alertDetails = document.getElementById('alertDetails');
+  const alertCount = document.getElementById('alertCount');
+  const alertList = document.getElementById('alertList');
+  const alertSnoozeState = document.getElementById('alertSnoozeState');
+  const snoozeAlertsBtn = document.getElementById('snoozeAlertsBtn');
+  const resumeAlertsBtn = document.getElementById('resumeAlertsBtn');
+  const clearAlertsBtn = document.getElementById('clearAlertsBtn');
+  const speakerDetails = document.getElementById('speakerDetails');
+  const speakerCount = document.getElementById('speakerCount');
+  const speakerList = document.getElementById('speakerList');
+  
+  // Provider elements
+  const provider = {
+    type: document.getElementById('providerType'),
+    settings: document.getElementById('providerSettings'),
+    format: document.getElementById('providerFormat'),
+    requestsPerMinute: document.getElementById('providerRequestsPerMinute'),
+    audioMinutesPerHour: document.getElementById('providerAudioMinutesPerHour'),
+    endpoint: document.getElementById('providerEndpoint'),
+    model: document.getElementById('providerModel'),
+    authType: document.getElementById('providerAuthType'),
+    authHeader: document.getElementById('providerAuthHeader'),
+    authHeaderGroup: document.getElementById('providerAuthHeaderGroup'),
+    apiKey: document.getElementById('providerApiKey'),
+    apiKeyGroup: document.getElementById('providerApiKeyGroup'),
+    textPath: document.getElementById('providerTextPath'),
+    textPathGroup: document.getElementById('providerTextPathGroup'),
+    fieldMap: document.getElementById('providerFieldMap'),
+    openaiKeyGroup: document.getElementById('openaiKeyGroup')
+  };
   
   // Load saved settings
   const settings = await chrome.storage.local.get([
     'openaiApiKey',
     'debugMode', 
     'autoStart',
-    'bufferDuration'
+    'speechEndPause',
+    'chunkOverlap',
+    'transcriptionProvider',
+    'liveRegionMode',
+    'announceSpeakerChangesOnly'
   ]);
   
   if (settings.openaiApiKey) {
@@ -23,8 +80,43 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
   debugMode.checked = settings.debugMode || false;
   autoStart.checked = settings.autoStart !== false; // Default true
-  bufferDuration.value = settings.bufferDuration || 1.5;
-  bufferValue.textContent = `${bufferDuration.value}s`;
+  speechEndPause.value = settings.speechEndPause || 0.6;
+  speechEndPauseValue.textContent = `${speechEndPause.value}s`;
+  chunkOverlap.checked = settings.chunkOverlap > 0;
+  liveRegionMode.value = settings.liveRegionMode || 'polite';
+  announceSpeakerChangesOnly.checked = settings.announceSpeakerChangesOnly || false;
+  
+  const savedProvider = settings.transcriptionProvider || {};
+  provider.type.value = savedProvider.type || 'openai';
+  provider.format.value = savedProvider.format || '';
+  provider.requestsPerMinute.value = savedProvider.requestsPerMinute ?? '';
+  provider.audioMinutesPerHour.value = savedProvider.audioMinutesPerHour ?? '';
+  provider.endpoint.value = savedProvider.endpoint || '';
+  provider.model.value = savedProvider.model || '';
+  provider.authType.value = savedProvider.authType || 'none';
+  provider.authHeader.value = savedProvider.authHeader || '';
+  provider.apiKey.value = savedProvider.apiKey || '';
+  provider.textPath.value = savedProvider.textPath || '';
+  provider.fieldMap.value = savedProvider.fieldMap ? JSON.stringify(savedProvider.fieldMap) : '';
+  updateProviderFields();
+  
+  // Vocabulary lives in the background, which fills in the defaults
+  chrome.runtime.sendMessage({ type: 'getVocabulary' }).then(response => {
+    if (response?.vocabulary) showVocabulary(response.vocabulary);
+  }).catch(error => console.warn('[VTF Options] Could not load vocabulary:', error));
+  
+  chrome.runtime.sendMessage({ type: 'getTradeRules' }).then(response => {
+    if (typeof response?.rules === 'string') tradeRules.value = response.rules;
+  }).catch(error => console.warn('[VTF Options] Could not load trade rules:', error));
+  
+  chrome.runtime.sendMessage({ type: 'getWatchlist' }).then(response => {
+    if (!response?.watchlist) return;
+    watchTickers.value = response.watchlist.tickers.join(', ');
+    watchKeywords.value = response.watchlist.keywords;
+  }).catch(error => console.warn('[VTF Options] Could not load watchlist:', error));
+  
+  provider.type.addEventListener('change', updateProviderFields);
+  provider.authType.addEventListener('change', updateProviderFields);
   
   // Toggle visibility
   toggleBtn.addEventListener('click', () => {
@@ -37,63 +129,287 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
-  // Update buffer display
-  bufferDuration.addEventListener('input', () => {
-    bufferValue.textContent = `${bufferDuration.value}s`;
+  // Update pause display
+  speechEndPause.addEventListener('input', () => {
+    speechEndPauseValue.textContent = `${speechEndPause.value}s`;
   });
   
   // Save settings
   saveBtn.addEventListener('click', async () => {
     const apiKey = apiKeyInput.value.trim();
+    let providerSettings;
     
-    if (!apiKey) {
-      showStatus('Please enter an API key', 'error');
+    try {
+      providerSettings = readProviderSettings();
+    } catch (error) {
+      showStatus(error.message, 'error');
       return;
     }
     
-    if (!apiKey.startsWith('sk-')) {
-      showStatus('Invalid API key format', 'error');
+    if (providerSettings.type === 'openai') {
+      if (!apiKey) {
+        showStatus('Please enter an API key', 'error');
+        return;
+      }
+      
+      if (!apiKey.startsWith('sk-')) {
+        showStatus('Invalid API key format', 'error');
+        return;
+      }
+    } else if (!(await ensureHostPermission(providerSettings.endpoint))) {
+      showStatus('Permission to reach the provider was denied', 'error');
       return;
     }
     
     try {
       await chrome.storage.local.set({ 
-        openaiApiKey: apiKey,
+        ...(apiKey && { openaiApiKey: apiKey }),
         debugMode: debugMode.checked,
         autoStart: autoStart.checked,
-        bufferDuration: parseFloat(bufferDuration.value)
+        speechEndPause: parseFloat(speechEndPause.value),
+        chunkOverlap: chunkOverlap.checked ? 1 : 0,
+        liveRegionMode: liveRegionMode.value,
+        announceSpeakerChangesOnly: announceSpeakerChangesOnly.checked
       });
       
       // Notify background script
-      chrome.runtime.sendMessage({ 
-        type: 'setApiKey', 
-        apiKey: apiKey 
+      if (apiKey) {
+        const keyResponse = await chrome.runtime.sendMessage({ 
+          type: 'setApiKey', 
+          apiKey: apiKey 
+        });
+        
+        if (keyResponse?.error) {
+          showStatus(keyResponse.error, 'error');
+          return;
+        }
+      }
+      
+      const providerResponse = await chrome.runtime.sendMessage({
+        type: 'setProvider',
+        provider: providerSettings
+      });
+      
+      if (providerResponse?.error) {
+        showStatus(providerResponse.error, 'error');
+        return;
+      }
+      
+      const vocabResponse = await chrome.runtime.sendMessage({
+        type: 'setVocabulary',
+        vocabulary: {
+          tickers: vocab.tickers.value,
+          jargon: vocab.jargon.value,
+          speakers: vocab.speakers.value
+        }
       });
+      if (vocabResponse?.vocabulary) {
+        showVocabulary(vocabResponse.vocabulary);
+      }
       
       chrome.runtime.sendMessage({
         type: 'updateSettings',
         settings: {
           debugMode: debugMode.checked,
           autoStart: autoStart.checked,
-          bufferDuration: parseFloat(bufferDuration.value)
+          speechEndPause: parseFloat(speechEndPause.value),
+          chunkOverlap: chunkOverlap.checked ? 1 : 0
         }
       });
       
+      const rulesResponse = await chrome.runtime.sendMessage({ type: 'setTradeRules', rules: tradeRules.value });
+      if (rulesResponse?.errors?.length) {
+        showStatus(`Trade rules not saved: ${describeRuleErrors(rulesResponse.errors)}`, 'error');
+        return;
+      }
+      
+      const watchlistResponse = await chrome.runtime.sendMessage({
+        type: 'setWatchlist',
+        watchlist: { tickers: watchTickers.value, keywords: watchKeywords.value }
+      });
+      if (watchlistResponse?.errors?.length) {
+        showStatus(`Alert keywords not saved: ${describeRuleErrors(watchlistResponse.errors)}`, 'error');
+        return;
+      }
+      
       showStatus('Settings saved!', 'success');
     } catch (error) {
       showStatus('Failed to save settings', 'error');
     }
   });
   
+  // Test provider with the settings currently in the form
+  testProviderBtn.addEventListener('click', async () => {
+    let providerSettings;
+    
+    try {
+      providerSettings = readProviderSettings();
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+    
+    if (providerSettings.type === 'openai') {
+      const apiKey = apiKeyInput.value.trim();
+      if (apiKey) {
+        providerSettings.apiKey = apiKey;
+      }
+    } else if (!(await ensureHostPermission(providerSettings.endpoint))) {
+      showStatus('Permission to reach the provider was denied', 'error');
+      return;
+    }
+    
+    testProviderBtn.disabled = true;
+    testProviderBtn.textContent = 'Testing...';
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'testProvider',
+        provider: providerSettings
+      });
+      
+      if (result?.ok) {
+        showStatus(`${result.detail} (${result.latency}ms)`, 'success');
+      } else {
+        showStatus(`Test failed: ${result?.error || 'No response'}`, 'error');
+      }
+    } catch (error) {
+      showStatus(`Test failed: ${error.message}`, 'error');
+    } finally {
+      testProviderBtn.disabled = false;
+      testProviderBtn.textContent = 'Test Provider';
+    }
+  });
+  
+  // Past sessions for the export picker
+  chrome.runtime.sendMessage({ type: 'getSessions', options: { limit: 50 } }).then(response => {
+    for (const session of response?.sessions || []) {
+      if (session.current) continue;
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = `${session.name} · ${new Date(session.startTime).toLocaleString()}`;
+      exportSession.appendChild(option);
+    }
+  }).catch(error => console.warn('[VTF Options] Could not load sessions:', error));
+  
+  // Export transcriptions
+  exportBtn.addEventListener('click', async () => {
+    const from = exportFrom.value ? new Date(exportFrom.value).getTime() : null;
+    // Inclusive of the whole selected minute
+    const to = exportTo.value ? new Date(exportTo.value).getTime() + 59999 : null;
+    
+    exportBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'exportTranscripts',
+        format: exportFormat.value,
+        options: { from, to, sessionId: exportSession.value || undefined }
+      });
+      
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      if (response.count === 0) {
+        showStatus('No transcriptions match that selection', 'error');
+        return;
+      }
+      
+      const url = URL.createObjectURL(new Blob([response.content], { type: `${response.mimeType};charset=utf-8` }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = response.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      
+      showStatus(`Exported ${response.count} transcriptions`, 'success');
+    } catch (error) {
+      showStatus(`Export failed: ${error.message}`, 'error');
+    } finally {
+      exportBtn.disabled = false;
+    }
+  });
+  
   // Clear transcriptions
   clearBtn.addEventListener('click', async () => {
     if (confirm('Clear all transcription history?')) {
-      await chrome.storage.local.remove('transcriptions');
-      chrome.runtime.sendMessage({ type: 'clearTranscriptions' });
+      await chrome.runtime.sendMessage({ type: 'clearTranscriptions' });
       showStatus('Transcriptions cleared', 'success');
     }
   });
   
+  // Try the rules in the box against saved transcripts, without saving them
+  testRulesBtn.addEventListener('click', async () => {
+    testRulesBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'testTradeRules', rules: tradeRules.value });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      if (response.errors.length > 0) {
+        showStatus(describeRuleErrors(response.errors), 'error');
+        return;
+      }
+      
+      testRulesList.replaceChildren(...response.calls.map(call => {
+        const li = document.createElement('li');
+        
+        const summary = document.createElement('div');
+        summary.textContent = describeCall(call);
+        
+        const meta = document.createElement('div');
+        meta.className = 'filtered-meta';
+        meta.textContent = `${new Date(call.timestamp).toLocaleString()} · ${call.speaker} · "${call.text}"`;
+        
+        li.append(summary, meta);
+        return li;
+      }));
+      showStatus(`${response.calls.length} calls in ${response.scanned} saved transcriptions`, 'success');
+    } catch (error) {
+      showStatus(`Rule test failed: ${error.message}`, 'error');
+    } finally {
+      testRulesBtn.disabled = false;
+    }
+  });
+  
+  // Debug view of what the hallucination filter caught
+  loadFiltered();
+  filteredDetails.addEventListener('toggle', () => {
+    if (filteredDetails.open) loadFiltered();
+  });
+  
+  clearFilteredBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'clearFilteredTranscripts' });
+    loadFiltered();
+  });
+  
+  // Speaker manager; each edit is saved as soon as it is made
+  loadSpeakers();
+  speakerDetails.addEventListener('toggle', () => {
+    if (speakerDetails.open) loadSpeakers();
+  });
+  
+  // Alert history, with the snooze the notification buttons also set
+  loadAlerts();
+  alertDetails.addEventListener('toggle', () => {
+    if (alertDetails.open) loadAlerts();
+  });
+  
+  snoozeAlertsBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'snoozeAlerts', minutes: 60 });
+    loadAlerts();
+  });
+  
+  resumeAlertsBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'snoozeAlerts', minutes: 0 });
+    loadAlerts();
+  });
+  
+  clearAlertsBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'clearAlertHistory' });
+    loadAlerts();
+  });
+  
   // Enter key saves
   apiKeyInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -101,6 +417,263 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  function showVocabulary(vocabulary) {
+    vocab.tickers.value = vocabulary.tickers.join(', ');
+    vocab.jargon.value = vocabulary.jargon.join(', ');
+    vocab.speakers.value = Object.entries(vocabulary.speakers)
+      .map(([speaker, phrases]) => `${speaker}: ${phrases.join(', ')}`)
+      .join('\n');
+  }
+  
+  function describeCall(call) {
+    const price = call.price !== null ? ` @ ${call.price}` : '';
+    const stop = call.stop !== null ? `, stop ${call.stop}` : '';
+    const mentions = call.mentions > 1 ? ` (×${call.mentions})` : '';
+    return `${call.action.toUpperCase()} ${call.ticker}${price}${stop}${mentions}`;
+  }
+  
+  function describeRuleErrors(errors) {
+    return errors.map(error => `line ${error.line}: ${error.message}`).join('; ');
+  }
+  
+  async function loadFiltered() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getFilteredTranscripts' });
+      const items = response?.items || [];
+      
+      filteredCount.textContent = items.length;
+      filteredList.replaceChildren(...items.map(item => {
+        const li = document.createElement('li');
+        
+        const action = document.createElement('span');
+        action.className = `filtered-action ${item.action}`;
+        action.textContent = item.action === 'drop' ? 'Dropped' : 'Flagged';
+        
+        const meta = document.createElement('div');
+        meta.className = 'filtered-meta';
+        const level = typeof item.metrics?.rms === 'number' ? ` · RMS ${item.metrics.rms.toFixed(4)}` : '';
+        meta.append(action, ` · ${new Date(item.timestamp).toLocaleString()} · ${item.speaker} · ${item.reasons.join(', ')}${level}`);
+        
+        const text = document.createElement('div');
+        text.textContent = `"${item.text}"`;
+        
+        li.append(text, meta);
+        return li;
+      }));
+    } catch (error) {
+      console.warn('[VTF Options] Could not load filtered output:', error);
+    }
+  }
+  
+  async function loadSpeakers() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getSpeakers' });
+      const speakers = response?.speakers || [];
+      
+      speakerCount.textContent = speakers.length;
+      speakerList.replaceChildren(...speakers.map(createSpeakerRow));
+    } catch (error) {
+      console.warn('[VTF Options] Could not load speakers:', error);
+    }
+  }
+  
+  function createSpeakerRow(speaker) {
+    const li = document.createElement('li');
+    const row = document.createElement('div');
+    row.className = 'speaker-row';
+    
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = speaker.color;
+    color.setAttribute('aria-label', `Color for ${speaker.name}`);
+    
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = speaker.source === 'user' ? speaker.name : '';
+    name.placeholder = speaker.name;
+    name.setAttribute('aria-label', `Name for stream ${speaker.streamId}`);
+    
+    const avatar = document.createElement('input');
+    avatar.type = 'text';
+    avatar.className = 'speaker-avatar-input';
+    avatar.value = speaker.avatar || '';
+    avatar.placeholder = 'Avatar';
+    avatar.setAttribute('aria-label', `Avatar for ${speaker.name}`);
+    
+    const policy = createSelect([
+      ['always', 'Always transcribe'],
+      ['keyword', 'Only after an alert keyword'],
+      ['never', 'Never transcribe']
+    ], speaker.policy);
+    policy.setAttribute('aria-label', `When to transcribe ${speaker.name}`);
+    
+    const priority = createSelect([
+      ['2', 'High priority'],
+      ['1', 'Normal priority'],
+      ['0', 'Low priority']
+    ], String(speaker.priority));
+    priority.setAttribute('aria-label', `Priority for ${speaker.name} when the rate limit is reached`);
+    
+    const meta = document.createElement('div');
+    meta.className = 'filtered-meta';
+    const heard = speaker.lastSeen ? ` · last heard ${new Date(speaker.lastSeen).toLocaleString()}` : '';
+    meta.textContent = `${speaker.streamId} · ${describeNameSource(speaker.source)}${heard}`;
+    
+    const save = async (changes) => {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'updateSpeaker', streamId: speaker.streamId, changes });
+        if (response?.error) {
+          throw new Error(response.error);
+        }
+        li.replaceWith(createSpeakerRow(response.speaker));
+      } catch (error) {
+        showStatus(`Could not save speaker: ${error.message}`, 'error');
+      }
+    };
+    color.addEventListener('change', () => save({ color: color.value }));
+    name.addEventListener('change', () => save({ name: name.value }));
+    avatar.addEventListener('change', () => save({ avatar: avatar.value }));
+    policy.addEventListener('change', () => save({ policy: policy.value }));
+    priority.addEventListener('change', () => save({ priority: Number(priority.value) }));
+    
+    const rules = document.createElement('div');
+    rules.className = 'speaker-row';
+    rules.append(policy, priority);
+    
+    row.append(color, name, avatar);
+    li.append(row, rules, meta);
+    return li;
+  }
+  
+  function createSelect(options, value) {
+    const select = document.createElement('select');
+    select.replaceChildren(...options.map(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      return option;
+    }));
+    select.value = value;
+    return select;
+  }
+  
+  function describeNameSource(source) {
+    switch (source) {
+      case 'user': return 'named here';
+      case 'discovered': return 'name from VTF';
+      case 'default': return 'built-in name';
+      default: return 'no name yet';
+    }
+  }
+  
+  async function loadAlerts() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getAlertHistory' });
+      const items = response?.items || [];
+      const snoozedUntil = response?.stats?.snoozedUntil;
+      
+      alertSnoozeState.textContent = snoozedUntil
+        ? `Notifications snoozed until ${new Date(snoozedUntil).toLocaleTimeString()}.`
+        : '';
+      alertCount.textContent = items.length;
+      alertList.replaceChildren(...items.map(item => {
+        const li = document.createElement('li');
+        
+        const labels = Array.from(new Set(item.matches.map(match => match.label)));
+        const held = item.suppressed ? ` · ${item.suppressed === 'snoozed' ? 'Snoozed' : 'Held back'}` : '';
+        
+        const meta = document.createElement('div');
+        meta.className = 'filtered-meta';
+        meta.textContent = `${labels.join(', ')} · ${new Date(item.timestamp).toLocaleString()} · ${item.speaker}${held}`;
+        
+        const text = document.createElement('div');
+        text.textContent = `"${item.text}"`;
+        
+        li.append(text, meta);
+        return li;
+      }));
+    } catch (error) {
+      console.warn('[VTF Options] Could not load alert history:', error);
+    }
+  }
+  
+  function updateProviderFields() {
+    const type = provider.type.value;
+    const isOpenAI = type === 'openai';
+    const authType = provider.authType.value;
+    
+    provider.settings.classList.toggle('hidden', isOpenAI);
+    provider.openaiKeyGroup.classList.toggle('hidden', !isOpenAI);
+    provider.textPathGroup.classList.toggle('hidden', type !== 'custom-json');
+    provider.authHeaderGroup.classList.toggle('hidden', authType !== 'header');
+    provider.apiKeyGroup.classList.toggle('hidden', authType === 'none');
+    
+    provider.endpoint.placeholder = type === 'custom-json'
+      ? 'https://transcribe.example.com/api/v1/transcribe'
+      : 'http://localhost:8080/v1/audio/transcriptions';
+  }
+  
+  function readProviderSettings() {
+    const type = provider.type.value;
+    const format = provider.format.value;
+    // Left empty, the provider's defaults apply; 0 lifts the limit
+    const limits = {};
+    ['requestsPerMinute', 'audioMinutesPerHour'].forEach(name => {
+      const value = Number(provider[name].value);
+      if (provider[name].value.trim() !== '' && value >= 0) limits[name] = value;
+    });
+    if (type === 'openai') {
+      return { type, format, ...limits };
+    }
+    
+    const endpoint = provider.endpoint.value.trim();
+    try {
+      new URL(endpoint);
+    } catch (error) {
+      throw new Error('Please enter a valid endpoint URL');
+    }
+    
+    let fieldMap;
+    if (provider.fieldMap.value.trim()) {
+      try {
+        fieldMap = JSON.parse(provider.fieldMap.value);
+      } catch (error) {
+        throw new Error('Field names must be valid JSON');
+      }
+    }
+    
+    return {
+      type,
+      endpoint,
+      model: provider.model.value.trim(),
+      authType: provider.authType.value,
+      authHeader: provider.authHeader.value.trim(),
+      apiKey: provider.apiKey.value.trim(),
+      textPath: provider.textPath.value.trim(),
+      format,
+      ...limits,
+      ...(fieldMap && { fieldMap })
+    };
+  }
+  
+  // Custom endpoints (including localhost) need an optional host permission,
+  // which Chrome only grants from a user gesture such as this click
+  async function ensureHostPermission(endpoint) {
+    const url = new URL(endpoint);
+    const origins = [`${url.protocol}//${url.hostname}/*`];
+    
+    if (await chrome.permissions.contains({ origins })) {
+      return true;
+    }
+    
+    try {
+      return await chrome.permissions.request({ origins });
+    } catch (error) {
+      console.error('[VTF Options] Permission request failed:', error);
+      return false;
+    }
+  }
+  
   function showStatus(message, type) {
     status.textContent = message;
     status.className = type;
@@ -1,3 +1,10 @@
+import { TranscriptAnnouncer, getTranscriptKey } from './modules/transcript-announcer.js';
+import { TranscriptNavigator } from './modules/transcript-navigator.js';
+import { EXPORT_FORMATS } from './modules/transcript-export.js';
+import { timedWords } from './modules/transcript-timing.js';
+import { entityRanges } from './modules/entity-extractor.js';
+import { SpeakerRegistry } from './modules/speaker-registry.js';
+
 class VTFPopup {
   constructor() {
     // Extension status tracking
@@ -22,6 +29,15 @@ class VTFPopup {
     // Message queue for delayed operations
     this.pendingMessages = [];
     
+    // Screen reader support for the transcription list
+    this.announcer = new TranscriptAnnouncer({ label: 'New transcriptions' });
+    this.transcriptNavigator = null;
+    this.transcriptsSeeded = false;
+    
+    // Copy of the background's speaker registry, for names, colors and avatars
+    this.speakers = new SpeakerRegistry();
+    this.lastActiveUsers = [];
+    
     // Initialize
     this.init();
   }
@@ -31,12 +47,20 @@ class VTFPopup {
     
     this.cacheElements();
     
+    await this.setupAccessibility();
+    
+    await this.loadSpeakers();
+    
     // Setup event listeners
     this.setupEventListeners();
     
     // Check extension state
     await this.checkExtensionState();
     
+    await this.loadSessions();
+    
+    await this.loadTradeCalls();
+    
     // Start monitoring
     this.startMonitoring();
     
@@ -49,22 +73,54 @@ class VTFPopup {
     this.elements.extensionStatus = document.getElementById('extensionStatus');
     this.elements.apiKeyStatus = document.getElementById('apiKeyStatus');
     this.elements.captureStatus = document.getElementById('captureStatus');
+    this.elements.sessionStatus = document.getElementById('sessionStatus');
+    this.elements.rateLimitStatus = document.getElementById('rateLimitStatus');
     
     // Controls
     this.elements.startBtn = document.getElementById('startCapture');
     this.elements.stopBtn = document.getElementById('stopCapture');
     this.elements.settingsBtn = document.getElementById('settingsBtn');
+    this.elements.overlayBtn = document.getElementById('toggleOverlay');
     
     // Stats
     this.elements.activeUsers = document.getElementById('activeUsers');
     this.elements.audioChunks = document.getElementById('audioChunks');
     this.elements.transcriptions = document.getElementById('transcriptions');
+    this.elements.retryQueue = document.getElementById('retryQueue');
     
     // Sections
     this.elements.activeSpeakers = document.getElementById('activeSpeakers');
     this.elements.speakersGrid = document.getElementById('speakersGrid');
     this.elements.recentTranscriptions = document.getElementById('recentTranscriptions');
     this.elements.transcriptionsList = document.getElementById('transcriptionsList');
+    this.elements.viewAllBtn = document.getElementById('viewAllTranscripts');
+    this.elements.tradeCalls = document.getElementById('tradeCalls');
+    this.elements.tradeCallsList = document.getElementById('tradeCallsList');
+    
+    // Export
+    this.elements.exportRange = document.getElementById('exportRange');
+    this.elements.exportFormat = document.getElementById('exportFormat');
+    this.elements.exportBtn = document.getElementById('exportBtn');
+    this.elements.pastSessions = document.getElementById('pastSessions');
+    
+    this.elements.exportFormat.replaceChildren(...Object.entries(EXPORT_FORMATS).map(([value, { label }]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+  }
+  
+  async setupAccessibility() {
+    const settings = await chrome.storage.local.get(['liveRegionMode', 'announceSpeakerChangesOnly']);
+    this.announcer.setOptions({
+      mode: settings.liveRegionMode || 'polite',
+      speakerChangesOnly: settings.announceSpeakerChangesOnly || false
+    });
+    this.announcer.attach();
+    
+    this.transcriptNavigator = new TranscriptNavigator(this.elements.transcriptionsList);
+    this.transcriptNavigator.attach();
   }
   
   setupEventListeners() {
@@ -72,6 +128,25 @@ class VTFPopup {
     this.elements.startBtn.addEventListener('click', () => this.startCapture());
     this.elements.stopBtn.addEventListener('click', () => this.stopCapture());
     this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
+    this.elements.overlayBtn.addEventListener('click', () => this.toggleOverlay());
+    this.elements.viewAllBtn.addEventListener('click', () => this.openTranscripts());
+    this.elements.exportBtn.addEventListener('click', () => this.exportTranscripts());
+    
+    // Clicking a word opens the transcript viewer at the moment it was said
+    this.elements.transcriptionsList.addEventListener('click', (event) => {
+      const word = event.target.closest('[data-time]');
+      if (word && !window.getSelection().toString()) {
+        this.openTranscripts(Number(word.dataset.time));
+      }
+    });
+    
+    // A trade call opens the viewer at the moment it was made
+    this.elements.tradeCallsList.addEventListener('click', (event) => {
+      const call = event.target.closest('[data-time]');
+      if (call) {
+        this.openTranscripts(Number(call.dataset.time));
+      }
+    });
     
     // Listen for extension messages
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -141,6 +216,10 @@ class VTFPopup {
       if (status.bridge.initialized && status.bridge.initPhase === 'ready') {
         this.updateCaptureState(status.bridge.capturing);
       }
+      
+      if (status.bridge.overlayEnabled !== undefined) {
+        this.updateOverlayButton(status.bridge.overlayEnabled);
+      }
     }
     
     // Handle inject state
@@ -227,6 +306,14 @@ class VTFPopup {
       this.elements.transcriptions.textContent = status.stats.transcriptionsSent || '0';
     }
     
+    // Update retry backlog
+    if (status.retryQueue) {
+      this.updateRetryQueue(status.retryQueue);
+    }
+    
+    this.updateSession(status.session);
+    this.updateRateLimit(status.rateLimit);
+    
     // Update API key status
     if (status.hasApiKey !== undefined) {
       this.extensionStatus.hasApiKey = status.hasApiKey;
@@ -244,27 +331,129 @@ class VTFPopup {
     }
   }
   
+  updateRetryQueue(retryQueue) {
+    const depth = retryQueue.depth || 0;
+    this.elements.retryQueue.textContent = depth.toString();
+    
+    if (depth > 0) {
+      const oldest = retryQueue.oldestStartTime
+        ? new Date(retryQueue.oldestStartTime).toLocaleTimeString()
+        : 'unknown';
+      this.elements.retryQueue.title = `${this.formatDuration(retryQueue.totalDuration)} of audio queued, oldest from ${oldest}` +
+        (retryQueue.replaying ? ' (replaying)' : '');
+      this.elements.retryQueue.className = 'stat-value warning';
+    } else {
+      this.elements.retryQueue.title = '';
+      this.elements.retryQueue.className = 'stat-value';
+    }
+  }
+  
+  updateRateLimit(rateLimit) {
+    const element = this.elements.rateLimitStatus;
+    
+    // Only the provider in use matters; the rest are buckets from earlier settings
+    const bucket = rateLimit?.buckets?.find(b => b.key === rateLimit.current);
+    if (!bucket) {
+      element.textContent = 'Idle';
+      element.title = '';
+      element.className = 'status-value';
+      return;
+    }
+    
+    const seconds = ms => `${Math.ceil(ms / 1000)}s`;
+    const details = [bucket.label];
+    if (bucket.requests) {
+      details.push(`${bucket.requests.tokens}/${bucket.requests.capacity} requests ready (${bucket.limits.requestsPerMinute}/min)`);
+    }
+    if (bucket.audio) {
+      details.push(`${this.formatDuration(bucket.audio.seconds)} of ${this.formatDuration(bucket.audio.capacity)} audio left (${bucket.limits.audioMinutesPerHour} min/hour)`);
+    }
+    if (rateLimit.queued > 0) {
+      details.push(`${rateLimit.queued} waiting, next in ${seconds(rateLimit.nextIn)}`);
+    }
+    details.push(`Average wait ${seconds(rateLimit.stats.averageWait)}, ${rateLimit.stats.rateLimited} rate limited`);
+    element.title = details.join('\n');
+    
+    if (bucket.retryIn > 0) {
+      element.textContent = `Paused ${seconds(bucket.retryIn)}`;
+      element.className = 'status-value danger';
+    } else if (rateLimit.queued > 0) {
+      element.textContent = `${rateLimit.queued} queued`;
+      element.className = 'status-value accent';
+    } else {
+      element.textContent = bucket.requests ? `${bucket.requests.tokens}/${bucket.requests.capacity}` : 'Unlimited';
+      element.className = 'status-value success';
+    }
+  }
+  
+  updateSession(session) {
+    const element = this.elements.sessionStatus;
+    
+    if (!session) {
+      element.textContent = 'None';
+      element.title = '';
+      element.className = 'status-value';
+      return;
+    }
+    
+    const speakers = session.participants.length;
+    element.textContent = session.name;
+    element.title = `Since ${new Date(session.startTime).toLocaleTimeString()} · ${session.stats.utterances} utterances from ${speakers} speaker${speakers === 1 ? '' : 's'}`;
+    element.className = 'status-value success';
+  }
+  
+  async loadSessions() {
+    try {
+      const response = await this.sendToBackground({ type: 'getSessions', options: { limit: 20 } });
+      const sessions = (response?.sessions || []).filter(session => !session.current);
+      
+      this.elements.pastSessions.replaceChildren(...sessions.map(session => {
+        const option = document.createElement('option');
+        option.value = `session:${session.id}`;
+        option.textContent = `${session.name} · ${new Date(session.startTime).toLocaleString()}`;
+        return option;
+      }));
+      
+      if (response?.current) {
+        this.elements.exportRange.value = 'session:current';
+      }
+    } catch (error) {
+      console.debug('[VTF Popup] Session list failed:', error);
+    }
+  }
+  
   updateActiveUsers(users) {
     const count = users.length;
     this.elements.activeUsers.textContent = count.toString();
     
     if (count > 0) {
+      this.lastActiveUsers = users;
+      
       // Update speaker cards
-      const html = users.map(user => {
-        const initials = this.getInitials(user.speaker);
-        return `
-          <div class="speaker-card">
-            <div class="speaker-avatar">${initials}</div>
-            <div class="speaker-info">
-              <div class="speaker-name">${this.escapeHtml(user.speaker)}</div>
-              <div class="speaker-stats">${this.formatDuration(user.duration)}</div>
-            </div>
-            <div class="speaker-buffer"></div>
-          </div>
-        `;
-      }).join('');
-      
-      this.elements.speakersGrid.innerHTML = html;
+      this.elements.speakersGrid.replaceChildren(...users.map(user => {
+        const speaker = this.speakers.get(user.userId);
+        
+        const card = document.createElement('div');
+        card.className = 'speaker-card';
+        
+        const info = document.createElement('div');
+        info.className = 'speaker-info';
+        
+        const name = document.createElement('div');
+        name.className = 'speaker-name';
+        name.textContent = speaker.name;
+        
+        const stats = document.createElement('div');
+        stats.className = 'speaker-stats';
+        stats.textContent = this.formatDuration(user.duration);
+        
+        const buffer = document.createElement('div');
+        buffer.className = 'speaker-buffer';
+        
+        info.append(name, stats);
+        card.append(this.createSpeakerAvatar(speaker), info, buffer);
+        return card;
+      }));
       this.elements.activeSpeakers.classList.remove('hidden');
     } else {
       this.elements.activeSpeakers.classList.add('hidden');
@@ -289,6 +478,15 @@ class VTFPopup {
         this.addTranscription(message.data);
         break;
         
+      case 'tradeCall':
+        this.addTradeCall(message.data);
+        break;
+        
+      case 'speakersUpdated':
+        this.speakers.load(message.speakers);
+        this.updateActiveUsers(this.lastActiveUsers);
+        break;
+        
       case 'statusUpdate':
         // Update status
         if (message.status) {
@@ -339,8 +537,10 @@ class VTFPopup {
   disableControls() {
     this.elements.startBtn.disabled = true;
     this.elements.stopBtn.disabled = true;
+    this.elements.overlayBtn.disabled = true;
     this.elements.startBtn.classList.add('disabled');
     this.elements.stopBtn.classList.add('disabled');
+    this.elements.overlayBtn.classList.add('disabled');
   }
   
   async startCapture() {
@@ -384,10 +584,86 @@ class VTFPopup {
     }
   }
   
+  async toggleOverlay() {
+    try {
+      const response = await this.sendToContent({ type: 'toggleOverlay' });
+      if (response?.overlayEnabled !== undefined) {
+        this.updateOverlayButton(response.overlayEnabled);
+      }
+    } catch (error) {
+      console.error('[VTF Popup] Toggle captions error:', error);
+      this.showExtensionState('Failed to toggle captions', 'error');
+    }
+  }
+  
+  updateOverlayButton(enabled) {
+    this.elements.overlayBtn.textContent = enabled ? 'Hide Captions' : 'Show Captions';
+  }
+  
   openSettings() {
     chrome.runtime.openOptionsPage();
   }
   
+  openTranscripts(time = null) {
+    const hash = time === null ? '' : `#t=${time}`;
+    chrome.tabs.create({ url: chrome.runtime.getURL(`transcripts.html${hash}`) });
+  }
+  
+  getExportRange(range) {
+    if (range.startsWith('session:')) {
+      return { sessionId: range.slice('session:'.length) };
+    }
+    
+    const now = Date.now();
+    switch (range) {
+      case 'hour':
+        return { from: now - 60 * 60 * 1000, to: now };
+      case 'today':
+        return { from: new Date().setHours(0, 0, 0, 0), to: now };
+      default:
+        return {};
+    }
+  }
+  
+  async exportTranscripts() {
+    const button = this.elements.exportBtn;
+    button.disabled = true;
+    
+    try {
+      const response = await this.sendToBackground({
+        type: 'exportTranscripts',
+        format: this.elements.exportFormat.value,
+        options: this.getExportRange(this.elements.exportRange.value)
+      });
+      
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      if (response.count === 0) {
+        this.showExtensionState('Nothing to export yet', 'warning');
+        return;
+      }
+      
+      this.downloadFile(response.content, response.filename, response.mimeType);
+      console.log(`[VTF Popup] Exported ${response.count} transcriptions to ${response.filename}`);
+    } catch (error) {
+      console.error('[VTF Popup] Export error:', error);
+      this.showExtensionState(`Export failed: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+  
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
   startMonitoring() {
     // Status monitoring
     this.statusInterval = setInterval(async () => {
@@ -402,13 +678,27 @@ class VTFPopup {
           console.debug('[VTF Popup] Status check failed:', error);
         }
       }
+      
+      // Service status (retry backlog drains even when capture is stopped)
+      try {
+        const serviceStatus = await this.sendToBackground({ type: 'getStatus' });
+        if (serviceStatus?.retryQueue) {
+          this.updateRetryQueue(serviceStatus.retryQueue);
+        }
+        if (serviceStatus) {
+          this.updateSession(serviceStatus.session);
+          this.updateRateLimit(serviceStatus.rateLimit);
+        }
+      } catch (error) {
+        console.debug('[VTF Popup] Service status check failed:', error);
+      }
     }, 2000);
     
     // Transcription monitoring
     this.transcriptionInterval = setInterval(async () => {
       if (this.extensionStatus.capturing) {
         try {
-          const response = await this.sendToBackground({ type: 'getTranscriptions' });
+          const response = await this.sendToBackground({ type: 'getTranscriptions', options: { limit: 10 } });
           if (response?.transcriptions) {
             this.updateTranscriptions(response.transcriptions);
           }
@@ -469,61 +759,206 @@ class VTFPopup {
   }
   
   addTranscription(transcription) {
-    const html = `
-      <div class="transcription-item">
-        <div class="transcription-header">
-          <span class="speaker-name">${this.escapeHtml(transcription.speaker)}</span>
-          <span class="timestamp">${new Date(transcription.timestamp).toLocaleTimeString()}</span>
-        </div>
-        <div class="transcription-text">${this.escapeHtml(transcription.text)}</div>
-      </div>
-    `;
+    const list = this.elements.transcriptionsList;
+    const key = getTranscriptKey(transcription);
+    
+    this.announcer.announce(transcription);
+    
+    if (list.querySelector(`[data-transcript-key="${CSS.escape(key)}"]`)) {
+      return;
+    }
     
     // Add to top of list
-    this.elements.transcriptionsList.insertAdjacentHTML('afterbegin', html);
+    list.prepend(this.createTranscriptionItem(transcription));
     
     // Show section
     this.elements.recentTranscriptions.classList.remove('hidden');
     
     // Limit to 10 items
-    const items = this.elements.transcriptionsList.querySelectorAll('.transcription-item');
+    const items = list.querySelectorAll('.transcription-item');
     if (items.length > 10) {
       items[items.length - 1].remove();
     }
+    
+    this.transcriptNavigator.refresh();
+  }
+  
+  async loadSpeakers() {
+    try {
+      const response = await this.sendToBackground({ type: 'getSpeakers' });
+      this.speakers.load(response?.speakers || []);
+    } catch (error) {
+      console.debug('[VTF Popup] Could not load speakers:', error);
+    }
+  }
+  
+  async loadTradeCalls() {
+    try {
+      const response = await this.sendToBackground({ type: 'getTradeCalls' });
+      // Newest first; add oldest first so the newest ends up on top
+      (response?.items || []).slice(0, 10).reverse().forEach(call => this.addTradeCall(call));
+    } catch (error) {
+      console.debug('[VTF Popup] Could not load trade calls:', error);
+    }
   }
   
-  updateTranscriptions(transcriptions) {
-    // Get last 10 transcriptions
-    const recent = transcriptions.slice(-10).reverse();
+  addTradeCall(call) {
+    const list = this.elements.tradeCallsList;
+    const item = this.createTradeCallItem(call);
+    
+    // Mentioned again: update it where it is
+    const existing = list.querySelector(`[data-call-id="${CSS.escape(call.id)}"]`);
+    if (existing) {
+      existing.replaceWith(item);
+      return;
+    }
     
+    list.prepend(item);
+    this.elements.tradeCalls.classList.remove('hidden');
+    
+    const items = list.querySelectorAll('.trade-call');
+    if (items.length > 10) {
+      items[items.length - 1].remove();
+    }
+  }
+  
+  createTradeCallItem(call) {
+    const item = document.createElement('li');
+    item.className = `trade-call ${call.action}`;
+    item.dataset.callId = call.id;
+    item.dataset.time = call.timestamp;
+    item.title = call.text;
+    
+    const action = document.createElement('span');
+    action.className = 'trade-call-action';
+    action.textContent = call.action.toUpperCase();
+    
+    const ticker = this.createTickerChip({ value: call.ticker });
+    ticker.textContent = call.ticker;
+    
+    const details = [];
+    if (call.option) details.push(`${call.option.strike}${call.option.right ? ` ${call.option.right}s` : ''}${call.option.expiration ? ` ${call.option.expiration}` : ''}`);
+    if (call.price !== null) details.push(`@ ${call.price}`);
+    if (call.stop !== null) details.push(`stop ${call.stop}`);
+    if (call.mentions > 1) details.push(`×${call.mentions}`);
+    
+    const meta = document.createElement('span');
+    meta.className = 'timestamp';
+    meta.textContent = `${call.speaker} · ${new Date(call.timestamp).toLocaleTimeString()}`;
+    
+    item.append(action, ' ', ticker, details.length ? ` ${details.join(' ')} ` : ' ', meta);
+    return item;
+  }
+  
+  updateTranscriptions(recent) {
+    // Newest first, as returned by the background
     if (recent.length === 0) {
       this.elements.recentTranscriptions.classList.add('hidden');
       return;
     }
     
-    const html = recent.map(t => `
-      <div class="transcription-item">
-        <div class="transcription-header">
-          <span class="speaker-name">${this.escapeHtml(t.speaker)}</span>
-          <span class="timestamp">${new Date(t.timestamp).toLocaleTimeString()}</span>
-        </div>
-        <div class="transcription-text">${this.escapeHtml(t.text)}</div>
-      </div>
-    `).join('');
+    // History present when the popup opens is not read out
+    if (this.transcriptsSeeded) {
+      recent.slice().reverse().forEach(t => this.announcer.announce(t));
+    } else {
+      this.announcer.markSeen(recent);
+      this.transcriptsSeeded = true;
+    }
+    
+    // Only re-render when the list changed, so keyboard focus isn't lost
+    const list = this.elements.transcriptionsList;
+    const keys = recent.map(getTranscriptKey).join('|');
+    const currentKeys = Array.from(list.children).map(item => item.dataset.transcriptKey).join('|');
+    
+    if (keys !== currentKeys) {
+      const focusedKey = list.contains(document.activeElement) ? document.activeElement.dataset.transcriptKey : null;
+      
+      list.replaceChildren(...recent.map(t => this.createTranscriptionItem(t)));
+      this.transcriptNavigator.refresh();
+      
+      if (focusedKey) {
+        list.querySelector(`[data-transcript-key="${CSS.escape(focusedKey)}"]`)?.focus();
+      }
+    }
     
-    this.elements.transcriptionsList.innerHTML = html;
     this.elements.recentTranscriptions.classList.remove('hidden');
   }
   
-  getSpeakerName(userId) {
-    // Map userId to speaker name
-    const speakerMap = {
-      'XRcupJu26dK_sazaAAPK': 'DP',
-      'Ixslfo7890K_bazaAAPK': 'Rickman',
-      'O3e0pz1234K_cazaAAPK': 'Kira'
-    };
+  createTranscriptionItem(transcription) {
+    const item = document.createElement('div');
+    item.className = 'transcription-item';
+    item.setAttribute('role', 'article');
+    item.tabIndex = -1;
+    item.dataset.speaker = transcription.userId || transcription.speaker;
+    item.dataset.transcriptKey = getTranscriptKey(transcription);
+    
+    const header = document.createElement('div');
+    header.className = 'transcription-header';
+    
+    const speaker = document.createElement('span');
+    speaker.className = 'speaker-name';
+    speaker.textContent = transcription.speaker;
+    if (transcription.userId) {
+      speaker.style.color = this.speakers.get(transcription.userId).color;
+    }
+    
+    const time = document.createElement('span');
+    time.className = 'timestamp';
+    time.textContent = new Date(transcription.timestamp).toLocaleTimeString();
+    
+    const text = document.createElement('div');
+    text.className = 'transcription-text';
+    const tickers = entityRanges(transcription.entities);
+    let chip = null;
+    timedWords(transcription).forEach((word, i) => {
+      const span = document.createElement('span');
+      span.className = 'word';
+      span.dataset.time = word.time;
+      span.textContent = word.text;
+      
+      // Words of one ticker share a chip
+      const ticker = tickers.find(range => range.start < word.offset + word.text.length && range.end > word.offset);
+      if (ticker && ticker.entity === chip?.entity) {
+        chip.element.append(' ', span);
+        return;
+      }
+      chip = ticker ? { entity: ticker.entity, element: this.createTickerChip(ticker.entity) } : null;
+      chip?.element.appendChild(span);
+      text.append(i > 0 ? ' ' : '', chip ? chip.element : span);
+    });
     
-    return speakerMap[userId] || `User ${userId.substring(0, 6)}`;
+    header.append(speaker, time);
+    item.append(header, text);
+    return item;
+  }
+  
+  createTickerChip(entity) {
+    const chip = document.createElement('span');
+    chip.className = 'ticker-chip';
+    chip.dataset.symbol = entity.value;
+    chip.title = entity.value;
+    return chip;
+  }
+  
+  getSpeakerName(userId) {
+    return this.speakers.getName(userId);
+  }
+  
+  // A picture when the avatar is an image URL, otherwise the avatar text or initials on the speaker's color
+  createSpeakerAvatar(speaker) {
+    const avatar = document.createElement('div');
+    avatar.className = 'speaker-avatar';
+    avatar.style.background = speaker.color;
+    
+    if (/^(https:|data:image\/)/.test(speaker.avatar || '')) {
+      const image = document.createElement('img');
+      image.src = speaker.avatar;
+      image.alt = '';
+      avatar.appendChild(image);
+    } else {
+      avatar.textContent = speaker.avatar || this.getInitials(speaker.name);
+    }
+    return avatar;
   }
   
   getInitials(name) {
@@ -0,0 +1,505 @@
+// src/transcripts.js - Full transcript history viewer
+import { groupTranscripts, highlightRanges, parseQuery } from './modules/transcript-search.js';
+import { WindowedList } from './modules/windowed-list.js';
+import { timedWords } from './modules/transcript-timing.js';
+import { entityRanges } from './modules/entity-extractor.js';
+
+// Transcripts per request; keeps each message well under the runtime messaging size limit
+const PAGE_SIZE = 500;
+
+class TranscriptViewer {
+  constructor() {
+    // The part of the history fetched so far, oldest first, and whether the store has more either side
+    this.transcriptions = [];
+    this.hasOlder = false;
+    this.hasNewer = false;
+    this.rows = [];
+    this.terms = [];
+    // Everything stored, for the status line
+    this.total = 0;
+
+    // Store query behind what is shown; pages for a view since replaced are dropped
+    this.query = {};
+    this.view = 0;
+    this.loading = null;
+
+    this.filters = {
+      query: '',
+      speaker: '',
+      from: null,
+      to: null
+    };
+
+    // Set while showing the full timeline around a search hit
+    this.contextKey = null;
+    // Word start (epoch ms) the timeline was last seeked to
+    this.seekTime = null;
+
+    this.elements = {};
+    this.list = null;
+    this.searchTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    console.log('[VTF Transcripts] Initializing...');
+
+    this.cacheElements();
+    this.list = new WindowedList(this.elements.list, {
+      renderRow: (row) => this.renderRow(row),
+      onEdge: (edge) => this.loadMore(edge)
+    });
+    this.setupEventListeners();
+
+    await this.loadSpeakers();
+
+    // The popup links here with #t=<epoch ms> to open at a moment
+    const seek = /(?:^#|&)t=(\d+)/.exec(location.hash);
+    if (seek) {
+      await this.seekTo(Number(seek[1]));
+    } else {
+      await this.applyFilters();
+    }
+  }
+
+  cacheElements() {
+    this.elements.search = document.getElementById('searchInput');
+    this.elements.speaker = document.getElementById('speakerFilter');
+    this.elements.from = document.getElementById('fromFilter');
+    this.elements.to = document.getElementById('toFilter');
+    this.elements.clearBtn = document.getElementById('clearFiltersBtn');
+    this.elements.refreshBtn = document.getElementById('refreshBtn');
+    this.elements.status = document.getElementById('viewerStatus');
+    this.elements.list = document.getElementById('transcriptList');
+  }
+
+  setupEventListeners() {
+    // Debounced so typing stays smooth on large histories
+    this.elements.search.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.applyFilters(), 200);
+    });
+
+    this.elements.speaker.addEventListener('change', () => this.applyFilters());
+    this.elements.from.addEventListener('change', () => this.applyFilters());
+    this.elements.to.addEventListener('change', () => this.applyFilters());
+
+    this.elements.clearBtn.addEventListener('click', () => {
+      this.elements.search.value = '';
+      this.elements.speaker.value = '';
+      this.elements.from.value = '';
+      this.elements.to.value = '';
+      this.applyFilters();
+    });
+
+    this.elements.refreshBtn.addEventListener('click', () => this.load());
+
+    // "Show in context" buttons, and words, which seek the timeline to when they were said
+    this.elements.list.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-context-key]');
+      if (button) {
+        this.showContext(button.dataset.contextKey);
+        return;
+      }
+
+      const word = event.target.closest('[data-time]');
+      if (word && !window.getSelection().toString()) {
+        this.seekTo(Number(word.dataset.time));
+      }
+    });
+  }
+
+  async load() {
+    await this.loadSpeakers();
+    await this.applyFilters();
+  }
+
+  async loadSpeakers() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getTranscriptSpeakers' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      this.total = response?.total || 0;
+      this.updateSpeakerOptions(response?.speakers || []);
+
+      console.log(`[VTF Transcripts] ${this.total} transcriptions stored`);
+    } catch (error) {
+      console.error('[VTF Transcripts] Load error:', error);
+      this.elements.status.textContent = `Failed to load transcripts: ${error.message}`;
+    }
+  }
+
+  /**
+   * One page of the current view's query
+   * @param {Object} options - More query options: order, cursor, from, to
+   * @returns {Promise<Object>} { items, more }
+   */
+  async fetchPage(options) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'getTranscriptions',
+      options: { ...this.query, limit: PAGE_SIZE, ...options }
+    });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    return { items: response?.transcriptions || [], more: !!response?.nextCursor };
+  }
+
+  /**
+   * Start showing a new query: the newest entries, or with filters the
+   * oldest matches, or those either side of a moment
+   * @param {Object} query - TranscriptStore.query filters
+   * @param {number|null} around - Epoch ms to open at
+   * @returns {Promise<boolean>} False if it failed or another view replaced it meanwhile
+   */
+  async openView(query, around = null) {
+    const view = ++this.view;
+    this.query = query;
+    this.loading = null;
+
+    let older = { items: [], more: false };
+    let newer = { items: [], more: false };
+    try {
+      if (around !== null) {
+        older = await this.fetchPage({ order: 'desc', to: around });
+        // Same-time entries sort by id; carry on after the newest one already fetched
+        const last = older.items[0];
+        newer = await this.fetchPage(last
+          ? { order: 'asc', cursor: { timestamp: last.timestamp, id: last.id } }
+          : { order: 'asc', from: around });
+      } else if (Object.keys(query).length > 0) {
+        newer = await this.fetchPage({ order: 'asc' });
+      } else {
+        older = await this.fetchPage({ order: 'desc' });
+      }
+    } catch (error) {
+      console.error('[VTF Transcripts] Load error:', error);
+      this.elements.status.textContent = `Failed to load transcripts: ${error.message}`;
+      return false;
+    }
+    if (view !== this.view) return false;
+
+    this.transcriptions = [...older.items.reverse(), ...newer.items];
+    this.hasOlder = older.more;
+    this.hasNewer = newer.more;
+    this.rows = groupTranscripts(this.transcriptions);
+    return true;
+  }
+
+  // The list reached its first or last row: fetch the next page that way
+  loadMore(edge) {
+    const older = edge === 'start';
+    if (this.loading || !(older ? this.hasOlder : this.hasNewer)) return;
+
+    const view = this.view;
+    const next = older ? this.transcriptions[0] : this.transcriptions[this.transcriptions.length - 1];
+    this.loading = this.fetchPage({
+      order: older ? 'desc' : 'asc',
+      cursor: { timestamp: next.timestamp, id: next.id }
+    })
+      .then(({ items, more }) => {
+        if (view !== this.view) return;
+
+        if (older) {
+          this.transcriptions = [...items.reverse(), ...this.transcriptions];
+          this.hasOlder = more;
+        } else {
+          this.transcriptions = [...this.transcriptions, ...items];
+          this.hasNewer = more;
+        }
+        this.rows = groupTranscripts(this.transcriptions);
+        this.list.replaceRows(this.rows);
+        this.updateStatus();
+      })
+      .catch(error => {
+        console.error('[VTF Transcripts] Load error:', error);
+        this.elements.status.textContent = `Failed to load transcripts: ${error.message}`;
+      })
+      .finally(() => {
+        if (view === this.view) this.loading = null;
+      });
+  }
+
+  /**
+   * @param {Array<Object>} speakers - [{ key, count }] from the store
+   */
+  updateSpeakerOptions(speakers) {
+    const select = this.elements.speaker;
+    const selected = select.value;
+
+    const options = speakers.map(({ key, count }) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${key} (${count})`;
+      return option;
+    });
+
+    select.replaceChildren(select.options[0], ...options);
+    select.value = options.some(option => option.value === selected) ? selected : '';
+  }
+
+  readFilters() {
+    const parseDate = (value) => (value ? new Date(value).getTime() : null);
+
+    return {
+      query: this.elements.search.value.trim(),
+      speaker: this.elements.speaker.value,
+      from: parseDate(this.elements.from.value),
+      // Inclusive of the whole selected minute
+      to: this.elements.to.value ? parseDate(this.elements.to.value) + 59999 : null
+    };
+  }
+
+  hasFilters() {
+    const { query, speaker, from, to } = this.filters;
+    return !!(query || speaker || from !== null || to !== null);
+  }
+
+  // The filters as a TranscriptStore query; unset ones are left out so its defaults apply
+  storeQuery() {
+    const { query, speaker, from, to } = this.filters;
+    return {
+      ...(query && { text: query }),
+      ...(speaker && { speaker }),
+      ...(from !== null && { from }),
+      ...(to !== null && { to })
+    };
+  }
+
+  async applyFilters() {
+    this.filters = this.readFilters();
+    this.terms = parseQuery(this.filters.query);
+    this.contextKey = null;
+    this.seekTime = null;
+
+    if (!await this.openView(this.storeQuery())) return;
+
+    this.list.setRows(this.rows, { anchor: this.hasFilters() ? 'start' : 'end' });
+    this.renderEmptyState();
+    this.updateStatus();
+  }
+
+  // Full, unfiltered timeline centred on one utterance
+  async showContext(key) {
+    const target = this.rows.find(row => row.key === key);
+    if (!target || !await this.openView({}, target.transcription.timestamp)) return;
+
+    this.revealContext(key);
+  }
+
+  // Full timeline at a moment: the latest utterance to start by then, from any speaker
+  async seekTo(time) {
+    if (!await this.openView({}, time)) return;
+
+    const utterances = this.rows.filter(row => row.type === 'utterance');
+    const target = utterances.filter(row => row.transcription.timestamp <= time).pop() || utterances[0];
+    if (!target) {
+      this.list.setRows(this.rows);
+      this.renderEmptyState();
+      return;
+    }
+
+    this.seekTime = time;
+    this.revealContext(target.key);
+    this.elements.status.textContent = `Showing the timeline at ${new Date(time).toLocaleTimeString()}. Change a filter to return to results.`;
+  }
+
+  revealContext(key) {
+    this.contextKey = key;
+    this.list.setRows(this.rows);
+
+    const index = this.rows.findIndex(row => row.key === key);
+    const element = this.list.scrollToIndex(index);
+    if (element) {
+      element.focus();
+    }
+
+    this.updateStatus();
+  }
+
+  updateStatus() {
+    const loaded = this.transcriptions.length.toLocaleString();
+    let text;
+
+    if (this.contextKey) {
+      text = `Showing ${loaded} utterances around the selected result. Change a filter to return to results.`;
+    } else if (this.hasFilters()) {
+      text = this.hasNewer
+        ? `${loaded} matching utterances so far; scroll down for more`
+        : `${loaded} of ${this.total.toLocaleString()} utterances match`;
+    } else {
+      text = `${this.total.toLocaleString()} utterances`;
+    }
+
+    this.elements.status.textContent = text;
+  }
+
+  renderEmptyState() {
+    if (this.transcriptions.length > 0) return;
+
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = this.total === 0
+      ? 'No transcripts yet. Start a capture on VTF to record one.'
+      : 'Nothing matches these filters.';
+    this.list.content.replaceChildren(empty);
+  }
+
+  renderRow(row) {
+    switch (row.type) {
+      case 'day':
+        return this.renderDayHeader(row);
+      case 'session':
+        return this.renderSessionHeader(row);
+      default:
+        return this.renderUtterance(row);
+    }
+  }
+
+  renderDayHeader(row) {
+    const header = document.createElement('h2');
+    header.className = 'day-header';
+    header.textContent = new Date(row.timestamp).toLocaleDateString(undefined, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    return header;
+  }
+
+  renderSessionHeader(row) {
+    const header = document.createElement('h3');
+    header.className = 'session-header';
+
+    const start = new Date(row.start).toLocaleTimeString();
+    const end = new Date(row.end).toLocaleTimeString();
+    const name = row.name || (row.continued ? 'Session (continued)' : 'Session');
+    header.textContent = `${name} · ${start} – ${end} · ${row.count} utterance${row.count === 1 ? '' : 's'}`;
+    return header;
+  }
+
+  renderUtterance(row) {
+    const { transcription } = row;
+
+    const item = document.createElement('article');
+    item.className = 'utterance';
+    item.tabIndex = -1;
+    if (row.key === this.contextKey) {
+      item.classList.add('context-target');
+    }
+
+    const time = document.createElement('span');
+    time.className = 'utterance-time';
+    time.textContent = new Date(transcription.timestamp).toLocaleTimeString();
+
+    const speaker = document.createElement('span');
+    speaker.className = 'utterance-speaker';
+    speaker.textContent = transcription.speaker || 'Unknown';
+
+    const text = document.createElement('span');
+    text.className = 'utterance-text';
+    this.appendWords(text, transcription);
+    if (transcription.suspect?.length) {
+      text.classList.add('suspect');
+      text.title = `Possibly misheard: ${transcription.suspect.join(', ')}`;
+    }
+
+    item.append(time, speaker, text);
+
+    // Context jumps only make sense from a filtered view
+    if (this.hasFilters() && !this.contextKey) {
+      const contextBtn = document.createElement('button');
+      contextBtn.className = 'btn btn-sm';
+      contextBtn.textContent = 'Context';
+      contextBtn.dataset.contextKey = row.key;
+      contextBtn.setAttribute('aria-label', `Show in context: ${transcription.speaker} at ${time.textContent}`);
+      item.appendChild(contextBtn);
+    } else {
+      item.appendChild(document.createElement('span'));
+    }
+
+    return item;
+  }
+
+  // One span per word, carrying the time it was spoken; ticker words are grouped into a chip
+  appendWords(element, transcription) {
+    const text = transcription.text || '';
+    const ranges = highlightRanges(text, this.terms);
+    const tickers = entityRanges(transcription.entities);
+    let position = 0;
+    let chip = null;
+
+    for (const word of timedWords(transcription)) {
+      const end = word.offset + word.text.length;
+      const ticker = tickers.find(range => range.start < end && range.end > word.offset);
+      if (!ticker || ticker.entity !== chip?.entity) {
+        chip = ticker ? { entity: ticker.entity, element: this.createTickerChip(ticker.entity) } : null;
+      }
+
+      if (word.offset > position) {
+        const gap = document.createTextNode(text.slice(position, word.offset));
+        if (chip?.element.firstChild) {
+          chip.element.appendChild(gap);
+        } else {
+          element.appendChild(gap);
+        }
+      }
+      if (chip && !chip.element.parentNode) {
+        element.appendChild(chip.element);
+      }
+
+      const span = document.createElement('span');
+      span.className = 'word';
+      span.dataset.time = word.time;
+      if (word.time === this.seekTime) {
+        span.classList.add('seek-target');
+      }
+      this.appendHighlighted(span, word.text, word.offset, ranges);
+      (chip ? chip.element : element).appendChild(span);
+      position = end;
+    }
+
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+
+  createTickerChip(entity) {
+    const chip = document.createElement('span');
+    chip.className = 'ticker-chip';
+    chip.dataset.symbol = entity.value;
+    chip.title = entity.value;
+    return chip;
+  }
+
+  // Highlight ranges are offsets into the whole transcript; offset places this piece of it
+  appendHighlighted(element, text, offset = 0, ranges = highlightRanges(text, this.terms)) {
+    let position = 0;
+
+    for (const [rangeStart, rangeEnd] of ranges) {
+      const start = Math.max(rangeStart - offset, position);
+      const end = Math.min(rangeEnd - offset, text.length);
+      if (end <= start) continue;
+
+      if (start > position) {
+        element.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    }
+
+    if (position < text.length) {
+      element.appendChild(document.createTextNode(text.slice(position)));
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.transcriptViewer = new TranscriptViewer();
+});
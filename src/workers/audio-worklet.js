@@ -1,5 +1,3 @@
-
-
 class VTFAudioProcessor extends AudioWorkletProcessor {
     static get parameterDescriptors() {
       return [];
@@ -8,13 +6,24 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
     constructor(options) {
       super();
       
+      const processorOptions = options.processorOptions || {};
       
-      this.userId = options.processorOptions?.userId || 'unknown';
-      this.bufferSize = options.processorOptions?.bufferSize || 4096;
-      this.silenceThreshold = options.processorOptions?.silenceThreshold || 0.001;
+      this.userId = processorOptions.userId || 'unknown';
+      this.bufferSize = processorOptions.bufferSize || 4096;
+      this.silenceThreshold = processorOptions.silenceThreshold || 0.001;
       
+      // Applied to samples on the way out (VTF's room volume)
+      this.gain = typeof processorOptions.gain === 'number' ? processorOptions.gain : 1;
       
-      this.buffer = [];
+      // 'float32' samples, or 'int16' PCM ready to hand to the transport
+      this.outputFormat = processorOptions.outputFormat === 'int16' ? 'int16' : 'float32';
+      
+      // Copy input to output; off when the node is only connected to keep it pulled
+      this.passthrough = processorOptions.passthrough !== false;
+      
+      
+      this.buffer = new Float32Array(this.bufferSize);
+      this.bufferLength = 0;
       this.isActive = true;
       this.samplesProcessed = 0;
       this.chunksSkipped = 0;
@@ -33,7 +42,8 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
       this.port.postMessage({
         type: 'initialized',
         userId: this.userId,
-        bufferSize: this.bufferSize
+        bufferSize: this.bufferSize,
+        outputFormat: this.outputFormat
       });
     }
     
@@ -41,30 +51,30 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
     process(inputs, outputs, parameters) {
       
       if (!this.isActive) {
-        return false; 
+        return false;
       }
       
       
       const input = inputs[0];
       if (!input || input.length === 0) {
-        return true; 
+        return true;
       }
       
       
       const channelData = input[0];
       if (!channelData || channelData.length === 0) {
-        return true; 
+        return true;
       }
       
       
       this.processQuantum(channelData);
       
       
-      if (outputs[0] && outputs[0][0]) {
+      if (this.passthrough && outputs[0] && outputs[0][0]) {
         outputs[0][0].set(channelData);
       }
       
-      return true; 
+      return true;
     }
     
     
@@ -90,27 +100,32 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
       }
       
       
-      for (let i = 0; i < samples.length; i++) {
-        this.buffer.push(samples[i]);
-      }
-      
-      
-      while (this.buffer.length >= this.bufferSize) {
-        this.sendChunk();
+      let offset = 0;
+      while (offset < samples.length) {
+        const count = Math.min(samples.length - offset, this.bufferSize - this.bufferLength);
+        this.buffer.set(samples.subarray(offset, offset + count), this.bufferLength);
+        this.bufferLength += count;
+        offset += count;
+        
+        if (this.bufferLength === this.bufferSize) {
+          this.sendChunk();
+        }
       }
     }
     
     
     sendChunk() {
-      
-      const chunk = this.buffer.splice(0, this.bufferSize);
+      const length = this.bufferLength;
+      if (length === 0) {
+        return;
+      }
       
       
       let maxSample = 0;
       let sumSquares = 0;
       
-      for (let i = 0; i < chunk.length; i++) {
-        const sample = chunk[i];
+      for (let i = 0; i < length; i++) {
+        const sample = this.buffer[i];
         const absSample = Math.abs(sample);
         if (absSample > maxSample) {
           maxSample = absSample;
@@ -118,61 +133,91 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
         sumSquares += sample * sample;
       }
       
-      const rms = Math.sqrt(sumSquares / chunk.length);
+      const rms = Math.sqrt(sumSquares / length);
+      const samples = this.outputFormat === 'int16'
+        ? this.toInt16(length)
+        : this.toFloat32(length);
       
       
       this.port.postMessage({
         type: 'audioData',
         userId: this.userId,
-        samples: chunk,
+        samples,
+        format: this.outputFormat,
         timestamp: currentTime,
+        sampleRate,
         maxSample: maxSample,
         rms: rms,
+        gain: this.gain,
         chunkIndex: this.chunksSent
-      });
+      }, [samples.buffer]);
       
+      this.bufferLength = 0;
       this.chunksSent++;
       this.lastMessageTime = currentTime;
     }
     
     
+    toFloat32(length) {
+      const out = this.buffer.slice(0, length);
+      if (this.gain !== 1) {
+        for (let i = 0; i < length; i++) {
+          out[i] *= this.gain;
+        }
+      }
+      return out;
+    }
+    
+    
+    toInt16(length) {
+      const out = new Int16Array(length);
+      for (let i = 0; i < length; i++) {
+        const s = Math.max(-1, Math.min(1, this.buffer[i] * this.gain));
+        out[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+      }
+      return out;
+    }
+    
+    
     handleMessage(data) {
       switch (data.command) {
         case 'stop':
           
           this.isActive = false;
           
-          if (this.buffer.length > 0) {
-            this.sendChunk();
-          }
+          this.sendChunk();
           
           this.sendStats();
           break;
-          
+        
         case 'getStats':
           this.sendStats();
           break;
-          
+        
         case 'updateConfig':
           if (data.config) {
-            if (typeof data.config.bufferSize === 'number') {
+            if (typeof data.config.bufferSize === 'number' && data.config.bufferSize !== this.bufferSize) {
+              // Send what we have rather than resizing around it
+              this.sendChunk();
               this.bufferSize = data.config.bufferSize;
+              this.buffer = new Float32Array(this.bufferSize);
             }
             if (typeof data.config.silenceThreshold === 'number') {
               this.silenceThreshold = data.config.silenceThreshold;
             }
+            if (typeof data.config.gain === 'number') {
+              this.gain = data.config.gain;
+            }
           }
           break;
-          
+        
         case 'flush':
           
-          if (this.buffer.length > 0) {
-            this.sendChunk();
-          }
+          this.sendChunk();
           break;
-          
+        
         default:
-          
+        
       }
     }
     
@@ -186,7 +231,7 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
         samplesProcessed: this.samplesProcessed,
         chunksSkipped: this.chunksSkipped,
         chunksSent: this.chunksSent,
-        bufferLength: this.buffer.length,
+        bufferLength: this.bufferLength,
         averageChunkRate: uptime > 0 ? this.chunksSent / uptime : 0,
         isActive: this.isActive
       };
@@ -197,6 +242,3 @@ class VTFAudioProcessor extends AudioWorkletProcessor {
   
   
   registerProcessor('vtf-audio-processor', VTFAudioProcessor);
-  
-  
-  
\ No newline at end of file
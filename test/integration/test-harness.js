@@ -3,6 +3,7 @@
 import { VTFGlobalsFinder } from '../../src/modules/vtf-globals-finder.js';
 import { VTFStreamMonitor } from '../../src/modules/vtf-stream-monitor.js';
 import { VTFStateMonitor } from '../../src/modules/vtf-state-monitor.js';
+import { TranscriptAnnouncer } from '../../src/modules/transcript-announcer.js';
 
 class VTFTestHarness {
   constructor() {
@@ -68,7 +69,8 @@ class VTFTestHarness {
       'hotStart', 
       'audioLifecycle',
       'stateChanges',
-      'errorRecovery'
+      'errorRecovery',
+      'liveRegion'
     ];
     
     for (const scenario of scenarios) {
@@ -114,6 +116,9 @@ class VTFTestHarness {
         case 'errorRecovery':
           await this.scenarioErrorRecovery();
           break;
+        case 'liveRegion':
+          await this.scenarioLiveRegion();
+          break;
         default:
           throw new Error(`Unknown scenario: ${scenarioName}`);
       }
@@ -343,6 +348,75 @@ class VTFTestHarness {
   }
   
   
+  async scenarioLiveRegion() {
+    this.log('Testing screen reader live region', 'info');
+    
+    const utterances = [
+      { id: 'u1:1000', userId: 'u1', speaker: 'DP', text: 'Buying NVDA here', timestamp: 1000 },
+      { id: 'u1:2000', userId: 'u1', speaker: 'DP', text: 'Stop at 118', timestamp: 2000 },
+      { id: 'u2:3000', userId: 'u2', speaker: 'Kira', text: 'Watching SPY', timestamp: 3000 },
+      { id: 'u1:4000', userId: 'u1', speaker: 'DP', text: 'Adding more', timestamp: 4000 }
+    ];
+    
+    // Every transcript is delivered twice (broadcast and popup polling),
+    // one is replayed after an outage; each must reach the region once
+    const deliver = (announcer) => {
+      utterances.forEach(t => {
+        announcer.announce(t);
+        announcer.announce({ ...t });
+      });
+      announcer.announce({ ...utterances[1], replayed: true });
+    };
+    
+    const received = await this.recordLiveRegion({}, deliver);
+    
+    utterances.forEach(t => {
+      this.assert(received.get(t.id) === 1,
+        `"${t.text}" should be announced exactly once (got ${received.get(t.id) || 0})`);
+    });
+    this.assert(received.size === utterances.length, 'Nothing else should be announced');
+    
+    this.log('Testing speaker-changes-only mode', 'info');
+    const changesOnly = await this.recordLiveRegion({ speakerChangesOnly: true }, deliver);
+    
+    this.assert(changesOnly.size === 3, `Should announce 3 speaker changes (got ${changesOnly.size})`);
+    this.assert(!changesOnly.has('u1:2000'), 'Same-speaker line should not be announced');
+    changesOnly.forEach((count, key) => {
+      this.assert(count === 1, `${key} should be announced exactly once`);
+    });
+  }
+  
+  
+  async recordLiveRegion(options, deliver) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    
+    const announcer = new TranscriptAnnouncer(options);
+    const region = announcer.attach(container);
+    this.assert(region.getAttribute('aria-live') === 'polite', 'Live region should be polite by default');
+    
+    // Count what assistive technology sees added to the region
+    const received = new Map();
+    const observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+        const key = node.dataset?.transcriptKey;
+        received.set(key, (received.get(key) || 0) + 1);
+      }));
+    });
+    observer.observe(region, { childList: true, subtree: true });
+    
+    deliver(announcer);
+    await this.wait(50);
+    
+    observer.disconnect();
+    announcer.detach();
+    container.remove();
+    
+    this.log(`Live region received ${received.size} announcement(s)`, 'info');
+    return received;
+  }
+  
+  
   async scenarioErrorRecovery() {
     this.log('Testing error recovery', 'info');
     
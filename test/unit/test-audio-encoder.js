@@ -0,0 +1,428 @@
+import {
+  AUDIO_FORMATS,
+  encodeAudio,
+  encodeOpus,
+  encodeWAV,
+  floatToInt16
+} from '../../src/modules/audio-encoder.js';
+import { FLAC_BLOCK_SIZE, encodeFLAC } from '../../src/modules/flac-encoder.js';
+import { WEBM_IDS, writeWebM } from '../../src/modules/webm-writer.js';
+
+const SAMPLE_RATE = 16000;
+
+const TestUtils = {
+
+  // Deterministic noise, so a failure reproduces
+  random(seed = 1) {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) >>> 0;
+      return state / 0x100000000 * 2 - 1;
+    };
+  },
+
+
+  speech(seconds, amplitude = 0.3, noise = 0.002) {
+    const random = this.random(7);
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / SAMPLE_RATE;
+      const pitch = 120 + 30 * Math.sin(2 * Math.PI * 0.7 * t);
+      let value = 0;
+      for (let h = 1; h <= 10; h++) {
+        value += Math.sin(2 * Math.PI * pitch * h * t) / h;
+      }
+      const envelope = Math.max(0, Math.sin(Math.PI * 3 * t));
+      samples[i] = value * envelope * amplitude / 3 + random() * noise;
+    }
+    return samples;
+  },
+
+
+  noise(length, amplitude, seed = 3) {
+    const random = this.random(seed);
+    return Float32Array.from({ length }, () => random() * amplitude);
+  },
+
+
+  // CRCs worked out bit by bit, independently of the encoder's tables
+  crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+      crc ^= byte;
+      for (let i = 0; i < 8; i++) {
+        crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+      }
+    }
+    return crc;
+  },
+
+
+  crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+      crc ^= byte << 8;
+      for (let i = 0; i < 8; i++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+      }
+    }
+    return crc;
+  },
+
+
+  /**
+   * A reference decoder for the subset of FLAC the encoder writes (and Rice
+   * escapes, which it doesn't), checking every CRC on the way
+   */
+  decodeFLAC(bytes) {
+    let pos = 0;
+    const read = (bits) => {
+      let value = 0;
+      for (let i = 0; i < bits; i++, pos++) {
+        value = value * 2 + ((bytes[pos >> 3] >> (7 - (pos & 7))) & 1);
+      }
+      return value;
+    };
+    const readSigned = (bits) => {
+      const value = read(bits);
+      return value >= 2 ** (bits - 1) ? value - 2 ** bits : value;
+    };
+    const readUnary = () => {
+      let zeros = 0;
+      while (read(1) === 0) zeros++;
+      return zeros;
+    };
+
+    if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'fLaC') throw new Error('Not a FLAC stream');
+    pos = 32;
+
+    let info = null;
+    for (let last = 0; !last;) {
+      last = read(1);
+      const type = read(7);
+      const length = read(24);
+      if (type !== 0) {
+        pos += length * 8;
+        continue;
+      }
+      info = {
+        minBlockSize: read(16),
+        maxBlockSize: read(16),
+        minFrameSize: read(24),
+        maxFrameSize: read(24),
+        sampleRate: read(20),
+        channels: read(3) + 1,
+        bitsPerSample: read(5) + 1,
+        totalSamples: read(4) * 2 ** 32 + read(32)
+      };
+      pos += 128;
+    }
+    if (!info) throw new Error('No STREAMINFO');
+
+    const samples = new Int16Array(info.totalSamples);
+    const frames = [];
+    let written = 0;
+
+    while (written < info.totalSamples) {
+      const start = pos >> 3;
+      if (read(15) !== 0x7FFC) throw new Error(`Lost sync at byte ${start}`);
+      read(1);
+      const blockSizeCode = read(4);
+      const sampleRateCode = read(4);
+      const channelCode = read(4);
+      const sampleSizeCode = read(3);
+      read(1);
+
+      // UTF-8 style frame number
+      let number = read(8);
+      let extra = 0;
+      while (number & (0x80 >> extra)) extra++;
+      if (extra > 0) {
+        number &= 0xFF >> (extra + 1);
+        for (let i = 1; i < extra; i++) {
+          number = number * 64 + (read(8) & 0x3F);
+        }
+      }
+
+      let blockSize;
+      if (blockSizeCode === 0b0110) blockSize = read(8) + 1;
+      else if (blockSizeCode === 0b0111) blockSize = read(16) + 1;
+      else if (blockSizeCode >= 0b1000) blockSize = 256 << (blockSizeCode - 8);
+      else if (blockSizeCode >= 0b0010) blockSize = 576 << (blockSizeCode - 2);
+      else blockSize = 192;
+
+      const headerCrc = this.crc8(bytes.subarray(start, pos >> 3));
+      if (read(8) !== headerCrc) throw new Error(`Header CRC mismatch in frame ${number}`);
+
+      read(1);
+      const type = read(6);
+      if (read(1)) throw new Error('Wasted bits not expected');
+
+      const block = new Int32Array(blockSize);
+      let subframe;
+      if (type === 0) {
+        subframe = 'constant';
+        block.fill(readSigned(16));
+      } else if (type === 1) {
+        subframe = 'verbatim';
+        for (let i = 0; i < blockSize; i++) block[i] = readSigned(16);
+      } else if (type >= 8 && type <= 12) {
+        const order = type - 8;
+        subframe = `fixed${order}`;
+        for (let i = 0; i < order; i++) block[i] = readSigned(16);
+
+        const parameterBits = read(2) === 0 ? 4 : 5;
+        const escape = (1 << parameterBits) - 1;
+        const partitionOrder = read(4);
+        let i = order;
+        for (let p = 0; p < 1 << partitionOrder; p++) {
+          const count = (blockSize >> partitionOrder) - (p === 0 ? order : 0);
+          const k = read(parameterBits);
+          const rawBits = k === escape ? read(5) : 0;
+          for (let j = 0; j < count; j++, i++) {
+            if (k === escape) {
+              block[i] = readSigned(rawBits);
+            } else {
+              const folded = readUnary() * 2 ** k + read(k);
+              block[i] = folded % 2 ? -(folded + 1) / 2 : folded / 2;
+            }
+          }
+        }
+
+        const coefficients = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]][order];
+        for (let n = order; n < blockSize; n++) {
+          let prediction = 0;
+          coefficients.forEach((c, j) => { prediction += c * block[n - 1 - j]; });
+          block[n] += prediction;
+        }
+      } else {
+        throw new Error(`Unexpected subframe type ${type}`);
+      }
+
+      pos = Math.ceil(pos / 8) * 8;
+      const frameCrc = this.crc16(bytes.subarray(start, pos >> 3));
+      if (read(16) !== frameCrc) throw new Error(`Frame CRC mismatch in frame ${number}`);
+
+      frames.push({ number, blockSize, subframe, sampleRateCode, channelCode, sampleSizeCode, size: (pos >> 3) - start });
+      samples.set(block, written);
+      written += blockSize;
+    }
+
+    if (pos >> 3 !== bytes.length) throw new Error('Trailing bytes after the last frame');
+    return { info, samples, frames };
+  },
+
+
+  assertRoundTrip(label, input) {
+    const pcm = floatToInt16(input);
+    const { info, samples, frames } = this.decodeFLAC(encodeFLAC(pcm, SAMPLE_RATE));
+
+    console.assert(info.sampleRate === SAMPLE_RATE && info.channels === 1 && info.bitsPerSample === 16, `${label}: STREAMINFO describes 16 kHz mono 16-bit`);
+    console.assert(info.totalSamples === pcm.length, `${label}: ${info.totalSamples} samples declared, ${pcm.length} encoded`);
+    console.assert(frames.every((frame, i) => frame.number === i), `${label}: frames numbered in order`);
+    console.assert(Math.min(...frames.map(f => f.size)) === info.minFrameSize &&
+      Math.max(...frames.map(f => f.size)) === info.maxFrameSize, `${label}: frame sizes declared`);
+
+    const mismatch = pcm.findIndex((sample, i) => sample !== samples[i]);
+    console.assert(mismatch === -1, `${label}: bit-exact, first difference at ${mismatch}`);
+    return frames;
+  },
+
+
+  // Element id, size and payload offsets at one level of an EBML document
+  readElements(bytes, start = 0, end = bytes.length) {
+    const elements = [];
+    let pos = start;
+    while (pos < end) {
+      let idLength = 1;
+      while (!(bytes[pos] & (0x80 >> (idLength - 1)))) idLength++;
+      let id = 0;
+      for (let i = 0; i < idLength; i++) id = id * 256 + bytes[pos + i];
+      pos += idLength;
+
+      let sizeLength = 1;
+      while (!(bytes[pos] & (0x80 >> (sizeLength - 1)))) sizeLength++;
+      let size = bytes[pos] & (0xFF >> sizeLength);
+      for (let i = 1; i < sizeLength; i++) size = size * 256 + bytes[pos + i];
+      pos += sizeLength;
+
+      elements.push({ id, start: pos, size, data: bytes.subarray(pos, pos + size) });
+      pos += size;
+    }
+    return elements;
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const AudioEncoderTests = {
+
+  async testFLACRoundTrip() {
+    const frames = TestUtils.assertRoundTrip('speech', TestUtils.speech(3));
+    console.assert(frames.some(frame => frame.subframe.startsWith('fixed')), 'Speech uses the predictors');
+    console.assert(frames.at(-1).blockSize === 48000 % FLAC_BLOCK_SIZE, 'Last block holds the remainder');
+
+    // Full-scale noise leaves the predictors nothing to work with
+    const noisy = TestUtils.assertRoundTrip('full-scale noise', TestUtils.noise(FLAC_BLOCK_SIZE * 2, 1));
+    console.assert(noisy.every(frame => frame.subframe === 'verbatim' || frame.size <= FLAC_BLOCK_SIZE * 2 + 32), 'Never much bigger than raw PCM');
+
+    const silence = TestUtils.assertRoundTrip('silence', new Float32Array(FLAC_BLOCK_SIZE + 100));
+    console.assert(silence.every(frame => frame.subframe === 'constant'), 'Silence is constant subframes');
+
+    // The extremes of the 16-bit range, including -32768 which floatToInt16 can produce
+    const extremes = Float32Array.from({ length: 5000 }, (_, i) => [1, -1, 0.999, -0.999, 0][i % 5]);
+    TestUtils.assertRoundTrip('extremes', extremes);
+
+    TestUtils.assertRoundTrip('quiet noise', TestUtils.noise(10000, 0.001));
+    TestUtils.assertRoundTrip('odd length', TestUtils.speech(1.234567));
+  },
+
+
+  async testFLACShortClips() {
+    // Below the 16-sample floor STREAMINFO declares
+    TestUtils.assertRoundTrip('ten samples', TestUtils.noise(10, 0.5));
+    TestUtils.assertRoundTrip('one sample', Float32Array.of(0.25));
+    TestUtils.assertRoundTrip('a few predictors', Float32Array.of(0.1, 0.2, 0.15, -0.3, 0.05));
+
+    const empty = TestUtils.decodeFLAC(encodeFLAC(new Int16Array(0), SAMPLE_RATE));
+    console.assert(empty.info.totalSamples === 0 && empty.frames.length === 0, 'An empty clip is a valid stream');
+  },
+
+
+  async testFLACFrameNumbers() {
+    // Past frame 127 the frame number takes two bytes
+    const frames = TestUtils.assertRoundTrip('long clip', TestUtils.noise(FLAC_BLOCK_SIZE * 130, 0.01));
+    console.assert(frames.length === 130 && frames.at(-1).number === 129, `Frames 0-129 read back: ${frames.length}`);
+    console.assert(frames.every(frame => frame.sampleRateCode === 0b0101 && frame.sampleSizeCode === 0b100), 'Rate and sample size coded in each header');
+  },
+
+
+  async testWebMStructure() {
+    // 40 s of 20 ms packets spans more than one cluster
+    const packets = Array.from({ length: 2000 }, (_, i) => ({
+      data: Uint8Array.of(0xF8, i & 0xFF, i >> 8),
+      timestamp: i * 20000
+    }));
+    const bytes = writeWebM(packets, { duration: 40 });
+
+    const [header, segment] = TestUtils.readElements(bytes);
+    console.assert(header.id === WEBM_IDS.EBML && segment.id === WEBM_IDS.SEGMENT, 'EBML header then Segment');
+    const docType = TestUtils.readElements(bytes, header.start, header.start + header.size).find(e => e.id === WEBM_IDS.DOC_TYPE);
+    console.assert(new TextDecoder().decode(docType.data) === 'webm', 'DocType is webm');
+
+    const children = TestUtils.readElements(bytes, segment.start, segment.start + segment.size);
+    console.assert(segment.start + segment.size === bytes.length, 'Segment runs to the end of the file');
+
+    const tracks = children.find(e => e.id === WEBM_IDS.TRACKS);
+    const [entry] = TestUtils.readElements(bytes, tracks.start, tracks.start + tracks.size);
+    const fields = TestUtils.readElements(bytes, entry.start, entry.start + entry.size);
+    const codecId = fields.find(e => e.id === WEBM_IDS.CODEC_ID);
+    const codecPrivate = fields.find(e => e.id === WEBM_IDS.CODEC_PRIVATE);
+    console.assert(new TextDecoder().decode(codecId.data) === 'A_OPUS', 'Opus track');
+    console.assert(String.fromCharCode(...codecPrivate.data.subarray(0, 8)) === 'OpusHead', 'OpusHead supplied when the encoder gives none');
+
+    const clusters = children.filter(e => e.id === WEBM_IDS.CLUSTER);
+    console.assert(clusters.length === 2, `Two clusters, got ${clusters.length}`);
+
+    let blockCount = 0;
+    let inOrder = true;
+    clusters.forEach(cluster => {
+      const elements = TestUtils.readElements(bytes, cluster.start, cluster.start + cluster.size);
+      const time = elements[0].data.reduce((value, byte) => value * 256 + byte, 0);
+      elements.filter(e => e.id === WEBM_IDS.SIMPLE_BLOCK).forEach(block => {
+        const view = new DataView(block.data.buffer, block.data.byteOffset);
+        const index = block.data[5] | (block.data[6] << 8);
+        inOrder = inOrder && block.data[0] === 0x81 && (block.data[3] & 0x80) &&
+          time + view.getInt16(1) === index * 20 && index === blockCount;
+        blockCount++;
+      });
+    });
+    console.assert(blockCount === packets.length, `All ${packets.length} packets muxed, got ${blockCount}`);
+    console.assert(inOrder, 'Blocks keep their packets, times and order');
+  },
+
+
+  async testFormatFallback() {
+    const samples = TestUtils.speech(1);
+
+    const flac = await encodeAudio(samples, { formats: [AUDIO_FORMATS.FLAC], sampleRate: SAMPLE_RATE });
+    console.assert(flac.format === 'flac' && flac.mimeType === 'audio/flac' && flac.extension === 'flac', 'FLAC when asked');
+
+    const unknown = await encodeAudio(samples, { formats: ['mp3'], sampleRate: SAMPLE_RATE });
+    console.assert(unknown.format === 'wav' && unknown.extension === 'wav', 'Unknown formats fall back to WAV');
+
+    const opus = await encodeAudio(samples, { formats: [AUDIO_FORMATS.OPUS, AUDIO_FORMATS.FLAC], sampleRate: SAMPLE_RATE });
+    if (typeof AudioEncoder === 'undefined') {
+      console.assert(opus.format === 'flac', 'No WebCodecs: the next preference');
+      console.assert(await encodeOpus(samples, SAMPLE_RATE) === null, 'encodeOpus declines without an encoder');
+    } else {
+      console.assert(opus.format === 'opus' && opus.extension === 'webm', `Opus where WebCodecs has it: ${opus.format}`);
+      console.assert(opus.data[0] === 0x1A && opus.data[1] === 0x45, 'WebM file');
+    }
+  },
+
+
+  async testSizeAndLatency() {
+    // Ten seconds of voiced sound over a low noise floor, like a headset mic
+    const seconds = 10;
+    const samples = TestUtils.speech(seconds);
+    const rows = [];
+
+    const measure = async (format, encode) => {
+      const started = performance.now();
+      const data = await encode();
+      if (!data) return null;
+      const ms = performance.now() - started;
+      const row = { format, bytes: data.length, ms: Math.round(ms), realtime: `${Math.round(seconds * 1000 / ms)}x` };
+      rows.push(row);
+      return row;
+    };
+
+    const wav = await measure('wav', () => encodeWAV(samples, SAMPLE_RATE));
+    const flac = await measure('flac', () => encodeFLAC(floatToInt16(samples), SAMPLE_RATE));
+    const opus = await measure('opus', () => encodeOpus(samples, SAMPLE_RATE));
+    rows.forEach(row => { row.ratio = (row.bytes / wav.bytes).toFixed(2); });
+    console.table(rows);
+
+    console.assert(flac.bytes < wav.bytes * 0.75, `FLAC well under WAV: ${flac.bytes} vs ${wav.bytes}`);
+    // Utterances are encoded as they finish, so anything near real time would back up
+    console.assert(flac.ms < seconds * 1000 / 10, `FLAC at least 10x real time: ${flac.ms} ms for ${seconds} s`);
+    if (opus) {
+      console.assert(opus.bytes < flac.bytes, `Opus smaller than FLAC: ${opus.bytes}`);
+    }
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['FLAC Round Trip', AudioEncoderTests.testFLACRoundTrip],
+    ['FLAC Short Clips', AudioEncoderTests.testFLACShortClips],
+    ['FLAC Frame Numbers', AudioEncoderTests.testFLACFrameNumbers],
+    ['WebM Structure', AudioEncoderTests.testWebMStructure],
+    ['Format Fallback', AudioEncoderTests.testFormatFallback],
+    ['Size and Latency', AudioEncoderTests.testSizeAndLatency]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, AudioEncoderTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,189 @@
+import {
+  AudioPortSender,
+  SequenceTracker,
+  encodeAudioFrame,
+  decodeAudioFrame,
+  int16ToBase64,
+  base64ToInt16
+} from '../../src/modules/audio-transport.js';
+
+const TestUtils = {
+
+  generatePcm(length) {
+    const samples = new Int16Array(length);
+    for (let i = 0; i < length; i++) {
+      samples[i] = Math.round(Math.sin(i / 7) * 32767);
+    }
+    samples[0] = -32768;
+    return samples;
+  },
+
+
+  // Stand-in for chrome.runtime.connect; ports can be killed like a suspended worker's
+  createConnector() {
+    const ports = [];
+    const connect = (name) => {
+      const listeners = [];
+      const port = {
+        name,
+        alive: true,
+        messages: [],
+        postMessage(message) {
+          if (!port.alive) throw new Error('Attempting to use a disconnected port object');
+          port.messages.push(JSON.parse(JSON.stringify(message)));
+        },
+        disconnect() {
+          port.alive = false;
+        },
+        kill() {
+          port.alive = false;
+          listeners.forEach(fn => fn());
+        },
+        onDisconnect: {
+          addListener: fn => listeners.push(fn)
+        }
+      };
+      ports.push(port);
+      return port;
+    };
+    return { ports, connect };
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const AudioTransportTests = {
+
+  async testBase64RoundTrip() {
+    // Bigger than one fromCharCode slice
+    const samples = TestUtils.generatePcm(40000);
+    const decoded = base64ToInt16(int16ToBase64(samples));
+    console.assert(decoded.length === samples.length, 'Should keep every sample');
+    console.assert(decoded.every((v, i) => v === samples[i]), 'Samples should survive bit for bit');
+
+    // Views into a larger buffer encode only their own bytes
+    const view = samples.subarray(10, 20);
+    console.assert(base64ToInt16(int16ToBase64(view)).every((v, i) => v === view[i]), 'Should respect byteOffset');
+
+    console.assert(base64ToInt16(int16ToBase64(new Int16Array(0))).length === 0, 'Empty frames encode');
+  },
+
+
+  async testFrameEncoding() {
+    const samples = TestUtils.generatePcm(4096);
+    const message = encodeAudioFrame({ userId: 'dp', seq: 7, samples, timestamp: 1000, maxSample: 0.5, volume: 1 });
+
+    // What runtime messaging would actually deliver
+    const delivered = JSON.parse(JSON.stringify(message));
+    console.assert(typeof delivered.data === 'string', 'Samples should travel as a string');
+    console.assert(delivered.data.length < 4096 * 3, 'Base64 should be far smaller than a number array');
+
+    const frame = decodeAudioFrame(delivered);
+    console.assert(frame.userId === 'dp' && frame.seq === 7, 'Should keep the stream and sequence');
+    console.assert(frame.timestamp === 1000 && frame.sampleRate === 16000, 'Should keep the metadata');
+    console.assert(frame.samples instanceof Int16Array, 'Should hand back an Int16Array');
+    console.assert(frame.samples.every((v, i) => v === samples[i]), 'Should keep the samples');
+
+    const rejects = (bad) => {
+      try {
+        decodeAudioFrame(bad);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    };
+    console.assert(rejects({ type: 'audioData' }), 'Should reject other messages');
+    console.assert(rejects({ ...delivered, seq: -1 }), 'Should reject bad sequence numbers');
+    console.assert(rejects({ ...delivered, encoding: 'json' }), 'Should reject unknown encodings');
+    console.assert(rejects({ ...delivered, data: 'AA==' }), 'Should reject half samples');
+  },
+
+
+  async testSequenceTracking() {
+    const tracker = new SequenceTracker();
+    const statuses = [3, 4, 7, 5, 5, 8, 4].map(seq => tracker.check('dp', seq));
+
+    console.assert(statuses[0].status === 'first', 'Any start is fine for a new stream');
+    console.assert(statuses[1].status === 'ok', 'Next in line');
+    console.assert(statuses[2].status === 'gap' && statuses[2].missing === 2, 'Should count the missing frames');
+    console.assert(statuses[3].status === 'reordered' && statuses[3].accept, 'A missing frame arriving late is reordered');
+    console.assert(statuses[4].status === 'duplicate' && !statuses[4].accept, 'A repeat is a duplicate');
+    console.assert(statuses[5].status === 'ok', 'Gaps don\'t break the sequence');
+    console.assert(statuses[6].status === 'duplicate', 'Old frames that were never missing are duplicates');
+
+    console.assert(tracker.check('dp', 0).status === 'restart', 'Zero means the page recaptured the stream');
+    console.assert(tracker.check('dp', 1).status === 'ok', 'Should follow the new capture');
+    console.assert(tracker.check('kira', 0).status === 'first', 'Streams are independent');
+
+    const stats = tracker.getStats();
+    console.assert(stats.gaps === 1 && stats.missing === 1, `One frame should still be missing, got ${stats.missing}`);
+    console.assert(stats.reordered === 1 && stats.duplicates === 2 && stats.restarts === 1, 'Should count each case');
+    console.assert(stats.streams === 2, 'Should track both streams');
+
+    tracker.reset();
+    console.assert(tracker.check('dp', 50).status === 'first', 'Reset forgets where streams were');
+  },
+
+
+  async testSenderReconnects() {
+    const { ports, connect } = TestUtils.createConnector();
+    const sender = new AudioPortSender({ connect });
+    const frame = (seq) => ({ userId: 'dp', seq, samples: TestUtils.generatePcm(16), timestamp: seq });
+
+    console.assert(ports.length === 0, 'Should connect lazily');
+    console.assert(sender.send(frame(0)) && sender.send(frame(1)), 'Should send');
+    console.assert(ports.length === 1 && ports[0].name === 'vtf-audio', 'Should reuse one named port');
+
+    // Service worker suspended
+    ports[0].kill();
+    console.assert(sender.send(frame(2)), 'Should reconnect after a disconnect');
+    console.assert(ports.length === 2, 'Should open a new port');
+
+    // Port died without telling us
+    ports[1].alive = false;
+    console.assert(sender.send(frame(3)), 'Should retry on a dead port');
+    console.assert(ports.length === 3, 'Should open another port');
+
+    const seqs = ports.flatMap(p => p.messages.map(m => decodeAudioFrame(m).seq));
+    console.assert(seqs.join() === '0,1,2,3', `Every frame should arrive once, got ${seqs}`);
+
+    const stats = sender.getStats();
+    console.assert(stats.framesSent === 4 && stats.bytesSent === 4 * 32, 'Should count frames and bytes');
+    console.assert(stats.connects === 3 && stats.disconnects === 1, 'Should count connections');
+
+    sender.close();
+    console.assert(!sender.getStats().connected && !ports[2].alive, 'Close should drop the port');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Base64 Round Trip', AudioTransportTests.testBase64RoundTrip],
+    ['Frame Encoding', AudioTransportTests.testFrameEncoding],
+    ['Sequence Tracking', AudioTransportTests.testSequenceTracking],
+    ['Sender Reconnects', AudioTransportTests.testSenderReconnects]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, AudioTransportTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,234 @@
+
+
+import { CaptionOverlay } from '../../src/modules/caption-overlay.js';
+
+const TestUtils = {
+
+  mockStorage(initial = {}) {
+    const data = { ...initial };
+    const original = window.chrome;
+
+    window.chrome = {
+      ...(original || {}),
+      storage: {
+        local: {
+          get: async (key) => (key in data ? { [key]: data[key] } : {}),
+          set: async (items) => { Object.assign(data, items); }
+        }
+      }
+    };
+
+    return {
+      data,
+      restore: () => { window.chrome = original; }
+    };
+  },
+
+
+  async createOverlay(options = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+
+    const overlay = new CaptionOverlay({ saveDelay: 0, ...options });
+    await overlay.mount(container);
+    return { overlay, container };
+  },
+
+
+  transcript(userId, speaker, text, timestamp = Date.now()) {
+    return { userId, speaker, text, timestamp };
+  },
+
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const CaptionOverlayTests = {
+
+  async testMountAndUnmount() {
+    const storage = TestUtils.mockStorage();
+    const { overlay, container } = await TestUtils.createOverlay();
+
+    console.assert(overlay.isMounted(), 'Should be mounted');
+    console.assert(container.querySelector('#vtf-transcription-display'), 'Should render the panel');
+    console.assert(container.querySelector('.vtf-transcript-placeholder'), 'Should show placeholder before captions');
+
+    await overlay.mount(container);
+    console.assert(container.querySelectorAll('#vtf-transcription-display').length === 1, 'Mounting twice should not duplicate');
+
+    overlay.unmount();
+    console.assert(!overlay.isMounted(), 'Should be unmounted');
+    console.assert(!container.querySelector('#vtf-transcription-display'), 'Should remove the panel');
+
+    container.remove();
+    storage.restore();
+  },
+
+
+  async testSpeakerGrouping() {
+    const storage = TestUtils.mockStorage();
+    const { overlay, container } = await TestUtils.createOverlay();
+
+    overlay.addTranscription(TestUtils.transcript('u1', 'DP', 'Buying NVDA here'));
+    overlay.addTranscription(TestUtils.transcript('u1', 'DP', 'Stop at 118'));
+    overlay.addTranscription(TestUtils.transcript('u2', 'Kira', 'Watching SPY'));
+    overlay.addTranscription(TestUtils.transcript('u1', 'DP', 'Adding more'));
+
+    const blocks = container.querySelectorAll('.vtf-transcript-block');
+    console.assert(blocks.length === 3, `Should group consecutive lines, got ${blocks.length} blocks`);
+    console.assert(blocks[0].querySelectorAll('.vtf-transcript-line').length === 2, 'First block should hold two lines');
+    console.assert(blocks[1].querySelector('.vtf-transcript-speaker').textContent === 'Kira', 'Should label speaker');
+    console.assert(!container.querySelector('.vtf-transcript-placeholder'), 'Placeholder should be removed');
+
+    const colorA = blocks[0].querySelector('.vtf-transcript-speaker').style.color;
+    const colorB = blocks[2].querySelector('.vtf-transcript-speaker').style.color;
+    console.assert(colorA && colorA === colorB, 'Same speaker should keep the same colour');
+
+    overlay.unmount();
+    container.remove();
+    storage.restore();
+  },
+
+
+  async testTextIsNotHtml() {
+    const storage = TestUtils.mockStorage();
+    const { overlay, container } = await TestUtils.createOverlay();
+
+    overlay.addTranscription(TestUtils.transcript('u1', '<b>DP</b>', '<img src=x onerror=alert(1)>'));
+
+    console.assert(!container.querySelector('img'), 'Transcript text must not be parsed as HTML');
+    console.assert(container.querySelector('.vtf-transcript-line').textContent === '<img src=x onerror=alert(1)>',
+      'Should show text verbatim');
+
+    overlay.unmount();
+    container.remove();
+    storage.restore();
+  },
+
+
+  async testLineLimit() {
+    const storage = TestUtils.mockStorage();
+    const { overlay, container } = await TestUtils.createOverlay({ maxUtterances: 3 });
+
+    overlay.addTranscription(TestUtils.transcript('u1', 'DP', 'one'));
+    overlay.addTranscription(TestUtils.transcript('u2', 'Kira', 'two'));
+    overlay.addTranscription(TestUtils.transcript('u2', 'Kira', 'three'));
+    overlay.addTranscription(TestUtils.transcript('u2', 'Kira', 'four'));
+
+    const lines = Array.from(container.querySelectorAll('.vtf-transcript-line')).map(el => el.textContent);
+    console.assert(lines.length === 3, 'Should cap the number of lines');
+    console.assert(lines[0] === 'two', 'Should drop the oldest line');
+    console.assert(container.querySelectorAll('.vtf-transcript-block').length === 1, 'Should drop emptied blocks');
+
+    overlay.unmount();
+    container.remove();
+    storage.restore();
+  },
+
+
+  async testAutoScrollOnlyWhenFollowing() {
+    const storage = TestUtils.mockStorage();
+    const { overlay, container } = await TestUtils.createOverlay();
+    const jumpBtn = container.querySelector('.vtf-transcript-jump');
+
+    overlay.addTranscription(TestUtils.transcript('u1', 'DP', 'first'));
+    console.assert(jumpBtn.classList.contains('vtf-hidden'), 'Jump button hidden while following');
+
+    // Reader scrolled up
+    overlay.pinnedToBottom = false;
+    overlay.addTranscription(TestUtils.transcript('u1', 'DP', 'second'));
+    console.assert(!jumpBtn.classList.contains('vtf-hidden'), 'Should offer jump button instead of scrolling');
+    console.assert(!overlay.pinnedToBottom, 'Should not resume following on its own');
+
+    jumpBtn.click();
+    console.assert(overlay.pinnedToBottom, 'Jump should resume following');
+    console.assert(jumpBtn.classList.contains('vtf-hidden'), 'Jump button hidden after jumping');
+
+    overlay.unmount();
+    container.remove();
+    storage.restore();
+  },
+
+
+  async testLayoutPerRoom() {
+    const storage = TestUtils.mockStorage({
+      overlayLayouts: {
+        'room-b': { left: 5, top: 6, width: 300, height: 200, collapsed: true }
+      }
+    });
+    const { overlay, container } = await TestUtils.createOverlay({ roomKey: 'room-a' });
+    const root = container.querySelector('#vtf-transcription-display');
+
+    overlay.layout.left = 10;
+    overlay.layout.top = 12;
+    overlay.setCollapsed(false);
+    await TestUtils.wait(10);
+
+    console.assert(storage.data.overlayLayouts['room-a'].left === 10, 'Should save layout for the room');
+    console.assert(storage.data.overlayLayouts['room-b'].left === 5, 'Should keep other rooms');
+
+    await overlay.setRoom('room-b');
+    console.assert(overlay.collapsed, 'Should restore the other room\'s collapsed state');
+    console.assert(root.classList.contains('vtf-collapsed'), 'Should apply collapsed class');
+    console.assert(root.style.width === '300px', 'Should restore the other room\'s size');
+
+    overlay.unmount();
+    container.remove();
+    storage.restore();
+  },
+
+
+  async testCloseCallback() {
+    const storage = TestUtils.mockStorage();
+    const { overlay, container } = await TestUtils.createOverlay();
+
+    let closed = false;
+    overlay.onClose = () => { closed = true; };
+    container.querySelector('.vtf-transcript-close').click();
+
+    console.assert(closed, 'Close button should notify the owner');
+
+    overlay.unmount();
+    container.remove();
+    storage.restore();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Mount and Unmount', CaptionOverlayTests.testMountAndUnmount],
+    ['Speaker Grouping', CaptionOverlayTests.testSpeakerGrouping],
+    ['Text Is Not HTML', CaptionOverlayTests.testTextIsNotHtml],
+    ['Line Limit', CaptionOverlayTests.testLineLimit],
+    ['Auto-Scroll Only When Following', CaptionOverlayTests.testAutoScrollOnlyWhenFollowing],
+    ['Layout Per Room', CaptionOverlayTests.testLayoutPerRoom],
+    ['Close Callback', CaptionOverlayTests.testCloseCallback]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, CaptionOverlayTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,166 @@
+import {
+  EntityExtractor,
+  ENTITY_TYPES,
+  entityRanges,
+  parseSpokenNumber,
+  tokenize
+} from '../../src/modules/entity-extractor.js';
+
+const TestUtils = {
+
+  // Entities of one type, values only
+  values(entities, type) {
+    return entities.filter(e => e.type === type).map(e => e.value);
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const EntityExtractorTests = {
+
+  async testSpokenNumbers() {
+    const cases = [
+      ['fifty two and a quarter', 52.25],
+      ['fifty-two and a half', 52.5],
+      ['three and three quarters', 3.75],
+      ['one hundred and six', 106],
+      ['a thousand', 1000],
+      ['two thousand five hundred', 2500],
+      ['one sixteen', 116],
+      ['four fifty', 450],
+      ['fifty two fifty', 52.5],
+      ['one sixteen fifty', 116.5],
+      ['twelve oh five', 12.05],
+      ['twelve point oh five', 12.05],
+      ['fifty two point two five', 52.25],
+      ['zero point five', 0.5],
+      ['116.50', 116.5],
+      ['$52.25', 52.25],
+      ['1,200', 1200],
+      ['116 and a half', 116.5],
+      ['seven', 7]
+    ];
+    for (const [spoken, expected] of cases) {
+      const value = parseSpokenNumber(spoken);
+      console.assert(value === expected, `"${spoken}" should be ${expected}, got ${value}`);
+    }
+
+    console.assert(parseSpokenNumber('two three') === null, 'Two units in a row are not one number');
+    console.assert(parseSpokenNumber('oh') === null, 'A lone "oh" is not zero');
+    console.assert(parseSpokenNumber('a half') === null, 'A fraction needs a whole part');
+    console.assert(parseSpokenNumber('constructor') === null, 'Object keys are not number words');
+  },
+
+
+  async testTickers() {
+    const extractor = new EntityExtractor({ tickers: ['SPY', 'AAPL', 'SMCI'] });
+    const entities = extractor.extract("Apple's strong, watch A-A-P-L and $hood, the Qs and S M C I. NVDA too, but not US or a.m.");
+
+    console.assert(TestUtils.values(entities, ENTITY_TYPES.TICKER).join() === 'AAPL,AAPL,HOOD,QQQ,SMCI,NVDA',
+      `Unexpected tickers: ${TestUtils.values(entities, ENTITY_TYPES.TICKER)}`);
+
+    const qs = entities.find(e => e.value === 'QQQ');
+    console.assert(qs.text === 'the Qs', `Should keep the spoken form, got "${qs.text}"`);
+
+    const [start, end] = [qs.offset, qs.offset + qs.text.length];
+    const ranges = entityRanges(entities);
+    console.assert(ranges.some(r => r.start === start && r.end === end && r.entity === qs), 'Ranges point back at the text');
+
+    extractor.setTickers(['ABCD']);
+    console.assert(TestUtils.values(extractor.extract('ABCD and SPY'), ENTITY_TYPES.TICKER).join() === 'ABCD,SPY',
+      'Vocabulary tickers are added to the named ones');
+  },
+
+
+  async testPricesAndPercentages() {
+    const extractor = new EntityExtractor();
+
+    const call = extractor.extract('Long NVDA from one sixteen, stop under one fourteen fifty, target fifty two and a quarter');
+    console.assert(TestUtils.values(call, ENTITY_TYPES.PRICE).join() === '116,114.5,52.25',
+      `Unexpected prices: ${TestUtils.values(call, ENTITY_TYPES.PRICE)}`);
+
+    const plain = extractor.extract('I have two contracts, and at one point I had three');
+    console.assert(TestUtils.values(plain, ENTITY_TYPES.PRICE).length === 0, 'Counts are not prices');
+
+    const marked = extractor.extract('TSLA 250, it was fifty two dollars and twenty five cents, now $48');
+    console.assert(TestUtils.values(marked, ENTITY_TYPES.PRICE).join() === '250,52.25,48',
+      `Unexpected prices: ${TestUtils.values(marked, ENTITY_TYPES.PRICE)}`);
+
+    const percent = extractor.extract('Up three and a half percent, down 2% on the week');
+    console.assert(TestUtils.values(percent, ENTITY_TYPES.PERCENTAGE).join() === '3.5,2',
+      `Unexpected percentages: ${TestUtils.values(percent, ENTITY_TYPES.PERCENTAGE)}`);
+    console.assert(percent[0].text === 'three and a half percent', 'The whole phrase is the entity');
+  },
+
+
+  async testStrikes() {
+    const extractor = new EntityExtractor();
+
+    const [spy, strike] = extractor.extract('SPY four fifty calls for Friday');
+    console.assert(spy.value === 'SPY', 'Ticker first');
+    console.assert(strike.type === ENTITY_TYPES.STRIKE, `Should be a strike, got ${strike.type}`);
+    console.assert(strike.value.strike === 450 && strike.value.right === 'call' && strike.value.expiration === 'Friday',
+      `Unexpected strike: ${JSON.stringify(strike.value)}`);
+    console.assert(strike.text === 'four fifty calls for Friday', `Unexpected text: "${strike.text}"`);
+
+    const before = extractor.extract('QQQ zero DTE 480 puts').find(e => e.type === ENTITY_TYPES.STRIKE);
+    console.assert(before.value.expiration === '0DTE' && before.value.right === 'put', 'Expiration before the strike');
+    console.assert(before.text === 'zero DTE 480 puts', `Unexpected text: "${before.text}"`);
+
+    const dated = extractor.extract('the 120 strike calls expiring January seventeenth').find(e => e.type === ENTITY_TYPES.STRIKE);
+    console.assert(dated.value.strike === 120 && dated.value.expiration === 'Jan 17', `Unexpected strike: ${JSON.stringify(dated.value)}`);
+
+    const shorthand = extractor.extract('Grabbed 455c weeklies').find(e => e.type === ENTITY_TYPES.STRIKE);
+    console.assert(shorthand.value.strike === 455 && shorthand.value.right === 'call' && shorthand.value.expiration === 'Weekly',
+      `Unexpected strike: ${JSON.stringify(shorthand.value)}`);
+  },
+
+
+  async testDirections() {
+    const extractor = new EntityExtractor();
+
+    const entities = extractor.extract('Bought more, trimming here, short AMD, selling the rest, stop loss at 118');
+    console.assert(TestUtils.values(entities, ENTITY_TYPES.DIRECTION).join() === 'buy,trim,short,sell,stop',
+      `Unexpected directions: ${TestUtils.values(entities, ENTITY_TYPES.DIRECTION)}`);
+    console.assert(entities.find(e => e.value === 'stop').text === 'stop loss', 'Stop loss is one stop');
+
+    const idle = extractor.extract('How long is this taking? Not for a long time. Short term it is fine.');
+    console.assert(TestUtils.values(idle, ENTITY_TYPES.DIRECTION).length === 0, 'Length and time are not positions');
+
+    console.assert(tokenize('stop-loss').length === 2 && tokenize('A-A-P-L').length === 1, 'Hyphens split words, not spellings');
+    console.assert(extractor.getStats().transcripts === 2, 'Should count transcripts');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Spoken Numbers', EntityExtractorTests.testSpokenNumbers],
+    ['Tickers', EntityExtractorTests.testTickers],
+    ['Prices and Percentages', EntityExtractorTests.testPricesAndPercentages],
+    ['Strikes', EntityExtractorTests.testStrikes],
+    ['Directions', EntityExtractorTests.testDirections]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, EntityExtractorTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
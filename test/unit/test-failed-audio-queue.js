@@ -0,0 +1,178 @@
+
+
+import { FailedAudioQueue } from '../../src/modules/failed-audio-queue.js';
+
+const TestUtils = {
+
+  createQueue(options = {}) {
+    return new FailedAudioQueue({
+      dbName: `vtf-failed-audio-test-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      ...options
+    });
+  },
+
+
+  generateAudioData(startTime, samples = 1600) {
+    const data = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+      data[i] = Math.sin(2 * Math.PI * 440 * i / 16000) * 0.5;
+    }
+    return { samples: data, startTime, duration: samples / 16000 };
+  },
+
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const FailedAudioQueueTests = {
+
+  async testAddAndCount() {
+    const queue = TestUtils.createQueue();
+    const now = Date.now();
+
+    const item = await queue.add('streamA', TestUtils.generateAudioData(now));
+
+    console.assert(item.id === `streamA:${now}`, 'Should key by stream and start time');
+    console.assert(item.samples === undefined, 'Should not return samples in summary');
+    console.assert(await queue.count() === 1, 'Should have one item');
+
+
+    await queue.add('streamA', TestUtils.generateAudioData(now), 2);
+    console.assert(await queue.count() === 1, 'Re-adding the same chunk should overwrite');
+
+    await queue.destroy();
+  },
+
+
+  async testChronologicalOrder() {
+    const queue = TestUtils.createQueue();
+    const now = Date.now();
+
+    await queue.add('streamB', TestUtils.generateAudioData(now - 1000));
+    await queue.add('streamA', TestUtils.generateAudioData(now - 3000));
+    await queue.add('streamC', TestUtils.generateAudioData(now - 2000));
+
+    const items = await queue.getAll();
+
+    console.assert(items.length === 3, 'Should return all items');
+    console.assert(items[0].streamId === 'streamA', 'Oldest first');
+    console.assert(items[1].streamId === 'streamC', 'Middle second');
+    console.assert(items[2].streamId === 'streamB', 'Newest last');
+
+    await queue.destroy();
+  },
+
+
+  async testSampleRoundTrip() {
+    const queue = TestUtils.createQueue();
+    const audioData = TestUtils.generateAudioData(Date.now(), 800);
+
+    await queue.add('streamA', audioData);
+    const [item] = await queue.getAll();
+
+    console.assert(item.audioData.samples instanceof Float32Array, 'Should restore Float32Array');
+    console.assert(item.audioData.samples.length === 800, 'Should preserve length');
+
+    let maxError = 0;
+    for (let i = 0; i < 800; i++) {
+      maxError = Math.max(maxError, Math.abs(item.audioData.samples[i] - audioData.samples[i]));
+    }
+    console.assert(maxError < 1 / 16384, `Int16 storage error should be tiny, got ${maxError}`);
+    console.assert(item.audioData.duration === audioData.duration, 'Should preserve duration');
+
+    await queue.destroy();
+  },
+
+
+  async testSizeCap() {
+    const queue = TestUtils.createQueue({ maxItems: 3 });
+    const now = Date.now();
+
+    for (let i = 0; i < 5; i++) {
+      await queue.add('streamA', TestUtils.generateAudioData(now - 5000 + i * 1000));
+    }
+
+    const items = await queue.getAll();
+    console.assert(items.length === 3, 'Should cap backlog size');
+    console.assert(items[0].audioData.startTime === now - 3000, 'Should drop the oldest items');
+    console.assert(queue.stats.dropped === 2, 'Should track dropped items');
+
+    await queue.destroy();
+  },
+
+
+  async testAgeCap() {
+    const queue = TestUtils.createQueue({ maxAge: 60000 });
+    const now = Date.now();
+
+    await queue.add('streamA', TestUtils.generateAudioData(now - 120000));
+    await queue.add('streamA', TestUtils.generateAudioData(now - 1000));
+
+    const items = await queue.getAll();
+    console.assert(items.length === 1, 'Should drop expired audio');
+    console.assert(items[0].audioData.startTime === now - 1000, 'Should keep fresh audio');
+
+    await queue.destroy();
+  },
+
+
+  async testRemoveAndSummary() {
+    const queue = TestUtils.createQueue();
+    const now = Date.now();
+
+    await queue.add('streamA', TestUtils.generateAudioData(now - 2000, 16000));
+    await queue.add('streamB', TestUtils.generateAudioData(now - 1000, 8000));
+
+    let summary = await queue.getSummary();
+    console.assert(summary.depth === 2, 'Summary should report depth');
+    console.assert(summary.oldestStartTime === now - 2000, 'Summary should report oldest item');
+    console.assert(Math.abs(summary.totalDuration - 1.5) < 1e-9, 'Summary should total durations');
+
+    await queue.remove(`streamA:${now - 2000}`);
+    summary = await queue.getSummary();
+    console.assert(summary.depth === 1, 'Should remove item');
+
+    await queue.clear();
+    console.assert(await queue.count() === 0, 'Should clear all items');
+
+    await queue.destroy();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Add and Count', FailedAudioQueueTests.testAddAndCount],
+    ['Chronological Order', FailedAudioQueueTests.testChronologicalOrder],
+    ['Sample Round Trip', FailedAudioQueueTests.testSampleRoundTrip],
+    ['Size Cap', FailedAudioQueueTests.testSizeCap],
+    ['Age Cap', FailedAudioQueueTests.testAgeCap],
+    ['Remove and Summary', FailedAudioQueueTests.testRemoveAndSummary]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, FailedAudioQueueTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,185 @@
+import {
+  HallucinationFilter,
+  FILTER_ACTIONS,
+  FILTER_REASONS,
+  collapseRepeats,
+  normalizeText,
+  segmentMetrics
+} from '../../src/modules/hallucination-filter.js';
+
+const TestUtils = {
+
+  prompt: 'Speaker: DP. Virtual Trading Floor audio.',
+
+
+  // One second of tone at the given level
+  audio(amplitude) {
+    const samples = new Float32Array(16000);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.sin(2 * Math.PI * 220 * i / 16000) * amplitude;
+    }
+    return samples;
+  },
+
+
+  // verbose_json segment as whisper-1 returns it
+  segment(text, { noSpeech = 0.02, logprob = -0.25, compression = 1.3, start = 0, end = 2 } = {}) {
+    return { start, end, text, no_speech_prob: noSpeech, avg_logprob: logprob, compression_ratio: compression };
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const HallucinationFilterTests = {
+
+  async testNormalizeAndCollapse() {
+    console.assert(normalizeText(' Thank you for watching! ') === 'thank you for watching', 'Should strip punctuation');
+    console.assert(normalizeText('Subtitles by the Amara.org community') === 'subtitles by the amara.org community', 'Should keep dots inside words');
+    console.assert(normalizeText('...') === '', 'Punctuation alone is empty');
+
+    const loop = collapseRepeats('I am buying here. I am buying here. I am buying here. Stop at 118.');
+    console.assert(loop.repeated && loop.text === 'I am buying here. Stop at 118.', `Should collapse the loop, got "${loop.text}"`);
+
+    const emphasis = collapseRepeats('No no no, not yet');
+    console.assert(!emphasis.repeated && emphasis.text === 'No no no, not yet', 'Short emphasis is left alone');
+  },
+
+
+  async testSegmentMetrics() {
+    const metrics = segmentMetrics([
+      TestUtils.segment('a', { noSpeech: 0.9, logprob: -1.5, end: 1 }),
+      TestUtils.segment('b', { noSpeech: 0.1, logprob: -0.2, compression: 2.8, start: 1, end: 4 })
+    ]);
+    console.assert(Math.abs(metrics.noSpeechProb - 0.3) < 1e-9, `Should weight by duration, got ${metrics.noSpeechProb}`);
+    console.assert(metrics.compressionRatio === 2.8, 'Should keep the worst compression ratio');
+    console.assert(metrics.silentSegments === 1 && metrics.segments === 2, 'Should count silent segments');
+    console.assert(segmentMetrics(undefined) === null, 'Plain json has no metrics');
+  },
+
+
+  async testKnownHallucinations() {
+    const filter = new HallucinationFilter();
+    const quiet = TestUtils.audio(0.002);
+    const loud = TestUtils.audio(0.3);
+
+    const credits = filter.check('dp', { text: 'Subtitles by the Amara.org community', samples: loud });
+    console.assert(credits.action === FILTER_ACTIONS.DROP, 'Credits are always dropped');
+
+    const watching = filter.check('dp', { text: 'Thank you for watching.', samples: quiet });
+    console.assert(watching.action === FILTER_ACTIONS.DROP, 'Sign-off over silence is dropped');
+    console.assert(watching.reasons.includes(FILTER_REASONS.QUIET_AUDIO), 'Should report the quiet audio');
+
+    const you = filter.check('dp', { text: 'you', segments: [TestUtils.segment(' you', { logprob: -1.2 })], samples: loud });
+    console.assert(you.action === FILTER_ACTIONS.DROP, 'A low-confidence lone "you" is dropped');
+
+    // Said out loud and decoded confidently: keep it, but mark it
+    const thanks = filter.check('kira', { text: 'Thank you.', segments: [TestUtils.segment(' Thank you.')], samples: loud });
+    console.assert(thanks.action === FILTER_ACTIONS.FLAG, `A clear "thank you" is only flagged, got ${thanks.action}`);
+  },
+
+
+  async testWhisperMetrics() {
+    const filter = new HallucinationFilter();
+    const loud = TestUtils.audio(0.3);
+
+    const silent = filter.check('dp', {
+      text: 'Buy the dip.',
+      segments: [TestUtils.segment(' Buy the dip.', { noSpeech: 0.85, logprob: -1.3 })],
+      samples: loud
+    });
+    console.assert(silent.action === FILTER_ACTIONS.DROP && silent.reasons.includes(FILTER_REASONS.NO_SPEECH), 'Whisper\'s no-speech rule drops');
+
+    const unsure = filter.check('dp', {
+      text: 'Looking at the VIX here',
+      segments: [TestUtils.segment(' Looking at the VIX here', { logprob: -1.1 })],
+      samples: loud
+    });
+    console.assert(unsure.action === FILTER_ACTIONS.FLAG && unsure.reasons[0] === FILTER_REASONS.LOW_CONFIDENCE, 'Low confidence alone is flagged');
+
+    const clean = filter.check('dp', {
+      text: 'Long NVDA from 116, stop under 118',
+      segments: [TestUtils.segment(' Long NVDA from 116, stop under 118')],
+      samples: loud
+    });
+    console.assert(clean.action === FILTER_ACTIONS.KEEP && clean.reasons.length === 0, 'Clean speech passes untouched');
+    console.assert(clean.metrics.rms > 0.2 && clean.metrics.peak > 0.29, 'Should report the audio level');
+  },
+
+
+  async testRepetition() {
+    const filter = new HallucinationFilter();
+    const loud = TestUtils.audio(0.3);
+
+    const looped = filter.check('dp', {
+      text: 'Watch the open. Watch the open. Watch the open. Watch the open.',
+      segments: [TestUtils.segment(' Watch the open.', { compression: 3.1 })],
+      samples: loud
+    });
+    console.assert(looped.action === FILTER_ACTIONS.FLAG, `A loop over real audio is cleaned up, got ${looped.action}`);
+    console.assert(looped.text === 'Watch the open.', `Should keep one copy, got "${looped.text}"`);
+    console.assert(looped.reasons.includes(FILTER_REASONS.COMPRESSION), 'Should report the compression ratio');
+
+    // The same line again over near-silence is Whisper repeating itself
+    const again = filter.check('dp', { text: 'Watch the open.', samples: TestUtils.audio(0.001) });
+    console.assert(again.action === FILTER_ACTIONS.DROP && again.reasons.includes(FILTER_REASONS.REPEATED_PREVIOUS), 'Repeat of the last line is dropped');
+
+    // Another speaker saying it is fine
+    const other = filter.check('kira', { text: 'Watch the open.', samples: loud });
+    console.assert(other.action === FILTER_ACTIONS.KEEP, 'Streams are independent');
+  },
+
+
+  async testPromptEcho() {
+    const filter = new HallucinationFilter();
+    const loud = TestUtils.audio(0.3);
+
+    const echo = filter.check('dp', { text: 'Virtual Trading Floor audio.', samples: loud, prompt: TestUtils.prompt });
+    console.assert(echo.action === FILTER_ACTIONS.DROP && echo.reasons.includes(FILTER_REASONS.PROMPT_ECHO), 'The prompt read back is dropped');
+
+    const word = filter.check('dp', { text: 'Audio?', samples: loud, prompt: TestUtils.prompt });
+    console.assert(word.action === FILTER_ACTIONS.KEEP, 'A single word that happens to be in the prompt stays');
+
+    // Vocabulary in the prompt is there because people say it
+    const glossary = `${TestUtils.prompt} Terms: trim into strength, VWAP.`;
+    const phrase = filter.check('dp', { text: 'Trim into strength.', samples: loud, prompt: glossary, terms: ['trim into strength', 'VWAP'] });
+    console.assert(phrase.action === FILTER_ACTIONS.KEEP, 'Saying a vocabulary phrase is not an echo');
+
+    const stats = filter.getStats();
+    console.assert(stats.dropped === 1 && stats.kept === 2, 'Should count outcomes');
+    console.assert(stats.reasons[FILTER_REASONS.PROMPT_ECHO] === 1, 'Should count reasons');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Normalize and Collapse', HallucinationFilterTests.testNormalizeAndCollapse],
+    ['Segment Metrics', HallucinationFilterTests.testSegmentMetrics],
+    ['Known Hallucinations', HallucinationFilterTests.testKnownHallucinations],
+    ['Whisper Metrics', HallucinationFilterTests.testWhisperMetrics],
+    ['Repetition', HallucinationFilterTests.testRepetition],
+    ['Prompt Echo', HallucinationFilterTests.testPromptEcho]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, HallucinationFilterTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,459 @@
+import { OffscreenClient } from '../../src/modules/offscreen-client.js';
+import { AudioProcessor, OFFSCREEN_AUDIO_PORT, OFFSCREEN_TARGET, SEGMENTS_MESSAGE } from '../../src/modules/audio-processor.js';
+import { base64ToBytes, encodeAudioFrame } from '../../src/modules/audio-transport.js';
+import { floatToInt16 } from '../../src/modules/audio-encoder.js';
+import { TranscriptionQueue } from '../../src/modules/transcription-queue.js';
+import { WorkerStateStore } from '../../src/modules/worker-state.js';
+
+const SAMPLE_RATE = 16000;
+
+const TestUtils = {
+
+  start: 1000000,
+
+
+  /**
+   * chrome.offscreen, runtime messaging and ports in one process. The
+   * "document" is an AudioProcessor; everything crossing over goes through
+   * JSON the way runtime messages do.
+   */
+  createFakeHost() {
+    const fake = {
+      document: null,
+      created: 0,
+      // Audio ports open to the document, and runtime messages seen by extension pages
+      ports: [],
+      broadcasts: 0,
+      // What the offscreen document sent the service worker
+      inbox: [],
+      // The service worker running now, if a test has one (see startWorker())
+      worker: null,
+
+      host: {
+        async hasDocument() {
+          return fake.document !== null;
+        },
+        async createDocument({ url, reasons, justification }) {
+          console.assert(url && reasons.length > 0 && justification, 'Chrome needs a url, reasons and a justification');
+          if (fake.document) throw new Error('Only a single offscreen document may be created.');
+          fake.created++;
+          fake.document = new AudioProcessor({
+            onSegments: (streamId, segments, buffer) => {
+              const message = JSON.parse(JSON.stringify({ type: SEGMENTS_MESSAGE, streamId, segments, buffer }));
+              fake.inbox.push(message);
+              fake.worker?.receive(message);
+            }
+          });
+        }
+      },
+
+      async send(message) {
+        // Every extension page gets runtime messages; only the document answers these
+        fake.broadcasts++;
+        if (!fake.document || message.target !== OFFSCREEN_TARGET) {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+        const response = await fake.document.handle(JSON.parse(JSON.stringify(message)));
+        return JSON.parse(JSON.stringify(response));
+      },
+
+      // Like chrome.runtime.connect(): with no document listening, the port just disconnects
+      connect(name) {
+        const listeners = { message: [], disconnect: [] };
+        const event = type => ({ addListener: fn => listeners[type].push(fn) });
+        const fire = (type, ...args) => setTimeout(() => listeners[type].forEach(fn => fn(...args)), 0);
+        const document = name === OFFSCREEN_AUDIO_PORT ? fake.document : null;
+        const port = {
+          name,
+          onMessage: event('message'),
+          onDisconnect: event('disconnect'),
+          postMessage({ id, frame }) {
+            if (!fake.ports.includes(port)) throw new Error('Attempting to use a disconnected port object');
+            const response = document.push(JSON.parse(JSON.stringify(frame)));
+            fire('message', JSON.parse(JSON.stringify({ id, response })));
+          },
+          disconnect() {
+            fake.ports = fake.ports.filter(open => open !== port);
+          },
+          // The document's end going away
+          dropped() {
+            fire('disconnect');
+          }
+        };
+        if (document) {
+          fake.ports.push(port);
+        } else {
+          port.dropped();
+        }
+        return port;
+      },
+
+      close() {
+        fake.document?.destroy();
+        fake.document = null;
+        const ports = fake.ports;
+        fake.ports = [];
+        ports.forEach(port => port.dropped());
+      }
+    };
+    return fake;
+  },
+
+
+  createClient(fake) {
+    return new OffscreenClient({
+      host: fake.host,
+      send: message => fake.send(message),
+      connect: name => fake.connect(name)
+    });
+  },
+
+
+  // What outlives a service worker: its IndexedDB and a chrome.storage.session stand-in
+  createBrowser() {
+    const items = {};
+    return {
+      dbName: `vtf-worker-state-test-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      storage: {
+        async get(key) { return key in items ? { [key]: structuredClone(items[key]) } : {}; },
+        async set(values) { Object.entries(values).forEach(([key, value]) => { items[key] = structuredClone(value); }); },
+        async remove(key) { delete items[key]; }
+      }
+    };
+  },
+
+
+  /**
+   * A service worker as far as audio goes: the offscreen client, the
+   * transcription queue and the saved state, wired the way background.js
+   * wires them. Starting another over the same fake and browser is a restart.
+   * @param {Function} transcribe - (streamId, segment) => Promise
+   */
+  async startWorker(fake, browser, transcribe) {
+    const worker = {
+      client: TestUtils.createClient(fake),
+      state: new WorkerStateStore({ dbName: browser.dbName, storage: browser.storage }),
+      saving: Promise.resolve()
+    };
+    worker.queue = new TranscriptionQueue({
+      transcribe,
+      onChange: streamId => {
+        worker.saving = worker.saving.then(() => worker.state.saveStreams([{ streamId, queue: worker.queue.pending(streamId) }]));
+      }
+    });
+    worker.receive = message => {
+      message.segments.forEach(segment => worker.queue.push(message.streamId, segment));
+      worker.queue.process();
+    };
+
+    // Settings, then the previous worker's queue, as in initialize()
+    await worker.client.configure({ segmenter: { speechEndPause: 0.4 } });
+    for (const { streamId, queue } of await worker.state.loadStreams()) {
+      queue.forEach(segment => worker.queue.push(streamId, segment));
+    }
+    worker.queue.process();
+
+    // Runtime messages go to whichever worker is running
+    fake.worker = worker;
+    return worker;
+  },
+
+
+  speech(seconds, amplitude = 0.2, rate = SAMPLE_RATE) {
+    const samples = new Float32Array(Math.round(seconds * rate));
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / rate;
+      let value = 0;
+      for (let h = 1; h <= 8; h++) {
+        value += Math.sin(2 * Math.PI * 140 * h * t) / h;
+      }
+      const envelope = 0.35 + 0.65 * Math.abs(Math.sin(Math.PI * 4 * t));
+      samples[i] = value * envelope * amplitude / 2;
+    }
+    return samples;
+  },
+
+
+  // Quiet, speech, quiet, as the port messages the content script sends
+  frames(userId = 'dp', firstSeq = 0, rate = SAMPLE_RATE) {
+    const audio = new Float32Array(rate * 4);
+    audio.set(this.speech(2, 0.2, rate), rate);
+    const pcm = floatToInt16(audio);
+
+    const frames = [];
+    for (let offset = 0, seq = firstSeq; offset < pcm.length; offset += 4096, seq++) {
+      frames.push(encodeAudioFrame({
+        userId,
+        seq,
+        samples: pcm.slice(offset, offset + 4096),
+        sampleRate: rate,
+        timestamp: this.start + offset / rate * 1000
+      }));
+    }
+    return frames;
+  },
+
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const OffscreenClientTests = {
+
+  async testCreatesDocumentOnce() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+    await client.configure({ segmenter: { speechEndPause: 0.4 } });
+
+    const responses = await Promise.all(TestUtils.frames().slice(0, 4).map(frame => client.push(frame)));
+
+    console.assert(fake.created === 1, `Concurrent frames share one document, created ${fake.created}`);
+    console.assert(responses.every(response => response.received), 'Every frame received');
+    console.assert(fake.broadcasts === 1 && fake.ports.length === 1, `Frames go over one port, not as runtime messages: ${fake.broadcasts}`);
+    console.assert(fake.document.segmenters.get('dp').config.speechEndPause === 0.4, 'Settings given before the document existed are applied');
+
+    await client.reset();
+  },
+
+
+  async testSegmentsComeBackEncoded() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+
+    for (const frame of TestUtils.frames()) {
+      await client.push(frame);
+    }
+    await client.flush('dp');
+
+    const segments = fake.inbox.flatMap(message => message.segments);
+    console.assert(segments.length === 1, `One utterance, got ${segments.length}`);
+
+    const [segment] = segments;
+    const bytes = base64ToBytes(segment.audio.data);
+    const view = new DataView(bytes.buffer);
+    const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    console.assert(text(0) === 'RIFF' && text(8) === 'WAVE', 'Audio is a WAV file');
+    console.assert(segment.audio.mimeType === 'audio/wav' && view.getUint32(24, true) === SAMPLE_RATE, 'Format and rate described');
+    console.assert(view.getUint32(40, true) === Math.round(segment.duration * SAMPLE_RATE) * 2, 'Data covers the segment');
+    console.assert(segment.samples === undefined, 'Samples stay in the document');
+    console.assert(segment.level.rms > 0.01 && segment.level.peak <= 1, `Level measured: ${JSON.stringify(segment.level)}`);
+    console.assert(fake.inbox.at(-1).buffer.duration === 0, 'Buffer reported empty after the flush');
+
+    const status = await client.getStatus();
+    console.assert(status.transport.frames === TestUtils.frames().length && status.transport.gaps === 0, 'Sequence checked in the document');
+
+    await client.reset();
+  },
+
+
+  async testProviderFormats() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+    await client.configure({ formats: ['flac', 'wav'] });
+
+    for (const frame of TestUtils.frames()) {
+      await client.push(frame);
+    }
+    await client.flush('dp');
+
+    const [segment] = fake.inbox.flatMap(message => message.segments);
+    const bytes = base64ToBytes(segment.audio.data);
+    console.assert(String.fromCharCode(...bytes.subarray(0, 4)) === 'fLaC', 'Encoded as FLAC');
+    console.assert(segment.audio.mimeType === 'audio/flac' && segment.audio.extension === 'flac', `Described as FLAC: ${segment.audio.mimeType}`);
+
+    const status = await client.getStatus();
+    console.assert(status.stats.formats.flac === 1 && status.stats.bytesEncoded < status.stats.wavBytes, `Smaller than WAV: ${JSON.stringify(status.stats)}`);
+
+    // Formats this browser can't produce fall through to the next one
+    if (typeof AudioEncoder === 'undefined') {
+      await client.configure({ formats: ['opus'] });
+      for (const frame of TestUtils.frames('dp', TestUtils.frames().length)) {
+        await client.push(frame);
+      }
+      await client.flush('dp');
+      const last = fake.inbox.flatMap(message => message.segments).at(-1);
+      console.assert(last.audio.format === 'wav', `No WebCodecs, so WAV: ${last.audio.format}`);
+    }
+
+    await client.reset();
+  },
+
+
+  async testNativeSampleRate() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+
+    // A page whose AudioContext runs at the hardware rate
+    for (const frame of TestUtils.frames('dp', 0, 48000)) {
+      await client.push(frame);
+    }
+    const status = await client.getStatus();
+    await client.flush('dp');
+
+    const [segment] = fake.inbox.flatMap(message => message.segments);
+    const bytes = base64ToBytes(segment.audio.data);
+    const view = new DataView(bytes.buffer);
+    console.assert(status.streams[0].inputRate === 48000, 'Input rate reported');
+    console.assert(segment.duration > 1.8 && segment.duration < 3, `Two seconds of speech stay about two seconds: ${segment.duration}`);
+    console.assert(view.getUint32(24, true) === SAMPLE_RATE && view.getUint32(40, true) === Math.round(segment.duration * SAMPLE_RATE) * 2, 'Encoded at 16 kHz');
+    console.assert(Math.abs(segment.startTime - (TestUtils.start + 1000)) < 400, `Start time kept: ${segment.startTime - TestUtils.start} ms in`);
+
+    const bad = await client.push({ streamId: 'x', chunk: [1, 2, 3], sampleRate: -1 });
+    console.assert(bad.error, 'Nonsense rates are refused');
+
+    await client.reset();
+  },
+
+
+  async testIdleFlush() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+    await client.configure({ segmenter: { speechEndPause: 0.1 } });
+
+    // The page stops sending when the speaker stops talking
+    const frames = TestUtils.frames();
+    for (const frame of frames.slice(0, 10)) {
+      await client.push(frame);
+    }
+    console.assert(fake.inbox.length === 0, 'Still mid-utterance');
+
+    await TestUtils.wait(600);
+    console.assert(fake.inbox.flatMap(message => message.segments).length === 1, 'The document ends the utterance on its own');
+
+    await client.reset();
+  },
+
+
+  async testLateAndBadFrames() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+    const frames = TestUtils.frames();
+
+    await client.push(frames[0]);
+    await client.push(frames[2]);
+    console.assert((await client.push(frames[1])).dropped === 'late', 'A frame arriving after its successor is dropped');
+    console.assert((await client.push(frames[2])).dropped === 'duplicate', 'Repeats are dropped');
+    console.assert((await client.push({ ...frames[3], encoding: 'float32' })).error, 'Unknown encodings are refused');
+
+    await client.reset();
+  },
+
+
+  async testDocumentClosed() {
+    const fake = TestUtils.createFakeHost();
+    const client = TestUtils.createClient(fake);
+    await client.configure({ segmenter: { speechEndPause: 0.4 } });
+    const frames = TestUtils.frames();
+
+    await client.push(frames[0]);
+    fake.close();
+
+    const response = await client.push(frames[1]);
+    console.assert(response.received, 'Pushes carry on after the document went away');
+    console.assert(fake.created === 2 && client.getStats().retries === 1, `Recreated once: ${JSON.stringify(client.getStats())}`);
+    console.assert(fake.ports.length === 1, 'A new port to the new document');
+    console.assert(fake.document.segmenters.get('dp').config.speechEndPause === 0.4, 'The new document gets the settings too');
+
+    await client.reset();
+  },
+
+
+  async testWorkerRestartMidUtterance() {
+    const frames = TestUtils.frames();
+    const split = 8;    // Two seconds in, halfway through the speech
+
+    // Heard by one worker from start to end
+    const reference = TestUtils.createFakeHost();
+    const referenceClient = TestUtils.createClient(reference);
+    await referenceClient.configure({ segmenter: { speechEndPause: 0.4 } });
+    for (const frame of frames) {
+      await referenceClient.push(frame);
+    }
+    await reference.document.sending;
+    const [expected] = reference.inbox.flatMap(message => message.segments);
+    reference.close();
+
+    const fake = TestUtils.createFakeHost();
+    const browser = TestUtils.createBrowser();
+
+    // The first worker has kira's last line out at the API, and dp mid-sentence, when Chrome suspends it
+    const first = await TestUtils.startWorker(fake, browser, () => new Promise(() => {}));
+    for (const frame of TestUtils.frames('kira')) {
+      await first.client.push(frame);
+    }
+    for (const frame of frames.slice(0, split)) {
+      await first.client.push(frame);
+    }
+    await fake.document.sending;
+    await first.saving;
+    console.assert(first.queue.isActive('kira'), 'kira\'s line is being transcribed');
+    console.assert(fake.document.segmenters.get('dp').isSpeaking(), 'dp is mid-utterance in the document');
+    first.queue.destroy();
+
+    // The next worker finds the document still up and holding dp's utterance
+    const transcribed = [];
+    const second = await TestUtils.startWorker(fake, browser, async (streamId, segment) => {
+      transcribed.push({ streamId, segment });
+    });
+    for (const frame of frames.slice(split)) {
+      await second.client.push(frame);
+    }
+    await fake.document.sending;
+    await TestUtils.wait(0);
+    await second.saving;
+
+    const lines = transcribed.map(({ streamId }) => streamId).sort().join();
+    console.assert(lines === 'dp,kira', `Each utterance transcribed exactly once: ${lines}`);
+    const dp = transcribed.find(({ streamId }) => streamId === 'dp')?.segment;
+    console.assert(dp && dp.startTime === expected.startTime && dp.duration === expected.duration,
+      `dp's utterance is whole: ${dp?.startTime - TestUtils.start} ms, ${dp?.duration} s`);
+    console.assert(dp.audio.data === expected.audio.data, 'Byte for byte what one worker would have sent');
+    console.assert(fake.created === 1 && second.client.getStats().created === 0, 'The document was not recreated');
+    console.assert((await second.state.loadStreams()).length === 0, 'Nothing left saved');
+
+    second.queue.destroy();
+    await second.state.clear();
+    await second.state.destroy();
+    await first.state.destroy();
+    await second.client.reset();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Creates Document Once', OffscreenClientTests.testCreatesDocumentOnce],
+    ['Segments Come Back Encoded', OffscreenClientTests.testSegmentsComeBackEncoded],
+    ['Provider Formats', OffscreenClientTests.testProviderFormats],
+    ['Native Sample Rate', OffscreenClientTests.testNativeSampleRate],
+    ['Idle Flush', OffscreenClientTests.testIdleFlush],
+    ['Late and Bad Frames', OffscreenClientTests.testLateAndBadFrames],
+    ['Document Closed', OffscreenClientTests.testDocumentClosed],
+    ['Worker Restart Mid-Utterance', OffscreenClientTests.testWorkerRestartMidUtterance]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, OffscreenClientTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,121 @@
+import {
+  PromptBuilder,
+  DEFAULT_VOCABULARY,
+  normalizeVocabulary,
+  parseSpeakerPhrases,
+  parseTermList
+} from '../../src/modules/prompt-builder.js';
+
+const TestUtils = {
+
+  vocabulary: {
+    tickers: 'spy, qqq\nNVDA, SPY',
+    jargon: 'VWAP, the Qs, spoos',
+    speakers: 'DP: trim into strength, add on a break\nKira: fade the pop\nnot a speaker line'
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const PromptBuilderTests = {
+
+  async testParsing() {
+    console.assert(parseTermList(' VWAP ,vwap,\n the  Qs ,,').join('|') === 'VWAP|the Qs', 'Should trim, dedupe and skip blanks');
+
+    const speakers = parseSpeakerPhrases(TestUtils.vocabulary.speakers);
+    console.assert(speakers.DP.join('|') === 'trim into strength|add on a break', 'Should read phrases per speaker');
+    console.assert(Object.keys(speakers).length === 2, 'Lines without a speaker are ignored');
+    console.assert(parseSpeakerPhrases({ DP: ['a', 'a'], ' ': ['b'] }).DP.length === 1, 'Objects are cleaned too');
+
+    const vocabulary = normalizeVocabulary(TestUtils.vocabulary);
+    console.assert(vocabulary.tickers.join() === 'SPY,QQQ,NVDA', `Tickers are upper-cased and deduped, got ${vocabulary.tickers}`);
+    console.assert(normalizeVocabulary({}).jargon.length === 0, 'Missing lists are empty');
+  },
+
+
+  async testDefaultPrompt() {
+    const builder = new PromptBuilder();
+    const { prompt, fixed } = builder.build('dp', 'DP');
+
+    console.assert(prompt.startsWith('Speaker: DP. Virtual Trading Floor audio. Terms: VWAP, the Qs'), `Unexpected prompt: ${prompt}`);
+    console.assert(prompt === fixed, 'No context yet');
+    console.assert(DEFAULT_VOCABULARY.tickers.every(t => prompt.includes(t)), 'Default tickers fit the budget');
+  },
+
+
+  async testSpeakerPhrasesAndContext() {
+    const builder = new PromptBuilder();
+    builder.setVocabulary(TestUtils.vocabulary);
+
+    builder.addContext('dp', 'Long NVDA from 116.');
+    builder.addContext('dp', 'Stop under 118.');
+    builder.addContext('kira', 'Shorting AMD.');
+
+    const { prompt, fixed } = builder.build('dp', 'DP');
+    console.assert(fixed === 'Speaker: DP. Virtual Trading Floor audio. Terms: trim into strength, add on a break, VWAP, the Qs, spoos, SPY, QQQ, NVDA.',
+      `Speaker phrases come first, got: ${fixed}`);
+    console.assert(prompt === `${fixed} Long NVDA from 116. Stop under 118.`, 'Recent lines follow, newest last');
+    console.assert(builder.build('dp', 'DP').terms.length === 8, 'Should list the terms that made it in');
+    console.assert(!prompt.includes('fade the pop') && !prompt.includes('AMD'), 'Other speakers stay out');
+
+    builder.reset('dp');
+    console.assert(builder.build('dp', 'DP').prompt === fixed, 'Reset forgets the context');
+    console.assert(builder.build('kira', 'Kira').prompt.endsWith('Shorting AMD.'), 'Other streams keep theirs');
+  },
+
+
+  async testBudget() {
+    const builder = new PromptBuilder({ maxChars: 200, maxContextChars: 60, contextLines: 2 });
+    builder.setVocabulary({
+      tickers: Array.from({ length: 100 }, (_, i) => `T${i}`),
+      jargon: [],
+      speakers: {}
+    });
+
+    builder.addContext('dp', 'first line that should scroll out');
+    builder.addContext('dp', 'We are adding to the position here because the tape looks strong into the close');
+    builder.addContext('dp', 'Stop is under the low of day');
+
+    const { prompt } = builder.build('dp', 'DP');
+    console.assert(prompt.length <= 200, `Prompt must fit the budget, got ${prompt.length}`);
+    console.assert(prompt.endsWith('Stop is under the low of day'), 'The newest words are kept');
+    console.assert(!prompt.includes('first line'), 'Only the last lines are remembered');
+    console.assert(/Terms: T0, T1, .*\. /.test(prompt), 'Vocabulary fills what is left');
+
+    // Context is cut at a word boundary
+    const tail = prompt.slice(prompt.lastIndexOf('. ', prompt.indexOf('Stop is')) + 2);
+    console.assert(tail.split(' ')[0].length > 0 && !tail.startsWith(' '), 'No half words at the cut');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Parsing', PromptBuilderTests.testParsing],
+    ['Default Prompt', PromptBuilderTests.testDefaultPrompt],
+    ['Speaker Phrases and Context', PromptBuilderTests.testSpeakerPhrasesAndContext],
+    ['Budget', PromptBuilderTests.testBudget]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, PromptBuilderTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
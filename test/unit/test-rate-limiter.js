@@ -0,0 +1,276 @@
+import { RateLimiter, TokenBucket, bucketKey, fingerprint } from '../../src/modules/rate-limiter.js';
+
+const TestUtils = {
+
+  // Time only moves when a test says so; advance() lets through whoever is due
+  createLimiter(options = {}) {
+    const clock = { time: 1000000 };
+    const limiter = new RateLimiter({ ...options, now: () => clock.time });
+    limiter.advance = async (ms) => {
+      clock.time += ms;
+      limiter.dispatch();
+      await TestUtils.settle();
+    };
+    return limiter;
+  },
+
+
+  // Promise reactions run before anything is checked
+  async settle() {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+  },
+
+
+  // Names in the order their requests were let through
+  track(limiter, order, name, request) {
+    return limiter.acquire(request).then(result => {
+      order.push(name);
+      return result;
+    });
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const RateLimiterTests = {
+
+  async testBucketKeys() {
+    const a = bucketKey({ type: 'openai', endpoint: 'https://api.openai.com/v1/audio/transcriptions', apiKey: 'sk-one' });
+    const b = bucketKey({ type: 'openai', endpoint: 'https://api.openai.com/v1/audio/transcriptions', apiKey: 'sk-two' });
+
+    console.assert(a !== b, 'Different keys get different buckets');
+    console.assert(!a.includes('sk-one'), 'The key itself is not in the bucket key');
+    console.assert(fingerprint('sk-one') === fingerprint('sk-one') && /^[0-9a-f]{8}$/.test(fingerprint('sk-one')),
+      'Fingerprints are stable 8 hex digits');
+    console.assert(bucketKey({ type: 'openai-compatible', endpoint: 'http://localhost:8080' }).endsWith('no-key'),
+      'Keyless endpoints share one bucket');
+  },
+
+
+  async testTokenBucket() {
+    const bucket = new TokenBucket({ capacity: 5, refillPerSecond: 1, updatedAt: 0 });
+    bucket.take(5, 0);
+    console.assert(bucket.timeUntil(1, 0) === 1000, `One token a second: ${bucket.timeUntil(1, 0)}`);
+    console.assert(bucket.timeUntil(1, 2500) === 0 && Math.abs(bucket.tokens - 2.5) < 1e-9, 'Refills with time');
+    console.assert(bucket.timeUntil(10, 2500) === 2500, 'Asking for more than capacity waits for a full bucket');
+    bucket.refill(60000);
+    console.assert(bucket.tokens === 5, 'Never more than capacity');
+  },
+
+
+  async testBurstThenRefill() {
+    const limiter = TestUtils.createLimiter();
+    const limits = { requestsPerMinute: 60 };
+    const order = [];
+
+    // 60 a minute with 10 s of burst: ten go at once, then one a second
+    for (let i = 0; i < 12; i++) {
+      TestUtils.track(limiter, order, i, { key: 'k', limits, label: 'Test' });
+    }
+    await TestUtils.settle();
+    console.assert(order.length === 10, `Burst of 10, got ${order.length}`);
+
+    const state = limiter.getState();
+    console.assert(state.queued === 2 && state.nextIn === 1000, `Two waiting, next in 1 s: ${state.queued}, ${state.nextIn}`);
+    console.assert(state.buckets[0].requests.tokens === 0 && state.buckets[0].requests.capacity === 10, 'Bucket empty');
+
+    await limiter.advance(999);
+    console.assert(order.length === 10, 'Not before the token is there');
+    await limiter.advance(1);
+    console.assert(order.length === 11, 'One more after a second');
+    await limiter.advance(1000);
+    console.assert(order.length === 12 && order[11] === 11, 'Then the last, in order');
+
+    const { stats } = limiter.getState();
+    console.assert(stats.granted === 12 && stats.delayed === 2 && stats.averageWait === Math.round(3000 / 12),
+      `Wait statistics: ${JSON.stringify(stats)}`);
+    limiter.destroy();
+  },
+
+
+  async testPriorityOrder() {
+    const limiter = TestUtils.createLimiter();
+    const limits = { requestsPerMinute: 6 };     // burst of one, then one every 10 s
+    const order = [];
+
+    TestUtils.track(limiter, order, 'first', { key: 'k', limits, priority: 0 });
+    TestUtils.track(limiter, order, 'member', { key: 'k', limits, priority: 0 });
+    TestUtils.track(limiter, order, 'moderator', { key: 'k', limits, priority: 2 });
+    await TestUtils.settle();
+    console.assert(order.join() === 'first', 'Only the burst goes');
+
+    await limiter.advance(10000);
+    console.assert(order.join() === 'first,moderator', `Moderator jumps the queue: ${order}`);
+    await limiter.advance(10000);
+    console.assert(order.join() === 'first,moderator,member', 'Member still gets a turn');
+    limiter.destroy();
+  },
+
+
+  async testAgingPreventsStarvation() {
+    const limiter = TestUtils.createLimiter({ agingInterval: 10000 });
+    const limits = { requestsPerMinute: 6 };
+    const order = [];
+
+    TestUtils.track(limiter, order, 'burst', { key: 'k', limits, priority: 1 });
+    TestUtils.track(limiter, order, 'member', { key: 'k', limits, priority: 0 });
+    await TestUtils.settle();
+
+    // A fresh higher-priority request every 10 s would starve the member without aging
+    for (let round = 0; round < 3; round++) {
+      await limiter.advance(5000);
+      TestUtils.track(limiter, order, `moderator${round}`, { key: 'k', limits, priority: 1 });
+      await limiter.advance(5000);
+    }
+
+    const turn = order.indexOf('member');
+    console.assert(turn > 0 && turn <= 2, `Member waited its way to the front: ${order}`);
+    console.assert(limiter.getState().waiting.every(waiter => waiter.label === 'k'), 'Waiting list named by bucket');
+    limiter.destroy();
+  },
+
+
+  async testRetryAfterHoldsOneKey() {
+    const limiter = TestUtils.createLimiter();
+    const order = [];
+
+    await limiter.acquire({ key: 'openai', limits: { requestsPerMinute: 600 }, label: 'OpenAI' });
+    limiter.defer('openai', 30000);
+
+    TestUtils.track(limiter, order, 'openai', { key: 'openai', limits: { requestsPerMinute: 600 } });
+    TestUtils.track(limiter, order, 'local', { key: 'local', limits: {}, label: 'Local' });
+    await TestUtils.settle();
+    console.assert(order.join() === 'local', `Other keys carry on: ${order}`);
+
+    const held = limiter.getState().buckets.find(bucket => bucket.label === 'OpenAI');
+    console.assert(held.retryIn === 30000 && held.requests.tokens === 0, 'Held for the Retry-After, budget drained');
+
+    await limiter.advance(29999);
+    console.assert(order.length === 1, 'Not before Retry-After');
+    await limiter.advance(1);
+    console.assert(order.join() === 'local,openai', 'Then it goes');
+
+    limiter.defer('openai');
+    console.assert(limiter.getState().buckets[0].retryIn === 20000, 'No Retry-After uses the default');
+    limiter.defer('openai', 3600000);
+    console.assert(limiter.getState().buckets[0].retryIn === 300000, 'Capped at five minutes');
+    console.assert(limiter.stats.rateLimited === 3, 'Counted');
+    limiter.destroy();
+  },
+
+
+  async testAudioBudget() {
+    const limiter = TestUtils.createLimiter();
+    const limits = { audioMinutesPerHour: 1 };   // 60 s an hour, a second a minute back
+    const order = [];
+
+    TestUtils.track(limiter, order, 'a', { key: 'k', limits, audioSeconds: 40 });
+    TestUtils.track(limiter, order, 'b', { key: 'k', limits, audioSeconds: 15 });
+    TestUtils.track(limiter, order, 'c', { key: 'k', limits, audioSeconds: 15 });
+    await TestUtils.settle();
+    console.assert(order.join() === 'a,b', `55 of 60 s used: ${order}`);
+
+    const state = limiter.getState();
+    console.assert(state.buckets[0].audio.seconds === 5 && state.buckets[0].requests === null,
+      'Audio left shown; no request limit');
+    console.assert(state.nextIn === 600000, `10 s more takes 10 minutes: ${state.nextIn}`);
+
+    await limiter.advance(600000);
+    console.assert(order.join() === 'a,b,c', 'Goes once the audio is there');
+    limiter.destroy();
+  },
+
+
+  async testLimitsChange() {
+    const limiter = TestUtils.createLimiter();
+    const order = [];
+
+    TestUtils.track(limiter, order, 'a', { key: 'k', limits: { requestsPerMinute: 6 } });
+    TestUtils.track(limiter, order, 'b', { key: 'k', limits: { requestsPerMinute: 6 } });
+    await TestUtils.settle();
+    console.assert(order.length === 1, 'Limited');
+
+    // Unlimited from now on, for everyone waiting too
+    limiter.setLimits('k', {});
+    limiter.dispatch();
+    await TestUtils.settle();
+    console.assert(order.join() === 'a,b', 'Lifting the limit lets the queue through');
+    limiter.destroy();
+  },
+
+
+  async testSnapshotRestore() {
+    const limiter = TestUtils.createLimiter();
+    for (let i = 0; i < 10; i++) {
+      await limiter.acquire({ key: 'k', limits: { requestsPerMinute: 60 }, label: 'OpenAI' });
+    }
+    limiter.defer('k', 60000);
+    const saved = JSON.parse(JSON.stringify(limiter.snapshot()));
+    limiter.destroy();
+
+    // The next worker picks up where this one left off
+    const next = new RateLimiter({ now: () => limiter.config.now() + 5000 });
+    next.restore(saved);
+    const bucket = next.getState().buckets[0];
+    console.assert(bucket.label === 'OpenAI' && bucket.limits.requestsPerMinute === 60, 'Limits restored');
+    console.assert(bucket.retryIn === 55000, `Retry-After survives: ${bucket.retryIn}`);
+    console.assert(bucket.requests.tokens === 5, `Tokens refilled for the gap: ${bucket.requests.tokens}`);
+    next.destroy();
+
+    const fresh = new RateLimiter();
+    fresh.restore(undefined);
+    console.assert(fresh.getState().buckets.length === 0, 'Nothing saved is fine');
+  },
+
+
+  async testDestroyRejectsWaiters() {
+    const limiter = TestUtils.createLimiter();
+    await limiter.acquire({ key: 'k', limits: { requestsPerMinute: 1 } });
+
+    let rejected = null;
+    limiter.acquire({ key: 'k' }).catch(error => { rejected = error; });
+    limiter.destroy();
+    await TestUtils.settle();
+
+    console.assert(rejected && rejected.message.includes('stopped'), 'Waiters are turned away');
+    console.assert(limiter.timer === null && limiter.getState().queued === 0, 'Nothing left behind');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Bucket Keys', RateLimiterTests.testBucketKeys],
+    ['Token Bucket', RateLimiterTests.testTokenBucket],
+    ['Burst Then Refill', RateLimiterTests.testBurstThenRefill],
+    ['Priority Order', RateLimiterTests.testPriorityOrder],
+    ['Aging Prevents Starvation', RateLimiterTests.testAgingPreventsStarvation],
+    ['Retry-After Holds One Key', RateLimiterTests.testRetryAfterHoldsOneKey],
+    ['Audio Budget', RateLimiterTests.testAudioBudget],
+    ['Limits Change', RateLimiterTests.testLimitsChange],
+    ['Snapshot and Restore', RateLimiterTests.testSnapshotRestore],
+    ['Destroy Rejects Waiters', RateLimiterTests.testDestroyRejectsWaiters]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, RateLimiterTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
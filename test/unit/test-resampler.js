@@ -0,0 +1,184 @@
+import { Resampler } from '../../src/modules/resampler.js';
+
+const TestUtils = {
+
+  /**
+   * Exponential sine sweep, evaluated at any rate from the same formula so
+   * the resampled version can be compared with the ideal one
+   */
+  sweep(rate, seconds, from, to, amplitude = 0.5) {
+    const length = Math.round(rate * seconds);
+    const k = Math.log(to / from) / seconds;
+    return Float32Array.from({ length }, (_, i) => {
+      const t = i / rate;
+      return amplitude * Math.sin(2 * Math.PI * from * (Math.exp(k * t) - 1) / k);
+    });
+  },
+
+
+  tone(rate, seconds, frequency, amplitude = 0.5) {
+    return Float32Array.from({ length: Math.round(rate * seconds) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / rate));
+  },
+
+
+  rms(samples, start = 0, end = samples.length) {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / Math.max(1, end - start));
+  },
+
+
+  // Error against the ideal signal in dB, leaving out the filter's start-up at both ends
+  errorDb(actual, ideal, margin) {
+    let error = 0;
+    let signal = 0;
+    for (let i = margin; i < ideal.length - margin; i++) {
+      error += (actual[i] - ideal[i]) ** 2;
+      signal += ideal[i] ** 2;
+    }
+    return 10 * Math.log10(error / signal);
+  },
+
+
+  // Frequency from rising zero crossings, interpolated
+  frequency(samples, rate) {
+    const crossings = [];
+    for (let i = 1; i < samples.length; i++) {
+      if (samples[i - 1] < 0 && samples[i] >= 0) {
+        crossings.push(i - 1 + samples[i - 1] / (samples[i - 1] - samples[i]));
+      }
+    }
+    return (crossings.length - 1) * rate / (crossings.at(-1) - crossings[0]);
+  },
+
+
+  inChunks(resampler, samples, size) {
+    const parts = [];
+    for (let offset = 0; offset < samples.length; offset += size) {
+      parts.push(resampler.process(samples.subarray(offset, offset + size)));
+    }
+    parts.push(resampler.flush());
+    const output = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      output.set(part, offset);
+      offset += part.length;
+    });
+    return output;
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const ResamplerTests = {
+
+  async testLengthAndPitch() {
+    for (const rate of [48000, 44100, 22050, 8000]) {
+      const input = TestUtils.tone(rate, 2, 440);
+      const output = Resampler.resample(input, rate, 16000);
+
+      console.assert(output.length === 32000, `${rate} Hz: 2 s in, ${output.length / 16000} s out`);
+      const pitch = TestUtils.frequency(output.subarray(1000, 31000), 16000);
+      console.assert(Math.abs(pitch - 440) < 0.1, `${rate} Hz: 440 Hz stays 440 Hz, got ${pitch.toFixed(2)}`);
+    }
+
+    const same = TestUtils.tone(16000, 0.1, 440);
+    console.assert(Resampler.resample(same, 16000, 16000) === same, 'Nothing to do at 16 kHz');
+  },
+
+
+  async testPassbandSweep() {
+    // Speech lives well under 6 kHz; it should come through untouched
+    for (const rate of [48000, 44100, 32000]) {
+      const output = Resampler.resample(TestUtils.sweep(rate, 3, 50, 6000), rate, 16000);
+      const ideal = TestUtils.sweep(16000, 3, 50, 6000);
+      const error = TestUtils.errorDb(output, ideal, 200);
+      console.assert(error < -80, `${rate} Hz sweep 50-6000 Hz within -80 dB of ideal: ${error.toFixed(1)} dB`);
+    }
+  },
+
+
+  async testUpsamplingSweep() {
+    const output = Resampler.resample(TestUtils.sweep(8000, 2, 50, 3000), 8000, 16000);
+    const ideal = TestUtils.sweep(16000, 2, 50, 3000);
+    const error = TestUtils.errorDb(output, ideal, 200);
+    console.assert(error < -80, `8 kHz sweep up to 16 kHz within -80 dB: ${error.toFixed(1)} dB`);
+  },
+
+
+  async testStopbandSweep() {
+    // Everything above 8 kHz would fold back into the band as aliases
+    for (const rate of [48000, 44100]) {
+      const input = TestUtils.sweep(rate, 2, 8500, rate / 2 - 500);
+      const output = Resampler.resample(input, rate, 16000);
+      const leak = 20 * Math.log10(TestUtils.rms(output, 200, output.length - 200) / TestUtils.rms(input));
+      console.assert(leak < -80, `${rate} Hz: 8.5 kHz and up attenuated below -80 dB: ${leak.toFixed(1)} dB`);
+    }
+  },
+
+
+  async testStreamingMatchesWhole() {
+    const input = TestUtils.sweep(44100, 1.5, 100, 5000);
+    const whole = Resampler.resample(input, 44100, 16000);
+
+    for (const size of [4096, 128, 1]) {
+      const chunked = TestUtils.inChunks(new Resampler({ inputRate: 44100, outputRate: 16000 }), input, size);
+      const differs = whole.findIndex((sample, i) => sample !== chunked[i]);
+      console.assert(chunked.length === whole.length && differs === -1,
+        `Chunks of ${size} give the same output (length ${chunked.length}, first difference ${differs})`);
+    }
+  },
+
+
+  async testOddRatios() {
+    // Ratios that don't reduce to fewer than 1024 phases use the nearest phase
+    const resampler = new Resampler({ inputRate: 44056, outputRate: 16000 });
+    console.assert(resampler.phases === 1024 && resampler.up > 1024, `Phases capped: ${resampler.phases} of ${resampler.up}`);
+
+    const output = Resampler.resample(TestUtils.sweep(44056, 1, 100, 5000), 44056, 16000);
+    const error = TestUtils.errorDb(output, TestUtils.sweep(16000, 1, 100, 5000), 200);
+    console.assert(error < -60, `Still accurate: ${error.toFixed(1)} dB`);
+
+    let threw = false;
+    try {
+      new Resampler({ inputRate: 0 });
+    } catch (error) {
+      threw = true;
+    }
+    console.assert(threw, 'Refuses a zero rate');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Length and Pitch', ResamplerTests.testLengthAndPitch],
+    ['Passband Sweep', ResamplerTests.testPassbandSweep],
+    ['Upsampling Sweep', ResamplerTests.testUpsamplingSweep],
+    ['Stopband Sweep', ResamplerTests.testStopbandSweep],
+    ['Streaming Matches Whole', ResamplerTests.testStreamingMatchesWhole],
+    ['Odd Ratios', ResamplerTests.testOddRatios]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, ResamplerTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,185 @@
+import { SessionManager, SESSION_END_REASONS } from '../../src/modules/session-manager.js';
+import { TranscriptStore } from '../../src/modules/transcript-store.js';
+
+const TestUtils = {
+
+  createManager() {
+    const store = new TranscriptStore({
+      dbName: `vtf-sessions-test-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`
+    });
+    return { store, manager: new SessionManager(store) };
+  },
+
+
+  transcript(userId, text, timestamp, duration = 2) {
+    return { id: `${userId}:${timestamp}`, userId, speaker: userId.toUpperCase(), text, timestamp, duration };
+  },
+
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const SessionManagerTests = {
+
+  async testLifecycle() {
+    const { store, manager } = TestUtils.createManager();
+
+    const session = await manager.start({ roomName: 'Main Room', tabId: 7 });
+    console.assert(manager.getCurrent().id === session.id, 'Started session should be current');
+    console.assert(manager.getCurrent().name === 'Main Room', 'Should be named after the room');
+
+    await manager.end();
+    console.assert(manager.getCurrent() === null, 'No session after end');
+
+    const stored = await store.getSession(session.id);
+    console.assert(stored.endTime >= stored.startTime, 'Should record the end time');
+    console.assert(stored.endReason === SESSION_END_REASONS.STOPPED, 'Should record why it ended');
+
+    await store.destroy();
+  },
+
+
+  async testRecordTranscript() {
+    const { store, manager } = TestUtils.createManager();
+    const session = await manager.start({ tabId: 1 });
+    const t0 = session.startTime;
+
+    // Concurrent transcripts must all be counted
+    const links = await Promise.all([
+      manager.recordTranscript(TestUtils.transcript('dp', 'buying NVDA here', t0 + 100)),
+      manager.recordTranscript(TestUtils.transcript('kira', 'stop at 118', t0 + 200)),
+      manager.recordTranscript(TestUtils.transcript('dp', 'trimming', t0 + 300, 1))
+    ]);
+
+    console.assert(links.every(link => link.sessionId === session.id), 'Every transcript should link to the session');
+
+    const current = manager.getCurrent();
+    console.assert(current.stats.utterances === 3, `Should count utterances, got ${current.stats.utterances}`);
+    console.assert(current.stats.words === 7, `Should count words, got ${current.stats.words}`);
+    console.assert(current.stats.speechDuration === 5, 'Should sum speech time');
+
+    const dp = current.participants.find(p => p.userId === 'dp');
+    console.assert(dp.utterances === 2 && dp.speaker === 'DP', 'Should track each participant');
+
+    const stored = await store.getSession(session.id);
+    console.assert(stored.stats.utterances === 3, 'Stats should be persisted');
+
+    await store.destroy();
+  },
+
+
+  async testLateTranscriptsKeepTheirSession() {
+    const { store, manager } = TestUtils.createManager();
+
+    const first = await manager.start({ roomName: 'Morning', tabId: 1 });
+    await TestUtils.wait(5);
+    const spokenInFirst = Date.now();
+    await TestUtils.wait(5);
+    await manager.end();
+    await TestUtils.wait(5);
+
+    // Gap between sessions
+    const between = Date.now();
+    await TestUtils.wait(5);
+
+    const second = await manager.start({ roomName: 'Afternoon', tabId: 1 });
+
+    // Replayed audio from the first session arrives during the second
+    const late = await manager.recordTranscript(TestUtils.transcript('dp', 'late', spokenInFirst));
+    console.assert(late.sessionId === first.id, 'Replayed audio should link to the session it was spoken in');
+    console.assert(late.sessionName === 'Morning', 'Should carry the session name');
+
+    const orphan = await manager.recordTranscript(TestUtils.transcript('dp', 'orphan', between));
+    console.assert(orphan.sessionId === undefined, 'Audio between sessions links to none');
+
+    const live = await manager.recordTranscript(TestUtils.transcript('dp', 'live', Date.now()));
+    console.assert(live.sessionId === second.id, 'Live audio should link to the current session');
+
+    console.assert((await store.getSession(first.id)).stats.utterances === 1, 'Closed session stats should update');
+
+    await store.destroy();
+  },
+
+
+  async testRestartAndTabClose() {
+    const { store, manager } = TestUtils.createManager();
+
+    const first = await manager.start({ tabId: 1 });
+    const second = await manager.start({ tabId: 2 });
+    console.assert((await store.getSession(first.id)).endReason === SESSION_END_REASONS.RESTARTED,
+      'Starting again should close the previous session');
+
+    console.assert(await manager.endForTab(1) === null, 'Other tabs should not end the session');
+    await manager.endForTab(2);
+    console.assert(manager.getCurrent() === null, 'Closing the tab should end the session');
+    console.assert((await store.getSession(second.id)).endReason === SESSION_END_REASONS.TAB_CLOSED,
+      'Should record the tab closing');
+
+    await store.destroy();
+  },
+
+
+  async testRestore() {
+    const { store, manager } = TestUtils.createManager();
+
+    // Two sessions left open by a worker that was shut down
+    const stale = SessionManager.createSession({ tabId: 1, startTime: Date.now() - 60000 });
+    const live = SessionManager.createSession({ tabId: 2, startTime: Date.now() - 1000 });
+    await store.putSession(stale);
+    await store.putSession(live);
+
+    const restarted = new SessionManager(store);
+    const resumed = await restarted.restore(async tabId => tabId === 2);
+    console.assert(resumed.id === live.id, 'Should resume the newest session whose tab is open');
+    console.assert((await store.getSession(stale.id)).endReason === SESSION_END_REASONS.INTERRUPTED,
+      'Older open sessions should be closed');
+
+    // Tab gone as well
+    const again = new SessionManager(store);
+    console.assert(await again.restore(async () => false) === null, 'Nothing to resume when the tab is gone');
+    console.assert((await store.getSession(live.id)).endTime === live.lastActivity,
+      'Interrupted sessions end at their last activity');
+
+    const sessions = await manager.list();
+    console.assert(sessions.length === 2 && sessions[0].id === live.id, 'Should list newest first');
+
+    await store.destroy();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Lifecycle', SessionManagerTests.testLifecycle],
+    ['Record Transcript', SessionManagerTests.testRecordTranscript],
+    ['Late Transcripts Keep Their Session', SessionManagerTests.testLateTranscriptsKeepTheirSession],
+    ['Restart and Tab Close', SessionManagerTests.testRestartAndTabClose],
+    ['Restore', SessionManagerTests.testRestore]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, SessionManagerTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,138 @@
+import {
+  SpeakerRegistry,
+  NAME_SOURCES,
+  PRIORITIES,
+  SPEAKER_POLICIES,
+  defaultColor,
+  fallbackName
+} from '../../src/modules/speaker-registry.js';
+
+const TestUtils = {
+
+  start: Date.UTC(2026, 9, 19, 14, 30),
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const SpeakerRegistryTests = {
+
+  async testNames() {
+    const registry = new SpeakerRegistry();
+
+    console.assert(registry.getName('XRcupJu26dK_sazaAAPK') === 'DP', 'Known moderators have names');
+    console.assert(registry.getName('abcdef123') === 'Speaker-ABCDEF', `Unexpected fallback: ${registry.getName('abcdef123')}`);
+    console.assert(fallbackName('abcdef123') === 'Speaker-ABCDEF', 'Fallback from the id');
+    console.assert(registry.list().length === 0, 'Looking a name up does not record the speaker');
+
+    const color = defaultColor('abcdef123');
+    console.assert(/^#[0-9a-f]{6}$/.test(color) && color === registry.get('abcdef123').color, 'Colors are stable hex');
+  },
+
+
+  async testDiscovery() {
+    const registry = new SpeakerRegistry();
+
+    console.assert(registry.see('new1', TestUtils.start), 'A new stream');
+    console.assert(!registry.see('new1', TestUtils.start + 1000), 'Seen before');
+
+    const changed = registry.discover({ new1: '  Mary \n Smith ', XRcupJu26dK_sazaAAPK: 'David Prince', bad: 'x'.repeat(200) });
+    console.assert(changed.join() === 'new1,XRcupJu26dK_sazaAAPK', `Unexpected changes: ${changed}`);
+    console.assert(registry.getName('new1') === 'Mary Smith', 'Names are tidied');
+    console.assert(registry.get('XRcupJu26dK_sazaAAPK').source === NAME_SOURCES.DISCOVERED, 'VTF beats the defaults');
+    console.assert(registry.getName('bad') === 'Speaker-BAD', 'Page text that is not a name is ignored');
+
+    console.assert(registry.discover({ new1: 'Mary Smith' }).length === 0, 'Same name is no change');
+  },
+
+
+  async testUserEdits() {
+    const registry = new SpeakerRegistry();
+    registry.see('new1', TestUtils.start);
+
+    registry.update('new1', { name: 'Mary', color: '#FF0000', avatar: 'https://example.com/mary.png' });
+    console.assert(registry.discover({ new1: 'Mary Smith' }).length === 0, 'Discovery never overrides the user');
+
+    const speaker = registry.get('new1');
+    console.assert(speaker.name === 'Mary' && speaker.source === NAME_SOURCES.USER, 'User name kept');
+    console.assert(speaker.color === '#ff0000' && speaker.avatar === 'https://example.com/mary.png', 'Color and avatar kept');
+
+    registry.update('new1', { name: '', color: 'red' });
+    console.assert(registry.get('new1').source === NAME_SOURCES.FALLBACK, 'An empty name resets it');
+    console.assert(registry.get('new1').color === defaultColor('new1'), 'A bad color resets it');
+    console.assert(registry.discover({ new1: 'Mary Smith' }).length === 1, 'Discovery takes over again');
+  },
+
+
+  async testPolicies() {
+    const registry = new SpeakerRegistry();
+
+    console.assert(registry.get('XRcupJu26dK_sazaAAPK').priority === PRIORITIES.HIGH, 'Moderators are high priority');
+    console.assert(registry.get('chatter').priority === PRIORITIES.NORMAL, 'Everyone else is normal');
+    console.assert(registry.shouldTranscribe('chatter'), 'Transcribed by default');
+
+    registry.update('chatter', { policy: SPEAKER_POLICIES.NEVER, priority: '0' });
+    console.assert(!registry.shouldTranscribe('chatter', true), 'Never means never');
+    console.assert(registry.get('chatter').priority === PRIORITIES.LOW, 'Priority from a select value');
+
+    registry.update('chatter', { policy: SPEAKER_POLICIES.KEYWORD });
+    console.assert(!registry.shouldTranscribe('chatter', false), 'Keyword speakers wait for a keyword');
+    console.assert(registry.shouldTranscribe('chatter', true), 'Keyword speakers follow an alert');
+
+    registry.update('chatter', { policy: 'sometimes', priority: 7 });
+    console.assert(registry.get('chatter').policy === SPEAKER_POLICIES.KEYWORD && registry.get('chatter').priority === PRIORITIES.LOW,
+      'Unknown values are ignored');
+  },
+
+
+  async testPersistence() {
+    const registry = new SpeakerRegistry();
+    registry.see('old', TestUtils.start);
+    registry.see('recent', TestUtils.start + 5000);
+    registry.update('old', { name: 'Old Timer' });
+
+    const saved = JSON.parse(JSON.stringify(registry));
+    console.assert(saved.map(s => s.streamId).join() === 'recent,old', 'Most recently heard first');
+
+    const restored = new SpeakerRegistry();
+    restored.load(saved);
+    console.assert(restored.getName('old') === 'Old Timer' && restored.get('old').source === NAME_SOURCES.USER, 'Saved speakers restored');
+
+    // Older versions kept { streamId: name }, defaults included
+    const legacy = new SpeakerRegistry();
+    legacy.load({ XRcupJu26dK_sazaAAPK: 'DP', someone: 'Trader Joe' });
+    console.assert(legacy.list().length === 1 && legacy.getName('someone') === 'Trader Joe', 'Old name maps migrate');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Names', SpeakerRegistryTests.testNames],
+    ['Discovery', SpeakerRegistryTests.testDiscovery],
+    ['User Edits', SpeakerRegistryTests.testUserEdits],
+    ['Policies', SpeakerRegistryTests.testPolicies],
+    ['Persistence', SpeakerRegistryTests.testPersistence]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, SpeakerRegistryTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,148 @@
+import {
+  TradeCallDetector,
+  CALL_ACTIONS,
+  DEFAULT_RULES,
+  detectCalls,
+  findTriggers,
+  parseRules
+} from '../../src/modules/trade-call-detector.js';
+
+const TestUtils = {
+
+  start: Date.UTC(2026, 9, 19, 14, 30),
+
+
+  transcript(text, { speaker = 'DP', userId = 'dp', at = 0 } = {}) {
+    const timestamp = this.start + at * 1000;
+    return { id: `${userId}:${timestamp}`, userId, speaker, text, timestamp, duration: 3 };
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TradeCallDetectorTests = {
+
+  async testParseRules() {
+    const { rules, speakers, errors } = parseRules([
+      '# moderators only',
+      'speakers: DP, Kira',
+      "entry: I'm in, /starter (?:position|size)/",
+      'hold: waiting',
+      'exit /out/',
+      'add: /(/'
+    ].join('\n'));
+
+    console.assert(rules.length === 1 && rules[0].action === CALL_ACTIONS.ENTRY, 'Only valid rules are kept');
+    console.assert(speakers.join() === 'DP,Kira', 'Should read the speaker list');
+    console.assert(errors.map(e => e.line).join() === '4,5,6', `Should report bad lines, got ${JSON.stringify(errors)}`);
+
+    const triggers = findTriggers('Im in with a starter position', rules);
+    console.assert(triggers.length === 2, 'Apostrophes are optional and patterns work');
+    console.assert(parseRules(DEFAULT_RULES).errors.length === 0, 'Default rules parse cleanly');
+  },
+
+
+  async testEntryWithStop() {
+    const detector = new TradeCallDetector();
+    const [call, ...rest] = detector.detect(TestUtils.transcript("I'm in NVDA at 120, stop 118"));
+
+    console.assert(rest.length === 0, 'The stop belongs to the entry');
+    console.assert(call.action === CALL_ACTIONS.ENTRY && call.ticker === 'NVDA', `Unexpected call: ${JSON.stringify(call)}`);
+    console.assert(call.price === 120 && call.stop === 118, `Should read price and stop, got ${call.price}/${call.stop}`);
+    console.assert(call.speaker === 'DP' && call.text === "I'm in NVDA at 120, stop 118", 'Should keep speaker and source');
+  },
+
+
+  async testActions() {
+    const detector = new TradeCallDetector();
+
+    const [add, trim] = detector.detect(TestUtils.transcript('Adding to TSLA at two fifty. Selling half of AMD here'));
+    console.assert(add.action === CALL_ACTIONS.ADD && add.ticker === 'TSLA' && add.price === 250, `Unexpected add: ${JSON.stringify(add)}`);
+    console.assert(trim.action === CALL_ACTIONS.TRIM && trim.ticker === 'AMD', `Unexpected trim: ${JSON.stringify(trim)}`);
+
+    const [exit] = detector.detect(TestUtils.transcript('Stopped out of AMD', { at: 30 }));
+    console.assert(exit.action === CALL_ACTIONS.EXIT && exit.ticker === 'AMD', 'Longest phrase wins');
+
+    // No ticker in the line: the one the speaker just mentioned
+    detector.detect(TestUtils.transcript('Looking at SPY here', { at: 40 }));
+    const [stop] = detector.detect(TestUtils.transcript('Moving my stop to four fifty', { at: 50 }));
+    console.assert(stop.action === CALL_ACTIONS.STOP && stop.ticker === 'SPY' && stop.price === 450, `Unexpected stop: ${JSON.stringify(stop)}`);
+
+    const [option] = detector.detect(TestUtils.transcript('Bought the QQQ 480 calls for Friday', { speaker: 'Kira', userId: 'kira', at: 60 }));
+    console.assert(option.option?.strike === 480 && option.option.expiration === 'Friday', 'Should keep the option');
+
+    console.assert(detector.detect(TestUtils.transcript('I am in', { speaker: 'Kira', userId: 'kira', at: 600 })).length === 0,
+      'No call without a ticker once the context is stale');
+  },
+
+
+  async testDeduplication() {
+    const detector = new TradeCallDetector({ rules: `${DEFAULT_RULES}\nspeakers: DP` });
+
+    const [first] = detector.detect(TestUtils.transcript('Long NVDA from 120'));
+    const [again] = detector.detect(TestUtils.transcript('again, I bought NVDA at 120.25', { at: 20 }));
+    console.assert(again === first && first.mentions === 2, 'A repeat is another mention');
+    console.assert(first.sources.length === 2, 'Both utterances are sources');
+
+    const [higher] = detector.detect(TestUtils.transcript('I bought NVDA at 125', { at: 40 }));
+    console.assert(higher !== first && higher.price === 125, 'A different price is a new call');
+
+    const [later] = detector.detect(TestUtils.transcript('Long NVDA from 120', { at: 20 * 60 }));
+    console.assert(later !== first && later.mentions === 1, 'Outside the window it is a new call');
+
+    const other = detector.detect(TestUtils.transcript("I'm in NVDA at 120", { speaker: 'Rickman', userId: 'rick', at: 20 * 60 }));
+    console.assert(other.length === 0, 'Speakers not listed make no calls');
+    console.assert(detector.getStats().duplicates === 1, 'Should count duplicates');
+  },
+
+
+  async testSavedTranscripts() {
+    const saved = [
+      TestUtils.transcript('Out of NVDA at 126', { at: 300 }),
+      TestUtils.transcript("I'm in NVDA at 120, stop 118", { at: 0 }),
+      TestUtils.transcript('Nice tape today', { at: 100 }),
+      TestUtils.transcript("I'm in NVDA at 120", { at: 120 })
+    ];
+
+    const { calls, errors } = detectCalls(saved);
+    console.assert(errors.length === 0, 'Default rules');
+    console.assert(calls.map(c => c.action).join() === 'entry,exit', `Unexpected calls: ${calls.map(c => c.action)}`);
+    console.assert(calls[0].mentions === 2 && calls[1].price === 126, 'Saved transcripts run oldest first');
+
+    const custom = detectCalls(saved, { rules: 'exit: out of' });
+    console.assert(custom.calls.length === 1 && custom.calls[0].action === CALL_ACTIONS.EXIT, 'Rules can be tried before saving');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Parse Rules', TradeCallDetectorTests.testParseRules],
+    ['Entry with Stop', TradeCallDetectorTests.testEntryWithStop],
+    ['Actions', TradeCallDetectorTests.testActions],
+    ['Deduplication', TradeCallDetectorTests.testDeduplication],
+    ['Saved Transcripts', TradeCallDetectorTests.testSavedTranscripts]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TradeCallDetectorTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
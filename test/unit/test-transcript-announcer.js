@@ -0,0 +1,202 @@
+
+
+import { TranscriptAnnouncer, getTranscriptKey } from '../../src/modules/transcript-announcer.js';
+import { TranscriptNavigator } from '../../src/modules/transcript-navigator.js';
+
+const TestUtils = {
+
+  createAnnouncer(options = {}) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+
+    const announcer = new TranscriptAnnouncer(options);
+    const region = announcer.attach(container);
+    return { announcer, region, container };
+  },
+
+
+  transcript(userId, speaker, text, timestamp) {
+    return { id: `${userId}:${timestamp}`, userId, speaker, text, timestamp };
+  },
+
+
+  createList(speakers) {
+    const list = document.createElement('div');
+    speakers.forEach((speaker, i) => {
+      const item = document.createElement('p');
+      item.dataset.speaker = speaker;
+      item.textContent = `line ${i}`;
+      list.appendChild(item);
+    });
+    document.body.appendChild(list);
+    return list;
+  },
+
+
+  pressKey(target, key) {
+    target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptAnnouncerTests = {
+
+  async testRegionAttributes() {
+    const { announcer, region, container } = TestUtils.createAnnouncer();
+
+    console.assert(region.getAttribute('aria-live') === 'polite', 'Should default to polite');
+    console.assert(region.getAttribute('role') === 'log', 'Should be a log region');
+    console.assert(region.getAttribute('aria-relevant') === 'additions', 'Should only announce additions');
+
+    announcer.setOptions({ mode: 'assertive' });
+    console.assert(region.getAttribute('aria-live') === 'assertive', 'Should switch to assertive');
+
+    announcer.setOptions({ mode: 'shouting' });
+    console.assert(region.getAttribute('aria-live') === 'polite', 'Unknown modes should fall back to polite');
+
+    container.remove();
+  },
+
+
+  async testAnnouncesOnce() {
+    const { announcer, region, container } = TestUtils.createAnnouncer();
+    const t = TestUtils.transcript('u1', 'DP', 'Buying NVDA here', 1000);
+
+    console.assert(announcer.announce(t) === true, 'First delivery should be announced');
+    console.assert(announcer.announce({ ...t }) === false, 'Repeat delivery should be ignored');
+    console.assert(region.childElementCount === 1, 'Region should hold one announcement');
+    console.assert(announcer.stats.duplicates === 1, 'Should count duplicates');
+
+    container.remove();
+  },
+
+
+  async testSpeakerNaming() {
+    const { announcer, region, container } = TestUtils.createAnnouncer();
+
+    announcer.announce(TestUtils.transcript('u1', 'DP', 'Buying NVDA', 1000));
+    announcer.announce(TestUtils.transcript('u1', 'DP', 'Stop at 118', 2000));
+    announcer.announce(TestUtils.transcript('u2', 'Kira', 'Watching SPY', 3000));
+
+    const texts = Array.from(region.children).map(node => node.textContent);
+    console.assert(texts[0] === 'DP: Buying NVDA', 'Should name the first speaker');
+    console.assert(texts[1] === 'Stop at 118', 'Should not repeat the same speaker');
+    console.assert(texts[2] === 'Kira: Watching SPY', 'Should name a new speaker');
+
+    container.remove();
+  },
+
+
+  async testSpeakerChangesOnly() {
+    const { announcer, region, container } = TestUtils.createAnnouncer({ speakerChangesOnly: true });
+
+    announcer.announce(TestUtils.transcript('u1', 'DP', 'one', 1000));
+    announcer.announce(TestUtils.transcript('u1', 'DP', 'two', 2000));
+    announcer.announce(TestUtils.transcript('u2', 'Kira', 'three', 3000));
+    announcer.announce(TestUtils.transcript('u1', 'DP', 'four', 4000));
+
+    const texts = Array.from(region.children).map(node => node.textContent);
+    console.assert(texts.length === 3, `Should announce only speaker changes, got ${texts.length}`);
+    console.assert(texts[1] === 'Kira: three', 'Should announce the new speaker');
+    console.assert(announcer.stats.suppressed === 1, 'Should count suppressed lines');
+
+    container.remove();
+  },
+
+
+  async testOffAndHistory() {
+    const { announcer, region, container } = TestUtils.createAnnouncer({ mode: 'off' });
+
+    announcer.announce(TestUtils.transcript('u1', 'DP', 'quiet', 1000));
+    console.assert(region.childElementCount === 0, 'Off mode should not announce');
+
+    announcer.setOptions({ mode: 'polite' });
+    const history = [TestUtils.transcript('u1', 'DP', 'old', 500)];
+    announcer.markSeen(history);
+    console.assert(announcer.announce(history[0]) === false, 'History should not be announced');
+
+    container.remove();
+  },
+
+
+  async testRegionSizeAndKeys() {
+    const { announcer, region, container } = TestUtils.createAnnouncer({ maxNodes: 3 });
+
+    for (let i = 0; i < 5; i++) {
+      announcer.announce(TestUtils.transcript('u1', 'DP', `line ${i}`, i));
+    }
+    console.assert(region.childElementCount === 3, 'Should cap nodes in the region');
+
+    console.assert(getTranscriptKey({ id: 'a:1', userId: 'b', timestamp: 2 }) === 'a:1', 'Should prefer id');
+    console.assert(getTranscriptKey({ userId: 'b', timestamp: 2 }) === 'b:2', 'Should fall back to user and time');
+
+    container.remove();
+  },
+
+
+  async testKeyboardNavigation() {
+    const list = TestUtils.createList(['a', 'a', 'b', 'b', 'b', 'c']);
+    const navigator = new TranscriptNavigator(list);
+    navigator.attach();
+
+    const items = Array.from(list.children);
+    const tabStops = items.filter(item => item.tabIndex === 0);
+    console.assert(tabStops.length === 1 && tabStops[0] === items[5], 'Latest item should be the only tab stop');
+
+    items[5].focus();
+    TestUtils.pressKey(items[5], 'ArrowUp');
+    console.assert(document.activeElement === items[4], 'ArrowUp should move to previous line');
+
+    TestUtils.pressKey(items[4], 'PageUp');
+    console.assert(document.activeElement === items[0], 'PageUp should move to previous speaker turn');
+
+    TestUtils.pressKey(items[0], 'PageDown');
+    console.assert(document.activeElement === items[2], 'PageDown should move to next speaker turn');
+
+    TestUtils.pressKey(items[2], 'End');
+    console.assert(document.activeElement === items[5], 'End should move to last line');
+
+    TestUtils.pressKey(items[5], 'Home');
+    console.assert(document.activeElement === items[0], 'Home should move to first line');
+    console.assert(items.filter(item => item.tabIndex === 0).length === 1, 'Should keep a single tab stop');
+
+    navigator.detach();
+    list.remove();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Region Attributes', TranscriptAnnouncerTests.testRegionAttributes],
+    ['Announces Once', TranscriptAnnouncerTests.testAnnouncesOnce],
+    ['Speaker Naming', TranscriptAnnouncerTests.testSpeakerNaming],
+    ['Speaker Changes Only', TranscriptAnnouncerTests.testSpeakerChangesOnly],
+    ['Off Mode and History', TranscriptAnnouncerTests.testOffAndHistory],
+    ['Region Size and Keys', TranscriptAnnouncerTests.testRegionSizeAndKeys],
+    ['Keyboard Navigation', TranscriptAnnouncerTests.testKeyboardNavigation]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptAnnouncerTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,229 @@
+import {
+  exportTranscripts,
+  parseExport,
+  formatCueTime,
+  parseCueTime,
+  EXPORT_FORMATS
+} from '../../src/modules/transcript-export.js';
+
+const TestUtils = {
+
+  // Starts mid-morning so the 90 minute span stays on one local day
+  start: new Date(2025, 0, 6, 9, 30, 0).getTime(),
+
+
+  transcript(userId, speaker, text, offsetMs, extra = {}) {
+    const timestamp = this.start + offsetMs;
+    return { id: `${userId}:${timestamp}`, userId, speaker, text, timestamp, duration: 2.25, ...extra };
+  },
+
+
+  // Text that trips each format's escaping
+  sampleHistory() {
+    return [
+      this.transcript('dp', 'DP', 'Buying NVDA here, stop at 118', 0),
+      this.transcript('kira', 'Kira', 'He said "trim" <not> all & hold', 1500, { sessionId: 's1', sessionName: 'Morning' }),
+      this.transcript('rick', 'Rick*man', 'SPY_calls at [450] `now`: watch \\ it', 61000),
+      this.transcript('dp', 'DP', 'Crossing the hour mark', 90 * 60 * 1000 + 250, { replayed: true })
+    ];
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptExportTests = {
+
+  async testCueTimes() {
+    console.assert(formatCueTime(0) === '00:00:00,000', 'Zero offset');
+    console.assert(formatCueTime(3723004) === '01:02:03,004', 'Should carry hours and pad millis');
+    console.assert(formatCueTime(1500, '.') === '00:00:01.500', 'WebVTT uses a dot');
+    console.assert(parseCueTime('01:02:03,004') === 3723004, 'Should parse SRT times');
+    console.assert(parseCueTime('02:03.004') === 123004, 'WebVTT hours are optional');
+  },
+
+
+  async testSrtRoundTrip() {
+    const history = TestUtils.sampleHistory();
+    const { content, filename, mimeType } = exportTranscripts(history, 'srt');
+
+    console.assert(content.startsWith('1\n00:00:00,000 --> 00:00:02,250\nDP: Buying'), 'Should number and time cues');
+    console.assert(filename === 'vtf-transcript-2025-01-06-0930.srt', `Unexpected filename ${filename}`);
+    console.assert(mimeType === EXPORT_FORMATS.srt.mimeType, 'Should report the MIME type');
+
+    const parsed = parseExport(content, 'srt', { origin: TestUtils.start });
+    console.assert(parsed.length === history.length, 'Should parse every cue');
+    parsed.forEach((t, i) => {
+      console.assert(t.timestamp === history[i].timestamp, `Cue ${i} start should survive`);
+      console.assert(t.duration === history[i].duration, `Cue ${i} duration should survive`);
+      console.assert(t.speaker === history[i].speaker, `Cue ${i} speaker should survive`);
+      console.assert(t.text === history[i].text, `Cue ${i} text should survive: ${t.text}`);
+    });
+  },
+
+
+  async testVttRoundTrip() {
+    const history = TestUtils.sampleHistory();
+    const { content } = exportTranscripts(history, 'vtt', { title: 'Morning' });
+
+    console.assert(content.startsWith('WEBVTT - Morning\n'), 'Should start with the WebVTT signature');
+    console.assert(content.includes('<v Kira>He said "trim" &lt;not&gt; all &amp; hold'), 'Should escape cue text');
+
+    // No origin passed: it comes from the NOTE
+    const parsed = parseExport(content, 'vtt');
+    console.assert(parsed.length === history.length, 'Should parse every cue');
+    parsed.forEach((t, i) => {
+      console.assert(t.timestamp === history[i].timestamp, `Cue ${i} start should survive`);
+      console.assert(t.duration === history[i].duration, `Cue ${i} duration should survive`);
+      console.assert(t.speaker === history[i].speaker, `Cue ${i} speaker should survive`);
+      console.assert(t.text === history[i].text, `Cue ${i} text should survive: ${t.text}`);
+    });
+  },
+
+
+  async testMarkdownRoundTrip() {
+    const history = TestUtils.sampleHistory();
+    const { content } = exportTranscripts(history, 'md');
+
+    console.assert(content.includes('## 2025-01-06'), 'Should head each day');
+    console.assert(content.includes('**09:30:00 DP:** Buying NVDA here, stop at 118'), 'Should label speakers');
+
+    const parsed = parseExport(content, 'md');
+    console.assert(parsed.length === history.length, 'Should parse every utterance');
+    parsed.forEach((t, i) => {
+      const second = Math.floor(history[i].timestamp / 1000) * 1000;
+      console.assert(t.timestamp === second, `Utterance ${i} time should survive to the second`);
+      console.assert(t.speaker === history[i].speaker, `Utterance ${i} speaker should survive: ${t.speaker}`);
+      console.assert(t.text === history[i].text, `Utterance ${i} text should survive: ${t.text}`);
+    });
+  },
+
+
+  async testCsvRoundTrip() {
+    const history = TestUtils.sampleHistory();
+    history[0].text = 'Line one\nline two, with "quotes"';
+
+    const { content } = exportTranscripts(history, 'csv');
+    console.assert(content.split('\r\n')[0].replace(/^\uFEFF/, '').startsWith('id,timestamp,time'), 'Should write a header');
+
+    const parsed = parseExport(content, 'csv');
+    console.assert(parsed.length === history.length, 'Should parse every row');
+    parsed.forEach((t, i) => {
+      const { replayed, ...expected } = history[i];
+      for (const [key, value] of Object.entries(expected)) {
+        console.assert(t[key] === value, `Row ${i} ${key} should survive: ${t[key]}`);
+      }
+    });
+  },
+
+
+  async testJsonRoundTrip() {
+    const history = TestUtils.sampleHistory();
+    const { content } = exportTranscripts(history, 'json', {
+      from: TestUtils.start,
+      to: null,
+      exportedAt: TestUtils.start
+    });
+
+    const exported = JSON.parse(content);
+    console.assert(exported.format === 'vtf-transcripts' && exported.version === 1, 'Should tag the schema');
+    console.assert(exported.speakers.length === 3, 'Should list speakers');
+    console.assert(exported.speakers[0].count === 2, 'Should count utterances per speaker');
+    console.assert(exported.range.from === TestUtils.start, 'Should record the range');
+
+    const parsed = parseExport(content, 'json');
+    console.assert(parsed.length === history.length, 'Should parse every transcript');
+    parsed.forEach((t, i) => {
+      for (const [key, value] of Object.entries(history[i])) {
+        console.assert(t[key] === value, `Transcript ${i} ${key} should survive: ${t[key]}`);
+      }
+      console.assert(Object.keys(t).length === Object.keys(history[i]).length, `Transcript ${i} should gain no fields`);
+    });
+
+    let rejected = false;
+    try {
+      parseExport('{"format":"other"}', 'json');
+    } catch (error) {
+      rejected = true;
+    }
+    console.assert(rejected, 'Should reject foreign JSON');
+  },
+
+
+  async testSegmentCues() {
+    const start = TestUtils.start;
+    const timed = TestUtils.transcript('dp', 'DP', 'Long NVDA from 116. Stop under 118.', 0, {
+      duration: 6.2,
+      segments: [
+        { start: start + 100, end: start + 2400, text: 'Long NVDA from 116.' },
+        { start: start + 3100, end: start + 5900, text: 'Stop under 118.' }
+      ],
+      words: [{ start: start + 100, end: start + 400, word: 'Long' }]
+    });
+    const plain = TestUtils.transcript('kira', 'Kira', 'Agreed', 8000);
+
+    const srt = exportTranscripts([timed, plain], 'srt').content;
+    console.assert(srt.includes('1\n00:00:00,100 --> 00:00:02,400\nDP: Long NVDA from 116.'), 'First segment is its own cue');
+    console.assert(srt.includes('2\n00:00:03,100 --> 00:00:05,900\nDP: Stop under 118.'), 'Second segment is its own cue');
+    console.assert(srt.includes('3\n00:00:08,000 --> 00:00:10,250\nKira: Agreed'), 'Untimed transcripts keep chunk timing');
+
+    const vtt = parseExport(exportTranscripts([timed, plain], 'vtt').content, 'vtt');
+    console.assert(vtt.length === 3 && vtt[1].timestamp === start + 3100, 'WebVTT cues follow the segments');
+
+    const [json] = parseExport(exportTranscripts([timed], 'json').content, 'json');
+    console.assert(json.segments.length === 2 && json.words[0].word === 'Long', 'JSON keeps segment and word timings');
+  },
+
+
+  async testSortingAndErrors() {
+    const history = TestUtils.sampleHistory().reverse();
+    const { content, count } = exportTranscripts(history, 'srt');
+    console.assert(count === 4, 'Should report the count');
+    console.assert(content.includes('1\n00:00:00,000'), 'Should sort by timestamp before numbering');
+
+    let rejected = false;
+    try {
+      exportTranscripts(history, 'docx');
+    } catch (error) {
+      rejected = true;
+    }
+    console.assert(rejected, 'Should reject unknown formats');
+
+    console.assert(exportTranscripts([], 'vtt').content.startsWith('WEBVTT'), 'Empty export is still valid');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Cue Times', TranscriptExportTests.testCueTimes],
+    ['SRT Round Trip', TranscriptExportTests.testSrtRoundTrip],
+    ['WebVTT Round Trip', TranscriptExportTests.testVttRoundTrip],
+    ['Markdown Round Trip', TranscriptExportTests.testMarkdownRoundTrip],
+    ['CSV Round Trip', TranscriptExportTests.testCsvRoundTrip],
+    ['JSON Round Trip', TranscriptExportTests.testJsonRoundTrip],
+    ['Segment Cues', TranscriptExportTests.testSegmentCues],
+    ['Sorting and Errors', TranscriptExportTests.testSortingAndErrors]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptExportTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
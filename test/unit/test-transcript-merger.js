@@ -0,0 +1,175 @@
+import {
+  TranscriptMerger,
+  alignOverlap,
+  mergeOverlap,
+  normalizeWord
+} from '../../src/modules/transcript-merger.js';
+
+const TestUtils = {
+
+  // Whisper output for consecutive pieces of one monologue, split with ~1s of overlap
+  cannedPieces: [
+    {
+      name: 'clean seam',
+      previous: 'We are long NVDA from one sixteen, stop goes under one eighteen',
+      next: 'under one eighteen and we add on a break of one twenty.',
+      expected: 'and we add on a break of one twenty.'
+    },
+    {
+      name: 'word cut in half at the seam',
+      previous: 'Trimming half of the SPY calls into this stren',
+      next: 'calls into this strength, holding the rest for the close.',
+      expected: 'strength, holding the rest for the close.'
+    },
+    {
+      name: 'punctuation, casing and currency differ',
+      previous: 'Kira says AMD looks weak. Under $150.',
+      next: 'Under 150, I am short from 152 with a tight stop.',
+      expected: 'I am short from 152 with a tight stop.'
+    },
+    {
+      name: 'partial word at the start of the later piece',
+      previous: 'Watching the ten year yield, it is pushing four point six',
+      next: 'ush pushing four point six percent and that weighs on tech.',
+      expected: 'percent and that weighs on tech.'
+    },
+    {
+      name: 'small spelling difference',
+      previous: 'I like Nvidia\'s setup into earnings',
+      next: 'Nvidias setup into earnings, buying a starter here.',
+      expected: 'buying a starter here.'
+    }
+  ],
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptMergerTests = {
+
+  async testNormalize() {
+    console.assert(normalizeWord('$150.') === '150', 'Should drop currency and punctuation');
+    console.assert(normalizeWord('Under,') === 'under', 'Should lower-case');
+    console.assert(normalizeWord('1,500') === '1500', 'Should drop thousands separators');
+    console.assert(normalizeWord('It’s') === "it's", 'Should unify apostrophes');
+    console.assert(normalizeWord('—') === '', 'Punctuation alone is not a word');
+  },
+
+
+  async testCannedWhisperOutputs() {
+    for (const piece of TestUtils.cannedPieces) {
+      const result = mergeOverlap(piece.previous, piece.next);
+      console.assert(result.aligned, `${piece.name}: should align`);
+      console.assert(result.text === piece.expected, `${piece.name}: got "${result.text}"`);
+    }
+  },
+
+
+  async testNothingLostOrRepeated() {
+    const previous = 'Buy the dip in QQQ at three eighty';
+    const next = 'QQQ at three eighty, target three ninety';
+    const { text } = mergeOverlap(previous, next);
+    const joined = `${previous} ${text}`;
+
+    console.assert(joined === 'Buy the dip in QQQ at three eighty target three ninety', `Got "${joined}"`);
+    console.assert(joined.split(' ').filter(w => w === 'QQQ').length === 1, 'Overlap words appear once');
+  },
+
+
+  async testNoAlignment() {
+    // Different words entirely (misheard overlap): keep everything
+    const result = mergeOverlap('Looking at oil here', 'Gold is breaking out');
+    console.assert(!result.aligned, 'Should report no alignment');
+    console.assert(result.text === 'Gold is breaking out', 'Unaligned text is kept whole');
+
+    // One short shared word is not enough
+    const weak = alignOverlap('We like it', 'it could run');
+    console.assert(!weak.aligned, 'A single short word should not align');
+
+    // Later piece entirely inside the overlap
+    const covered = mergeOverlap('Stop is at one eighteen', 'one eighteen');
+    console.assert(covered.aligned && covered.text === '', 'Nothing new to add');
+  },
+
+
+  async testMatchesNearTheSeam() {
+    // "the" appears early in the earlier text, far from the seam
+    const alignment = alignOverlap(
+      'Selling the open and watching the tape into the close on the SPY',
+      'on the SPY we might get a bounce'
+    );
+    console.assert(alignment.previousIndex === 10, `Should align at the seam, got ${alignment.previousIndex}`);
+    console.assert(alignment.newWords.join(' ') === 'we might get a bounce', 'Should keep what follows');
+  },
+
+
+  async testMergerContinuity() {
+    const merger = new TranscriptMerger();
+    const start = 1000000;
+
+    const first = merger.merge('dp', { text: 'We are long NVDA from one sixteen', startTime: start, duration: 15, overlap: 0 });
+    console.assert(!first.merged && first.text === 'We are long NVDA from one sixteen', 'First piece passes through');
+
+    // Starts one second before the first piece ended
+    const second = merger.merge('dp', {
+      text: 'one sixteen and adding here',
+      startTime: start + 14000,
+      duration: 10,
+      overlap: 1
+    });
+    console.assert(second.merged && second.aligned, 'Continuation should merge');
+    console.assert(second.text === 'and adding here', `Got "${second.text}"`);
+    console.assert(second.dropped === 2, 'Should report how many words were dropped');
+    console.assert(second.startTime === start + 15000 && second.duration === 9, 'Timing should exclude the overlap');
+
+    // Previous piece failed, so this one doesn't line up with what we last saw
+    const orphan = merger.merge('dp', {
+      text: 'here it goes',
+      startTime: start + 40000,
+      duration: 5,
+      overlap: 1
+    });
+    console.assert(!orphan.merged && orphan.text === 'here it goes', 'Discontinuous pieces are left alone');
+
+    // Streams don't mix
+    const other = merger.merge('kira', { text: 'here it goes again', startTime: start + 44000, duration: 5, overlap: 1 });
+    console.assert(!other.merged, 'Other streams have no previous piece');
+
+    console.assert(merger.getStats().merged === 1, 'Should count merges');
+    merger.reset();
+    console.assert(merger.pieces.size === 0, 'Reset forgets all streams');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Normalize', TranscriptMergerTests.testNormalize],
+    ['Canned Whisper Outputs', TranscriptMergerTests.testCannedWhisperOutputs],
+    ['Nothing Lost or Repeated', TranscriptMergerTests.testNothingLostOrRepeated],
+    ['No Alignment', TranscriptMergerTests.testNoAlignment],
+    ['Matches Near the Seam', TranscriptMergerTests.testMatchesNearTheSeam],
+    ['Merger Continuity', TranscriptMergerTests.testMergerContinuity]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptMergerTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,169 @@
+
+
+import {
+  parseQuery,
+  filterTranscripts,
+  highlightRanges,
+  groupTranscripts,
+  listSpeakers
+} from '../../src/modules/transcript-search.js';
+
+const TestUtils = {
+
+  transcript(speaker, text, timestamp, extra = {}) {
+    return { id: `${speaker}:${timestamp}`, userId: speaker, speaker, text, timestamp, ...extra };
+  },
+
+
+  generateHistory(count, start = new Date(2025, 0, 6, 9, 30).getTime()) {
+    const speakers = ['DP', 'Kira', 'Rickman', 'Mike'];
+    const words = ['buying', 'selling', 'NVDA', 'SPY', 'stop', 'target', 'VWAP', 'long', 'short', 'trim'];
+    const history = [];
+
+    for (let i = 0; i < count; i++) {
+      const text = Array.from({ length: 8 }, (_, j) => words[(i * 7 + j * 3) % words.length]).join(' ');
+      history.push(this.transcript(speakers[i % speakers.length], text, start + i * 5000));
+    }
+    return history;
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptSearchTests = {
+
+  async testParseQuery() {
+    const terms = parseQuery('  NVDA "stop at 118"  vwap ');
+    console.assert(terms.length === 3, 'Should find three terms');
+    console.assert(terms[0] === 'nvda', 'Should lowercase terms');
+    console.assert(terms[1] === 'stop at 118', 'Should keep quoted phrases together');
+    console.assert(parseQuery('').length === 0, 'Empty query has no terms');
+  },
+
+
+  async testFiltering() {
+    const history = [
+      TestUtils.transcript('DP', 'Buying NVDA here', 1000),
+      TestUtils.transcript('Kira', 'NVDA stop at 118', 2000),
+      TestUtils.transcript('DP', 'Trimming SPY', 3000)
+    ];
+
+    console.assert(filterTranscripts(history, {}) === history, 'No filters returns the same list');
+    console.assert(filterTranscripts(history, { query: 'nvda' }).length === 2, 'Should match case-insensitively');
+    console.assert(filterTranscripts(history, { query: 'nvda stop' }).length === 1, 'All terms must match');
+    console.assert(filterTranscripts(history, { query: '"stop nvda"' }).length === 0, 'Phrases match in order');
+    console.assert(filterTranscripts(history, { speaker: 'DP' }).length === 2, 'Should filter by speaker');
+    console.assert(filterTranscripts(history, { from: 1500, to: 2500 }).length === 1, 'Should filter by time range');
+    console.assert(filterTranscripts(history, { query: 'nvda', speaker: 'DP' })[0].timestamp === 1000,
+      'Filters should combine');
+  },
+
+
+  async testHighlightRanges() {
+    const ranges = highlightRanges('NVDA long, nvda short', ['nvda']);
+    console.assert(ranges.length === 2, 'Should find every occurrence');
+    console.assert(ranges[1][0] === 11 && ranges[1][1] === 15, 'Should return character offsets');
+
+    const merged = highlightRanges('stop at 118', ['stop at', 'at 118']);
+    console.assert(merged.length === 1 && merged[0][0] === 0 && merged[0][1] === 11, 'Should merge overlaps');
+
+    console.assert(highlightRanges('text', []).length === 0, 'No terms, no ranges');
+  },
+
+
+  async testGrouping() {
+    const day1 = new Date(2025, 0, 6, 9, 30).getTime();
+    const day2 = new Date(2025, 0, 7, 9, 30).getTime();
+    const history = [
+      TestUtils.transcript('DP', 'one', day1),
+      TestUtils.transcript('DP', 'two', day1 + 60000),
+      TestUtils.transcript('DP', 'three', day1 + 2 * 60 * 60 * 1000),   // After a long gap
+      TestUtils.transcript('DP', 'four', day2)
+    ];
+
+    const rows = groupTranscripts(history);
+    const types = rows.map(row => row.type[0]).join('');
+
+    console.assert(types === 'dsuusudsu', `Unexpected row layout: ${types}`);
+    console.assert(rows[1].count === 2, 'Session should count its utterances');
+    console.assert(rows[1].end === day1 + 60000, 'Session should record its end');
+    console.assert(rows[2].index === 0, 'Utterance rows should point back to the list');
+  },
+
+
+  async testGroupingBySessionId() {
+    const start = new Date(2025, 0, 6, 9, 30).getTime();
+    const history = [
+      TestUtils.transcript('DP', 'one', start, { sessionId: 's1', sessionName: 'Morning' }),
+      TestUtils.transcript('DP', 'two', start + 1000, { sessionId: 's2' }),
+      TestUtils.transcript('DP', 'three', start + 2 * 60 * 60 * 1000, { sessionId: 's2' })
+    ];
+
+    const sessions = groupTranscripts(history).filter(row => row.type === 'session');
+    console.assert(sessions.length === 2, 'Explicit session ids override the gap heuristic');
+    console.assert(sessions[0].name === 'Morning', 'Should carry the session name');
+    console.assert(sessions[1].count === 2, 'Long gaps inside a session stay together');
+  },
+
+
+  async testListSpeakers() {
+    const speakers = listSpeakers([
+      TestUtils.transcript('Kira', 'a', 1),
+      TestUtils.transcript('DP', 'b', 2),
+      TestUtils.transcript('DP', 'c', 3)
+    ]);
+
+    console.assert(speakers[0].key === 'DP' && speakers[0].count === 2, 'Most active speaker first');
+    console.assert(speakers.length === 2, 'Should list each speaker once');
+  },
+
+
+  async testLargeHistory() {
+    const history = TestUtils.generateHistory(50000);
+
+    const start = performance.now();
+    const matches = filterTranscripts(history, { query: 'nvda "stop long"' });
+    const rows = groupTranscripts(matches);
+    const elapsed = performance.now() - start;
+
+    console.log(`Filtered and grouped 50,000 utterances in ${elapsed.toFixed(1)}ms`);
+    console.assert(matches.length > 0 && matches.length < history.length, 'Should narrow the history');
+    console.assert(rows.length > matches.length, 'Should add headers');
+    console.assert(elapsed < 500, `Search should stay interactive, took ${elapsed.toFixed(1)}ms`);
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Parse Query', TranscriptSearchTests.testParseQuery],
+    ['Filtering', TranscriptSearchTests.testFiltering],
+    ['Highlight Ranges', TranscriptSearchTests.testHighlightRanges],
+    ['Grouping', TranscriptSearchTests.testGrouping],
+    ['Grouping by Session Id', TranscriptSearchTests.testGroupingBySessionId],
+    ['List Speakers', TranscriptSearchTests.testListSpeakers],
+    ['Large History', TranscriptSearchTests.testLargeHistory]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptSearchTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,271 @@
+import { TranscriptStore } from '../../src/modules/transcript-store.js';
+
+const TestUtils = {
+
+  createStore(options = {}) {
+    return new TranscriptStore({
+      dbName: `vtf-transcripts-test-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      ...options
+    });
+  },
+
+
+  transcript(userId, text, timestamp, extra = {}) {
+    return { id: `${userId}:${timestamp}`, userId, speaker: userId, text, timestamp, ...extra };
+  },
+
+
+  mockStorage(initial = {}) {
+    const data = { ...initial };
+    const original = window.chrome;
+
+    window.chrome = {
+      ...(original || {}),
+      storage: {
+        local: {
+          get: async (key) => (key in data ? { [key]: data[key] } : {}),
+          set: async (items) => { Object.assign(data, items); },
+          remove: async (key) => { delete data[key]; }
+        }
+      }
+    };
+
+    return {
+      data,
+      restore: () => { window.chrome = original; }
+    };
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptStoreTests = {
+
+  async testAddAndGet() {
+    const store = TestUtils.createStore();
+
+    const entry = await store.add({ userId: 'dp', speaker: 'DP', text: 'Buying NVDA', timestamp: 1000 });
+    console.assert(entry.id === 'dp:1000', 'Should derive an id from user and timestamp');
+    console.assert(typeof entry.storedAt === 'number', 'Should stamp storedAt');
+
+    await store.add(TestUtils.transcript('dp', 'Buying NVDA here', 1000));
+    console.assert(await store.count() === 1, 'Same id should overwrite');
+    console.assert((await store.get('dp:1000')).text === 'Buying NVDA here', 'Should keep the latest text');
+
+    await store.destroy();
+  },
+
+
+  async testQueryOrder() {
+    const store = TestUtils.createStore();
+
+    // Replayed audio lands out of order
+    await store.add(TestUtils.transcript('a', 'three', 3000));
+    await store.add(TestUtils.transcript('a', 'one', 1000));
+    await store.add(TestUtils.transcript('a', 'two', 2000));
+
+    const desc = await store.query();
+    console.assert(desc.items.map(t => t.text).join() === 'three,two,one', 'Newest first by default');
+    console.assert(desc.nextCursor === null, 'Single page has no cursor');
+
+    const asc = await store.query({ order: 'asc' });
+    console.assert(asc.items.map(t => t.text).join() === 'one,two,three', 'Should support ascending order');
+
+    await store.destroy();
+  },
+
+
+  async testPagination() {
+    const store = TestUtils.createStore();
+
+    // Duplicate timestamps across speakers must not be skipped or repeated
+    const history = [];
+    for (let i = 0; i < 25; i++) {
+      history.push(TestUtils.transcript('a', `a${i}`, i * 1000));
+      history.push(TestUtils.transcript('b', `b${i}`, i * 1000));
+    }
+    await store.addMany(history);
+
+    for (const order of ['asc', 'desc']) {
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const page = await store.query({ order, limit: 7, cursor });
+        seen.push(...page.items);
+        cursor = page.nextCursor;
+        pages++;
+      } while (cursor);
+
+      const ids = new Set(seen.map(t => t.id));
+      console.assert(seen.length === 50 && ids.size === 50, `${order}: should return every item once, got ${seen.length}`);
+      console.assert(pages === 8, `${order}: should take 8 pages, took ${pages}`);
+
+      const sorted = seen.every((t, i) => i === 0 ||
+        (order === 'asc' ? t.timestamp >= seen[i - 1].timestamp : t.timestamp <= seen[i - 1].timestamp));
+      console.assert(sorted, `${order}: pages should stay in order`);
+    }
+
+    await store.destroy();
+  },
+
+
+  async testIndexedFilters() {
+    const store = TestUtils.createStore();
+
+    await store.addMany([
+      TestUtils.transcript('dp', 'one', 1000, { sessionId: 's1' }),
+      TestUtils.transcript('kira', 'two', 2000, { sessionId: 's1' }),
+      TestUtils.transcript('dp', 'three', 3000, { sessionId: 's2' }),
+      TestUtils.transcript('dp', 'four', 4000, { sessionId: 's2' })
+    ]);
+
+    const dp = await store.query({ speaker: 'dp', order: 'asc' });
+    console.assert(dp.items.map(t => t.text).join() === 'one,three,four', 'Should filter by speaker');
+
+    const ranged = await store.query({ speaker: 'dp', from: 2000, to: 3500 });
+    console.assert(ranged.items.length === 1 && ranged.items[0].text === 'three', 'Speaker and time range combine');
+
+    const session = await store.query({ sessionId: 's2' });
+    console.assert(session.items.length === 2, 'Should filter by session');
+
+    const between = await store.query({ from: 2000, to: 3000 });
+    console.assert(between.items.length === 2, 'Time range should be inclusive');
+
+    const both = await store.query({ speaker: 'dp', sessionId: 's1' });
+    console.assert(both.items.length === 1 && both.items[0].text === 'one', 'Speaker and session combine');
+
+    const paged = await store.query({ speaker: 'dp', sessionId: 's2', limit: 1, order: 'asc' });
+    const rest = await store.query({ speaker: 'dp', sessionId: 's2', limit: 1, order: 'asc', cursor: paged.nextCursor });
+    console.assert(paged.items[0].text === 'three' && rest.items[0].text === 'four' && rest.nextCursor === null,
+      'Speaker and session page together');
+
+    const none = await store.query({ speaker: 'kira', sessionId: 's2' });
+    console.assert(none.items.length === 0, 'No match in that session is no match');
+
+    await store.destroy();
+  },
+
+
+  async testTextSearch() {
+    const store = TestUtils.createStore();
+
+    await store.addMany([
+      TestUtils.transcript('dp', 'Buying NVDA here', 1000),
+      TestUtils.transcript('kira', 'nvda looks heavy', 2000),
+      TestUtils.transcript('dp', 'Out of TSLA', 3000),
+      TestUtils.transcript('dp', 'Adding NVDA calls', 4000)
+    ]);
+
+    const first = await store.query({ text: 'nvda', limit: 2, order: 'asc' });
+    const rest = await store.query({ text: 'nvda', limit: 2, order: 'asc', cursor: first.nextCursor });
+    console.assert(first.items.map(t => t.timestamp).join() === '1000,2000', 'A page of matches, skipping the rest');
+    console.assert(rest.items.map(t => t.timestamp).join() === '4000' && rest.nextCursor === null, 'Then the last match');
+
+    const narrowed = await store.query({ text: '"nvda calls"', speaker: 'dp', to: 4000 });
+    console.assert(narrowed.items.length === 1 && narrowed.items[0].timestamp === 4000, 'Phrases combine with the indexes');
+
+    await store.destroy();
+  },
+
+
+  async testListSpeakers() {
+    const store = TestUtils.createStore();
+    console.assert((await store.listSpeakers()).length === 0, 'Nobody yet');
+
+    await store.addMany([
+      TestUtils.transcript('dp', 'one', 1000),
+      TestUtils.transcript('kira', 'two', 2000),
+      TestUtils.transcript('dp', 'three', 3000),
+      TestUtils.transcript('amy', 'four', 4000),
+      { id: 'legacy:5000', userId: 'legacy', text: 'five', timestamp: 5000 }
+    ]);
+
+    const speakers = await store.listSpeakers();
+    console.assert(speakers.map(({ key, count }) => `${key}:${count}`).join() === 'dp:2,amy:1,kira:1,Unknown:1',
+      `Counted per speaker, most active first, nameless ones too: ${JSON.stringify(speakers)}`);
+
+    await store.destroy();
+  },
+
+
+  async testMigration() {
+    const storage = TestUtils.mockStorage({
+      transcriptions: [
+        { id: '1000-dp', userId: 'dp', speaker: 'DP', text: 'old one', timestamp: 1000 },
+        { userId: 'kira', speaker: 'Kira', text: 'old two', timestamp: 2000 },
+        { text: 'corrupt entry' }
+      ]
+    });
+    const store = TestUtils.createStore();
+
+    try {
+      const migrated = await store.migrateFromStorage();
+      console.assert(migrated === 2, `Should migrate valid entries, got ${migrated}`);
+      console.assert(!('transcriptions' in storage.data), 'Should remove the old storage key');
+      console.assert(await store.get('1000-dp'), 'Should keep existing ids');
+      console.assert(await store.get('kira:2000'), 'Should assign ids to entries without one');
+
+      console.assert(await store.migrateFromStorage() === 0, 'Second run should be a no-op');
+      console.assert(await store.count() === 2, 'Should not duplicate on re-run');
+    } finally {
+      storage.restore();
+      await store.destroy();
+    }
+  },
+
+
+  async testPrune() {
+    const store = TestUtils.createStore({ maxItems: 5, pruneInterval: 3 });
+
+    for (let i = 0; i < 9; i++) {
+      await store.add(TestUtils.transcript('a', `t${i}`, i * 1000));
+    }
+
+    // Pruned after writes 3, 6 and 9
+    console.assert(await store.count() === 5, 'Should cap the history');
+    const { items } = await store.query({ order: 'asc' });
+    console.assert(items[0].text === 't4', 'Should drop the oldest first');
+
+    await store.clear();
+    console.assert(await store.count() === 0, 'Clear should remove everything');
+
+    await store.destroy();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Add and Get', TranscriptStoreTests.testAddAndGet],
+    ['Query Order', TranscriptStoreTests.testQueryOrder],
+    ['Pagination', TranscriptStoreTests.testPagination],
+    ['Indexed Filters', TranscriptStoreTests.testIndexedFilters],
+    ['Text Search', TranscriptStoreTests.testTextSearch],
+    ['List Speakers', TranscriptStoreTests.testListSpeakers],
+    ['Migration', TranscriptStoreTests.testMigration],
+    ['Prune', TranscriptStoreTests.testPrune]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptStoreTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
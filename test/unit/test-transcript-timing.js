@@ -0,0 +1,141 @@
+import {
+  parseTimings,
+  anchorTimings,
+  dropLeadingWords,
+  timedSegments,
+  timedWords
+} from '../../src/modules/transcript-timing.js';
+
+const TestUtils = {
+
+  start: 1700000000000,
+
+
+  // Trimmed whisper-1 verbose_json with both granularities
+  verboseJson() {
+    return {
+      task: 'transcribe',
+      language: 'english',
+      duration: 6.2,
+      text: 'Long NVDA from 116. Stop under 118.',
+      segments: [
+        { id: 0, start: 0.0, end: 2.4, text: ' Long NVDA from 116.', avg_logprob: -0.2 },
+        { id: 1, start: 3.1, end: 5.9, text: ' Stop under 118.', avg_logprob: -0.3 }
+      ],
+      words: [
+        { word: 'Long', start: 0.1, end: 0.4 },
+        { word: 'NVDA', start: 0.5, end: 1.1 },
+        { word: 'from', start: 1.2, end: 1.4 },
+        { word: '116', start: 1.5, end: 2.3 },
+        { word: 'Stop', start: 3.2, end: 3.6 },
+        { word: 'under', start: 3.7, end: 4.1 },
+        { word: '118', start: 4.2, end: 5.8 }
+      ]
+    };
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptTimingTests = {
+
+  async testParseTimings() {
+    const timings = parseTimings(TestUtils.verboseJson());
+    console.assert(timings.segments.length === 2 && timings.words.length === 7, 'Should read segments and words');
+    console.assert(timings.segments[0].text === 'Long NVDA from 116.', 'Should trim segment text');
+
+    // faster-whisper nests words in segments
+    const nested = parseTimings({
+      segments: [{ start: 0, end: 1, text: 'Buy it', words: [{ word: ' Buy', start: 0, end: 0.4 }, { word: ' it', start: 0.5, end: 0.9 }] }]
+    });
+    console.assert(nested.words.length === 2 && nested.words[0].word === 'Buy', 'Should collect nested words');
+
+    console.assert(parseTimings({ text: 'plain json' }) === null, 'Plain responses have no timings');
+    console.assert(parseTimings({ segments: [{ start: 'x', end: 1, text: 'bad' }] }) === null, 'Should skip malformed segments');
+  },
+
+
+  async testAnchorAndDrop() {
+    const anchored = anchorTimings(parseTimings(TestUtils.verboseJson()), TestUtils.start);
+    console.assert(anchored.segments[1].start === TestUtils.start + 3100, 'Segments move onto the wall clock');
+    console.assert(anchored.words[3].end === TestUtils.start + 2300, 'Words move onto the wall clock');
+
+    // The merger dropped "Long NVDA" as overlap
+    const trimmed = dropLeadingWords(anchored, 2);
+    console.assert(trimmed.segments[0].text === 'from 116.', `Should trim the segment text, got "${trimmed.segments[0].text}"`);
+    console.assert(trimmed.segments[0].start === TestUtils.start + 1200, 'Trimmed segment starts at its first kept word');
+    console.assert(trimmed.words[0].word === 'from' && trimmed.words.length === 5, 'Should drop the same words');
+
+    const rest = dropLeadingWords(anchored, 4);
+    console.assert(rest.segments.length === 1 && rest.segments[0].text === 'Stop under 118.', 'Fully dropped segments go');
+    console.assert(dropLeadingWords(anchored, 0) === anchored, 'Nothing dropped, nothing changed');
+  },
+
+
+  async testTimedSegments() {
+    const plain = { text: 'No timings here', timestamp: TestUtils.start, duration: 2.5 };
+    const [only] = timedSegments(plain);
+    console.assert(only.start === TestUtils.start && only.end === TestUtils.start + 2500, 'Falls back to the chunk');
+    console.assert(timedSegments({ ...plain, duration: 0 })[0].end === TestUtils.start + 3000, 'Default cue length');
+
+    const timed = { ...plain, segments: anchorTimings(parseTimings(TestUtils.verboseJson()), TestUtils.start).segments };
+    console.assert(timedSegments(timed).length === 2, 'Uses the provider segments');
+  },
+
+
+  async testTimedWords() {
+    const { segments, words } = anchorTimings(parseTimings(TestUtils.verboseJson()), TestUtils.start);
+    const transcription = { text: 'Long NVDA from $116. Stop under 118.', timestamp: TestUtils.start, segments, words };
+
+    const timed = timedWords(transcription);
+    console.assert(timed.length === 7, 'One entry per word of text');
+    console.assert(timed[3].text === '$116.' && timed[3].time === TestUtils.start + 1500, 'Punctuation and currency still match');
+    console.assert(timed[6].time === TestUtils.start + 4200, 'Later words keep their times');
+    console.assert(transcription.text.slice(timed[4].offset, timed[4].offset + 4) === 'Stop', 'Offsets point into the text');
+
+    // A word Whisper's word list left out takes the next word's time without shifting the rest
+    const gap = timedWords({ ...transcription, text: 'Long NVDA uh from $116. Stop under 118.' });
+    console.assert(gap[2].time === TestUtils.start + 1200 && gap[3].time === TestUtils.start + 1200, 'Unmatched words borrow a neighbour');
+    console.assert(gap[7].time === TestUtils.start + 4200, 'Alignment recovers after a miss');
+
+    // Segments only
+    const bySegment = timedWords({ ...transcription, words: undefined });
+    console.assert(bySegment[5].time === TestUtils.start + 3100, 'Words take their segment start');
+
+    // Nothing but the chunk
+    const chunk = timedWords({ text: 'Stop under 118', timestamp: TestUtils.start });
+    console.assert(chunk.every(w => w.time === TestUtils.start), 'Words take the chunk start');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Parse Timings', TranscriptTimingTests.testParseTimings],
+    ['Anchor and Drop', TranscriptTimingTests.testAnchorAndDrop],
+    ['Timed Segments', TranscriptTimingTests.testTimedSegments],
+    ['Timed Words', TranscriptTimingTests.testTimedWords]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptTimingTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
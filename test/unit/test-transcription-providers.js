@@ -0,0 +1,346 @@
+
+
+import {
+  createProvider,
+  getPath,
+  parseRetryAfter,
+  PROVIDER_TYPES,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  CustomJSONProvider
+} from '../../src/modules/transcription-providers.js';
+
+const TestUtils = {
+
+  mockFetch(responder) {
+    const calls = [];
+    const originalFetch = window.fetch;
+
+    window.fetch = async (url, init = {}) => {
+      calls.push({ url, init });
+      const { status = 200, body = {}, headers = {} } = responder(url, init) || {};
+      return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: TestUtils.headers(headers),
+        json: async () => body,
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+      };
+    };
+
+    return {
+      calls,
+      restore: () => { window.fetch = originalFetch; }
+    };
+  },
+
+
+  headers(values) {
+    return { get: name => values[name.toLowerCase()] ?? null };
+  },
+
+
+  createAudioBlob() {
+    return new Blob([new Uint8Array([82, 73, 70, 70])], { type: 'audio/wav' });
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptionProviderTests = {
+
+  async testFactory() {
+    console.assert(createProvider() instanceof OpenAIProvider, 'Should default to OpenAI');
+    console.assert(
+      createProvider({ type: PROVIDER_TYPES.OPENAI_COMPATIBLE }) instanceof OpenAICompatibleProvider,
+      'Should create OpenAI-compatible provider'
+    );
+    console.assert(
+      createProvider({ type: PROVIDER_TYPES.CUSTOM_JSON, endpoint: 'https://x.test' }) instanceof CustomJSONProvider,
+      'Should create custom JSON provider'
+    );
+
+    let threw = false;
+    try {
+      createProvider({ type: 'carrier-pigeon' });
+    } catch (e) {
+      threw = e.message.includes('Unknown transcription provider');
+    }
+    console.assert(threw, 'Should reject unknown provider types');
+
+
+    const provider = createProvider({ type: PROVIDER_TYPES.OPENAI, model: '', endpoint: '' });
+    console.assert(provider.config.model === 'whisper-1', 'Blank settings should fall back to defaults');
+  },
+
+
+  async testConfiguration() {
+    console.assert(!createProvider({ type: 'openai' }).isConfigured(), 'OpenAI needs a key');
+    console.assert(createProvider({ type: 'openai', apiKey: 'sk-test' }).isConfigured(), 'OpenAI with key is configured');
+    console.assert(createProvider({ type: 'openai-compatible' }).isConfigured(), 'Local server needs no key by default');
+    console.assert(!createProvider({ type: 'custom-json' }).isConfigured(), 'Custom provider needs an endpoint');
+  },
+
+
+  async testOpenAIRequest() {
+    const fetchMock = TestUtils.mockFetch(() => ({ body: { text: ' Buying NVDA here ' } }));
+    const provider = createProvider({ type: 'openai', apiKey: 'sk-test-key' });
+
+    const result = await provider.transcribe(TestUtils.createAudioBlob(), { prompt: 'Speaker: DP.' });
+    const { url, init } = fetchMock.calls[0];
+
+    console.assert(url === 'https://api.openai.com/v1/audio/transcriptions', 'Should post to OpenAI');
+    console.assert(init.headers.Authorization === 'Bearer sk-test-key', 'Should use bearer auth');
+    console.assert(init.body.get('model') === 'whisper-1', 'Should send model');
+    console.assert(init.body.get('language') === 'en', 'Should send language');
+    console.assert(init.body.get('response_format') === 'verbose_json', 'Should ask for timings');
+    console.assert(init.body.getAll('timestamp_granularities[]').join() === 'segment,word', 'Should ask for segment and word timings');
+    console.assert(init.body.get('prompt') === 'Speaker: DP.', 'Should send prompt');
+    console.assert(init.body.get('file') instanceof Blob, 'Should send audio file');
+    console.assert(result.text === ' Buying NVDA here ', 'Should return text');
+
+    fetchMock.restore();
+  },
+
+
+  async testCompatibleFieldMapping() {
+    const fetchMock = TestUtils.mockFetch(() => ({ body: { text: 'ok' } }));
+    const provider = createProvider({
+      type: 'openai-compatible',
+      endpoint: 'http://localhost:8080/inference',
+      fieldMap: { model: '', prompt: 'initial_prompt' }
+    });
+
+    await provider.transcribe(TestUtils.createAudioBlob(), { prompt: 'VWAP' });
+    const { url, init } = fetchMock.calls[0];
+
+    console.assert(url === 'http://localhost:8080/inference', 'Should use configured endpoint');
+    console.assert(init.headers.Authorization === undefined, 'Should not send auth by default');
+    console.assert(init.body.get('initial_prompt') === 'VWAP', 'Should rename mapped fields');
+    console.assert(init.body.get('prompt') === null, 'Should not send original field name');
+    console.assert(init.body.get('model') === null, 'Should omit blanked fields');
+
+    fetchMock.restore();
+  },
+
+
+  async testCustomJSONProvider() {
+    const fetchMock = TestUtils.mockFetch(() => ({
+      body: { results: [{ transcript: 'Stop at 118' }] }
+    }));
+    const provider = createProvider({
+      type: 'custom-json',
+      endpoint: 'https://transcribe.example.com/api',
+      authType: 'header',
+      authHeader: 'X-API-Key',
+      apiKey: 'secret',
+      textPath: 'results.0.transcript'
+    });
+
+    const result = await provider.transcribe(TestUtils.createAudioBlob(), { prompt: 'Kira' });
+    const { init } = fetchMock.calls[0];
+    const body = JSON.parse(init.body);
+
+    console.assert(init.headers['X-API-Key'] === 'secret', 'Should use custom auth header');
+    console.assert(init.headers['Content-Type'] === 'application/json', 'Should send JSON');
+    console.assert(body.audio === 'UklGRg==', 'Should base64 encode audio');
+    console.assert(body.format === 'wav' && body.sample_rate === 16000, 'Should describe audio');
+    console.assert(body.prompt === 'Kira', 'Should include prompt');
+    console.assert(result.text === 'Stop at 118', 'Should parse text at configured path');
+
+    fetchMock.restore();
+  },
+
+
+  async testUploadFormats() {
+    const openai = createProvider({ type: 'openai', apiKey: 'sk-test-key' });
+    console.assert(openai.getFormats().join() === 'opus,flac,wav', 'OpenAI prefers compressed uploads');
+    console.assert(createProvider({ type: 'openai-compatible' }).getFormats().join() === 'wav', 'Local servers get WAV');
+    console.assert(createProvider({ type: 'openai', format: 'flac' }).getFormats().join() === 'flac', 'A chosen format is pinned');
+    console.assert(createProvider({ type: 'openai', format: '' }).getFormats()[0] === 'opus', 'Blank means automatic');
+    console.assert(openai.describe().formats.length === 3, 'Formats described');
+
+    const fetchMock = TestUtils.mockFetch(() => ({ body: { text: 'ok' } }));
+    await openai.transcribe(TestUtils.createAudioBlob(), { filename: 'audio.webm' });
+    console.assert(fetchMock.calls[0].init.body.get('file').name === 'audio.webm', 'Filename tells the API the format');
+
+    const custom = createProvider({ type: 'custom-json', endpoint: 'https://transcribe.example.com/api', authType: 'none' });
+    await custom.transcribe(TestUtils.createAudioBlob(), { filename: 'audio.flac' });
+    console.assert(JSON.parse(fetchMock.calls[1].init.body).format === 'flac', 'Custom JSON names the format');
+
+    fetchMock.restore();
+  },
+
+
+  async testTimestamps() {
+    const verbose = {
+      text: 'Stop under 118',
+      segments: [{ start: 0.2, end: 1.8, text: ' Stop under 118' }],
+      words: [{ word: 'Stop', start: 0.2, end: 0.5 }, { word: 'under', start: 0.6, end: 0.9 }, { word: '118', start: 1.0, end: 1.8 }]
+    };
+    const fetchMock = TestUtils.mockFetch(() => ({ body: verbose }));
+
+    const result = await createProvider({ type: 'openai', apiKey: 'sk-test' }).transcribe(TestUtils.createAudioBlob());
+    console.assert(result.timings.segments.length === 1 && result.timings.words.length === 3, 'Should return timings');
+    console.assert(result.timings.words[2].start === 1.0, 'Timings stay relative to the clip');
+
+    // gpt-4o transcription models have no verbose_json
+    const gpt4o = createProvider({ type: 'openai', apiKey: 'sk-test', model: 'gpt-4o-transcribe' });
+    await gpt4o.transcribe(TestUtils.createAudioBlob());
+    console.assert(fetchMock.calls[1].init.body.get('response_format') === 'json', 'Should fall back to json');
+    console.assert(fetchMock.calls[1].init.body.get('timestamp_granularities[]') === null, 'Should not ask for granularities');
+    fetchMock.restore();
+
+    // A server that rejects verbose_json is asked again without it, and not asked for it again
+    const rejecting = TestUtils.mockFetch((url, init) => (
+      init.body.get('response_format') === 'verbose_json'
+        ? { status: 400, body: 'Unsupported response_format' }
+        : { body: { text: 'ok' } }
+    ));
+    const local = createProvider({ type: 'openai-compatible' });
+    const first = await local.transcribe(TestUtils.createAudioBlob());
+    await local.transcribe(TestUtils.createAudioBlob());
+    console.assert(first.text === 'ok' && first.timings === null, 'Should degrade to text only');
+    console.assert(rejecting.calls.length === 3, `Should retry once then remember, got ${rejecting.calls.length} calls`);
+    console.assert(!local.describe().timestamps, 'Should report timings as unavailable');
+    rejecting.restore();
+
+    // Custom APIs are read at the configured paths
+    const custom = TestUtils.mockFetch(() => ({ body: { result: { text: 'hi', chunks: [{ start: 0, end: 1, text: 'hi' }] } } }));
+    const customResult = await createProvider({
+      type: 'custom-json',
+      endpoint: 'https://x.test',
+      authType: 'none',
+      textPath: 'result.text',
+      segmentsPath: 'result.chunks'
+    }).transcribe(TestUtils.createAudioBlob());
+    console.assert(customResult.timings.segments[0].text === 'hi', 'Should read segments at the configured path');
+    custom.restore();
+  },
+
+
+  async testErrorHandling() {
+    const fetchMock = TestUtils.mockFetch(() => ({ status: 429, body: 'slow down' }));
+    const provider = createProvider({ type: 'openai', apiKey: 'sk-test' });
+
+    let error = null;
+    try {
+      await provider.transcribe(TestUtils.createAudioBlob());
+    } catch (e) {
+      error = e;
+    }
+
+    console.assert(error && error.status === 429, 'Should expose HTTP status');
+    console.assert(error.message.includes('Whisper API error: 429'), 'Should keep error format');
+
+    let keyError = null;
+    try {
+      await createProvider({ type: 'openai' }).transcribe(TestUtils.createAudioBlob());
+    } catch (e) {
+      keyError = e;
+    }
+    console.assert(keyError && keyError.message.includes('API key'), 'Should refuse without a key');
+    console.assert(fetchMock.calls.length === 1, 'Should not call API without a key');
+
+    fetchMock.restore();
+  },
+
+
+  async testRetryAfter() {
+    const fetchMock = TestUtils.mockFetch(() => ({ status: 429, body: 'slow down', headers: { 'retry-after': '7' } }));
+    const provider = createProvider({ type: 'openai', apiKey: 'sk-test' });
+
+    let error = null;
+    try {
+      await provider.transcribe(TestUtils.createAudioBlob());
+    } catch (e) {
+      error = e;
+    }
+    console.assert(error?.retryAfter === 7000, `429 carries Retry-After in ms: ${error?.retryAfter}`);
+    fetchMock.restore();
+
+    const now = Date.parse('2026-01-05T15:00:00Z');
+    console.assert(parseRetryAfter(TestUtils.headers({ 'retry-after-ms': '1500', 'retry-after': '2' }), now) === 1500,
+      'Milliseconds header wins');
+    console.assert(parseRetryAfter(TestUtils.headers({ 'retry-after': '0.5' }), now) === 500, 'Fractional seconds');
+    console.assert(parseRetryAfter(TestUtils.headers({ 'retry-after': 'Mon, 05 Jan 2026 15:00:30 GMT' }), now) === 30000,
+      'HTTP date');
+    console.assert(parseRetryAfter(TestUtils.headers({ 'retry-after': 'soon' }), now) === null, 'Unreadable is null');
+    console.assert(parseRetryAfter(TestUtils.headers({}), now) === null, 'Missing is null');
+    console.assert(parseRetryAfter(undefined, now) === null, 'No headers at all');
+
+    const limits = createProvider({ type: 'openai', apiKey: 'sk-test', requestsPerMinute: 500 }).getRateLimits();
+    console.assert(limits.requestsPerMinute === 500 && limits.audioMinutesPerHour === null, 'Limits from settings');
+    console.assert(createProvider({ type: 'openai-compatible', endpoint: 'http://localhost:8080' }).getRateLimits().requestsPerMinute === null,
+      'Self-hosted is unlimited by default');
+    const lifted = createProvider({ type: 'openai', apiKey: 'sk-test', requestsPerMinute: 0, audioMinutesPerHour: '' }).getRateLimits();
+    console.assert(lifted.requestsPerMinute === null, 'A limit of 0 turns the default off');
+    console.assert(createProvider({ type: 'openai', requestsPerMinute: '' }).getRateLimits().requestsPerMinute === 50,
+      'A blank limit keeps the default');
+  },
+
+
+  async testProviderSelfTest() {
+    const fetchMock = TestUtils.mockFetch((url) => (
+      url.endsWith('/models') ? { body: { data: [] } } : { body: { text: '' } }
+    ));
+
+    const openai = await createProvider({ type: 'openai', apiKey: 'sk-test' }).test();
+    console.assert(openai.ok, 'OpenAI test should pass');
+    console.assert(fetchMock.calls[0].url === 'https://api.openai.com/v1/models', 'OpenAI test should list models');
+
+    const local = await createProvider({ type: 'openai-compatible' }).test();
+    console.assert(local.ok, 'Local test should pass');
+    console.assert(fetchMock.calls[1].url === 'http://localhost:8080/v1/audio/transcriptions',
+      'Local test should hit the transcription endpoint');
+
+    fetchMock.restore();
+  },
+
+
+  async testGetPath() {
+    const obj = { a: { b: [{ c: 'deep' }] } };
+    console.assert(getPath(obj, 'a.b.0.c') === 'deep', 'Should resolve nested paths');
+    console.assert(getPath(obj, 'a.x.y') === undefined, 'Should tolerate missing paths');
+    console.assert(getPath(obj, '') === obj, 'Empty path returns object');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Factory', TranscriptionProviderTests.testFactory],
+    ['Configuration', TranscriptionProviderTests.testConfiguration],
+    ['OpenAI Request', TranscriptionProviderTests.testOpenAIRequest],
+    ['Compatible Field Mapping', TranscriptionProviderTests.testCompatibleFieldMapping],
+    ['Custom JSON Provider', TranscriptionProviderTests.testCustomJSONProvider],
+    ['Upload Formats', TranscriptionProviderTests.testUploadFormats],
+    ['Timestamps', TranscriptionProviderTests.testTimestamps],
+    ['Error Handling', TranscriptionProviderTests.testErrorHandling],
+    ['Retry-After', TranscriptionProviderTests.testRetryAfter],
+    ['Provider Self-Test', TranscriptionProviderTests.testProviderSelfTest],
+    ['Path Lookup', TranscriptionProviderTests.testGetPath]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptionProviderTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
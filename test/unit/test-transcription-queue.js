@@ -0,0 +1,274 @@
+import { TranscriptionQueue } from '../../src/modules/transcription-queue.js';
+import { AudioProcessor } from '../../src/modules/audio-processor.js';
+import { SEGMENT_END_REASONS } from '../../src/modules/voice-activity-detector.js';
+import { floatToInt16 } from '../../src/modules/audio-encoder.js';
+
+const SAMPLE_RATE = 16000;
+
+const TestUtils = {
+
+  start: 1000000,
+
+
+  httpError(status) {
+    const error = new Error(`Transcription API error: ${status} - boom`);
+    error.status = status;
+    return error;
+  },
+
+
+  /**
+   * Queue around a scripted API: each call takes the next outcome from
+   * `script` (an Error to fail, anything else to succeed), then succeeds
+   */
+  createQueue(script = [], options = {}) {
+    const calls = [];
+    const givenUp = [];
+    const queue = new TranscriptionQueue({
+      initialBackoff: 10,
+      maxBackoff: 40,
+      transcribe: async (streamId, segment) => {
+        calls.push(`${streamId}:${segment.id}`);
+        const outcome = script.shift();
+        if (outcome instanceof Error) throw outcome;
+      },
+      onGiveUp: (streamId, segment, error, attempts) => {
+        givenUp.push({ streamId, id: segment.id, error, attempts });
+      },
+      ...options
+    });
+    return { queue, calls, givenUp };
+  },
+
+
+  speech(seconds, amplitude = 0.2) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / SAMPLE_RATE;
+      let value = 0;
+      for (let h = 1; h <= 8; h++) {
+        value += Math.sin(2 * Math.PI * 140 * h * t) / h;
+      }
+      const envelope = 0.35 + 0.65 * Math.abs(Math.sin(Math.PI * 4 * t));
+      samples[i] = value * envelope * amplitude / 2;
+    }
+    return samples;
+  },
+
+
+  // Feeds samples to the processor in worklet-sized chunks, keeping time continuous
+  createFeeder(processor, streamId) {
+    let sent = 0;
+    return samples => {
+      const pcm = floatToInt16(samples);
+      for (let offset = 0; offset < pcm.length; offset += 4096) {
+        processor.push({
+          streamId,
+          chunk: pcm.slice(offset, offset + 4096),
+          timestamp: TestUtils.start + sent / SAMPLE_RATE * 1000
+        });
+        sent += Math.min(4096, pcm.length - offset);
+      }
+    };
+  },
+
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const TranscriptionQueueTests = {
+
+  async testOrderAndPriority() {
+    const { queue, calls } = TestUtils.createQueue([], {
+      priority: streamId => (streamId === 'mod' ? 2 : 0)
+    });
+    queue.push('member', { id: 1 });
+    queue.push('member', { id: 2 });
+    queue.push('mod', { id: 1 });
+    await queue.process();
+
+    console.assert(calls.join() === 'mod:1,member:1,member:2', `Moderator first, then in spoken order: ${calls}`);
+    console.assert(queue.size('member') === 0 && queue.queues.size === 0, 'Lists emptied');
+  },
+
+
+  async testFailedSegmentIsRetried() {
+    const { queue, calls, givenUp } = TestUtils.createQueue([TestUtils.httpError(500)]);
+    queue.push('dp', { id: 1 });
+    queue.push('dp', { id: 2 });
+
+    await queue.process();
+    console.assert(calls.join() === 'dp:1', `Stops at the failure: ${calls}`);
+    console.assert(queue.pending('dp').map(s => s.id).join() === '1,2', 'Failed segment back at the head');
+    console.assert(queue.getErrors()[0].retries === 1, 'Attempt counted');
+
+    // Later audio from the same speaker waits its turn too
+    queue.push('dp', { id: 3 });
+    await queue.process();
+    console.assert(calls.length === 1, 'Nothing sent during the backoff');
+
+    await TestUtils.wait(30);
+    console.assert(calls.join() === 'dp:1,dp:1,dp:2,dp:3', `Same segment resent, then the rest: ${calls}`);
+    console.assert(givenUp.length === 0 && queue.getErrors().length === 0, 'Nothing lost; error cleared on success');
+    queue.destroy();
+  },
+
+
+  async testBackoffAndGiveUp() {
+    const errors = Array.from({ length: 4 }, () => TestUtils.httpError(500));
+    const { queue, calls, givenUp } = TestUtils.createQueue(errors, { maxRetries: 3 });
+    const delays = [];
+    const originalSetTimeout = globalThis.setTimeout;
+    globalThis.setTimeout = (fn, ms) => {
+      delays.push(ms);
+      return originalSetTimeout(fn, 0);
+    };
+
+    try {
+      queue.push('dp', { id: 1 });
+      queue.push('dp', { id: 2 });
+      await queue.process();
+      for (let i = 0; i < 5 && givenUp.length === 0; i++) {
+        await new Promise(resolve => originalSetTimeout(resolve, 5));
+      }
+    } finally {
+      globalThis.setTimeout = originalSetTimeout;
+    }
+    await TestUtils.wait(5);
+
+    console.assert(delays.slice(0, 3).join() === '10,20,40', `Doubling backoff, capped: ${delays}`);
+    console.assert(givenUp.length === 1 && givenUp[0].id === 1 && givenUp[0].attempts === 4,
+      `Handed over after the last retry: ${JSON.stringify(givenUp)}`);
+    console.assert(calls.join() === 'dp:1,dp:1,dp:1,dp:1,dp:2', `Then the next segment goes: ${calls}`);
+    queue.destroy();
+  },
+
+
+  async testDeferralAndUnretryable() {
+    const keyError = new Error('No API key configured');
+    const { queue, calls, givenUp } = TestUtils.createQueue([TestUtils.httpError(429), keyError], {
+      isDeferral: error => error.status === 429,
+      isRetryable: error => !error.message.includes('API key')
+    });
+    queue.push('dp', { id: 1 });
+    queue.push('dp', { id: 2 });
+    await queue.process();
+
+    console.assert(calls.join() === 'dp:1,dp:1,dp:2', `429 goes straight back in line: ${calls}`);
+    console.assert(givenUp.length === 1 && givenUp[0].id === 1 && givenUp[0].attempts === 1,
+      'A missing key is not retried, but the audio is kept');
+    console.assert(queue.retryTimers.size === 0, 'No backoff for either');
+  },
+
+
+  async testPendingIncludesInFlight() {
+    let release;
+    const { queue } = TestUtils.createQueue([], {
+      transcribe: () => new Promise(resolve => { release = resolve; })
+    });
+    queue.push('dp', { id: 1 });
+    queue.push('dp', { id: 2 });
+    const done = queue.process();
+
+    console.assert(queue.isActive('dp') && queue.activeCount === 1, 'Request out');
+    console.assert(queue.pending('dp').map(s => s.id).join() === '1,2', 'Saved state keeps the segment in flight');
+    console.assert(queue.size('dp') === 1, 'One still waiting');
+
+    release();
+    await TestUtils.wait(0);
+    release();
+    await done;
+    console.assert(queue.pending('dp').length === 0, 'All sent');
+  },
+
+
+  async testFailureLeavesLiveAudioAlone() {
+    // A 500 on one utterance must not cut the speaker's next one short
+    const script = [TestUtils.httpError(500)];
+    const sent = [];
+    const queue = new TranscriptionQueue({
+      initialBackoff: 20,
+      transcribe: async (streamId, segment) => {
+        sent.push(segment);
+        const outcome = script.shift();
+        if (outcome instanceof Error) throw outcome;
+      }
+    });
+    const processor = new AudioProcessor({
+      segmenter: { speechEndPause: 0.4 },
+      onSegments: (streamId, segments) => {
+        segments.forEach(segment => queue.push(streamId, segment));
+        queue.process();
+      }
+    });
+    const feed = TestUtils.createFeeder(processor, 'dp');
+    const silence = seconds => new Float32Array(Math.round(seconds * SAMPLE_RATE));
+
+    // First utterance ends at the pause and fails
+    feed(silence(1));
+    feed(TestUtils.speech(2));
+    feed(silence(1));
+    await processor.sending;
+    await TestUtils.wait(0);
+    console.assert(sent.length === 1 && queue.size('dp') === 1, 'First utterance failed and is waiting to retry');
+
+    // Second utterance is under way when the retry goes
+    feed(TestUtils.speech(1.5));
+    await TestUtils.wait(60);
+    console.assert(sent.length === 2 && sent[1] === sent[0], 'The failed utterance itself was resent');
+    console.assert(processor.segmenters.get('dp').isSpeaking(), 'The speaker is still mid-utterance');
+
+    feed(TestUtils.speech(1.5));
+    feed(silence(1));
+    await processor.sending;
+    await TestUtils.wait(0);
+
+    const [first, , second] = sent;
+    console.assert(sent.length === 3, `Two utterances, one retry: ${sent.length} requests`);
+    console.assert(first.reason === SEGMENT_END_REASONS.SPEECH_END && second.reason === SEGMENT_END_REASONS.SPEECH_END,
+      `Both ended at the pause: ${first.reason}, ${second.reason}`);
+    console.assert(second.duration >= 3, `Second utterance whole: ${second.duration}s`);
+    console.assert(second.startTime > first.startTime + first.duration * 1000, 'In order');
+
+    processor.destroy();
+    queue.destroy();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Order and Priority', TranscriptionQueueTests.testOrderAndPriority],
+    ['Failed Segment Is Retried', TranscriptionQueueTests.testFailedSegmentIsRetried],
+    ['Backoff and Give Up', TranscriptionQueueTests.testBackoffAndGiveUp],
+    ['Deferral and Unretryable Errors', TranscriptionQueueTests.testDeferralAndUnretryable],
+    ['Pending Includes In-Flight', TranscriptionQueueTests.testPendingIncludesInFlight],
+    ['Failure Leaves Live Audio Alone', TranscriptionQueueTests.testFailureLeavesLiveAudioAlone]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, TranscriptionQueueTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,262 @@
+import {
+  SpeechSegmenter,
+  VoiceActivityDetector,
+  computeFrameFeatures,
+  SEGMENT_END_REASONS
+} from '../../src/modules/voice-activity-detector.js';
+
+const SAMPLE_RATE = 16000;
+
+const TestUtils = {
+
+  // Seeded so the fixtures are identical on every run
+  random(seed = 1) {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+  },
+
+
+  // Voiced speech stand-in: a 140 Hz harmonic stack with a syllable-rate envelope
+  speech(seconds, amplitude = 0.2) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / SAMPLE_RATE;
+      let value = 0;
+      for (let h = 1; h <= 8; h++) {
+        value += Math.sin(2 * Math.PI * 140 * h * t) / h;
+      }
+      const envelope = 0.35 + 0.65 * Math.abs(Math.sin(Math.PI * 4 * t));
+      samples[i] = value * envelope * amplitude / 2;
+    }
+    return samples;
+  },
+
+
+  noise(seconds, amplitude = 0.0005, seed = 1) {
+    const next = this.random(seed);
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = (next() * 2 - 1) * amplitude * Math.sqrt(3);
+    }
+    return samples;
+  },
+
+
+  mix(...parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Float32Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  },
+
+
+  addNoise(samples, amplitude, seed = 7) {
+    const noise = this.noise(samples.length / SAMPLE_RATE, amplitude, seed);
+    return samples.map((v, i) => v + noise[i]);
+  },
+
+
+  // Feed audio the way the page delivers it: 4096-sample chunks with contiguous timestamps
+  feed(segmenter, samples, start = 1000000, chunkSize = 4096) {
+    const segments = [];
+    for (let offset = 0; offset < samples.length; offset += chunkSize) {
+      const chunk = samples.subarray(offset, offset + chunkSize);
+      segments.push(...segmenter.push(chunk, start + offset / SAMPLE_RATE * 1000));
+    }
+    return segments;
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const VoiceActivityDetectorTests = {
+
+  async testFrameFeatures() {
+    const voiced = computeFrameFeatures(TestUtils.speech(0.02));
+    const noise = computeFrameFeatures(TestUtils.noise(0.02, 0.1));
+
+    console.assert(voiced.zcr < 0.1, `Voiced frames cross zero rarely, got ${voiced.zcr}`);
+    console.assert(noise.zcr > 0.35, `Noise crosses zero often, got ${noise.zcr}`);
+    console.assert(voiced.highBandRatio < 0.2, `Voiced energy is low-band, got ${voiced.highBandRatio}`);
+    console.assert(noise.highBandRatio > 0.7, `Noise is broadband, got ${noise.highBandRatio}`);
+    console.assert(Math.abs(noise.rms - 0.1) < 0.02, `RMS of the noise fixture, got ${noise.rms}`);
+    console.assert(computeFrameFeatures(new Float32Array(320)).rms === 0, 'Digital silence has no energy');
+  },
+
+
+  async testOnsetAndHangover() {
+    const vad = new VoiceActivityDetector({ onsetFrames: 3, hangoverFrames: 5 });
+    const speech = TestUtils.speech(0.02);
+    const quiet = new Float32Array(320);
+
+    const events = [speech, speech, speech, quiet, quiet, speech, quiet, quiet, quiet, quiet, quiet]
+      .map(frame => vad.process(frame).event);
+
+    console.assert(events[2] === 'start', `Should start after the onset frames, got ${events}`);
+    console.assert(events.slice(3, 10).every(e => e === null), 'Short pauses are bridged');
+    console.assert(events[10] === 'end', 'Should end once the hangover runs out');
+  },
+
+
+  async testSegmentsOnPauses() {
+    const segmenter = new SpeechSegmenter();
+    const start = 1000000;
+    const audio = TestUtils.mix(
+      TestUtils.noise(0.5),
+      TestUtils.speech(2),
+      TestUtils.noise(1, 0.0005, 2),
+      TestUtils.speech(1.5),
+      TestUtils.noise(1, 0.0005, 3)
+    );
+
+    const segments = TestUtils.feed(segmenter, audio, start);
+    console.assert(segments.length === 2, `Should find two utterances, got ${segments.length}`);
+
+    const [first, second] = segments;
+    console.assert(first.reason === SEGMENT_END_REASONS.SPEECH_END, 'Should end on the pause');
+    console.assert(first.startTime >= start + 150 && first.startTime <= start + 500,
+      `Pre-roll should start just before the speech, got +${first.startTime - start}ms`);
+    console.assert(first.duration >= 2.2 && first.duration <= 2.8, `Should cover the phrase plus padding, got ${first.duration}s`);
+    console.assert(Math.abs(first.speechDuration - 2) < 0.2, `Should measure the speech, got ${first.speechDuration}s`);
+    console.assert(second.startTime >= start + 3200 && second.startTime <= start + 3500,
+      `Second utterance starts after the pause, got +${second.startTime - start}ms`);
+    console.assert(first.samples.length === Math.round(first.duration * SAMPLE_RATE), 'Samples match the duration');
+    console.assert(!segmenter.isSpeaking(), 'Nothing left in progress');
+  },
+
+
+  async testShortBlipsDropped() {
+    const segmenter = new SpeechSegmenter({ minUtterance: 0.5 });
+    const audio = TestUtils.mix(
+      TestUtils.noise(0.5),
+      TestUtils.speech(0.25),
+      TestUtils.noise(1, 0.0005, 2),
+      // A click
+      new Float32Array([0.9, -0.9, 0.9]),
+      TestUtils.noise(1, 0.0005, 3)
+    );
+
+    const segments = TestUtils.feed(segmenter, audio);
+    console.assert(segments.length === 0, `Blips should not become utterances, got ${segments.length}`);
+    console.assert(segmenter.getStats().discarded === 1, 'The short word is counted as discarded');
+  },
+
+
+  async testIgnoresSteadyNoise() {
+    const segmenter = new SpeechSegmenter();
+    const hiss = TestUtils.noise(3, 0.05, 4);
+    console.assert(TestUtils.feed(segmenter, hiss).length === 0, 'Loud broadband noise is not speech');
+    console.assert(segmenter.getStats().noiseFloor > 0.03, 'Noise floor should rise to the hiss');
+
+    // Speech over the same hiss
+    const audio = TestUtils.addNoise(TestUtils.mix(TestUtils.speech(2, 0.4), new Float32Array(16000)), 0.05, 5);
+    const segments = TestUtils.feed(segmenter, audio, 1003000);
+    console.assert(segments.length === 1, `Should still hear speech over noise, got ${segments.length}`);
+  },
+
+
+  async testMaxLengthSplits() {
+    const segmenter = new SpeechSegmenter({ maxUtterance: 5 });
+    const audio = TestUtils.mix(TestUtils.noise(0.5), TestUtils.speech(18), TestUtils.noise(1, 0.0005, 2));
+
+    const segments = TestUtils.feed(segmenter, audio);
+    console.assert(segments.length === 4, `18s should split into four pieces, got ${segments.length}`);
+    console.assert(segments.every(s => s.duration <= 5.001), 'No piece may exceed the maximum');
+    console.assert(segments.slice(0, 3).every(s => s.reason === SEGMENT_END_REASONS.MAX_LENGTH), 'Splits are labelled');
+
+    // Consecutive pieces butt up against each other
+    for (let i = 1; i < segments.length; i++) {
+      const previousEnd = segments[i - 1].startTime + segments[i - 1].duration * 1000;
+      console.assert(Math.abs(segments[i].startTime - previousEnd) <= 1, `Piece ${i} should follow on without a gap`);
+    }
+    console.assert(segmenter.getStats().splits === 3, 'Should count splits');
+  },
+
+
+  async testOverlapOnSplits() {
+    const segmenter = new SpeechSegmenter({ maxUtterance: 5, overlap: 1 });
+    const audio = TestUtils.mix(TestUtils.noise(0.5), TestUtils.speech(11), TestUtils.noise(1, 0.0005, 2));
+
+    const segments = TestUtils.feed(segmenter, audio);
+    console.assert(segments.length === 3, `Should split into three pieces, got ${segments.length}`);
+    console.assert(segments[0].overlap === 0, 'The first piece repeats nothing');
+
+    for (let i = 1; i < segments.length; i++) {
+      const previous = segments[i - 1];
+      const current = segments[i];
+      console.assert(Math.abs(current.overlap - 1) < 0.001, `Piece ${i} should carry a second of overlap`);
+
+      const previousEnd = previous.startTime + previous.duration * 1000;
+      console.assert(Math.abs(current.startTime - (previousEnd - 1000)) <= 1, `Piece ${i} should start a second early`);
+
+      // The shared second is the same audio in both
+      const shared = 16000;
+      const tail = previous.samples.subarray(previous.samples.length - shared);
+      console.assert(tail.every((v, k) => v === current.samples[k]), `Piece ${i} should repeat the previous tail`);
+    }
+  },
+
+
+  async testGapsAndFlush() {
+    const segmenter = new SpeechSegmenter();
+    const start = 1000000;
+
+    // Speech, then the page stops sending (silence isn't posted) and resumes later
+    TestUtils.feed(segmenter, TestUtils.speech(1), start);
+    console.assert(segmenter.isSpeaking(), 'Utterance in progress');
+
+    const later = segmenter.push(TestUtils.noise(0.1), start + 3000);
+    console.assert(later.length === 1 && later[0].reason === SEGMENT_END_REASONS.GAP, 'A jump in time ends the utterance');
+
+    TestUtils.feed(segmenter, TestUtils.speech(1.2), start + 5000);
+    const flushed = segmenter.flush();
+    console.assert(flushed.length === 1 && flushed[0].reason === SEGMENT_END_REASONS.FLUSH, 'Flush hands over the utterance');
+    console.assert(segmenter.flush().length === 0, 'Nothing left after a flush');
+
+    segmenter.updateConfig({ speechEndPause: 1.2 });
+    console.assert(segmenter.vad.config.hangoverFrames === 60, 'Pause setting drives the hangover');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Frame Features', VoiceActivityDetectorTests.testFrameFeatures],
+    ['Onset and Hangover', VoiceActivityDetectorTests.testOnsetAndHangover],
+    ['Segments on Pauses', VoiceActivityDetectorTests.testSegmentsOnPauses],
+    ['Short Blips Dropped', VoiceActivityDetectorTests.testShortBlipsDropped],
+    ['Ignores Steady Noise', VoiceActivityDetectorTests.testIgnoresSteadyNoise],
+    ['Max Length Splits', VoiceActivityDetectorTests.testMaxLengthSplits],
+    ['Overlap on Splits', VoiceActivityDetectorTests.testOverlapOnSplits],
+    ['Gaps and Flush', VoiceActivityDetectorTests.testGapsAndFlush]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, VoiceActivityDetectorTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,153 @@
+import {
+  WatchlistAlerts,
+  MATCH_TYPES,
+  SUPPRESSED,
+  matchRule,
+  parseKeywordRules,
+  stem
+} from '../../src/modules/watchlist-alerts.js';
+import { EntityExtractor } from '../../src/modules/entity-extractor.js';
+
+const TestUtils = {
+
+  start: Date.UTC(2026, 9, 19, 14, 30),
+
+  extractor: new EntityExtractor(),
+
+
+  transcript(text, { speaker = 'DP', userId = 'dp', at = 0 } = {}) {
+    const timestamp = this.start + at * 1000;
+    return { id: `${userId}:${timestamp}`, userId, speaker, text, timestamp, entities: this.extractor.extract(text) };
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const WatchlistAlertsTests = {
+
+  async testStem() {
+    const cases = [
+      ['halted', 'halt'],
+      ['halting', 'halt'],
+      ['halts', 'halt'],
+      ['downgrade', 'downgrad'],
+      ['downgraded', 'downgrad'],
+      ['stopped', 'stop'],
+      ['rallies', 'rally'],
+      ['calls', 'call'],
+      ["Fed's", 'fed']
+    ];
+    for (const [word, expected] of cases) {
+      console.assert(stem(word) === expected, `"${word}" should stem to ${expected}, got ${stem(word)}`);
+    }
+  },
+
+
+  async testParseKeywords() {
+    const { rules, errors } = parseKeywordRules([
+      '# moderators',
+      'halt',
+      '~downgrade',
+      '/news (is )?out/ @ DP, Kira',
+      '/(/',
+      '~ ...'
+    ].join('\n'));
+
+    console.assert(rules.map(r => r.type).join() === 'exact,stem,regex', `Unexpected rules: ${rules.map(r => r.type)}`);
+    console.assert(rules[2].speakers.join() === 'DP,Kira', 'Should read the speaker scope');
+    console.assert(errors.map(e => e.line).join() === '5,6', `Should report bad lines, got ${JSON.stringify(errors)}`);
+
+    console.assert(matchRule(rules[0], 'Trading halt on AMD')?.offset === 8, 'Exact words match');
+    console.assert(matchRule(rules[0], 'halted') === null, 'Exact means the whole word');
+    console.assert(matchRule(rules[1], 'They downgraded it')?.text === 'downgraded', 'Stems match other forms');
+    console.assert(matchRule(rules[2], 'NEWS IS OUT') !== null, 'Patterns ignore case');
+  },
+
+
+  async testWatchlistAndSpeakers() {
+    const alerts = new WatchlistAlerts();
+    alerts.setWatchlist({ tickers: 'nvda, $AMD', keywords: 'halt\nsqueeze @ Kira' });
+
+    const alert = alerts.evaluate(TestUtils.transcript('Apple and Nvidia are moving, NVDA again'));
+    console.assert(alert.matches.length === 1, 'One match per watched ticker');
+    console.assert(alert.matches[0].type === MATCH_TYPES.TICKER && alert.matches[0].label === 'NVDA', `Unexpected match: ${JSON.stringify(alert.matches)}`);
+    console.assert(alert.speaker === 'DP' && alert.notify, 'Should notify for the speaker');
+
+    console.assert(alerts.evaluate(TestUtils.transcript('Apple is moving', { at: 1 })) === null, 'Unwatched tickers are ignored');
+    console.assert(alerts.evaluate(TestUtils.transcript('This could squeeze', { at: 2 })) === null, 'Scoped rules ignore other speakers');
+    console.assert(alerts.evaluate(TestUtils.transcript('This could squeeze', { speaker: 'kira', userId: 'kira', at: 3 })) !== null,
+      'Speaker names ignore case');
+    console.assert(alerts.getWatchlist().tickers.join() === 'NVDA,AMD', 'Symbols are normalised');
+  },
+
+
+  async testThrottle() {
+    const alerts = new WatchlistAlerts({ ruleCooldown: 60 * 1000, maxPerMinute: 2 });
+    alerts.setWatchlist({ keywords: 'halt\nnews\nfed' });
+    const at = seconds => TestUtils.start + seconds * 1000;
+
+    console.assert(alerts.evaluate(TestUtils.transcript('halt'), at(0)).notify, 'First match notifies');
+
+    const repeat = alerts.evaluate(TestUtils.transcript('halt again', { at: 10 }), at(10));
+    console.assert(!repeat.notify && repeat.suppressed === SUPPRESSED.THROTTLED, 'Same rule waits for its cooldown');
+
+    console.assert(alerts.evaluate(TestUtils.transcript('news', { at: 20 }), at(20)).notify, 'Another rule notifies');
+
+    const busy = alerts.evaluate(TestUtils.transcript('fed', { at: 30 }), at(30));
+    console.assert(busy.suppressed === SUPPRESSED.THROTTLED, 'No more than the limit per minute');
+
+    console.assert(alerts.evaluate(TestUtils.transcript('halt', { at: 90 }), at(90)).notify, 'Notifies again after the cooldown');
+    console.assert(alerts.getStats().throttled === 2, 'Should count throttled alerts');
+  },
+
+
+  async testSnooze() {
+    const alerts = new WatchlistAlerts();
+    alerts.setWatchlist({ keywords: 'halt' });
+    const now = TestUtils.start;
+
+    alerts.snooze(now + 15 * 60 * 1000);
+    const held = alerts.evaluate(TestUtils.transcript('halt'), now);
+    console.assert(held && !held.notify && held.suppressed === SUPPRESSED.SNOOZED, 'Snoozed alerts are kept but not notified');
+
+    const after = alerts.evaluate(TestUtils.transcript('halt', { at: 16 * 60 }), now + 16 * 60 * 1000);
+    console.assert(after.notify, 'Notifications resume when the snooze ends');
+
+    alerts.snooze(now + 60 * 60 * 1000);
+    alerts.snooze(0);
+    console.assert(!alerts.isSnoozed(now), 'A snooze can be cancelled');
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Stem', WatchlistAlertsTests.testStem],
+    ['Parse Keywords', WatchlistAlertsTests.testParseKeywords],
+    ['Watchlist and Speakers', WatchlistAlertsTests.testWatchlistAndSpeakers],
+    ['Throttle', WatchlistAlertsTests.testThrottle],
+    ['Snooze', WatchlistAlertsTests.testSnooze]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, WatchlistAlertsTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}
@@ -0,0 +1,135 @@
+import { WorkerStateStore } from '../../src/modules/worker-state.js';
+
+const SAMPLE_RATE = 16000;
+
+const TestUtils = {
+
+  start: 1000000,
+
+
+  // Each store stands in for one service worker; a new one is a restart
+  createStore(shared, options = {}) {
+    return new WorkerStateStore({ dbName: shared.dbName, storage: shared.storage, ...options });
+  },
+
+
+  // What survives a restart: the database and a chrome.storage.session stand-in
+  createBrowser() {
+    const items = {};
+    const storage = {
+      async get(key) { return key in items ? { [key]: structuredClone(items[key]) } : {}; },
+      async set(values) { Object.entries(values).forEach(([key, value]) => { items[key] = structuredClone(value); }); },
+      async remove(key) { delete items[key]; }
+    };
+    return {
+      dbName: `vtf-worker-state-test-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      storage
+    };
+  },
+
+
+  speech(seconds, amplitude = 0.2) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / SAMPLE_RATE;
+      let value = 0;
+      for (let h = 1; h <= 8; h++) {
+        value += Math.sin(2 * Math.PI * 140 * h * t) / h;
+      }
+      const envelope = 0.35 + 0.65 * Math.abs(Math.sin(Math.PI * 4 * t));
+      samples[i] = value * envelope * amplitude / 2;
+    }
+    return samples;
+  },
+
+
+  async runTest(name, testFn) {
+    console.group(`🧪 Test: ${name}`);
+    try {
+      await testFn();
+
+    } catch (error) {
+      console.error('❌ FAILED:', error);
+    }
+    console.groupEnd();
+  }
+};
+
+const WorkerStateTests = {
+
+  async testQueuedSegments() {
+    const browser = TestUtils.createBrowser();
+    const first = TestUtils.createStore(browser);
+    const segment = { samples: TestUtils.speech(1), startTime: TestUtils.start, duration: 1, speechDuration: 1, reason: 'pause' };
+
+    await first.saveStreams([
+      { streamId: 'dp', queue: [segment] },
+      { streamId: 'kira', queue: [] }
+    ]);
+
+    const second = TestUtils.createStore(browser);
+    const streams = await second.loadStreams();
+    console.assert(streams.length === 1, 'Streams with nothing buffered are not kept');
+    console.assert(streams[0].queue[0].samples instanceof Float32Array, 'Audio stays Float32');
+    console.assert(streams[0].queue[0].samples.every((value, i) => value === segment.samples[i]), 'Queued audio intact');
+
+    // Once sent, the stream is cleared
+    await second.saveStreams([{ streamId: 'dp', queue: [] }]);
+    console.assert((await second.loadStreams()).length === 0, 'Sent audio is forgotten');
+
+    await first.destroy();
+    await second.destroy();
+  },
+
+
+  async testSmallState() {
+    const browser = TestUtils.createBrowser();
+    const first = TestUtils.createStore(browser);
+    console.assert(await first.loadState() === null, 'Nothing saved yet');
+
+    await first.saveState({ stats: { chunksReceived: 42 }, rateLimiter: { buckets: { openai: { blockedUntil: 5 } } }, retryCount: { dp: 2 } });
+
+    const state = await TestUtils.createStore(browser).loadState();
+    console.assert(state.stats.chunksReceived === 42 && state.rateLimiter.buckets.openai.blockedUntil === 5, 'Counters and rate limiter restored');
+    console.assert(state.retryCount.dp === 2 && state.savedAt > 0, 'Retry counts restored');
+
+    await first.clear();
+    console.assert(await first.loadState() === null, 'Cleared');
+    await first.destroy();
+  },
+
+
+  async testStaleAudio() {
+    const browser = TestUtils.createBrowser();
+    const store = TestUtils.createStore(browser, { maxAge: 50 });
+    const segment = { samples: new Float32Array(160), startTime: TestUtils.start, duration: 0.01 };
+
+    await store.saveStreams([{ streamId: 'dp', queue: [segment] }]);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    console.assert((await store.loadStreams()).length === 0, 'Old audio is dropped');
+    console.assert((await TestUtils.createStore(browser).loadStreams()).length === 0, 'And deleted');
+    await store.destroy();
+  }
+};
+
+async function runAllTests() {
+
+  const tests = [
+    ['Queued Segments', WorkerStateTests.testQueuedSegments],
+    ['Small State', WorkerStateTests.testSmallState],
+    ['Stale Audio', WorkerStateTests.testStaleAudio]
+  ];
+
+  for (const [name, testFn] of tests) {
+    await TestUtils.runTest(name, testFn);
+  }
+
+
+}
+
+export { runAllTests, WorkerStateTests, TestUtils };
+
+if (typeof window !== 'undefined' && window.location.href.includes('test')) {
+  runAllTests();
+}